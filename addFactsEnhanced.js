@@ -1,23 +1,18 @@
 import 'dotenv/config';
 import { createClient } from 'redis';
-import { OpenAIEmbeddings } from '@langchain/openai';
 import crypto from 'crypto';
+import { generateEmbedding } from './llmProvider.js';
+import { getEmbeddingBackend } from './embeddingIndexes.js';
 
 const client = createClient({ url: process.env.REDIS_URL });
 await client.connect();
 
-const embeddings = new OpenAIEmbeddings({
-    apiKey: process.env.OPENAI_API_KEY,
-    batchSize: 512,
-    model: "text-embedding-ada-002",
-});
-
 export async function addFactToDatabase(factContent, source = 'user', category = 'general') {
     try {
         console.log(`📝 Adding fact to database: "${factContent.substring(0, 50)}..."`);
 
         // Generate embedding for the fact
-        const embedding = await embeddings.embedQuery(factContent);
+        const embedding = await generateEmbedding(factContent);
 
         // Create unique ID for the fact
         const factId = crypto.randomBytes(8).toString('hex');
@@ -33,8 +28,9 @@ export async function addFactToDatabase(factContent, source = 'user', category =
             source: source,
             category: category,
             timestamp: new Date().toISOString(),
-            vector: vectorBuffer,
-            embedding_model: 'text-embedding-ada-002'
+            // The field facts-index searches
+            embedding: vectorBuffer,
+            embedding_model: getEmbeddingBackend().model
         });
 
         console.log(`✅ Fact stored successfully with key: ${factKey}`);
@@ -19,7 +19,8 @@ async function run() {
             "climate justice",
             "rapid decarbonization",
             "green technology investments"
-        ]
+        ],
+        persuadability: 0.65
     });
 
     console.log("✅ ReformerBot profile added to Redis!");
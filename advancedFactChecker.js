@@ -3,20 +3,18 @@
 
 import 'dotenv/config';
 import { createClient } from 'redis';
-import { OpenAIEmbeddings } from '@langchain/openai';
-import OpenAI from 'openai';
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const embeddings = new OpenAIEmbeddings();
+import { generateCompletion, generateEmbedding } from './llmProvider.js';
+import { EMBEDDING_COLLECTIONS, vectorIndexName } from './embeddingIndexes.js';
 
 class AdvancedFactChecker {
     constructor() {
         this.client = null;
+        // Index names at 1536 dimensions, see EMBEDDING_COLLECTIONS
         this.knowledgeBases = {
-            'scientific': 'scientific-facts-index',
-            'political': 'political-facts-index', 
-            'economic': 'economic-facts-index',
-            'general': 'facts-index' // Your existing index
+            'scientific': EMBEDDING_COLLECTIONS.scientificFacts.base,
+            'political': EMBEDDING_COLLECTIONS.politicalFacts.base,
+            'economic': EMBEDDING_COLLECTIONS.economicFacts.base,
+            'general': EMBEDDING_COLLECTIONS.facts.base
         };
         this.confidenceThresholds = {
             'high': 0.9,
@@ -137,7 +135,8 @@ class AdvancedFactChecker {
     async searchMultipleBases(embedding, knowledgeBases) {
         const searchPromises = knowledgeBases.map(async (baseName) => {
             try {
-                const indexName = this.knowledgeBases[baseName];
+                // Sized for the embedding provider, see embeddingIndexes.js
+                const indexName = vectorIndexName(this.knowledgeBases[baseName], embedding.length);
                 
                 // Check if index exists
                 const indexExists = await this.checkIndexExists(indexName);
@@ -260,19 +259,18 @@ Provide a brief analysis (max 150 words) covering:
 
 Be precise, objective, and indicate uncertainty where appropriate.`;
 
-            const completion = await openai.chat.completions.create({
-                model: 'gpt-4o-mini',
+            const completion = await generateCompletion({
                 messages: [{ role: 'user', content: prompt }],
-                max_tokens: 200,
+                maxTokens: 200,
                 temperature: 0.3
             });
             
-            const analysis = completion.choices[0].message.content.trim();
+            const analysis = completion.text;
             
             return {
                 summary: analysis,
                 hasAIAnalysis: true,
-                modelUsed: 'gpt-4o-mini',
+                modelUsed: completion.model,
                 analysisConfidence: this.extractAnalysisConfidence(analysis)
             };
             
@@ -386,8 +384,7 @@ Be precise, objective, and indicate uncertainty where appropriate.`;
 
     // 🔧 Helper methods
     async generateEmbedding(text) {
-        const result = await embeddings.embedQuery(text.substring(0, 8000));
-        return result;
+        return await generateEmbedding(text.substring(0, 8000));
     }
 
     async checkIndexExists(indexName) {
@@ -0,0 +1,350 @@
+// Long-Term Agent Memory
+// Per-debate memory streams (debate:{id}:agent:{agentId}:memory) only cover
+// the debate in progress. This store keeps what each agent said, and the
+// opponent arguments it heard, across debates. Each memory is a RedisJSON
+// document with its embedding, searched through the idx:agent_memories
+// vector index. Recall ranks by similarity to the query, decayed by age, so
+// old debates fade unless they are very relevant.
+//
+// Env:
+//   AGENT_MEMORY_TOP_K            memories recalled into a prompt (default: 3)
+//   AGENT_MEMORY_MIN_SCORE        minimum decayed score to recall (default: 0.3)
+//   AGENT_MEMORY_HALF_LIFE_DAYS   age at which a memory's score halves; 0 disables decay (default: 30)
+//   AGENT_MEMORY_RETENTION_DAYS   memories older than this are deleted; 0 keeps them (default: 90)
+//   AGENT_MEMORY_MAX_ENTRIES      per-agent cap, oldest deleted first (default: 500)
+import "dotenv/config";
+import { randomUUID } from "crypto";
+import redisManager from "./redisManager.js";
+import { generateEmbedding } from "./llmProvider.js";
+import { vectorIndexName } from "./embeddingIndexes.js";
+
+const MEMORY_INDEX_NAME = "idx:agent_memories";
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Candidates fetched per recalled memory, so decay can reorder them
+const CANDIDATE_FACTOR = 3;
+
+export function agentMemoryKey(memoryId) {
+  return `agent_memory:${memoryId}`;
+}
+
+// Sorted set of an agent's memory IDs, scored by creation time
+export function agentMemoriesKey(agentId) {
+  return `agent:${agentId}:memories`;
+}
+
+/**
+ * @typedef {Object} AgentMemory
+ * @property {string} id
+ * @property {string} agentId - Whose memory this is
+ * @property {string} debateId
+ * @property {string} topic
+ * @property {'statement'|'opponent'} kind - Said by the agent, or heard from speakerId
+ * @property {string} speakerId
+ * @property {string} text
+ * @property {number} createdAt - Epoch milliseconds
+ * @property {number} [similarity] - Recall only
+ * @property {number} [score] - Recall only: similarity after decay
+ */
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Current retention and recall settings.
+ */
+export function getMemoryConfig() {
+  return {
+    topK: envNumber("AGENT_MEMORY_TOP_K", 3),
+    minScore: envNumber("AGENT_MEMORY_MIN_SCORE", 0.3),
+    halfLifeDays: envNumber("AGENT_MEMORY_HALF_LIFE_DAYS", 30),
+    retentionDays: envNumber("AGENT_MEMORY_RETENTION_DAYS", 90),
+    maxEntries: envNumber("AGENT_MEMORY_MAX_ENTRIES", 500),
+  };
+}
+
+/**
+ * Similarity discounted by age: halves every halfLifeDays.
+ * @param {number} similarity
+ * @param {number} ageMs
+ * @param {number} halfLifeDays - 0 or less disables decay
+ * @returns {number}
+ */
+export function decayedScore(similarity, ageMs, halfLifeDays) {
+  if (halfLifeDays <= 0) return similarity;
+  return similarity * 0.5 ** (Math.max(0, ageMs) / (halfLifeDays * DAY_MS));
+}
+
+function escapeTag(value) {
+  return String(value).replace(/[^a-zA-Z0-9_]/g, "\\$&");
+}
+
+// One index per embedding size, so switching providers never mixes vectors
+async function ensureMemoryIndex(client, dimensions) {
+  const name = vectorIndexName(MEMORY_INDEX_NAME, dimensions);
+  try {
+    await client.ft.create(
+      name,
+      {
+        "$.agentId": { type: "TAG", AS: "agentId" },
+        "$.debateId": { type: "TAG", AS: "debateId" },
+        "$.kind": { type: "TAG", AS: "kind" },
+        "$.createdAt": { type: "NUMERIC", AS: "createdAt" },
+        "$.vector": {
+          type: "VECTOR",
+          AS: "vector",
+          ALGORITHM: "HNSW",
+          TYPE: "FLOAT32",
+          DIM: dimensions,
+          DISTANCE_METRIC: "COSINE",
+        },
+      },
+      { ON: "JSON", PREFIX: "agent_memory:" },
+    );
+  } catch (error) {
+    if (!error.message.includes("Index already exists")) throw error;
+  }
+  return name;
+}
+
+async function deleteMemories(client, agentId, memoryIds) {
+  for (const memoryId of memoryIds) {
+    await client.del(agentMemoryKey(memoryId));
+  }
+  if (memoryIds.length > 0) {
+    await client.zRem(agentMemoriesKey(agentId), memoryIds);
+  }
+}
+
+/**
+ * Apply the retention settings to one agent's memories.
+ * @param {string} agentId
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<number>} Memories deleted
+ */
+export async function pruneMemories(agentId, { now = new Date() } = {}) {
+  const { retentionDays, maxEntries } = getMemoryConfig();
+
+  return await redisManager.execute(async (client) => {
+    const setKey = agentMemoriesKey(agentId);
+    let removed = 0;
+
+    if (retentionDays > 0) {
+      const expired = await client.zRangeByScore(
+        setKey,
+        "-inf",
+        now.getTime() - retentionDays * DAY_MS,
+      );
+      await deleteMemories(client, agentId, expired);
+      removed += expired.length;
+    }
+
+    const excess = (await client.zCard(setKey)) - maxEntries;
+    if (maxEntries > 0 && excess > 0) {
+      const oldest = await client.zRange(setKey, 0, excess - 1);
+      await deleteMemories(client, agentId, oldest);
+      removed += oldest.length;
+    }
+
+    return removed;
+  });
+}
+
+/**
+ * Store what was said in a debate turn: as a statement for the speaker and
+ * as an opponent argument for every other participant. The text is embedded
+ * once and shared.
+ * @param {Object} turn
+ * @param {string} turn.debateId
+ * @param {string} turn.topic
+ * @param {string} turn.speakerId
+ * @param {string} turn.text
+ * @param {string[]} turn.participantIds - Everyone in the debate, speaker included
+ * @param {boolean} [turn.spokenByAgent] - False for human-held seats: the
+ *   words are not the agent's own, so only the listeners remember them
+ * @param {{ embed?: typeof generateEmbedding, now?: Date }} [options]
+ * @returns {Promise<AgentMemory[]>} Stored memories, without vectors
+ */
+export async function rememberDebateTurn(
+  { debateId, topic, speakerId, text, participantIds, spokenByAgent = true },
+  { embed = generateEmbedding, now = new Date() } = {},
+) {
+  const owners = participantIds.filter(
+    (agentId) => agentId !== speakerId || spokenByAgent,
+  );
+  if (!text?.trim() || owners.length === 0) return [];
+
+  const vector = await embed(text);
+  const memories = owners.map((agentId) => ({
+    id: randomUUID(),
+    agentId,
+    debateId,
+    topic,
+    kind: agentId === speakerId ? "statement" : "opponent",
+    speakerId,
+    text,
+    createdAt: now.getTime(),
+  }));
+
+  await redisManager.execute(async (client) => {
+    await ensureMemoryIndex(client, vector.length);
+    for (const memory of memories) {
+      await client.json.set(agentMemoryKey(memory.id), "$", { ...memory, vector });
+      await client.zAdd(agentMemoriesKey(memory.agentId), {
+        score: memory.createdAt,
+        value: memory.id,
+      });
+    }
+  });
+
+  for (const agentId of owners) {
+    await pruneMemories(agentId, { now });
+  }
+  return memories;
+}
+
+async function loadMemories(client, memoryIds) {
+  const memories = [];
+  for (const memoryId of memoryIds) {
+    const stored = await client.json.get(agentMemoryKey(memoryId));
+    if (stored) {
+      const { vector, ...memory } = stored;
+      memories.push(memory);
+    }
+  }
+  return memories;
+}
+
+/**
+ * The memories most relevant to a query, ranked by decayed similarity.
+ * Returns [] when vector search or embedding is unavailable.
+ * @param {string} agentId
+ * @param {string} query - Usually the debate topic
+ * @param {Object} [options]
+ * @param {number} [options.k]
+ * @param {number} [options.minScore]
+ * @param {string} [options.excludeDebateId] - Leave out the debate in progress
+ * @param {typeof generateEmbedding} [options.embed]
+ * @param {Date} [options.now]
+ * @returns {Promise<AgentMemory[]>}
+ */
+export async function recallMemories(agentId, query, options = {}) {
+  const config = getMemoryConfig();
+  const {
+    k = config.topK,
+    minScore = config.minScore,
+    excludeDebateId = null,
+    embed = generateEmbedding,
+    now = new Date(),
+  } = options;
+
+  try {
+    const embedding = await embed(query);
+    const filters = [`@agentId:{${escapeTag(agentId)}}`];
+    if (excludeDebateId) filters.push(`-@debateId:{${escapeTag(excludeDebateId)}}`);
+
+    return await redisManager.execute(async (client) => {
+      const index = await ensureMemoryIndex(client, embedding.length);
+      const results = await client.ft.search(
+        index,
+        `(${filters.join(" ")})=>[KNN ${k * CANDIDATE_FACTOR} @vector $query_vector AS score]`,
+        {
+          PARAMS: {
+            query_vector: Buffer.from(new Float32Array(embedding).buffer),
+          },
+          SORTBY: "score",
+          // Without it RediSearch returns 10 rows whatever KNN asks for
+          LIMIT: { from: 0, size: k * CANDIDATE_FACTOR },
+          DIALECT: 2,
+          RETURN: ["score"],
+        },
+      );
+
+      const similarities = new Map(
+        results.documents.map((doc) => [
+          doc.id.replace("agent_memory:", ""),
+          1 - parseFloat(doc.value.score),
+        ]),
+      );
+      const memories = await loadMemories(client, [...similarities.keys()]);
+
+      return memories
+        .map((memory) => {
+          const similarity = similarities.get(memory.id);
+          const score = decayedScore(
+            similarity,
+            now.getTime() - memory.createdAt,
+            config.halfLifeDays,
+          );
+          return {
+            ...memory,
+            similarity: Math.round(similarity * 1000) / 1000,
+            score: Math.round(score * 1000) / 1000,
+          };
+        })
+        .filter((memory) => memory.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+    });
+  } catch (error) {
+    console.log(`⚠️ Agent memory recall unavailable: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * An agent's memories, newest first.
+ * @param {string} agentId
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<AgentMemory[]>}
+ */
+export async function listMemories(agentId, { limit = 20 } = {}) {
+  return await redisManager.execute(async (client) => {
+    const memoryIds = await client.zRange(agentMemoriesKey(agentId), 0, limit - 1, {
+      REV: true,
+    });
+    return await loadMemories(client, memoryIds);
+  });
+}
+
+/**
+ * Delete all of an agent's long-term memories.
+ * @returns {Promise<number>} Memories deleted
+ */
+export async function forgetMemories(agentId) {
+  return await redisManager.execute(async (client) => {
+    const memoryIds = await client.zRange(agentMemoriesKey(agentId), 0, -1);
+    await deleteMemories(client, agentId, memoryIds);
+    return memoryIds.length;
+  });
+}
+
+/**
+ * Prompt section for recalled memories, or "" when there are none.
+ * @param {AgentMemory[]} memories
+ * @returns {string}
+ */
+export function formatRecalledMemories(memories) {
+  if (!memories?.length) return "";
+
+  const lines = memories.map((memory) =>
+    memory.kind === "statement"
+      ? `- You said (on "${memory.topic}"): ${memory.text}`
+      : `- ${memory.speakerId} argued (on "${memory.topic}"): ${memory.text}`,
+  );
+  return `FROM EARLIER DEBATES:\n${lines.join("\n")}`;
+}
+
+export default {
+  agentMemoryKey,
+  agentMemoriesKey,
+  getMemoryConfig,
+  decayedScore,
+  pruneMemories,
+  rememberDebateTurn,
+  recallMemories,
+  listMemories,
+  forgetMemories,
+  formatRecalledMemories,
+};
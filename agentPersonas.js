@@ -0,0 +1,259 @@
+// Agent Persona Library
+// Agent profiles live at agent:{id}:profile (RedisJSON), as the debate
+// engine reads them. Every save also appends a snapshot to
+// agent:{id}:versions so a profile can be rolled back. Persona packs move
+// sets of profiles in and out as JSON or YAML.
+import { dump as toYaml, load as parseYaml } from "js-yaml";
+import redisManager from "./redisManager.js";
+import { agentProfileSchema } from "./src/middleware/validation.js";
+
+export const PERSONA_PACK_KIND = "stancestream-persona-pack";
+const MAX_VERSIONS = 50;
+
+export function agentProfileKey(id) {
+  return `agent:${id}:profile`;
+}
+
+export function agentVersionsKey(id) {
+  return `agent:${id}:versions`;
+}
+
+/**
+ * @typedef {Object} AgentProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} role
+ * @property {string} tone
+ * @property {Record<string, number>} stance
+ * @property {string[]} biases
+ * @property {number} [persuadability]
+ * @property {number} version - Increases with every save
+ * @property {string} updatedAt
+ */
+
+/**
+ * @typedef {Object} AgentVersion
+ * @property {number} version
+ * @property {string} savedAt
+ * @property {string} note - create, update, rollback to vN, import, ...
+ * @property {AgentProfile} profile
+ */
+
+// Profile fields a persona pack carries; version bookkeeping stays behind
+function personaFields({ version, updatedAt, ...persona }) {
+  return persona;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<AgentProfile|null>}
+ */
+export async function getAgent(id) {
+  return await redisManager.execute(async (client) =>
+    client.json.get(agentProfileKey(id)),
+  );
+}
+
+/**
+ * Every stored agent, including the seeded ones created before versioning.
+ * @returns {Promise<AgentProfile[]>}
+ */
+export async function listAgents() {
+  return await redisManager.execute(async (client) => {
+    const keys = (await client.keys("agent:*:profile")).sort();
+    const agents = [];
+    for (const key of keys) {
+      const profile = await client.json.get(key);
+      if (profile) agents.push({ ...profile, id: profile.id ?? key.split(":")[1] });
+    }
+    return agents;
+  });
+}
+
+async function storeVersion(client, id, persona, note, now) {
+  const history = await client.lRange(agentVersionsKey(id), -1, -1);
+  const lastVersion = history.length ? JSON.parse(history[0]).version : 0;
+
+  const profile = {
+    ...persona,
+    id,
+    version: lastVersion + 1,
+    updatedAt: now.toISOString(),
+  };
+  await client.json.set(agentProfileKey(id), "$", profile);
+  await client.rPush(
+    agentVersionsKey(id),
+    JSON.stringify({ version: profile.version, savedAt: profile.updatedAt, note, profile }),
+  );
+  await client.lTrim(agentVersionsKey(id), -MAX_VERSIONS, -1);
+  return profile;
+}
+
+/**
+ * @param {Object} persona - Validated with agentProfileSchema
+ * @param {Date} [now]
+ * @returns {Promise<{ profile: AgentProfile } | { error: string }>}
+ */
+export async function createAgent(persona, now = new Date()) {
+  return await redisManager.execute(async (client) => {
+    if (await client.exists(agentProfileKey(persona.id))) {
+      return { error: `Agent "${persona.id}" already exists` };
+    }
+    return { profile: await storeVersion(client, persona.id, persona, "create", now) };
+  });
+}
+
+/**
+ * Save a new version of an existing agent.
+ * @param {string} id
+ * @param {Object} persona
+ * @param {{ note?: string, now?: Date }} [options]
+ * @returns {Promise<AgentProfile|null>} null if the agent does not exist
+ */
+export async function updateAgent(id, persona, { note = "update", now = new Date() } = {}) {
+  return await redisManager.execute(async (client) => {
+    if (!(await client.exists(agentProfileKey(id)))) return null;
+    return await storeVersion(client, id, personaFields(persona), note, now);
+  });
+}
+
+/**
+ * Delete an agent and its version history.
+ * @returns {Promise<boolean>} false if the agent did not exist
+ */
+export async function deleteAgent(id) {
+  return await redisManager.execute(async (client) => {
+    const removed = await client.del(agentProfileKey(id));
+    await client.del(agentVersionsKey(id));
+    return removed > 0;
+  });
+}
+
+/**
+ * Saved versions, newest first. Agents seeded before versioning have none
+ * until their first save.
+ * @returns {Promise<AgentVersion[]>}
+ */
+export async function getAgentVersions(id) {
+  const entries = await redisManager.execute(async (client) =>
+    client.lRange(agentVersionsKey(id), 0, -1),
+  );
+  return entries.map((entry) => JSON.parse(entry)).reverse();
+}
+
+/**
+ * Restore an earlier version by saving it again as the newest one, so the
+ * rollback itself stays in the history.
+ * @returns {Promise<{ profile: AgentProfile } | { error: string }>}
+ */
+export async function rollbackAgent(id, version, now = new Date()) {
+  const target = (await getAgentVersions(id)).find(
+    (entry) => entry.version === version,
+  );
+  if (!target) return { error: `Agent "${id}" has no version ${version}` };
+
+  const profile = await updateAgent(id, target.profile, {
+    note: `rollback to v${version}`,
+    now,
+  });
+  return profile ? { profile } : { error: `Agent "${id}" not found` };
+}
+
+/**
+ * Serialize agents as a persona pack.
+ * @param {AgentProfile[]} agents
+ * @param {'json'|'yaml'} [format]
+ * @returns {string}
+ */
+export function exportPersonaPack(agents, format = "json", now = new Date()) {
+  const pack = {
+    kind: PERSONA_PACK_KIND,
+    exportedAt: now.toISOString(),
+    agents: agents.map(personaFields),
+  };
+  return format === "yaml"
+    ? toYaml(pack, { noRefs: true })
+    : JSON.stringify(pack, null, 2);
+}
+
+/**
+ * Parse a JSON or YAML persona pack and validate each persona. A bare array
+ * of personas is accepted too.
+ * @param {string|Object} content - Pack text, or an already parsed pack
+ * @param {'json'|'yaml'} [format]
+ * @returns {{ agents: Object[], errors: Array<{ index: number, id?: string, error: string }> }}
+ */
+export function parsePersonaPack(content, format = "json") {
+  let pack = content;
+  if (typeof content === "string") {
+    try {
+      pack = format === "yaml" ? parseYaml(content) : JSON.parse(content);
+    } catch (error) {
+      return { agents: [], errors: [{ index: -1, error: `Invalid ${format}: ${error.message}` }] };
+    }
+  }
+
+  const personas = Array.isArray(pack) ? pack : pack?.agents;
+  if (!Array.isArray(personas)) {
+    return { agents: [], errors: [{ index: -1, error: "Pack has no agents list" }] };
+  }
+
+  const agents = [];
+  const errors = [];
+  personas.forEach((persona, index) => {
+    const result = agentProfileSchema.safeParse(persona);
+    if (result.success) {
+      agents.push(result.data);
+    } else {
+      errors.push({
+        index,
+        id: persona?.id,
+        error: result.error.issues
+          .map((issue) => `${issue.path.join(".")}: ${issue.message}`)
+          .join("; "),
+      });
+    }
+  });
+  return { agents, errors };
+}
+
+/**
+ * Store validated personas. Existing agents get a new version only with
+ * `overwrite`; otherwise they are skipped.
+ * @param {Object[]} agents - From parsePersonaPack
+ * @param {{ overwrite?: boolean, now?: Date }} [options]
+ * @returns {Promise<{ created: string[], updated: string[], skipped: string[] }>}
+ */
+export async function importPersonas(agents, { overwrite = false, now = new Date() } = {}) {
+  const result = { created: [], updated: [], skipped: [] };
+
+  for (const persona of agents) {
+    const created = await createAgent(persona, now);
+    if (!created.error) {
+      result.created.push(persona.id);
+    } else if (overwrite) {
+      await updateAgent(persona.id, persona, { note: "import", now });
+      result.updated.push(persona.id);
+    } else {
+      result.skipped.push(persona.id);
+    }
+  }
+
+  return result;
+}
+
+export default {
+  PERSONA_PACK_KIND,
+  agentProfileKey,
+  agentVersionsKey,
+  getAgent,
+  listAgents,
+  createAgent,
+  updateAgent,
+  deleteAgent,
+  getAgentVersions,
+  rollbackAgent,
+  exportPersonaPack,
+  parsePersonaPack,
+  importPersonas,
+};
@@ -0,0 +1,309 @@
+// Argument Maps
+// Turns a debate stream into an argument graph. Each message is split into
+// units (claims, premises, rebuttals and concessions) linked to the message
+// ID and speaker. Premises support their message's claim; rebuttals and
+// concessions point at the unit they answer in an earlier message. The LLM
+// does the splitting when it returns usable JSON, and cue words do otherwise.
+// The map is stored at debate:{id}:argmap and extended incrementally from
+// the last message it has seen.
+import redisManager from "./redisManager.js";
+import { generateCompletion } from "./llmProvider.js";
+import { extractReferences } from "./enhancedAI.js";
+
+export const UNIT_TYPES = ["claim", "premise", "rebuttal", "concession"];
+const RELATIONS = {
+  premise: "supports",
+  rebuttal: "rebuts",
+  concession: "concedes",
+};
+// Earlier units shown to the extractor as possible targets
+const CONTEXT_UNITS = 12;
+
+const CONCESSION_CUES =
+  /\b(granted|admittedly|i concede|fair point|to be fair|it's true that|i agree that|you're right|valid point)\b/i;
+const REBUTTAL_CUES =
+  /\b(however|wrong|disagree|on the contrary|ignores?|fails? to|overlooks?|misses|that's not|not convinced)\b/i;
+
+export function argumentMapKey(debateId) {
+  return `debate:${debateId}:argmap`;
+}
+
+/**
+ * @typedef {Object} ArgumentNode
+ * @property {string} id - "{messageId}#{index}"
+ * @property {'claim'|'premise'|'rebuttal'|'concession'} type
+ * @property {string} text
+ * @property {string} messageId
+ * @property {string} speakerId
+ */
+
+/**
+ * @typedef {Object} ArgumentEdge
+ * @property {string} from - Node ID
+ * @property {string} to - Node ID
+ * @property {'supports'|'rebuts'|'concedes'} relation
+ */
+
+/**
+ * @typedef {Object} ArgumentMap
+ * @property {string} debateId
+ * @property {ArgumentNode[]} nodes
+ * @property {ArgumentEdge[]} edges
+ * @property {string|null} lastMessageId - Last stream entry processed
+ * @property {number} messageCount
+ * @property {string} updatedAt
+ */
+
+function emptyMap(debateId) {
+  return {
+    debateId,
+    nodes: [],
+    edges: [],
+    lastMessageId: null,
+    messageCount: 0,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+function splitSentences(text) {
+  return (text.match(/[^.!?]+[.!?]*/g) || [])
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * The unit a message answers: the latest claim (or else the latest unit) of
+ * the speaker it names, or else of the previous other speaker.
+ * @param {ArgumentMap} map
+ * @param {string} speakerId
+ * @param {string} text
+ * @returns {ArgumentNode|null}
+ */
+export function findRespondedUnit(map, speakerId, text) {
+  const others = map.nodes.filter((node) => node.speakerId !== speakerId);
+  if (others.length === 0) return null;
+
+  const context = others.map((node) => `${node.speakerId}: ${node.text}`).join("\n");
+  const named = extractReferences(text, context).split(", ").filter(Boolean);
+  const target = named[0] ?? others[others.length - 1].speakerId;
+
+  const lastMessageId = others.filter((node) => node.speakerId === target).at(-1)?.messageId;
+  const units = others.filter((node) => node.messageId === lastMessageId);
+  return units.find((node) => node.type === "claim") ?? units.at(-1) ?? null;
+}
+
+/**
+ * Split a message into units with cue words. Sentences that concede or
+ * push back are aimed at `respondsTo`; the first other sentence is the
+ * claim and the rest are its premises.
+ * @param {string} text
+ * @param {ArgumentNode|null} respondsTo
+ * @returns {Array<{ type: string, text: string, target: string|null }>}
+ */
+export function heuristicUnits(text, respondsTo) {
+  let hasClaim = false;
+  return splitSentences(text).map((sentence) => {
+    if (respondsTo && CONCESSION_CUES.test(sentence)) {
+      return { type: "concession", text: sentence, target: respondsTo.id };
+    }
+    if (respondsTo && REBUTTAL_CUES.test(sentence)) {
+      return { type: "rebuttal", text: sentence, target: respondsTo.id };
+    }
+    if (!hasClaim) {
+      hasClaim = true;
+      return { type: "claim", text: sentence, target: null };
+    }
+    return { type: "premise", text: sentence, target: null };
+  });
+}
+
+async function extractWithModel(text, speakerId, map, respondsTo, complete) {
+  const candidates = map.nodes.slice(-CONTEXT_UNITS);
+  const { text: reply } = await complete({
+    messages: [
+      {
+        role: "system",
+        content:
+          'You map debate arguments. Split the new message into units and reply with JSON only: {"units": [{"type": "claim" | "premise" | "rebuttal" | "concession", "text": "the unit, quoted or closely paraphrased", "target": "ID of the earlier unit it rebuts or concedes, or null"}]}. Premises back the message\'s own claim.',
+      },
+      {
+        role: "user",
+        content: `EARLIER UNITS:\n${
+          candidates.map((node) => `[${node.id}] ${node.speakerId} (${node.type}): ${node.text}`).join("\n") ||
+          "(none)"
+        }\n\nNEW MESSAGE from ${speakerId}:\n${text}`,
+      },
+    ],
+    temperature: 0,
+    maxTokens: 400,
+  });
+
+  const units = JSON.parse(reply.match(/\{[\s\S]*\}/)?.[0] ?? "null")?.units;
+  if (!Array.isArray(units) || units.length === 0) return null;
+
+  const knownIds = new Set(map.nodes.map((node) => node.id));
+  const valid = units.filter(
+    (unit) => UNIT_TYPES.includes(unit?.type) && typeof unit.text === "string" && unit.text.trim(),
+  );
+  if (valid.length === 0) return null;
+
+  return valid.map((unit) => ({
+    type: unit.type,
+    text: unit.text.trim(),
+    target: knownIds.has(unit.target)
+      ? unit.target
+      : ["rebuttal", "concession"].includes(unit.type)
+        ? (respondsTo?.id ?? null)
+        : null,
+  }));
+}
+
+/**
+ * Add one message's units and links to the map (mutates it).
+ * @param {ArgumentMap} map
+ * @param {{ id: string, speakerId: string, text: string }} message
+ * @param {{ complete?: typeof generateCompletion }} [options]
+ * @returns {Promise<ArgumentNode[]>} The new nodes
+ */
+export async function addMessageToMap(map, message, { complete = generateCompletion } = {}) {
+  const respondsTo = findRespondedUnit(map, message.speakerId, message.text);
+
+  let units = null;
+  try {
+    units = await extractWithModel(message.text, message.speakerId, map, respondsTo, complete);
+  } catch (error) {
+    console.log(`⚠️ Argument extractor unavailable: ${error.message}`);
+  }
+  units ??= heuristicUnits(message.text, respondsTo);
+
+  const nodes = units.map((unit, index) => ({
+    id: `${message.id}#${index}`,
+    type: unit.type,
+    text: unit.text,
+    messageId: message.id,
+    speakerId: message.speakerId,
+  }));
+  // Premises hang off this message's claim
+  const claim = nodes.find((node) => node.type === "claim");
+
+  units.forEach((unit, index) => {
+    const relation = RELATIONS[unit.type];
+    const to = unit.type === "premise" ? claim?.id : unit.target;
+    if (relation && to) {
+      map.edges.push({ from: nodes[index].id, to, relation });
+    }
+  });
+
+  map.nodes.push(...nodes);
+  map.lastMessageId = message.id;
+  map.messageCount++;
+  return nodes;
+}
+
+/**
+ * Bring a debate's stored map up to date with its message stream.
+ * @param {string} debateId
+ * @param {{ complete?: typeof generateCompletion, rebuild?: boolean }} [options]
+ * @returns {Promise<ArgumentMap>}
+ */
+export async function updateArgumentMap(debateId, { complete, rebuild = false } = {}) {
+  const { map, entries } = await redisManager.execute(async (client) => {
+    const stored = rebuild ? null : await client.json.get(argumentMapKey(debateId));
+    const map = stored || emptyMap(debateId);
+    const start = map.lastMessageId ? `(${map.lastMessageId}` : "-";
+    return {
+      map,
+      entries: await client.xRange(`debate:${debateId}:messages`, start, "+"),
+    };
+  });
+
+  if (entries.length === 0 && !rebuild) return map;
+
+  for (const { id, message } of entries) {
+    await addMessageToMap(
+      map,
+      { id, speakerId: message.agent_id, text: message.message || "" },
+      { complete },
+    );
+  }
+  map.updatedAt = new Date().toISOString();
+
+  await redisManager.execute(async (client) =>
+    client.json.set(argumentMapKey(debateId), "$", map),
+  );
+  return map;
+}
+
+/**
+ * @param {string} debateId
+ * @returns {Promise<ArgumentMap|null>}
+ */
+export async function getArgumentMap(debateId) {
+  return redisManager.execute(async (client) =>
+    client.json.get(argumentMapKey(debateId)),
+  );
+}
+
+// One update at a time per debate, so turns are never processed twice
+const pendingUpdates = new Map();
+
+/**
+ * Queue an update behind any still running for the same debate.
+ * @param {string} debateId
+ * @param {Object} [options] - See updateArgumentMap
+ * @returns {Promise<ArgumentMap>}
+ */
+export function scheduleArgumentMapUpdate(debateId, options) {
+  const previous = pendingUpdates.get(debateId) ?? Promise.resolve();
+  const run = previous
+    .catch(() => {})
+    .then(() => updateArgumentMap(debateId, options));
+
+  pendingUpdates.set(debateId, run);
+  run
+    .catch(() => {})
+    .finally(() => {
+      if (pendingUpdates.get(debateId) === run) pendingUpdates.delete(debateId);
+    });
+  return run;
+}
+
+/**
+ * Readable outline of a map for prompts: each claim with what supported,
+ * rebutted or conceded it.
+ * @param {ArgumentMap|null} map
+ * @returns {string}
+ */
+export function formatArgumentMap(map) {
+  if (!map?.nodes.length) return "";
+
+  const byId = new Map(map.nodes.map((node) => [node.id, node]));
+  const incoming = (id) => map.edges.filter((edge) => edge.to === id);
+  const line = (node, indent, relation = "") =>
+    `${" ".repeat(indent)}${relation ? `${relation}: ` : ""}[${node.type}] ${node.speakerId}: ${node.text}`;
+
+  const outline = [];
+  for (const claim of map.nodes.filter((node) => node.type === "claim")) {
+    outline.push(line(claim, 0));
+    for (const edge of incoming(claim.id)) {
+      const source = byId.get(edge.from);
+      outline.push(line(source, 2, edge.relation));
+      for (const reply of incoming(source.id)) {
+        outline.push(line(byId.get(reply.from), 4, reply.relation));
+      }
+    }
+  }
+  return outline.join("\n");
+}
+
+export default {
+  UNIT_TYPES,
+  argumentMapKey,
+  findRespondedUnit,
+  heuristicUnits,
+  addMessageToMap,
+  updateArgumentMap,
+  getArgumentMap,
+  scheduleArgumentMapUpdate,
+  formatArgumentMap,
+};
@@ -0,0 +1,152 @@
+// Audience Stance Polling
+// Viewers vote for / against / neutral on a live debate once per round. Tallies
+// live in Redis hashes, the net audience stance in a TimeSeries so it can be
+// plotted next to agent stance, and each update is published on
+// `stance:{debateId}` for socket subscribers (see src/lib/socket.ts).
+import redisManager from "./redisManager.js";
+import { DEBATE_STATUS, getDebateCheckpoint } from "./debateState.js";
+
+export const AUDIENCE_STANCES = ["for", "against", "neutral"];
+
+// Same -1..1 scale the stance chart uses for agents
+const STANCE_VALUES = { for: 1, against: -1, neutral: 0 };
+
+const VOTABLE_STATUSES = new Set([DEBATE_STATUS.RUNNING, DEBATE_STATUS.PAUSED]);
+
+export function audienceKeys(debateId, round) {
+  const base = `debate:${debateId}:audience`;
+  return {
+    totals: base,
+    rounds: `${base}:rounds`,
+    series: `${base}:stance`,
+    tally: `${base}:round:${round}`,
+    voters: `${base}:round:${round}:voters`,
+  };
+}
+
+/**
+ * @typedef {Object} AudienceTally
+ * @property {number} for
+ * @property {number} against
+ * @property {number} neutral
+ * @property {number} total
+ * @property {number} score - Net stance, -1 (all against) to 1 (all for)
+ */
+
+/**
+ * @param {Object<string, string|number>} hash - Raw counts from HGETALL
+ * @returns {AudienceTally}
+ */
+export function summarizeTally(hash = {}) {
+  const counts = Object.fromEntries(
+    AUDIENCE_STANCES.map((stance) => [stance, parseInt(hash[stance]) || 0]),
+  );
+  const total = counts.for + counts.against + counts.neutral;
+  const score =
+    total > 0
+      ? AUDIENCE_STANCES.reduce(
+          (sum, stance) => sum + counts[stance] * STANCE_VALUES[stance],
+          0,
+        ) / total
+      : 0;
+
+  return { ...counts, total, score: Math.round(score * 1000) / 1000 };
+}
+
+/**
+ * Record one audience vote in the debate's current round.
+ * @param {Object} vote
+ * @param {string} vote.debateId
+ * @param {string} vote.clientId - Stable per viewer; one vote per round
+ * @param {'for'|'against'|'neutral'} vote.stance
+ * @returns {Promise<{ accepted: boolean, reason?: string, round?: number, tally?: AudienceTally, overall?: AudienceTally }>}
+ */
+export async function castAudienceVote({ debateId, clientId, stance }) {
+  if (!AUDIENCE_STANCES.includes(stance)) {
+    return { accepted: false, reason: `Stance must be one of: ${AUDIENCE_STANCES.join(", ")}` };
+  }
+  if (!clientId) {
+    return { accepted: false, reason: "Client id is required" };
+  }
+
+  const checkpoint = await getDebateCheckpoint(debateId);
+  if (!checkpoint || !VOTABLE_STATUSES.has(checkpoint.status)) {
+    return { accepted: false, reason: "Debate is not live" };
+  }
+
+  const round = checkpoint.round || 1;
+  const keys = audienceKeys(debateId, round);
+
+  return await redisManager.execute(async (client) => {
+    const firstVote = await client.hSetNX(keys.voters, clientId, stance);
+    if (!firstVote) {
+      return { accepted: false, reason: "Already voted this round", round };
+    }
+
+    await client.hIncrBy(keys.tally, stance, 1);
+    await client.hIncrBy(keys.totals, stance, 1);
+    await client.sAdd(keys.rounds, String(round));
+
+    const tally = summarizeTally(await client.hGetAll(keys.tally));
+    const overall = summarizeTally(await client.hGetAll(keys.totals));
+
+    try {
+      await client.ts.add(keys.series, "*", overall.score);
+    } catch (tsError) {
+      console.log(`⚠️ TimeSeries not available for ${keys.series}`);
+    }
+
+    const update = { debateId, round, stance, tally, overall, timestamp: Date.now() };
+    await client.publish(`stance:${debateId}`, JSON.stringify(update));
+
+    return { accepted: true, round, tally, overall };
+  });
+}
+
+/**
+ * Per-round tallies, the overall tally and the audience stance series.
+ * @param {string} debateId
+ */
+export async function getAudienceSummary(debateId) {
+  return await redisManager.execute(async (client) => {
+    const keys = audienceKeys(debateId, 0);
+    const roundNumbers = (await client.sMembers(keys.rounds))
+      .map(Number)
+      .sort((a, b) => a - b);
+
+    const rounds = [];
+    for (const round of roundNumbers) {
+      const tally = summarizeTally(
+        await client.hGetAll(audienceKeys(debateId, round).tally),
+      );
+      rounds.push({ round, ...tally });
+    }
+
+    let series = [];
+    try {
+      series = (await client.ts.range(keys.series, "-", "+")).map(
+        ({ timestamp, value }) => ({
+          timestamp: new Date(timestamp).toISOString(),
+          value,
+        }),
+      );
+    } catch (tsError) {
+      console.log(`⚠️ TimeSeries not available for ${keys.series}`);
+    }
+
+    return {
+      debateId,
+      overall: summarizeTally(await client.hGetAll(keys.totals)),
+      rounds,
+      series,
+    };
+  });
+}
+
+export default {
+  AUDIENCE_STANCES,
+  audienceKeys,
+  summarizeTally,
+  castAudienceVote,
+  getAudienceSummary,
+};
@@ -0,0 +1,313 @@
+// Semantic Cache Administration
+// Browse, search, invalidate and pin the cache:prompt:* hashes written by
+// semanticCache.js. An entry's ID is its key without the prefix. Listing
+// SCANs the keys, so filters also cover fields the cache-index leaves out
+// (agent, debate and hit count live in the hash, not the index). A pinned
+// entry has its TTL removed and keeps it off until unpinned.
+import redisManager from "./redisManager.js";
+import semanticCache from "./semanticCache.js";
+import { CACHE_CONFIG } from "./cacheConfig.js";
+import { getSimilarityThreshold, getThresholdConfig } from "./cacheThresholds.js";
+import { vectorIndexName } from "./embeddingIndexes.js";
+
+export const CACHE_KEY_PREFIX = "cache:prompt:";
+export const CACHE_SORTS = ["newest", "oldest", "hits"];
+// Every hash field except the vector, which is binary
+const ENTRY_FIELDS = [
+  "original_prompt",
+  "topic",
+  "response",
+  "created_at",
+  "metadata",
+  "tokens_saved",
+  "hit_count",
+  "last_hit_at",
+  "last_hit_similarity",
+  "pinned",
+];
+const SCAN_COUNT = 200;
+// Nearest neighbours fetched per result when a topic filter drops some
+const SEARCH_CANDIDATE_FACTOR = 5;
+
+export function cacheEntryKey(id) {
+  return `${CACHE_KEY_PREFIX}${id}`;
+}
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} id
+ * @property {string} prompt
+ * @property {string} topic - The cache topic, agent-specific for debate turns
+ * @property {string} response
+ * @property {string|null} agentId
+ * @property {string|null} debateId
+ * @property {string|null} debateTopic - Plain debate topic, for thresholds
+ * @property {string|null} createdAt - ISO 8601
+ * @property {number} hits
+ * @property {string|null} lastHitAt - ISO 8601
+ * @property {number|null} lastHitSimilarity
+ * @property {boolean} pinned
+ * @property {number|null} ttl - Seconds left; null when it never expires
+ * @property {number} tokensSaved
+ * @property {number} [similarity] - Search only
+ */
+
+function parseMetadata(raw) {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Build an entry from its hash fields (in ENTRY_FIELDS order) and TTL.
+ * @param {string} id
+ * @param {Array<string|null>} values
+ * @param {number} ttl - As returned by TTL: -1 for no expiry
+ * @returns {CacheEntry}
+ */
+export function parseCacheEntry(id, values, ttl) {
+  const fields = Object.fromEntries(ENTRY_FIELDS.map((field, i) => [field, values[i]]));
+  const metadata = parseMetadata(fields.metadata);
+  return {
+    id,
+    prompt: fields.original_prompt ?? "",
+    topic: fields.topic ?? "general",
+    response: fields.response ?? "",
+    agentId: metadata.agentId ?? null,
+    debateId: metadata.debateId ?? null,
+    debateTopic: metadata.debateTopic ?? null,
+    createdAt: fields.created_at ?? null,
+    hits: parseInt(fields.hit_count, 10) || 0,
+    lastHitAt: fields.last_hit_at ?? null,
+    lastHitSimilarity: fields.last_hit_similarity ? parseFloat(fields.last_hit_similarity) : null,
+    pinned: fields.pinned === "1",
+    ttl: ttl >= 0 ? ttl : null,
+    tokensSaved: parseInt(fields.tokens_saved, 10) || 0,
+  };
+}
+
+async function loadEntry(client, id) {
+  const key = cacheEntryKey(id);
+  const [values, ttl] = await Promise.all([
+    client.hmGet(key, ENTRY_FIELDS),
+    client.ttl(key),
+  ]);
+  // TTL is -2 once the key is gone
+  return ttl === -2 ? null : parseCacheEntry(id, values, ttl);
+}
+
+async function scanEntryIds(client) {
+  const ids = [];
+  let cursor = "0";
+  do {
+    const result = await client.scan(cursor, {
+      MATCH: `${CACHE_KEY_PREFIX}*`,
+      COUNT: SCAN_COUNT,
+    });
+    cursor = String(result.cursor);
+    ids.push(...result.keys.map((key) => key.slice(CACHE_KEY_PREFIX.length)));
+  } while (cursor !== "0");
+  return [...new Set(ids)];
+}
+
+/**
+ * @typedef {Object} CacheFilters
+ * @property {string} [topic] - Case-insensitive substring of the cache topic
+ * @property {string} [agentId]
+ * @property {string} [debateId]
+ * @property {number} [minHits]
+ * @property {number} [maxHits]
+ * @property {number} [minAgeSeconds]
+ * @property {number} [maxAgeSeconds]
+ * @property {boolean} [pinned]
+ */
+
+/**
+ * @param {CacheEntry} entry
+ * @param {CacheFilters} filters
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function matchesCacheFilters(entry, filters, now = new Date()) {
+  const { topic, agentId, debateId, minHits, maxHits, minAgeSeconds, maxAgeSeconds, pinned } = filters;
+  if (topic && !entry.topic.toLowerCase().includes(topic.toLowerCase())) return false;
+  if (agentId && entry.agentId !== agentId) return false;
+  if (debateId && entry.debateId !== debateId) return false;
+  if (minHits !== undefined && entry.hits < minHits) return false;
+  if (maxHits !== undefined && entry.hits > maxHits) return false;
+  if (pinned !== undefined && entry.pinned !== pinned) return false;
+  if (minAgeSeconds !== undefined || maxAgeSeconds !== undefined) {
+    const created = Date.parse(entry.createdAt);
+    if (Number.isNaN(created)) return false;
+    const age = (now.getTime() - created) / 1000;
+    if (minAgeSeconds !== undefined && age < minAgeSeconds) return false;
+    if (maxAgeSeconds !== undefined && age > maxAgeSeconds) return false;
+  }
+  return true;
+}
+
+const SORTERS = {
+  newest: (a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""),
+  oldest: (a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""),
+  hits: (a, b) => b.hits - a.hits || SORTERS.newest(a, b),
+};
+
+async function findEntries(client, filters, now) {
+  const entries = [];
+  for (const id of await scanEntryIds(client)) {
+    const entry = await loadEntry(client, id);
+    if (entry && matchesCacheFilters(entry, filters, now)) entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * A page of cache entries matching the filters.
+ * @param {CacheFilters & { offset?: number, limit?: number, sort?: string, now?: Date }} [options]
+ * @returns {Promise<{ total: number, offset: number, limit: number, entries: CacheEntry[] }>}
+ */
+export async function listCacheEntries(options = {}) {
+  const { offset = 0, limit = 20, sort = "newest", now = new Date(), ...filters } = options;
+  return redisManager.execute(async (client) => {
+    const entries = (await findEntries(client, filters, now)).sort(
+      SORTERS[sort] ?? SORTERS.newest,
+    );
+    return {
+      total: entries.length,
+      offset,
+      limit,
+      entries: entries.slice(offset, offset + limit),
+    };
+  });
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<CacheEntry|null>}
+ */
+export async function getCacheEntry(id) {
+  return redisManager.execute(async (client) => loadEntry(client, id));
+}
+
+/**
+ * Entries nearest a prompt, whether or not they clear the hit threshold.
+ * Each entry is judged against the threshold learned for its own debate
+ * topic and agent, as a lookup would be; the global one is returned too.
+ * Prompts are embedded the way the cache embeds them, with their topic.
+ * Debate turns are cached under agent-specific topics, so the topic filters
+ * like listing does (substring) rather than as an index tag.
+ * @param {string} prompt
+ * @param {{ topic?: string, limit?: number, embed?: (text: string) => Promise<number[]> }} [options]
+ * @returns {Promise<{ threshold: number, results: Array<CacheEntry & { similarity: number, threshold: number, wouldHit: boolean }> }>}
+ */
+export async function searchCache(prompt, options = {}) {
+  const {
+    topic = null,
+    limit = 10,
+    embed = (text) => semanticCache.generateEmbedding(text),
+  } = options;
+  const embedding = await embed(topic ? `Topic: ${topic}. ${prompt}` : prompt);
+
+  const nearest = await redisManager.execute(async (client) => {
+    const candidates = topic ? limit * SEARCH_CANDIDATE_FACTOR : limit;
+    const found = await client.ft.search(
+      vectorIndexName(CACHE_CONFIG.VECTOR_INDEX_NAME, embedding.length),
+      `*=>[KNN ${candidates} @vector $query_vector AS score]`,
+      {
+        PARAMS: {
+          query_vector: Buffer.from(new Float32Array(embedding).buffer),
+        },
+        SORTBY: "score",
+        // Without it RediSearch returns 10 rows whatever KNN asks for
+        LIMIT: { from: 0, size: candidates },
+        DIALECT: 2,
+        RETURN: ["score"],
+      },
+    );
+
+    const results = [];
+    for (const doc of found.documents) {
+      const entry = await loadEntry(client, doc.id.slice(CACHE_KEY_PREFIX.length));
+      if (!entry || (topic && !matchesCacheFilters(entry, { topic }))) continue;
+      const similarity = Math.round((1 - parseFloat(doc.value.score)) * 1000) / 1000;
+      results.push({ ...entry, similarity });
+    }
+    return results.slice(0, limit);
+  });
+
+  const thresholds = new Map();
+  const results = [];
+  for (const entry of nearest) {
+    const scope = `${entry.debateTopic}|${entry.agentId}`;
+    if (!thresholds.has(scope)) {
+      const { threshold } = await getSimilarityThreshold({
+        topic: entry.debateTopic,
+        agentId: entry.agentId,
+      });
+      thresholds.set(scope, threshold);
+    }
+    const threshold = thresholds.get(scope);
+    results.push({ ...entry, threshold, wouldHit: entry.similarity >= threshold });
+  }
+  return { threshold: getThresholdConfig().base, results };
+}
+
+/**
+ * Delete entries by ID, or every entry matching the filters. Pinned
+ * entries only go by ID unless includePinned is set.
+ * @param {CacheFilters & { ids?: string[], includePinned?: boolean }} selection
+ * @returns {Promise<{ deleted: string[], skippedPinned: number }>}
+ */
+export async function deleteCacheEntries({ ids, includePinned = false, ...filters }) {
+  return redisManager.execute(async (client) => {
+    let targets = ids ?? [];
+    let skippedPinned = 0;
+    if (!ids) {
+      const matches = await findEntries(client, filters, new Date());
+      targets = matches.filter((entry) => includePinned || !entry.pinned).map((entry) => entry.id);
+      skippedPinned = matches.length - targets.length;
+    }
+
+    const deleted = [];
+    for (const id of targets) {
+      if (await client.del(cacheEntryKey(id))) deleted.push(id);
+    }
+    return { deleted, skippedPinned };
+  });
+}
+
+/**
+ * Pin an entry so it never expires, or unpin it and restart its TTL.
+ * @param {string} id
+ * @param {boolean} pinned
+ * @returns {Promise<CacheEntry|null>} null when the entry does not exist
+ */
+export async function setCacheEntryPinned(id, pinned) {
+  return redisManager.execute(async (client) => {
+    const key = cacheEntryKey(id);
+    if (!(await client.exists(key))) return null;
+
+    await client.hSet(key, "pinned", pinned ? "1" : "0");
+    if (pinned) {
+      await client.persist(key);
+    } else {
+      await client.expire(key, CACHE_CONFIG.getConfig().CACHE_TTL);
+    }
+    return loadEntry(client, id);
+  });
+}
+
+export default {
+  CACHE_KEY_PREFIX,
+  CACHE_SORTS,
+  cacheEntryKey,
+  parseCacheEntry,
+  matchesCacheFilters,
+  listCacheEntries,
+  getCacheEntry,
+  searchCache,
+  deleteCacheEntries,
+  setCacheEntryPinned,
+};
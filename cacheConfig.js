@@ -12,6 +12,9 @@ export const CACHE_CONFIG = {
     // Cache management
     CACHE_TTL: 86400, // 24 hours in seconds
     MAX_CACHE_ENTRIES: 10000,
+    MAX_CACHE_MEMORY_MB: 0, // Memory budget for cache entries, 0 for none
+    EVICTION_POLICY: 'lru', // lru, lfu or cost, see cacheEviction.js
+    EVICTION_HEADROOM: 0.05, // Share of a budget an insert-triggered eviction frees
     MAX_PROMPT_LENGTH: 8000, // Limit to avoid token limits
     
     // Redis Vector Search settings
@@ -34,6 +37,10 @@ export const CACHE_CONFIG = {
             SIMILARITY_THRESHOLD: parseFloat(process.env.CACHE_SIMILARITY_THRESHOLD) || this.SIMILARITY_THRESHOLD,
             CACHE_TTL: parseInt(process.env.CACHE_TTL) || this.CACHE_TTL,
             MAX_CACHE_ENTRIES: parseInt(process.env.MAX_CACHE_ENTRIES) || this.MAX_CACHE_ENTRIES,
+            MAX_CACHE_MEMORY_MB: parseFloat(process.env.CACHE_MAX_MEMORY_MB) || this.MAX_CACHE_MEMORY_MB,
+            EVICTION_POLICY: process.env.CACHE_EVICTION_POLICY || this.EVICTION_POLICY,
+            EVICTION_HEADROOM: parseFloat(process.env.CACHE_EVICTION_HEADROOM) || this.EVICTION_HEADROOM,
+            CACHE_CLEANUP_INTERVAL: parseInt(process.env.CACHE_CLEANUP_INTERVAL_MS) || this.CACHE_CLEANUP_INTERVAL,
         };
     }
 };
@@ -0,0 +1,330 @@
+// Semantic Cache Eviction
+// Keep the cache inside an entry-count budget (MAX_CACHE_ENTRIES) and a
+// memory budget (CACHE_MAX_MEMORY_MB, estimated from a sample of entries
+// measured with MEMORY USAGE) instead of leaning on TTL alone. Entries go
+// in policy order until both budgets hold:
+//   lru  - least recently served (last_hit_at, else created_at) first
+//   lfu  - fewest hits first, then least recently served
+//   cost - fewest tokens saved so far (tokens_saved x hits) first, then
+//          the cheapest to regenerate, then least recently served
+// Pinned entries are never evicted. Run totals live in the hash
+// cache:eviction and come back with the cache metrics.
+//
+// Budgets are checked on every insert against a counter in the same hash,
+// which each run resets to the real count; a cache found over budget evicts
+// CACHE_EVICTION_HEADROOM below it, so the next inserts do not each trigger
+// a run. A run SCANs the keys and reads the ordering fields of each page in
+// one pipelined round trip; MEMORY USAGE is only sampled.
+//
+// Env:
+//   CACHE_EVICTION_POLICY       lru, lfu or cost (default: lru)
+//   MAX_CACHE_ENTRIES           entry budget (default: 10000)
+//   CACHE_MAX_MEMORY_MB         memory budget, unset for none
+//   CACHE_EVICTION_HEADROOM     share of a budget freed by an insert-triggered run (default: 0.05)
+//   CACHE_CLEANUP_INTERVAL_MS   how often the runner evicts (default: 3600000)
+import redisManager from "./redisManager.js";
+import { CACHE_CONFIG } from "./cacheConfig.js";
+import { CACHE_KEY_PREFIX, cacheEntryKey, deleteCacheEntries } from "./cacheAdmin.js";
+import { cacheEvictionsTotal, cacheSize } from "./metrics.js";
+
+export const EVICTION_POLICIES = ["lru", "lfu", "cost"];
+export const EVICTION_STATS_KEY = "cache:eviction";
+
+const SCAN_COUNT = 200;
+// Entries measured with MEMORY USAGE per run
+const MEMORY_SAMPLE_SIZE = 50;
+
+const lastUsed = (entry) => Date.parse(entry.lastHitAt ?? entry.createdAt) || 0;
+
+const EVICTION_ORDER = {
+  lru: (a, b) => lastUsed(a) - lastUsed(b),
+  lfu: (a, b) => a.hits - b.hits || EVICTION_ORDER.lru(a, b),
+  cost: (a, b) =>
+    a.tokensSaved * a.hits - b.tokensSaved * b.hits ||
+    a.tokensSaved - b.tokensSaved ||
+    EVICTION_ORDER.lru(a, b),
+};
+
+/**
+ * @typedef {Object} EvictionChoice
+ * @property {string} id
+ * @property {'entries'|'memory'} reason - The budget it was evicted for
+ * @property {number} bytes
+ */
+
+/**
+ * Entries to evict, in eviction order, for both budgets to hold.
+ * @param {Array<import('./cacheAdmin.js').CacheEntry & { bytes?: number }>} entries
+ * @param {{ policy: string, maxEntries: number, maxBytes: number }} budget -
+ *   maxBytes 0 for no memory budget
+ * @returns {EvictionChoice[]}
+ */
+export function selectEvictions(entries, { policy, maxEntries, maxBytes }) {
+  let count = entries.length;
+  let bytes = entries.reduce((sum, entry) => sum + (entry.bytes ?? 0), 0);
+  const candidates = entries.filter((entry) => !entry.pinned).sort(EVICTION_ORDER[policy]);
+
+  const chosen = [];
+  for (const entry of candidates) {
+    let reason = null;
+    if (count > maxEntries) reason = "entries";
+    else if (maxBytes > 0 && bytes > maxBytes) reason = "memory";
+    if (!reason) break;
+
+    chosen.push({ id: entry.id, reason, bytes: entry.bytes ?? 0 });
+    count--;
+    bytes -= entry.bytes ?? 0;
+  }
+  return chosen;
+}
+
+/**
+ * The fields eviction orders by, for every entry, read a SCAN page at a time.
+ * @param {import("redis").RedisClientType} client
+ * @returns {Promise<Array<{ id: string, createdAt: string|null, hits: number, lastHitAt: string|null, pinned: boolean, tokensSaved: number }>>}
+ */
+async function loadEvictionCandidates(client) {
+  const seen = new Set();
+  const entries = [];
+  let cursor = "0";
+  do {
+    const result = await client.scan(cursor, { MATCH: `${CACHE_KEY_PREFIX}*`, COUNT: SCAN_COUNT });
+    cursor = String(result.cursor);
+    const keys = result.keys.filter((key) => !seen.has(key));
+    keys.forEach((key) => seen.add(key));
+    // Issued together, so node-redis pipelines the page
+    const pages = await Promise.all(
+      keys.map((key) =>
+        client.hmGet(key, ["created_at", "hit_count", "last_hit_at", "pinned", "tokens_saved"]),
+      ),
+    );
+    pages.forEach(([createdAt, hits, lastHitAt, pinned, tokensSaved], i) => {
+      // Expired since the SCAN
+      if (createdAt === null && hits === null) return;
+      entries.push({
+        id: keys[i].slice(CACHE_KEY_PREFIX.length),
+        createdAt,
+        hits: parseInt(hits, 10) || 0,
+        lastHitAt,
+        pinned: pinned === "1",
+        tokensSaved: parseInt(tokensSaved, 10) || 0,
+      });
+    });
+  } while (cursor !== "0");
+  return entries;
+}
+
+/**
+ * Mean MEMORY USAGE of up to MEMORY_SAMPLE_SIZE entries spread over the list.
+ * @param {import("redis").RedisClientType} client
+ * @param {Array<{ id: string }>} entries
+ * @returns {Promise<number>}
+ */
+async function sampleEntryBytes(client, entries) {
+  if (entries.length === 0) return 0;
+  const step = Math.max(1, Math.floor(entries.length / MEMORY_SAMPLE_SIZE));
+  const sample = entries.filter((_, i) => i % step === 0).slice(0, MEMORY_SAMPLE_SIZE);
+  const sizes = await Promise.all(sample.map((entry) => client.memoryUsage(cacheEntryKey(entry.id))));
+  const measured = sizes.filter((size) => size !== null);
+  return measured.length ? Math.round(measured.reduce((sum, size) => sum + size, 0) / measured.length) : 0;
+}
+
+/**
+ * @typedef {Object} EvictionResult
+ * @property {string} policy
+ * @property {number} scanned
+ * @property {number} evicted
+ * @property {{ entries: number, memory: number }} byReason
+ * @property {number} freedBytes - Estimated from the sampled entry size; 0
+ *   without a memory budget (not measured)
+ * @property {number} entriesRemaining
+ * @property {string} ranAt - ISO 8601
+ */
+
+/**
+ * Evict until the cache fits its budgets, and record the run.
+ * @param {{ policy?: string, maxEntries?: number, maxMemoryMb?: number, headroom?: number }} [options] -
+ *   Defaults from CACHE_CONFIG; headroom is the share of each budget to
+ *   free beyond it (default 0)
+ * @returns {Promise<EvictionResult|{ error: string }>}
+ */
+export async function evictCache(options = {}) {
+  const config = CACHE_CONFIG.getConfig();
+  const {
+    policy = config.EVICTION_POLICY,
+    maxEntries = config.MAX_CACHE_ENTRIES,
+    maxMemoryMb = config.MAX_CACHE_MEMORY_MB,
+    headroom = 0,
+  } = options;
+  if (!EVICTION_POLICIES.includes(policy)) {
+    return { error: `Unknown eviction policy "${policy}", expected one of ${EVICTION_POLICIES.join(", ")}` };
+  }
+
+  const maxBytes = maxMemoryMb * 1024 * 1024;
+  const { entries, entryBytes } = await redisManager.execute(async (client) => {
+    const candidates = await loadEvictionCandidates(client);
+    return {
+      entries: candidates,
+      entryBytes: maxBytes > 0 ? await sampleEntryBytes(client, candidates) : 0,
+    };
+  });
+  entries.forEach((entry) => {
+    entry.bytes = entryBytes;
+  });
+
+  const chosen = selectEvictions(entries, {
+    policy,
+    maxEntries: Math.floor(maxEntries * (1 - headroom)),
+    maxBytes: maxBytes * (1 - headroom),
+  });
+  const { deleted } = chosen.length > 0
+    ? await deleteCacheEntries({ ids: chosen.map((choice) => choice.id) })
+    : { deleted: [] };
+  // Entries that expired meanwhile were not evicted by us
+  const evicted = chosen.filter((choice) => deleted.includes(choice.id));
+
+  const result = {
+    policy,
+    scanned: entries.length,
+    evicted: evicted.length,
+    byReason: {
+      entries: evicted.filter((choice) => choice.reason === "entries").length,
+      memory: evicted.filter((choice) => choice.reason === "memory").length,
+    },
+    freedBytes: evicted.reduce((sum, choice) => sum + choice.bytes, 0),
+    entriesRemaining: entries.length - evicted.length,
+    ranAt: new Date().toISOString(),
+  };
+
+  for (const [reason, count] of Object.entries(result.byReason)) {
+    if (count > 0) cacheEvictionsTotal.inc({ policy, reason }, count);
+  }
+  cacheSize.set(result.entriesRemaining);
+
+  await redisManager.execute(async (client) => {
+    await client.hIncrBy(EVICTION_STATS_KEY, "runs", 1);
+    await client.hIncrBy(EVICTION_STATS_KEY, "evicted_entries", result.byReason.entries);
+    await client.hIncrBy(EVICTION_STATS_KEY, "evicted_memory", result.byReason.memory);
+    await client.hIncrBy(EVICTION_STATS_KEY, "freed_bytes", result.freedBytes);
+    await client.hSet(EVICTION_STATS_KEY, {
+      last_run: JSON.stringify(result),
+      // What the insert check counts from until the next run
+      entry_count: String(result.entriesRemaining),
+      entry_bytes: String(entryBytes),
+    });
+  });
+  return result;
+}
+
+// One configured run at a time per process, shared by the runner and inserts
+let pendingRun = null;
+
+function evictOnce(options) {
+  pendingRun ??= evictCache(options).finally(() => {
+    pendingRun = null;
+  });
+  return pendingRun;
+}
+
+/**
+ * Count a new cache entry and evict if that puts the cache over a budget.
+ * Costs one round trip while the cache fits. The count runs high when
+ * entries expire or are rewritten, which at worst starts a run early, and
+ * that run corrects it.
+ * @returns {Promise<EvictionResult|null>} null when no run was needed
+ */
+export async function evictIfOverBudget() {
+  const config = CACHE_CONFIG.getConfig();
+  const [count, entryBytes] = await redisManager.execute(async (client) => {
+    const [counted, bytes] = await client
+      .multi()
+      .hIncrBy(EVICTION_STATS_KEY, "entry_count", 1)
+      .hGet(EVICTION_STATS_KEY, "entry_bytes")
+      .exec();
+    return [Number(counted), parseFloat(bytes) || 0];
+  });
+
+  const maxBytes = config.MAX_CACHE_MEMORY_MB * 1024 * 1024;
+  const overEntries = count > config.MAX_CACHE_ENTRIES;
+  const overMemory = maxBytes > 0 && count * entryBytes > maxBytes;
+  if (!overEntries && !overMemory) return null;
+  return evictOnce({ headroom: config.EVICTION_HEADROOM });
+}
+
+/**
+ * @typedef {Object} EvictionStats
+ * @property {{ policy: string, maxEntries: number, maxMemoryMb: number }} budget
+ * @property {number} runs
+ * @property {number} totalEvicted
+ * @property {{ entries: number, memory: number }} byReason
+ * @property {number} freedBytes
+ * @property {EvictionResult|null} lastRun
+ */
+
+/**
+ * Configured budget and eviction totals, for the cache metrics.
+ * @returns {Promise<EvictionStats>}
+ */
+export async function getEvictionStats() {
+  const config = CACHE_CONFIG.getConfig();
+  const stored = await redisManager.execute(async (client) =>
+    client.hGetAll(EVICTION_STATS_KEY),
+  );
+  const count = (field) => parseInt(stored[field], 10) || 0;
+
+  return {
+    budget: {
+      policy: config.EVICTION_POLICY,
+      maxEntries: config.MAX_CACHE_ENTRIES,
+      maxMemoryMb: config.MAX_CACHE_MEMORY_MB,
+    },
+    runs: count("runs"),
+    totalEvicted: count("evicted_entries") + count("evicted_memory"),
+    byReason: { entries: count("evicted_entries"), memory: count("evicted_memory") },
+    freedBytes: count("freed_bytes"),
+    lastRun: stored.last_run ? JSON.parse(stored.last_run) : null,
+  };
+}
+
+/**
+ * Evict on an interval in this process.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Default CACHE_CLEANUP_INTERVAL
+ * @returns {() => void} Stops the runner
+ */
+export function startEvictionRunner({ intervalMs = CACHE_CONFIG.getConfig().CACHE_CLEANUP_INTERVAL } = {}) {
+  let ticking = false;
+
+  const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const result = await evictOnce();
+      if (result.error) {
+        console.log(`⚠️ Cache eviction skipped: ${result.error}`);
+      } else if (result.evicted > 0) {
+        console.log(
+          `🧹 Evicted ${result.evicted} cache entries (${result.policy}), ${result.entriesRemaining} left`,
+        );
+      }
+    } catch (error) {
+      console.log(`⚠️ Cache eviction failed: ${error.message}`);
+    } finally {
+      ticking = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+  return () => clearInterval(timer);
+}
+
+export default {
+  EVICTION_POLICIES,
+  EVICTION_STATS_KEY,
+  selectEvictions,
+  evictCache,
+  evictIfOverBudget,
+  getEvictionStats,
+  startEvictionRunner,
+};
@@ -0,0 +1,243 @@
+// Adaptive Cache Thresholds
+// The semantic cache serves a hit when similarity clears a threshold. One
+// global value is too loose for some topics and too strict for others, so
+// each topic, and each agent on a topic, learns its own from hit feedback:
+// a bad hit (a near-duplicate of what the agent just said, or reported by
+// hand) raises the threshold past that hit's similarity; a good hit lets a
+// raised threshold decay a little back toward the global one, never below
+// it, since a hit that was not bad is no reason to loosen. Lookup falls back from agent+topic to topic to the global
+// CACHE_SIMILARITY_THRESHOLD. A threshold set through the API is locked and
+// only tallies feedback. Records live in the hash cache:thresholds.
+//
+// Env:
+//   CACHE_THRESHOLD_MIN        lowest learned threshold (default: 0.5)
+//   CACHE_THRESHOLD_MAX        highest learned threshold (default: 0.99)
+//   CACHE_THRESHOLD_MARGIN     how far past a bad hit's similarity to raise (default: 0.02)
+//   CACHE_THRESHOLD_RELAX      step back toward the base after a good hit (default: 0.005)
+//   CACHE_NEAR_DUPLICATE       calculateSimilarity score that makes a hit a repeat (default: 0.6)
+import redisManager from "./redisManager.js";
+import { CACHE_CONFIG } from "./cacheConfig.js";
+import { cacheSimilarityThreshold, trackCacheHitFeedback } from "./metrics.js";
+
+export const THRESHOLDS_KEY = "cache:thresholds";
+// Scope part that stands for any agent
+export const ANY_AGENT = "*";
+export const FEEDBACK_SOURCES = ["near_duplicate", "manual"];
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Current learning settings.
+ */
+export function getThresholdConfig() {
+  return {
+    base: CACHE_CONFIG.getConfig().SIMILARITY_THRESHOLD,
+    min: envNumber("CACHE_THRESHOLD_MIN", 0.5),
+    max: envNumber("CACHE_THRESHOLD_MAX", 0.99),
+    margin: envNumber("CACHE_THRESHOLD_MARGIN", 0.02),
+    relax: envNumber("CACHE_THRESHOLD_RELAX", 0.005),
+    nearDuplicate: envNumber("CACHE_NEAR_DUPLICATE", 0.6),
+  };
+}
+
+/**
+ * Topics compare case- and punctuation-insensitively.
+ * @param {string} topic
+ * @returns {string}
+ */
+export function normalizeTopic(topic) {
+  return (
+    String(topic || "general")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "general"
+  );
+}
+
+/**
+ * @param {{ topic: string, agentId?: string|null }} scope
+ * @returns {string} "{topic}|{agentId or *}"
+ */
+export function thresholdScope({ topic, agentId = null }) {
+  return `${normalizeTopic(topic)}|${agentId || ANY_AGENT}`;
+}
+
+/**
+ * @typedef {Object} ThresholdRecord
+ * @property {string} scope
+ * @property {string} topic - Normalized
+ * @property {string} agentId - ANY_AGENT for the topic-wide threshold
+ * @property {number} threshold
+ * @property {boolean} locked - Set by hand; feedback no longer moves it
+ * @property {number} goodHits
+ * @property {number} badHits
+ * @property {number|null} lastBadSimilarity
+ * @property {string} updatedAt - ISO 8601
+ */
+
+function newRecord(scope, threshold) {
+  const [topic, agentId] = scope.split("|");
+  return {
+    scope,
+    topic,
+    agentId,
+    threshold,
+    locked: false,
+    goodHits: 0,
+    badHits: 0,
+    lastBadSimilarity: null,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Move a threshold for one piece of feedback. Good hits only undo raises:
+ * a threshold at or below the base stays where it is.
+ * @param {number} threshold
+ * @param {number} similarity - Of the hit the feedback is about
+ * @param {boolean} good
+ * @param {ReturnType<typeof getThresholdConfig>} config
+ * @returns {number}
+ */
+export function adjustThreshold(threshold, similarity, good, config) {
+  const next = good
+    ? Math.max(Math.min(threshold, config.base), threshold - config.relax)
+    : Math.max(threshold, similarity + config.margin);
+  return round3(Math.min(config.max, Math.max(config.min, next)));
+}
+
+/**
+ * Threshold a hit must clear for this agent on this topic.
+ * @param {{ topic?: string, agentId?: string|null }} [scope]
+ * @returns {Promise<{ threshold: number, scope: string|null }>} scope is
+ *   null when the global threshold applies
+ */
+export async function getSimilarityThreshold({ topic, agentId = null } = {}) {
+  const config = getThresholdConfig();
+  if (!topic) return { threshold: config.base, scope: null };
+
+  const scopes = [
+    ...(agentId ? [thresholdScope({ topic, agentId })] : []),
+    thresholdScope({ topic }),
+  ];
+  const stored = await redisManager.execute(async (client) =>
+    client.hmGet(THRESHOLDS_KEY, scopes),
+  );
+  const index = stored.findIndex(Boolean);
+  if (index === -1) return { threshold: config.base, scope: null };
+  return { threshold: JSON.parse(stored[index]).threshold, scope: scopes[index] };
+}
+
+// Feedback for one scope is applied in order, like scheduleJudging does per debate
+const pendingUpdates = new Map();
+
+function updateScope(scope, update) {
+  const previous = pendingUpdates.get(scope) ?? Promise.resolve();
+  const run = previous.catch(() => {}).then(() =>
+    redisManager.execute(async (client) => {
+      const raw = await client.hGet(THRESHOLDS_KEY, scope);
+      const record = update(raw ? JSON.parse(raw) : null);
+      record.updatedAt = new Date().toISOString();
+      await client.hSet(THRESHOLDS_KEY, scope, JSON.stringify(record));
+      cacheSimilarityThreshold.set({ scope }, record.threshold);
+      return record;
+    }),
+  );
+
+  pendingUpdates.set(scope, run);
+  run
+    .catch(() => {})
+    .finally(() => {
+      if (pendingUpdates.get(scope) === run) pendingUpdates.delete(scope);
+    });
+  return run;
+}
+
+/**
+ * Learn from one cache hit. Both the agent's and the topic-wide threshold
+ * learn, so a new agent on the topic starts from what others taught it.
+ * @param {Object} feedback
+ * @param {string} feedback.topic
+ * @param {string|null} [feedback.agentId]
+ * @param {number} feedback.similarity - Similarity the hit was served at
+ * @param {boolean} feedback.good
+ * @param {'near_duplicate'|'manual'} feedback.source
+ * @returns {Promise<ThresholdRecord[]>} Updated records, agent's first
+ */
+export async function recordHitFeedback({ topic, agentId = null, similarity, good, source }) {
+  const config = getThresholdConfig();
+  trackCacheHitFeedback(good ? "good" : "bad", source);
+
+  const scopes = [
+    ...(agentId ? [thresholdScope({ topic, agentId })] : []),
+    thresholdScope({ topic }),
+  ];
+  return Promise.all(
+    scopes.map((scope) =>
+      updateScope(scope, (existing) => {
+        const record = existing ?? newRecord(scope, config.base);
+        if (good) {
+          record.goodHits++;
+        } else {
+          record.badHits++;
+          record.lastBadSimilarity = round3(similarity);
+        }
+        if (!record.locked) {
+          record.threshold = adjustThreshold(record.threshold, similarity, good, config);
+        }
+        return record;
+      }),
+    ),
+  );
+}
+
+/**
+ * Set a threshold by hand and lock it, or unlock it so feedback moves it again.
+ * @param {{ topic: string, agentId?: string|null }} scope
+ * @param {{ threshold: number, locked?: boolean }} setting
+ * @returns {Promise<ThresholdRecord>}
+ */
+export async function setThreshold(scope, { threshold, locked = true }) {
+  return updateScope(thresholdScope(scope), (existing) => ({
+    ...(existing ?? newRecord(thresholdScope(scope), threshold)),
+    threshold: round3(threshold),
+    locked,
+  }));
+}
+
+/**
+ * Every learned or set threshold, most specific first within a topic.
+ * @returns {Promise<ThresholdRecord[]>}
+ */
+export async function listThresholds() {
+  const stored = await redisManager.execute(async (client) =>
+    client.hGetAll(THRESHOLDS_KEY),
+  );
+  return Object.values(stored)
+    .map((raw) => JSON.parse(raw))
+    .sort(
+      (a, b) =>
+        a.topic.localeCompare(b.topic) ||
+        (a.agentId === ANY_AGENT) - (b.agentId === ANY_AGENT) ||
+        a.agentId.localeCompare(b.agentId),
+    );
+}
+
+export default {
+  THRESHOLDS_KEY,
+  ANY_AGENT,
+  FEEDBACK_SOURCES,
+  getThresholdConfig,
+  normalizeTopic,
+  thresholdScope,
+  adjustThreshold,
+  getSimilarityThreshold,
+  recordHitFeedback,
+  setThreshold,
+  listThresholds,
+};
@@ -0,0 +1,201 @@
+// Cache Warming
+// Precompute the opening turns of debates so the first run on a new topic
+// hits the semantic cache instead of starting cold. A job plays out each
+// topic's first turns with its agents speaking in rotation, as a live debate
+// does, through generateMessageCore, which caches every reply it generates.
+// Turns already cached come back as hits and cost nothing. Generation stops
+// once the job's token budget is spent. Without explicit targets a job warms
+// the topics of debate schedules due soon (see debateSchedules.js).
+//
+// Env:
+//   CACHE_WARM_MAX_TOKENS  token budget per job (default: 20000)
+//   CACHE_WARM_TURNS       turns warmed per topic (default: 4)
+import { randomUUID } from "crypto";
+import redisManager from "./redisManager.js";
+import { listSchedules } from "./debateSchedules.js";
+import { generateMessageCore, determineEmotionalState } from "./messageGenerationCore.js";
+
+export const DEFAULT_WARM_AGENTS = ["senatorbot", "reformerbot"];
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+export function getWarmDefaults() {
+  return {
+    maxTokens: envInt("CACHE_WARM_MAX_TOKENS", 20000),
+    turns: envInt("CACHE_WARM_TURNS", 4),
+  };
+}
+
+/**
+ * @typedef {Object} WarmTarget
+ * @property {string} topic
+ * @property {string[]} agents - Speaking order
+ */
+
+/**
+ * Topics and agents of enabled schedules due within the window, one target
+ * per distinct topic and agent line-up.
+ * @param {{ withinHours?: number, now?: Date }} [options]
+ * @returns {Promise<WarmTarget[]>}
+ */
+export async function scheduledWarmTargets({ withinHours = 24, now = new Date() } = {}) {
+  const horizon = now.getTime() + withinHours * 3600 * 1000;
+  const targets = new Map();
+  for (const schedule of await listSchedules()) {
+    const runAt = schedule.nextRunAt ? Date.parse(schedule.nextRunAt) : NaN;
+    if (!schedule.enabled || !(runAt <= horizon)) continue;
+    const key = `${schedule.topic}|${schedule.agents.join(",")}`;
+    if (!targets.has(key)) targets.set(key, { topic: schedule.topic, agents: schedule.agents });
+  }
+  return [...targets.values()];
+}
+
+/**
+ * @typedef {Object} WarmProgress
+ * @property {string} jobId
+ * @property {string} topic
+ * @property {string} agentId
+ * @property {number} turn - Position in the debate, from 1
+ * @property {'generated'|'cached'|'failed'|'skipped'} outcome
+ * @property {number} tokensUsed - Job total so far
+ * @property {number} completed
+ * @property {number} total
+ */
+
+/**
+ * @typedef {Object} WarmSummary
+ * @property {string} jobId
+ * @property {'completed'|'budget_exhausted'} status
+ * @property {WarmTarget[]} targets
+ * @property {number} turns
+ * @property {number} maxTokens
+ * @property {number} tokensUsed
+ * @property {number} generated
+ * @property {number} cached - Already in the cache
+ * @property {number} failed
+ * @property {number} skipped - Left once the budget ran out, or agent unknown
+ * @property {string} startedAt
+ * @property {string} finishedAt
+ */
+
+async function loadStoredProfile(agentId) {
+  return redisManager.execute(async (client) =>
+    client.json.get(`agent:${agentId}:profile`),
+  );
+}
+
+/**
+ * Warm the cache for each target's first turns. Each topic is played as its
+ * own debate, so later turns see the earlier replies as context the way
+ * they will live. A budget is checked before each turn, so the last turn
+ * may run over it by one reply.
+ * @param {Object} options
+ * @param {WarmTarget[]} options.targets
+ * @param {number} [options.turns] - Replies per topic
+ * @param {number} [options.maxTokens] - Token budget for the whole job
+ * @param {string} [options.jobId]
+ * @param {(progress: WarmProgress) => void} [options.onProgress]
+ * @param {typeof generateMessageCore} [options.generate]
+ * @param {(agentId: string) => Promise<Object|null>} [options.loadProfile]
+ * @returns {Promise<WarmSummary>}
+ */
+export async function warmCache({
+  targets,
+  turns = getWarmDefaults().turns,
+  maxTokens = getWarmDefaults().maxTokens,
+  jobId = `warm_${randomUUID()}`,
+  onProgress = () => {},
+  generate = generateMessageCore,
+  loadProfile = loadStoredProfile,
+}) {
+  const summary = {
+    jobId,
+    status: "completed",
+    targets,
+    turns,
+    maxTokens,
+    tokensUsed: 0,
+    generated: 0,
+    cached: 0,
+    failed: 0,
+    skipped: 0,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+  const total = targets.length * turns;
+  let completed = 0;
+  const profiles = new Map();
+
+  for (const { topic, agents } of targets) {
+    const context = [];
+    for (let turn = 1; turn <= turns; turn++) {
+      const agentId = agents[(turn - 1) % agents.length];
+      let outcome = "skipped";
+
+      if (summary.tokensUsed >= maxTokens) {
+        summary.status = "budget_exhausted";
+      } else {
+        if (!profiles.has(agentId)) profiles.set(agentId, await loadProfile(agentId));
+        const profile = profiles.get(agentId);
+
+        if (profile) {
+          // Same context, turn number and temperature as generateEnhancedMessageOnly
+          const memoryContext = context.join("\n");
+          const result = await generate({
+            agentId,
+            debateId: jobId,
+            topic,
+            profile,
+            memoryContext,
+            turnNumber: Math.floor(context.length / 2) + 1,
+            additionalContext: {
+              emotionalState: determineEmotionalState(profile, memoryContext),
+            },
+            temperature: 0.7 + context.length * 0.05,
+            maxTokens: 200,
+          });
+
+          if (result.failed) {
+            outcome = "failed";
+          } else {
+            outcome = result.cacheHit ? "cached" : "generated";
+            summary.tokensUsed += result.tokensUsed ?? 0;
+            context.push(`${agentId}: ${result.message}`);
+          }
+        }
+      }
+
+      summary[outcome]++;
+      completed++;
+      onProgress({
+        jobId,
+        topic,
+        agentId,
+        turn,
+        outcome,
+        tokensUsed: summary.tokensUsed,
+        completed,
+        total,
+      });
+      // A topic cannot continue past a turn it failed to produce
+      if (outcome === "failed") {
+        summary.skipped += turns - turn;
+        completed += turns - turn;
+        break;
+      }
+    }
+  }
+
+  summary.finishedAt = new Date().toISOString();
+  return summary;
+}
+
+export default {
+  DEFAULT_WARM_AGENTS,
+  getWarmDefaults,
+  scheduledWarmTargets,
+  warmCache,
+};
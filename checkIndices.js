@@ -1,4 +1,5 @@
 import { createClient } from 'redis';
+import { EMBEDDING_COLLECTIONS, vectorIndexName } from './embeddingIndexes.js';
 
 async function checkIndices() {
     console.log('\n🔎 CHECKING REDIS INDICES');
@@ -20,27 +21,31 @@ async function checkIndices() {
             });
         }
 
-        // Check facts-index (vector search)
+        // Vector indexes are named for the configured embedding size
+        const factsIndex = vectorIndexName(EMBEDDING_COLLECTIONS.facts.base);
+        const cacheIndex = vectorIndexName(EMBEDDING_COLLECTIONS.cache.base);
+
+        // Check facts index (vector search)
         try {
-            const factsInfo = await client.ft.info('facts-index');
-            console.log('\n✅ facts-index:');
+            const factsInfo = await client.ft.info(factsIndex);
+            console.log(`\n✅ ${factsIndex}:`);
             console.log('   Type:', factsInfo.index_definition[3][1]);
             console.log('   Fields:', factsInfo.attributes.length);
             console.log('   Records:', factsInfo.num_docs);
         } catch (e) {
-            console.log('\n❌ facts-index not found');
+            console.log(`\n❌ ${factsIndex} not found`);
             console.log('   Run: node vectorsearch.js to create');
         }
 
-        // Check cache-index (semantic cache)
+        // Check cache index (semantic cache)
         try {
-            const cacheInfo = await client.ft.info('cache-index');
-            console.log('\n✅ cache-index:');
+            const cacheInfo = await client.ft.info(cacheIndex);
+            console.log(`\n✅ ${cacheIndex}:`);
             console.log('   Type:', cacheInfo.index_definition[3][1]);
             console.log('   Fields:', cacheInfo.attributes.length);
             console.log('   Cached Items:', cacheInfo.num_docs);
         } catch (e) {
-            console.log('\n❌ cache-index not found');
+            console.log(`\n❌ ${cacheIndex} not found`);
             console.log('   Run: node setupCacheIndex.js to create');
         }
 
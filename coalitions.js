@@ -0,0 +1,401 @@
+// Coalition Detection
+// Agents are grouped by how close their stances are across every dimension
+// they share, and by whether they agree or argue with each other in the
+// transcript. Pairwise affinities are clustered with average linkage; groups
+// of two or more are coalitions, the rest are independent. After each turn
+// the graph is stored at debate:{id}:coalitions (RedisJSON) with its history,
+// and the caller is told whether the coalitions changed.
+//
+// Env:
+//   COALITION_THRESHOLD   affinity needed to join a coalition (default: 0.75)
+import "dotenv/config";
+import redisManager from "./redisManager.js";
+import { getDebateCheckpoint } from "./debateState.js";
+
+// Weight of stance similarity against transcript agreement
+const STANCE_WEIGHT = 0.6;
+const AGREEMENT_WEIGHT = 0.4;
+// Interactions needed before agreement counts fully
+const FULL_AGREEMENT_EVIDENCE = 3;
+const TRANSCRIPT_WINDOW = 100;
+const MAX_HISTORY = 100;
+
+const AGREE_CUES =
+  /\b(agree[sd]?|exactly|(?:is|are|you're) right|good point|well said|concur|builds? on|building on|shares? (?:the|that|this)|echo)\b/i;
+const DISAGREE_CUES =
+  /\b(disagree[sd]?|wrong|mistaken|misguided|flawed|naive|rejects?|ignores?|fails? to|overlooks?|misses|not convinced|on the contrary)\b/i;
+
+export function coalitionsKey(debateId) {
+  return `debate:${debateId}:coalitions`;
+}
+
+/**
+ * @typedef {Object} CoalitionEdge
+ * @property {string} source
+ * @property {string} target
+ * @property {number} affinity - 0 to 1
+ * @property {number|null} stanceSimilarity - null when no dimension is shared
+ * @property {number|null} agreement - 0 (always argue) to 1 (always agree), null without interactions
+ * @property {number} interactions - Replies between the two with an agree/disagree cue
+ */
+
+/**
+ * @typedef {Object} Coalition
+ * @property {string} id - Sorted member IDs joined with "+"
+ * @property {string[]} members
+ * @property {'for'|'against'|'undecided'} side - Mean stance on the debate's dimension
+ * @property {number} cohesion - Mean affinity between members
+ */
+
+/**
+ * @typedef {Object} CoalitionGraph
+ * @property {number} turn
+ * @property {string} timestamp
+ * @property {string|null} stanceKey
+ * @property {Array<{ agentId: string, name: string, stance: number|null, coalitionId: string|null }>} nodes
+ * @property {CoalitionEdge[]} edges
+ * @property {Coalition[]} coalitions
+ */
+
+function getThreshold() {
+  return parseFloat(process.env.COALITION_THRESHOLD) || 0.75;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * 1 minus the mean absolute stance difference over shared dimensions.
+ * @param {Record<string, number>} [stanceA]
+ * @param {Record<string, number>} [stanceB]
+ * @returns {number|null} null when the agents share no dimension
+ */
+export function stanceSimilarity(stanceA = {}, stanceB = {}) {
+  const shared = Object.keys(stanceA).filter(
+    (key) => typeof stanceA[key] === "number" && typeof stanceB[key] === "number",
+  );
+  if (shared.length === 0) return null;
+
+  const distance =
+    shared.reduce((sum, key) => sum + Math.abs(stanceA[key] - stanceB[key]), 0) /
+    shared.length;
+  return round(1 - distance);
+}
+
+function messageSignal(text) {
+  const agrees = AGREE_CUES.test(text);
+  const disagrees = DISAGREE_CUES.test(text);
+  if (agrees === disagrees) return 0;
+  return agrees ? 1 : -1;
+}
+
+/**
+ * Who agreed or argued with whom. A message is aimed at the agents it names,
+ * or else at the previous speaker.
+ * @param {Array<{ agentId: string, message: string }>} messages - Oldest first
+ * @param {Array<{ id: string, name?: string }>} agents
+ * @returns {Map<string, { agree: number, disagree: number }>} Keyed by agent pair
+ */
+export function tallyAgreements(messages, agents) {
+  const tallies = new Map();
+  const mentions = agents.map(({ id, name }) => ({
+    id,
+    pattern: new RegExp(
+      `\\b(${[id, name].filter(Boolean).map((n) => n.replace(/[^\w]/g, "\\$&")).join("|")})\\b`,
+      "i",
+    ),
+  }));
+
+  let previousSpeaker = null;
+  for (const { agentId, message } of messages) {
+    const signal = messageSignal(message || "");
+    if (signal !== 0) {
+      const named = mentions
+        .filter(({ id, pattern }) => id !== agentId && pattern.test(message))
+        .map(({ id }) => id);
+      const targets =
+        named.length > 0
+          ? named
+          : previousSpeaker && previousSpeaker !== agentId
+            ? [previousSpeaker]
+            : [];
+
+      for (const target of targets) {
+        const key = pairKey(agentId, target);
+        const tally = tallies.get(key) || { agree: 0, disagree: 0 };
+        tally[signal > 0 ? "agree" : "disagree"]++;
+        tallies.set(key, tally);
+      }
+    }
+    previousSpeaker = agentId;
+  }
+
+  return tallies;
+}
+
+function pairAffinity(a, b, tallies) {
+  const similarity = stanceSimilarity(a.stance, b.stance);
+  const { agree = 0, disagree = 0 } = tallies.get(pairKey(a.id, b.id)) || {};
+  const interactions = agree + disagree;
+  const agreement = interactions > 0 ? round(agree / interactions) : null;
+
+  const stanceWeight = similarity === null ? 0 : STANCE_WEIGHT;
+  const agreementWeight =
+    agreement === null
+      ? 0
+      : AGREEMENT_WEIGHT * Math.min(1, interactions / FULL_AGREEMENT_EVIDENCE);
+  const totalWeight = stanceWeight + agreementWeight;
+
+  return {
+    source: a.id,
+    target: b.id,
+    affinity:
+      totalWeight === 0
+        ? 0
+        : round(
+            (stanceWeight * (similarity ?? 0) + agreementWeight * (agreement ?? 0)) /
+              totalWeight,
+          ),
+    stanceSimilarity: similarity,
+    agreement,
+    interactions,
+  };
+}
+
+/**
+ * Average-linkage clustering: keep merging the two closest groups while
+ * their mean pairwise affinity reaches the threshold.
+ * @param {string[]} ids
+ * @param {(a: string, b: string) => number} affinity
+ * @param {number} threshold
+ * @returns {string[][]}
+ */
+export function clusterAgents(ids, affinity, threshold) {
+  const clusters = ids.map((id) => [id]);
+  const linkage = (x, y) => {
+    let sum = 0;
+    for (const a of x) for (const b of y) sum += affinity(a, b);
+    return sum / (x.length * y.length);
+  };
+
+  for (;;) {
+    let best = null;
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const score = linkage(clusters[i], clusters[j]);
+        if (score >= threshold && (!best || score > best.score)) {
+          best = { i, j, score };
+        }
+      }
+    }
+    if (!best) return clusters;
+    clusters[best.i] = [...clusters[best.i], ...clusters[best.j]];
+    clusters.splice(best.j, 1);
+  }
+}
+
+function sideOf(stances) {
+  const known = stances.filter((value) => typeof value === "number");
+  if (known.length === 0) return "undecided";
+  const mean = known.reduce((sum, value) => sum + value, 0) / known.length;
+  return mean > 0.6 ? "for" : mean < 0.4 ? "against" : "undecided";
+}
+
+/**
+ * Build the coalition graph for one moment of a debate.
+ * @param {Object} input
+ * @param {Array<{ id: string, name?: string, stance?: Record<string, number> }>} input.agents
+ * @param {Array<{ agentId: string, message: string }>} input.messages - Oldest first
+ * @param {string} [input.stanceKey] - The debate's dimension, for node stances and sides
+ * @param {number} [input.turn]
+ * @param {number} [input.threshold]
+ * @param {Date} [input.now]
+ * @returns {CoalitionGraph}
+ */
+export function buildCoalitionGraph({
+  agents,
+  messages,
+  stanceKey = null,
+  turn = 0,
+  threshold = getThreshold(),
+  now = new Date(),
+}) {
+  const tallies = tallyAgreements(messages, agents);
+  const edges = [];
+  const affinities = new Map();
+  for (let i = 0; i < agents.length; i++) {
+    for (let j = i + 1; j < agents.length; j++) {
+      const edge = pairAffinity(agents[i], agents[j], tallies);
+      edges.push(edge);
+      affinities.set(pairKey(edge.source, edge.target), edge.affinity);
+    }
+  }
+
+  const affinity = (a, b) => affinities.get(pairKey(a, b)) ?? 0;
+  const stanceOf = (id) =>
+    agents.find((agent) => agent.id === id)?.stance?.[stanceKey] ?? null;
+
+  const coalitions = clusterAgents(
+    agents.map((agent) => agent.id),
+    affinity,
+    threshold,
+  )
+    .filter((members) => members.length > 1)
+    .map((members) => {
+      const sorted = [...members].sort();
+      const pairs = edges.filter(
+        (edge) => sorted.includes(edge.source) && sorted.includes(edge.target),
+      );
+      return {
+        id: sorted.join("+"),
+        members: sorted,
+        side: sideOf(sorted.map(stanceOf)),
+        cohesion: round(
+          pairs.reduce((sum, edge) => sum + edge.affinity, 0) / pairs.length,
+        ),
+      };
+    });
+
+  return {
+    turn,
+    timestamp: now.toISOString(),
+    stanceKey,
+    nodes: agents.map((agent) => ({
+      agentId: agent.id,
+      name: agent.name || agent.id,
+      stance: stanceOf(agent.id),
+      coalitionId:
+        coalitions.find((coalition) => coalition.members.includes(agent.id))?.id ??
+        null,
+    })),
+    edges,
+    coalitions,
+  };
+}
+
+function partitionSignature(graph) {
+  return (graph?.coalitions || [])
+    .map((coalition) => coalition.id)
+    .sort()
+    .join("|");
+}
+
+/**
+ * Recompute a debate's coalitions from current profiles and the transcript,
+ * and store the graph. `changed` is true when the partition differs from the
+ * stored one, never on the first update.
+ * @param {string} debateId
+ * @param {string[]} agentIds
+ * @param {{ stanceKey?: string, turn?: number, now?: Date }} [options]
+ * @returns {Promise<{ graph: CoalitionGraph, changed: boolean, previous: Coalition[] }>}
+ */
+export async function updateCoalitions(debateId, agentIds, options = {}) {
+  return await redisManager.execute(async (client) => {
+    const agents = [];
+    for (const id of agentIds) {
+      const profile = await client.json.get(`agent:${id}:profile`);
+      agents.push({ id, name: profile?.name, stance: profile?.stance || {} });
+    }
+
+    const entries = await client.xRevRange(`debate:${debateId}:messages`, "+", "-", {
+      COUNT: TRANSCRIPT_WINDOW,
+    });
+    const messages = entries
+      .reverse()
+      .map(({ message }) => ({ agentId: message.agent_id, message: message.message }));
+
+    const graph = buildCoalitionGraph({ agents, messages, ...options });
+    const stored = (await client.json.get(coalitionsKey(debateId))) || {
+      debateId,
+      current: null,
+      history: [],
+    };
+    // The first graph of a debate has nothing to change from
+    const changed =
+      stored.current !== null &&
+      partitionSignature(stored.current) !== partitionSignature(graph);
+
+    await client.json.set(coalitionsKey(debateId), "$", {
+      debateId,
+      current: graph,
+      history: [...stored.history, graph].slice(-MAX_HISTORY),
+    });
+
+    return { graph, changed, previous: stored.current?.coalitions ?? [] };
+  });
+}
+
+/**
+ * @param {string} debateId
+ * @returns {Promise<{ debateId: string, current: CoalitionGraph|null, history: CoalitionGraph[] }|null>}
+ */
+export async function getCoalitions(debateId) {
+  return await redisManager.execute(async (client) =>
+    client.json.get(coalitionsKey(debateId)),
+  );
+}
+
+/**
+ * An agent's place in a graph, for prompts and agent metadata.
+ * @param {CoalitionGraph|null} graph
+ * @param {string} agentId
+ * @returns {{ status: string, confidence: number, potential_allies: string[] }}
+ */
+export function coalitionStatusFor(graph, agentId) {
+  const coalition = graph?.coalitions.find((c) => c.members.includes(agentId));
+  if (!coalition) {
+    return { status: "independent", confidence: 0.5, potential_allies: [] };
+  }
+  return {
+    status: coalition.id,
+    confidence: coalition.cohesion,
+    potential_allies: graph.nodes
+      .filter((node) => node.agentId !== agentId && coalition.members.includes(node.agentId))
+      .map((node) => node.name),
+  };
+}
+
+/**
+ * Names of an agent's coalition partners. Before the first graph is stored,
+ * partners are guessed from stance similarity with the debate's other
+ * participants.
+ * @param {string} agentId
+ * @param {string} debateId
+ * @returns {Promise<string[]>}
+ */
+export async function findCoalitionAllies(agentId, debateId) {
+  const stored = await getCoalitions(debateId);
+  if (stored?.current) {
+    return coalitionStatusFor(stored.current, agentId).potential_allies;
+  }
+
+  const participants = (await getDebateCheckpoint(debateId))?.agents || [];
+  if (!participants.includes(agentId)) return [];
+  const agents = await redisManager.execute(async (client) => {
+    const loaded = [];
+    for (const id of participants) {
+      const profile = await client.json.get(`agent:${id}:profile`);
+      loaded.push({ id, name: profile?.name, stance: profile?.stance || {} });
+    }
+    return loaded;
+  });
+  const graph = buildCoalitionGraph({ agents, messages: [] });
+  return coalitionStatusFor(graph, agentId).potential_allies;
+}
+
+export default {
+  coalitionsKey,
+  stanceSimilarity,
+  tallyAgreements,
+  clusterAgents,
+  buildCoalitionGraph,
+  updateCoalitions,
+  getCoalitions,
+  coalitionStatusFor,
+  findCoalitionAllies,
+};
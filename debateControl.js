@@ -0,0 +1,71 @@
+// Debate Run Control - pause, resume and single-step gating
+// A debate process is the mutable handle a runner polls between turns. Both
+// the legacy round loop and the LangGraph orchestrator share these helpers.
+
+const PAUSE_POLL_INTERVAL = 200; // ms, matches the runners' cancellation checks
+
+/**
+ * @typedef {Object} DebateProcess
+ * @property {boolean} cancelled - Set by stop; the runner exits at its next check
+ * @property {boolean} paused - Runner holds before the next turn while true
+ * @property {number} pendingSteps - Turns allowed to run while paused
+ */
+
+/**
+ * @param {{ paused?: boolean }} [options]
+ * @returns {DebateProcess}
+ */
+export function createDebateProcess({ paused = false } = {}) {
+  return { cancelled: false, paused, pendingSteps: 0 };
+}
+
+export function pauseDebateProcess(debateProcess) {
+  debateProcess.paused = true;
+  debateProcess.pendingSteps = 0;
+}
+
+export function resumeDebateProcess(debateProcess) {
+  debateProcess.paused = false;
+  debateProcess.pendingSteps = 0;
+}
+
+/**
+ * Allow exactly one more turn, then hold. A running debate is paused first.
+ */
+export function stepDebateProcess(debateProcess) {
+  debateProcess.paused = true;
+  debateProcess.pendingSteps += 1;
+}
+
+export function canTakeTurn(debateProcess) {
+  return !debateProcess?.paused || debateProcess.pendingSteps > 0;
+}
+
+/**
+ * Resolve once the debate may take its next turn or has been cancelled.
+ * @param {DebateProcess} debateProcess
+ */
+export async function waitForTurnPermit(debateProcess) {
+  while (debateProcess && !debateProcess.cancelled && !canTakeTurn(debateProcess)) {
+    await new Promise((resolve) => setTimeout(resolve, PAUSE_POLL_INTERVAL));
+  }
+}
+
+/**
+ * Use up a step granted while paused. Call once a turn has been taken.
+ */
+export function consumeTurnPermit(debateProcess) {
+  if (debateProcess?.paused && debateProcess.pendingSteps > 0) {
+    debateProcess.pendingSteps -= 1;
+  }
+}
+
+export default {
+  createDebateProcess,
+  pauseDebateProcess,
+  resumeDebateProcess,
+  stepDebateProcess,
+  canTakeTurn,
+  waitForTurnPermit,
+  consumeTurnPermit,
+};
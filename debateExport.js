@@ -0,0 +1,367 @@
+// Debate Transcript Export
+// Joins the `debate:{id}:messages` stream with per-message annotations
+// (fact-check, sentiment, stance delta), key moments and agent profiles, and
+// renders the result as Markdown, JSON, standalone HTML or SRT captions.
+import redisManager from "./redisManager.js";
+import { getDebateCheckpoint } from "./debateState.js";
+import { topicToStanceKey } from "./messageGenerationCore.js";
+
+// Hash of stream ID → JSON annotations written by the debate runner
+export function annotationsKey(debateId) {
+  return `debate:${debateId}:annotations`;
+}
+
+/**
+ * @typedef {Object} MessageAnnotations
+ * @property {{ fact: string, score?: number, confidence: number }|null} [factCheck]
+ * @property {{ sentiment: string, confidence: number, model?: string }} [sentiment]
+ * @property {{ previous: number, value: number, change: number, reason?: string }} [stance] - 0..1 scale, with why it moved (see stanceEvolution.js)
+ */
+
+/**
+ * Attach analysis results to a stored message. The stream entry is written
+ * before fact-checking and stance evolution run, so they live alongside it.
+ * @param {string} debateId
+ * @param {string} messageId - Stream ID returned by XADD
+ * @param {MessageAnnotations} annotations
+ */
+export async function recordMessageAnnotations(debateId, messageId, annotations) {
+  await redisManager.execute(async (client) => {
+    await client.hSet(annotationsKey(debateId), messageId, JSON.stringify(annotations));
+  });
+}
+
+function streamIdTime(id) {
+  return parseInt(id.split("-")[0]);
+}
+
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+// Stance change caused by a message: the agent's first TimeSeries point after
+// it (and before the next message) compared with the point before that
+function stanceDeltaFromSeries(points, fromTime, untilTime) {
+  const index = points.findIndex(
+    (point) => point.timestamp >= fromTime && point.timestamp < untilTime,
+  );
+  if (index < 0) return null;
+  const value = points[index].value;
+  const previous = index > 0 ? points[index - 1].value : value;
+  return { previous, value, change: value - previous };
+}
+
+/**
+ * @typedef {Object} DebateTranscript
+ * @property {string} debateId
+ * @property {string|null} topic
+ * @property {string|null} status
+ * @property {string|null} startedAt
+ * @property {string} exportedAt
+ * @property {Array<Object>} agents - Agent profiles, with `id`
+ * @property {Array<Object>} messages
+ * @property {Array<Object>} keyMoments
+ */
+
+/**
+ * Load everything stored about a debate into one transcript.
+ * @param {string} debateId
+ * @returns {Promise<DebateTranscript>}
+ */
+export async function loadDebateTranscript(debateId) {
+  const checkpoint = await getDebateCheckpoint(debateId).catch(() => null);
+
+  return await redisManager.execute(async (client) => {
+    const entries = await client.xRange(`debate:${debateId}:messages`, "-", "+");
+    const annotations = (await client.hGetAll(annotationsKey(debateId))) || {};
+    const startTime = entries.length ? streamIdTime(entries[0].id) : null;
+
+    const agentIds = [
+      ...new Set([
+        ...(checkpoint?.agents || []),
+        ...entries.map((entry) => entry.message.agent_id),
+      ]),
+    ];
+
+    const agents = [];
+    const series = {};
+    const stanceKey = checkpoint?.topic ? topicToStanceKey(checkpoint.topic) : null;
+    for (const agentId of agentIds) {
+      const profile = await client.json.get(`agent:${agentId}:profile`);
+      agents.push({ id: agentId, ...(profile || { name: agentId }) });
+
+      series[agentId] = [];
+      if (stanceKey) {
+        try {
+          series[agentId] = await client.ts.range(
+            `debate:${debateId}:agent:${agentId}:stance:${stanceKey}`,
+            "-",
+            "+",
+          );
+        } catch (tsError) {
+          // No TimeSeries - stance deltas come from annotations only
+        }
+      }
+    }
+    const names = Object.fromEntries(agents.map((agent) => [agent.id, agent.name]));
+
+    const messages = entries.map((entry, index) => {
+      const fields = entry.message;
+      const time = streamIdTime(entry.id);
+      const nextTime = entries[index + 1]
+        ? streamIdTime(entries[index + 1].id)
+        : Infinity;
+      const annotation = parseJson(annotations[entry.id]) || {};
+
+      // LangGraph-run debates keep their analysis on the stream entry itself
+      const factCheck =
+        annotation.factCheck !== undefined
+          ? annotation.factCheck
+          : fields.fact_check_confidence && Number(fields.fact_check_confidence) > 0
+            ? { fact: null, confidence: Number(fields.fact_check_confidence) }
+            : null;
+      const sentiment =
+        annotation.sentiment ||
+        (fields.sentiment ? { sentiment: fields.sentiment } : null);
+      const stance =
+        annotation.stance ||
+        stanceDeltaFromSeries(series[fields.agent_id] || [], time, nextTime);
+
+      return {
+        id: entry.id,
+        timestamp: new Date(time).toISOString(),
+        offsetMs: time - startTime,
+        agentId: fields.agent_id,
+        agentName: names[fields.agent_id] || fields.agent_id,
+        authorType: fields.author_type || "ai",
+        message: fields.message,
+        factCheck,
+        sentiment,
+        stance,
+      };
+    });
+
+    const stored = await client.json.get(`debate:${debateId}:key_moments`);
+    const keyMoments = (stored?.moments || []).map((moment) => {
+      const time = new Date(moment.timestamp).getTime();
+      return {
+        ...moment,
+        offsetMs: startTime !== null && Number.isFinite(time) ? time - startTime : null,
+      };
+    });
+
+    return {
+      debateId,
+      topic: checkpoint?.topic || null,
+      status: checkpoint?.status || null,
+      startedAt: startTime !== null ? new Date(startTime).toISOString() : null,
+      exportedAt: new Date().toISOString(),
+      agents,
+      messages,
+      keyMoments,
+    };
+  });
+}
+
+// --- Renderers ---------------------------------------------------------------
+
+function formatOffset(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  return `${minutes}:${String(totalSeconds % 60).padStart(2, "0")}`;
+}
+
+function formatStanceChange(stance) {
+  if (!stance) return null;
+  const sign = stance.change >= 0 ? "+" : "";
+  const change = `${stance.previous.toFixed(2)} → ${stance.value.toFixed(2)} (${sign}${stance.change.toFixed(2)})`;
+  return stance.reason ? `${change}. ${stance.reason}` : change;
+}
+
+function annotationLines(message) {
+  const lines = [];
+  if (message.factCheck) {
+    lines.push(
+      message.factCheck.fact
+        ? `Fact-check (${message.factCheck.confidence}%): ${message.factCheck.fact}`
+        : `Fact-check confidence: ${message.factCheck.confidence}%`,
+    );
+  }
+  if (message.sentiment?.sentiment) {
+    const confidence =
+      message.sentiment.confidence !== undefined
+        ? ` (${Math.round(message.sentiment.confidence * 100)}%)`
+        : "";
+    lines.push(`Sentiment: ${message.sentiment.sentiment}${confidence}`);
+  }
+  const stance = formatStanceChange(message.stance);
+  if (stance) lines.push(`Stance: ${stance}`);
+  return lines;
+}
+
+function speakerLabel(message) {
+  return message.authorType === "human"
+    ? `${message.agentName} (human)`
+    : message.agentName;
+}
+
+export function renderMarkdown(transcript) {
+  const out = [`# ${transcript.topic || `Debate ${transcript.debateId}`}`, ""];
+  out.push(`- Debate: \`${transcript.debateId}\``);
+  if (transcript.startedAt) out.push(`- Started: ${transcript.startedAt}`);
+  if (transcript.status) out.push(`- Status: ${transcript.status}`);
+  out.push(`- Messages: ${transcript.messages.length}`, "");
+
+  out.push("## Participants", "");
+  for (const agent of transcript.agents) {
+    const details = [agent.role, agent.tone && `tone: ${agent.tone}`]
+      .filter(Boolean)
+      .join(", ");
+    out.push(`- **${agent.name}**${details ? ` — ${details}` : ""}`);
+    if (agent.biases?.length) out.push(`  - Biases: ${agent.biases.join(", ")}`);
+  }
+  out.push("", "## Transcript", "");
+
+  for (const message of transcript.messages) {
+    out.push(
+      `### [${formatOffset(message.offsetMs)}] ${speakerLabel(message)}`,
+      "",
+      `_${message.timestamp}_`,
+      "",
+      message.message,
+      "",
+    );
+    const notes = annotationLines(message);
+    if (notes.length) out.push(...notes.map((line) => `> ${line}  `), "");
+  }
+
+  if (transcript.keyMoments.length) {
+    out.push("## Key Moments", "");
+    for (const moment of transcript.keyMoments) {
+      const at = moment.offsetMs !== null ? `[${formatOffset(moment.offsetMs)}] ` : "";
+      out.push(`- ${at}**${moment.type}** — ${moment.summary || ""}`.trimEnd());
+    }
+    out.push("");
+  }
+
+  return out.join("\n");
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+export function renderHtml(transcript) {
+  const title = escapeHtml(transcript.topic || `Debate ${transcript.debateId}`);
+  const participants = transcript.agents
+    .map(
+      (agent) =>
+        `<li><strong>${escapeHtml(agent.name)}</strong>${agent.role ? ` — ${escapeHtml(agent.role)}` : ""}${
+          agent.biases?.length ? `<br><small>Biases: ${escapeHtml(agent.biases.join(", "))}</small>` : ""
+        }</li>`,
+    )
+    .join("\n");
+  const messages = transcript.messages
+    .map((message) => {
+      const notes = annotationLines(message)
+        .map((line) => `<li>${escapeHtml(line)}</li>`)
+        .join("");
+      return `<article class="message">
+<header><span class="time">${formatOffset(message.offsetMs)}</span> <strong>${escapeHtml(speakerLabel(message))}</strong> <time datetime="${message.timestamp}">${message.timestamp}</time></header>
+<p>${escapeHtml(message.message)}</p>${notes ? `\n<ul class="notes">${notes}</ul>` : ""}
+</article>`;
+    })
+    .join("\n");
+  const moments = transcript.keyMoments
+    .map(
+      (moment) =>
+        `<li>${moment.offsetMs !== null ? `<span class="time">${formatOffset(moment.offsetMs)}</span> ` : ""}<strong>${escapeHtml(moment.type)}</strong> ${escapeHtml(moment.summary)}</li>`,
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.55; }
+.message { border-top: 1px solid #e5e7eb; padding: 0.75rem 0; }
+.time { font-family: ui-monospace, monospace; color: #6b7280; }
+time { color: #9ca3af; font-size: 0.8rem; }
+.notes { color: #4b5563; font-size: 0.9rem; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p>Debate <code>${escapeHtml(transcript.debateId)}</code>${transcript.startedAt ? ` · started ${transcript.startedAt}` : ""} · ${transcript.messages.length} messages</p>
+<h2>Participants</h2>
+<ul>
+${participants}
+</ul>
+<h2>Transcript</h2>
+${messages}
+${moments ? `<h2>Key Moments</h2>\n<ul>\n${moments}\n</ul>` : ""}
+</body>
+</html>
+`;
+}
+
+function formatSrtTime(ms) {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const millis = Math.floor(ms % 1000);
+  const pad = (value, width = 2) => String(value).padStart(width, "0");
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)},${pad(millis, 3)}`;
+}
+
+// Caption stays up for roughly reading time, but never past the next speaker
+const SRT_MS_PER_WORD = 400;
+const SRT_MIN_CUE_MS = 2000;
+
+export function renderSrt(transcript) {
+  const { messages } = transcript;
+  return messages
+    .map((message, index) => {
+      const start = message.offsetMs;
+      const reading = Math.max(
+        SRT_MIN_CUE_MS,
+        message.message.split(/\s+/).length * SRT_MS_PER_WORD,
+      );
+      const next = messages[index + 1]?.offsetMs ?? Infinity;
+      const end = Math.max(start + 1, Math.min(start + reading, next - 1));
+      return `${index + 1}\n${formatSrtTime(start)} --> ${formatSrtTime(end)}\n${speakerLabel(message)}: ${message.message}\n`;
+    })
+    .join("\n");
+}
+
+export const EXPORT_FORMATS = {
+  md: { contentType: "text/markdown; charset=utf-8", render: renderMarkdown },
+  json: {
+    contentType: "application/json; charset=utf-8",
+    render: (transcript) => JSON.stringify(transcript, null, 2),
+  },
+  html: { contentType: "text/html; charset=utf-8", render: renderHtml },
+  srt: { contentType: "application/x-subrip; charset=utf-8", render: renderSrt },
+};
+
+export default {
+  EXPORT_FORMATS,
+  annotationsKey,
+  recordMessageAnnotations,
+  loadDebateTranscript,
+  renderMarkdown,
+  renderHtml,
+  renderSrt,
+};
@@ -0,0 +1,372 @@
+// Debate Forks
+// Branches a debate at any message. The fork gets its own debate ID with the
+// parent's message stream and per-agent memory streams copied up to that
+// message (stream IDs kept, so branches share the IDs of their common
+// history), then an optional injected message. Agent profile overrides apply
+// to the fork only and are inherited by its own forks. Lineage is stored at
+// debate:{id}:lineage and children in the set debate:{id}:forks.
+import redisManager from "./redisManager.js";
+import { getDebateCheckpoint } from "./debateState.js";
+import { getVerdict, verdictKey } from "./debateJudging.js";
+
+// Profile fields a fork may change; see agentProfileSchema in validation.js
+export const OVERRIDABLE_FIELDS = [
+  "name",
+  "role",
+  "tone",
+  "stance",
+  "biases",
+  "persuadability",
+];
+
+export function lineageKey(debateId) {
+  return `debate:${debateId}:lineage`;
+}
+
+export function forksKey(debateId) {
+  return `debate:${debateId}:forks`;
+}
+
+const messagesKey = (debateId) => `debate:${debateId}:messages`;
+const memoryKey = (debateId, agentId) =>
+  `debate:${debateId}:agent:${agentId}:memory`;
+
+/**
+ * @typedef {Object} ForkLineage
+ * @property {string} debateId
+ * @property {string} parentId
+ * @property {string} rootId - Debate at the top of the fork tree
+ * @property {string} forkedFromMessageId - Last parent message the fork shares
+ * @property {string} topic
+ * @property {string[]} agents
+ * @property {Object<string, Object>} agentOverrides - Profile fields per agent
+ * @property {{ id: string, agentId: string, message: string }|null} injectedMessage
+ * @property {number} copiedMessages - Parent messages copied
+ * @property {number} turns - Turns the fork starts with, injected one included
+ * @property {string|null} lastSpeaker
+ * @property {string} createdAt - ISO 8601
+ */
+
+/**
+ * Merge profile overrides, keeping only fields a fork may change. Stance
+ * maps merge per topic; other fields replace.
+ * @param {Object<string, Object>} base
+ * @param {Object<string, Object>} [changes]
+ * @returns {Object<string, Object>}
+ */
+export function mergeAgentOverrides(base = {}, changes = {}) {
+  const merged = structuredClone(base);
+  for (const [agentId, fields] of Object.entries(changes)) {
+    const current = merged[agentId] || {};
+    for (const field of OVERRIDABLE_FIELDS) {
+      if (fields?.[field] === undefined) continue;
+      current[field] =
+        field === "stance"
+          ? { ...current.stance, ...fields.stance }
+          : fields[field];
+    }
+    if (Object.keys(current).length) merged[agentId] = current;
+  }
+  return merged;
+}
+
+/**
+ * Apply a debate's overrides to an agent profile.
+ * @param {Object} profile
+ * @param {Object} [override]
+ * @returns {Object}
+ */
+export function applyProfileOverride(profile, override) {
+  if (!profile || !override) return profile;
+  return {
+    ...profile,
+    ...override,
+    stance: { ...profile.stance, ...override.stance },
+  };
+}
+
+/**
+ * @param {string} debateId
+ * @returns {Promise<ForkLineage|null>} null for debates that are not forks
+ */
+export async function getLineage(debateId) {
+  return redisManager.execute(async (client) =>
+    client.json.get(lineageKey(debateId)),
+  );
+}
+
+/**
+ * Profile fields an agent speaks with in this debate, if it is a fork that
+ * changed them.
+ * @param {string} debateId
+ * @param {string} agentId
+ * @returns {Promise<Object|null>}
+ */
+export async function getProfileOverride(debateId, agentId) {
+  const lineage = await getLineage(debateId);
+  return lineage?.agentOverrides?.[agentId] ?? null;
+}
+
+/**
+ * Move a stance the fork overrides. A forked stance evolves inside the fork
+ * and leaves the agent's stored profile alone.
+ * @param {string} debateId
+ * @param {string} agentId
+ * @param {string} stanceKey
+ * @param {number} value
+ */
+export async function setForkStance(debateId, agentId, stanceKey, value) {
+  await redisManager.execute(async (client) => {
+    const lineage = await client.json.get(lineageKey(debateId));
+    if (!lineage) return;
+    lineage.agentOverrides = mergeAgentOverrides(lineage.agentOverrides, {
+      [agentId]: { stance: { [stanceKey]: value } },
+    });
+    await client.json.set(lineageKey(debateId), "$", lineage);
+  });
+}
+
+/**
+ * Fork a debate after one of its messages. Copies the message stream up to
+ * and including messageId, and each agent's memory up to the parent's next
+ * message, so notes written while that message was stored come along.
+ * @param {string} parentId
+ * @param {Object} options
+ * @param {string} options.debateId - ID for the fork
+ * @param {string} options.messageId - Stream ID of the last shared message
+ * @param {string} options.topic
+ * @param {string[]} options.agents
+ * @param {number} [options.maxTurns] - Schedule length the fork must leave room in
+ * @param {Object<string, Object>} [options.agentOverrides]
+ * @param {{ agentId: string, message: string }} [options.injectMessage]
+ * @returns {Promise<{ lineage: ForkLineage } | { error: string }>}
+ */
+export async function forkDebate(
+  parentId,
+  {
+    debateId,
+    messageId,
+    topic,
+    agents,
+    maxTurns = Infinity,
+    agentOverrides = {},
+    injectMessage = null,
+  },
+) {
+  return redisManager.execute(async (client) => {
+    const [forkPoint] = await client.xRange(
+      messagesKey(parentId),
+      messageId,
+      messageId,
+    );
+    if (!forkPoint) {
+      return { error: `message ${messageId} is not in debate ${parentId}` };
+    }
+
+    const messages = await client.xRange(messagesKey(parentId), "-", messageId);
+    if (messages.length + (injectMessage ? 1 : 0) >= maxTurns) {
+      return { error: "the fork point leaves no turns in the debate's schedule" };
+    }
+    const [next] = await client.xRange(
+      messagesKey(parentId),
+      `(${messageId}`,
+      "+",
+      { COUNT: 1 },
+    );
+
+    for (const entry of messages) {
+      await client.xAdd(messagesKey(debateId), entry.id, entry.message);
+    }
+    for (const agentId of agents) {
+      const memory = await client.xRange(
+        memoryKey(parentId, agentId),
+        "-",
+        next ? `(${next.id}` : "+",
+      );
+      for (const entry of memory) {
+        await client.xAdd(memoryKey(debateId, agentId), entry.id, entry.message);
+      }
+    }
+
+    let injectedMessage = null;
+    if (injectMessage) {
+      const id = await client.xAdd(messagesKey(debateId), "*", {
+        agent_id: injectMessage.agentId,
+        message: injectMessage.message,
+        author_type: "injected",
+      });
+      await client.xAdd(memoryKey(debateId, injectMessage.agentId), "*", {
+        type: "statement",
+        content: injectMessage.message,
+      });
+      injectedMessage = { id, ...injectMessage };
+    }
+
+    const parent = await client.json.get(lineageKey(parentId));
+    const lineage = {
+      debateId,
+      parentId,
+      rootId: parent?.rootId ?? parentId,
+      forkedFromMessageId: messageId,
+      topic,
+      agents,
+      agentOverrides: mergeAgentOverrides(parent?.agentOverrides, agentOverrides),
+      injectedMessage,
+      copiedMessages: messages.length,
+      turns: messages.length + (injectedMessage ? 1 : 0),
+      lastSpeaker:
+        injectedMessage?.agentId ?? forkPoint.message.agent_id ?? null,
+      createdAt: new Date().toISOString(),
+    };
+
+    await client.json.set(lineageKey(debateId), "$", lineage);
+    await client.sAdd(forksKey(parentId), debateId);
+    return { lineage };
+  });
+}
+
+/**
+ * Give a fork the parent's judged rounds it replays in full, so its verdict
+ * covers the shared history as well as its own.
+ * @param {string} parentId
+ * @param {string} debateId
+ * @param {number} completedRounds - Rounds finished at the fork point
+ * @returns {Promise<number>} Rounds copied
+ */
+export async function inheritVerdictRounds(parentId, debateId, completedRounds) {
+  const verdict = await getVerdict(parentId);
+  const rounds = (verdict?.rounds || []).filter(
+    (round) => round.round <= completedRounds,
+  );
+  if (rounds.length === 0) return 0;
+
+  await redisManager.execute(async (client) =>
+    client.json.set(verdictKey(debateId), "$", {
+      debateId,
+      topic: verdict.topic,
+      agents: verdict.agents,
+      rounds,
+      final: null,
+    }),
+  );
+  return rounds.length;
+}
+
+/**
+ * @typedef {Object} ForkNode
+ * @property {string} debateId
+ * @property {string|null} parentId
+ * @property {string|null} forkedFromMessageId
+ * @property {Object<string, Object>} agentOverrides
+ * @property {Object|null} injectedMessage
+ * @property {string|null} status - From the debate's checkpoint
+ * @property {string|null} winner - From the debate's final verdict
+ * @property {string|null} createdAt
+ * @property {ForkNode[]} children
+ */
+
+async function buildForkNode(debateId, seen) {
+  seen.add(debateId);
+  const [lineage, checkpoint, verdict, childIds] = await Promise.all([
+    getLineage(debateId),
+    getDebateCheckpoint(debateId),
+    getVerdict(debateId),
+    redisManager.execute(async (client) => client.sMembers(forksKey(debateId))),
+  ]);
+
+  const children = [];
+  for (const childId of childIds.filter((id) => !seen.has(id))) {
+    children.push(await buildForkNode(childId, seen));
+  }
+  children.sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+
+  return {
+    debateId,
+    parentId: lineage?.parentId ?? null,
+    forkedFromMessageId: lineage?.forkedFromMessageId ?? null,
+    agentOverrides: lineage?.agentOverrides ?? {},
+    injectedMessage: lineage?.injectedMessage ?? null,
+    status: checkpoint?.status ?? null,
+    winner: verdict?.final?.winner ?? null,
+    createdAt: lineage?.createdAt ?? checkpoint?.startTime ?? null,
+    children,
+  };
+}
+
+/**
+ * The whole fork tree a debate belongs to, from its root.
+ * @param {string} debateId
+ * @returns {Promise<{ rootId: string, tree: ForkNode }>}
+ */
+export async function getForkTree(debateId) {
+  const lineage = await getLineage(debateId);
+  const rootId = lineage?.rootId ?? debateId;
+  return { rootId, tree: await buildForkNode(rootId, new Set()) };
+}
+
+function formatEntry(entry) {
+  return {
+    id: entry.id,
+    agentId: entry.message.agent_id,
+    message: entry.message.message,
+    authorType: entry.message.author_type || "ai",
+  };
+}
+
+/**
+ * Line two debates up where their histories part. Forks keep the stream IDs
+ * they copy, so the shared history is the common prefix of IDs.
+ * @param {string} debateId
+ * @param {string} otherId
+ * @returns {Promise<{ sharedMessages: number, divergedAfter: string|null, branches: Object[] }>}
+ */
+export async function compareBranches(debateId, otherId) {
+  const ids = [debateId, otherId];
+  const streams = await redisManager.execute(async (client) =>
+    Promise.all(ids.map((id) => client.xRange(messagesKey(id), "-", "+"))),
+  );
+
+  let shared = 0;
+  while (
+    shared < streams[0].length &&
+    shared < streams[1].length &&
+    streams[0][shared].id === streams[1][shared].id
+  ) {
+    shared++;
+  }
+
+  const branches = await Promise.all(
+    ids.map(async (id, index) => {
+      const [lineage, verdict] = await Promise.all([getLineage(id), getVerdict(id)]);
+      return {
+        debateId: id,
+        parentId: lineage?.parentId ?? null,
+        agentOverrides: lineage?.agentOverrides ?? {},
+        messageCount: streams[index].length,
+        messages: streams[index].slice(shared).map(formatEntry),
+        verdict: verdict?.final ?? null,
+      };
+    }),
+  );
+
+  return {
+    sharedMessages: shared,
+    divergedAfter: shared ? streams[0][shared - 1].id : null,
+    branches,
+  };
+}
+
+export default {
+  OVERRIDABLE_FIELDS,
+  lineageKey,
+  forksKey,
+  mergeAgentOverrides,
+  applyProfileOverride,
+  getLineage,
+  getProfileOverride,
+  setForkStance,
+  forkDebate,
+  inheritVerdictRounds,
+  getForkTree,
+  compareBranches,
+};
@@ -0,0 +1,308 @@
+// Debate Formats
+// Named debate structures (Oxford, Lincoln-Douglas, panel, Socratic, or custom)
+// stored in RedisJSON. A format is a list of phases; each phase sets a speaker
+// order by seat and the prompt guidance each seat gets during it. Both the
+// legacy loop and the LangGraph orchestrators expand a format into a turn
+// schedule with buildFormatSchedule().
+import redisManager from "./redisManager.js";
+
+// "pro" is the first agent, "con" the second, "panel" every agent in order
+export const FORMAT_SEATS = ["pro", "con", "panel"];
+
+const FORMAT_INDEX_KEY = "debate_formats";
+
+export function debateFormatKey(name) {
+  return `debate_format:${name}`;
+}
+
+/**
+ * @typedef {Object} DebatePhase
+ * @property {string} id
+ * @property {string} title
+ * @property {Array<'pro'|'con'|'panel'>} speakers - Speaking order for the phase
+ * @property {string|Object<string, string>} [guidance] - One line for every
+ *   speaker, or per seat (`pro`, `con`, `panel`, `moderator`, `default`)
+ */
+
+/**
+ * @typedef {Object} DebateFormat
+ * @property {string} name - Slug used to select the format
+ * @property {string} title
+ * @property {string} [description]
+ * @property {DebatePhase[]} phases
+ */
+
+/** @type {Object<string, DebateFormat>} */
+export const BUILT_IN_FORMATS = {
+  oxford: {
+    name: "oxford",
+    title: "Oxford",
+    description:
+      "Proposition and opposition open, rebut and close on a motion; the opposition closes first.",
+    phases: [
+      {
+        id: "opening",
+        title: "Opening statements",
+        speakers: ["pro", "con"],
+        guidance: {
+          pro: "Open for the proposition: state the case for the motion and your two or three main arguments.",
+          con: "Open for the opposition: state why the motion should fall and your two or three main arguments.",
+        },
+      },
+      {
+        id: "rebuttal",
+        title: "Rebuttals",
+        speakers: ["con", "pro"],
+        guidance:
+          "Rebut the strongest point the other side has made, then reinforce your own case.",
+      },
+      {
+        id: "closing",
+        title: "Closing statements",
+        speakers: ["con", "pro"],
+        guidance:
+          "Close your side's case: summarise why you have won the motion. Introduce no new arguments.",
+      },
+    ],
+  },
+  "lincoln-douglas": {
+    name: "lincoln-douglas",
+    title: "Lincoln-Douglas",
+    description:
+      "One-on-one value debate: constructives, cross-examinations and alternating rebuttals.",
+    phases: [
+      {
+        id: "affirmative-constructive",
+        title: "Affirmative constructive",
+        speakers: ["pro"],
+        guidance:
+          "Present the value you uphold, the criterion for weighing it and your contentions for the resolution.",
+      },
+      {
+        id: "negative-cross-examination",
+        title: "Cross-examination of the affirmative",
+        speakers: ["con", "pro", "con", "pro"],
+        guidance: {
+          con: "Ask one pointed question that exposes a weakness in the affirmative case. Do not make speeches.",
+          pro: "Answer the question directly and briefly, conceding nothing you do not have to.",
+        },
+      },
+      {
+        id: "negative-constructive",
+        title: "Negative constructive",
+        speakers: ["con"],
+        guidance:
+          "Present your own value and criterion, your case against the resolution and first responses to the affirmative.",
+      },
+      {
+        id: "affirmative-cross-examination",
+        title: "Cross-examination of the negative",
+        speakers: ["pro", "con", "pro", "con"],
+        guidance: {
+          pro: "Ask one pointed question that exposes a weakness in the negative case. Do not make speeches.",
+          con: "Answer the question directly and briefly, conceding nothing you do not have to.",
+        },
+      },
+      {
+        id: "first-affirmative-rebuttal",
+        title: "First affirmative rebuttal",
+        speakers: ["pro"],
+        guidance: "Answer the negative case and rebuild your contentions.",
+      },
+      {
+        id: "negative-rebuttal",
+        title: "Negative rebuttal",
+        speakers: ["con"],
+        guidance:
+          "Crystallise the debate: explain the voting issues and why the negative wins them.",
+      },
+      {
+        id: "second-affirmative-rebuttal",
+        title: "Second affirmative rebuttal",
+        speakers: ["pro"],
+        guidance:
+          "Give the final word: weigh the key issues under your criterion and explain why the affirmative wins.",
+      },
+    ],
+  },
+  panel: {
+    name: "panel",
+    title: "Panel",
+    description:
+      "Every agent speaks in turn through an opening, two rounds of discussion and a closing.",
+    phases: [
+      {
+        id: "opening",
+        title: "Opening positions",
+        speakers: ["panel"],
+        guidance: "Give your opening position on the topic in a few sentences.",
+      },
+      {
+        id: "discussion",
+        title: "Discussion",
+        speakers: ["panel", "panel"],
+        guidance:
+          "Respond to another panelist by name, agreeing or challenging them, and add something new.",
+      },
+      {
+        id: "closing",
+        title: "Closing thoughts",
+        speakers: ["panel"],
+        guidance:
+          "Say where the discussion moved you and where you still disagree.",
+      },
+    ],
+  },
+  socratic: {
+    name: "socratic",
+    title: "Socratic",
+    description:
+      "The second agent questions the first agent's position, then both reflect on what the questioning showed.",
+    phases: [
+      {
+        id: "inquiry",
+        title: "Inquiry",
+        speakers: ["con", "pro", "con", "pro", "con", "pro"],
+        guidance: {
+          con: "You are the questioner. Ask one probing question about the respondent's assumptions. Do not argue your own view.",
+          pro: "You are the respondent. Answer honestly, and refine your position if the question exposes a flaw.",
+        },
+      },
+      {
+        id: "reflection",
+        title: "Reflection",
+        speakers: ["pro", "con"],
+        guidance: {
+          pro: "Say what you now believe and what changed during the questioning.",
+          con: "Summarise what the inquiry revealed about the position.",
+        },
+      },
+    ],
+  },
+};
+
+export const BUILT_IN_FORMAT_NAMES = Object.keys(BUILT_IN_FORMATS);
+
+/**
+ * Store a format (built-in names may be overridden).
+ * @param {DebateFormat} format - Already validated (see debateFormatSchema)
+ * @returns {Promise<DebateFormat>}
+ */
+export async function saveDebateFormat(format) {
+  const stored = { ...format, updatedAt: new Date().toISOString() };
+  await redisManager.execute(async (client) => {
+    await client.json.set(debateFormatKey(format.name), "$", stored);
+    await client.sAdd(FORMAT_INDEX_KEY, format.name);
+  });
+  return stored;
+}
+
+/**
+ * Load a format by name. Built-ins are written to Redis the first time they
+ * are read so they can be edited like any other format.
+ * @param {string} name
+ * @returns {Promise<DebateFormat|null>}
+ */
+export async function getDebateFormat(name) {
+  const stored = await redisManager.execute(async (client) =>
+    client.json.get(debateFormatKey(name)),
+  );
+  if (stored) return stored;
+
+  if (BUILT_IN_FORMATS[name]) {
+    return await saveDebateFormat(BUILT_IN_FORMATS[name]);
+  }
+  return null;
+}
+
+/**
+ * All stored formats plus any built-ins not yet stored.
+ * @returns {Promise<DebateFormat[]>}
+ */
+export async function listDebateFormats() {
+  const names = await redisManager.execute(async (client) =>
+    client.sMembers(FORMAT_INDEX_KEY),
+  );
+  const allNames = [...new Set([...BUILT_IN_FORMAT_NAMES, ...names])].sort();
+
+  const formats = [];
+  for (const name of allNames) {
+    const format = await getDebateFormat(name);
+    if (format) formats.push(format);
+  }
+  return formats;
+}
+
+/**
+ * @typedef {Object} FormatTurn
+ * @property {string} agentId
+ * @property {'pro'|'con'|'panel'} seat
+ * @property {string} phaseId
+ * @property {string} phaseTitle
+ * @property {number} phaseIndex
+ * @property {number} phaseCount
+ * @property {string|null} guidance
+ */
+
+function guidanceFor(phase, seat) {
+  const { guidance } = phase;
+  if (!guidance) return null;
+  if (typeof guidance === "string") return guidance;
+  return guidance[seat] ?? guidance.default ?? null;
+}
+
+/**
+ * Expand a format into the ordered list of turns for these agents.
+ * @param {DebateFormat} format
+ * @param {string[]} agents - agents[0] sits "pro", agents[1] sits "con"
+ * @returns {FormatTurn[]}
+ */
+export function buildFormatSchedule(format, agents) {
+  const seatAgents = { pro: agents[0], con: agents[1] ?? agents[0] };
+  const schedule = [];
+
+  format.phases.forEach((phase, phaseIndex) => {
+    for (const seat of phase.speakers) {
+      const turns =
+        seat === "panel"
+          ? agents.map((agentId) => ({ agentId, seat }))
+          : [{ agentId: seatAgents[seat], seat }];
+
+      for (const turn of turns) {
+        schedule.push({
+          ...turn,
+          phaseId: phase.id,
+          phaseTitle: phase.title,
+          phaseIndex,
+          phaseCount: format.phases.length,
+          guidance: guidanceFor(phase, seat),
+        });
+      }
+    }
+  });
+
+  return schedule;
+}
+
+/**
+ * Prompt lines describing the current phase, or "" outside a format.
+ * @param {FormatTurn|null|undefined} turn
+ */
+export function formatPhaseGuidance(turn) {
+  if (!turn) return "";
+  return `DEBATE PHASE: ${turn.phaseTitle} (${turn.phaseIndex + 1} of ${turn.phaseCount})${
+    turn.guidance ? `\nPHASE GUIDANCE: ${turn.guidance}` : ""
+  }`;
+}
+
+export default {
+  FORMAT_SEATS,
+  BUILT_IN_FORMATS,
+  BUILT_IN_FORMAT_NAMES,
+  debateFormatKey,
+  saveDebateFormat,
+  getDebateFormat,
+  listDebateFormats,
+  buildFormatSchedule,
+  formatPhaseGuidance,
+};
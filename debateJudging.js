@@ -0,0 +1,454 @@
+// Debate Judging
+// A panel of judge personas scores every round on a fixed rubric. Each judge
+// must answer with a JSON scorecard that passes a zod schema; a judge whose
+// reply stays invalid after one retry abstains instead of being guessed at.
+// The panel's scorecards are averaged into the round verdict, with stats on
+// how far the judges agreed. Round verdicts and the final verdict are stored
+// at debate:{id}:verdict. Both orchestrators judge through this module, and
+// so does the lib/graph scorer.
+//
+// Env: JUDGE_PANEL - comma-separated judge persona IDs (default: all)
+import { z } from "zod";
+import redisManager from "./redisManager.js";
+import { generateCompletion } from "./llmProvider.js";
+
+export const RUBRIC = [
+  {
+    key: "argumentStrength",
+    label: "Argument strength",
+    description: "logic, coherence and how well the case holds together",
+  },
+  {
+    key: "rebuttal",
+    label: "Rebuttal",
+    description: "how directly and effectively opponents' points are answered",
+  },
+  {
+    key: "evidenceUse",
+    label: "Evidence use",
+    description: "specific facts, data and examples, used accurately",
+  },
+  {
+    key: "relevance",
+    label: "Relevance",
+    description: "focus on the motion, without tangents",
+  },
+];
+
+export const JUDGE_PERSONAS = {
+  logician: {
+    name: "The Logician",
+    focus:
+      "You care most about valid reasoning. Penalize fallacies, unsupported leaps and contradictions.",
+  },
+  evidence_auditor: {
+    name: "The Evidence Auditor",
+    focus:
+      "You care most about claims being backed. Reward verifiable specifics and penalize vague or invented figures.",
+  },
+  citizen: {
+    name: "The Informed Citizen",
+    focus:
+      "You judge as a thoughtful voter would: clarity, engagement with the other side and staying on the question.",
+  },
+};
+
+// Totals closer than this are a tie
+export const TIE_MARGIN = 0.5;
+
+const criterionScore = z.number().min(0).max(10);
+
+export const ScorecardSchema = z.object({
+  scores: z
+    .array(
+      z.object({
+        agentId: z.string(),
+        ...Object.fromEntries(RUBRIC.map(({ key }) => [key, criterionScore])),
+        comment: z.string().optional(),
+      }),
+    )
+    .min(1),
+  reasoning: z.string(),
+});
+
+export function verdictKey(debateId) {
+  return `debate:${debateId}:verdict`;
+}
+
+/**
+ * @typedef {Object} AgentScore
+ * @property {number} argumentStrength
+ * @property {number} rebuttal
+ * @property {number} evidenceUse
+ * @property {number} relevance
+ * @property {number} total - Mean of the criteria
+ */
+
+/**
+ * @typedef {Object} JudgeScorecard
+ * @property {string} judgeId
+ * @property {Object<string, AgentScore>} scores - By agent ID
+ * @property {string} reasoning
+ */
+
+/**
+ * @typedef {Object} JudgeAgreement
+ * @property {number} judges - Scorecards counted
+ * @property {number|null} winnerConsensus - Share of judges who picked the panel's winner
+ * @property {number|null} pairwise - Mean over judge pairs of 1 - mean |score difference| / 10
+ * @property {number} spread - Mean standard deviation of a score across judges
+ */
+
+/**
+ * @typedef {Object} RoundVerdict
+ * @property {number} round
+ * @property {Object<string, AgentScore>} scores - Panel mean, by agent ID
+ * @property {string|null} winner - Agent ID, "tie", or null when no judge scored the round
+ * @property {JudgeScorecard[]} judges
+ * @property {Array<{ judgeId: string, reason: string }>} abstentions
+ * @property {JudgeAgreement} agreement
+ * @property {number} messageCount
+ * @property {string} scoredAt
+ */
+
+/**
+ * @typedef {Object} FinalVerdict
+ * @property {Object<string, number>} totals - Mean round total, by agent ID
+ * @property {Object<string, number>} roundsWon
+ * @property {string|null} winner
+ * @property {number} roundsScored
+ * @property {{ winnerConsensus: number|null, pairwise: number|null }} agreement - Means over the rounds
+ * @property {string} decidedAt
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const mean = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+/**
+ * Judges named in JUDGE_PANEL, or all of them.
+ * @returns {string[]}
+ */
+export function getJudgePanel() {
+  const requested = (process.env.JUDGE_PANEL || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => JUDGE_PERSONAS[id]);
+  return requested.length ? requested : Object.keys(JUDGE_PERSONAS);
+}
+
+/**
+ * Validate a judge's reply against the schema and the agents being judged.
+ * @param {string} text
+ * @param {string[]} agentIds
+ * @returns {{ scorecard: { scores: Object<string, AgentScore>, reasoning: string } } | { error: string }}
+ */
+export function parseScorecard(text, agentIds) {
+  let raw;
+  try {
+    raw = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] ?? "");
+  } catch {
+    return { error: "reply is not JSON" };
+  }
+
+  const result = ScorecardSchema.safeParse(raw);
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    return { error: `${issue.path.join(".") || "reply"}: ${issue.message}` };
+  }
+
+  const scores = {};
+  for (const { agentId, comment, ...criteria } of result.data.scores) {
+    if (agentIds.includes(agentId)) {
+      scores[agentId] = { ...criteria, total: round2(mean(Object.values(criteria))) };
+    }
+  }
+  const missing = agentIds.filter((agentId) => !scores[agentId]);
+  if (missing.length) {
+    return { error: `no scores for ${missing.join(", ")}` };
+  }
+  return { scorecard: { scores, reasoning: result.data.reasoning } };
+}
+
+/**
+ * @param {Object<string, { total: number }>} scores
+ * @returns {string|null} Agent ID, "tie", or null without scores
+ */
+export function pickWinner(scores) {
+  const ranked = Object.entries(scores).sort((a, b) => b[1].total - a[1].total);
+  if (ranked.length === 0) return null;
+  if (ranked.length > 1 && ranked[0][1].total - ranked[1][1].total < TIE_MARGIN) return "tie";
+  return ranked[0][0];
+}
+
+/**
+ * Average the judges' scorecards and measure how far they agreed.
+ * @param {JudgeScorecard[]} scorecards
+ * @param {string[]} agentIds
+ * @returns {{ scores: Object<string, AgentScore>, winner: string|null, agreement: JudgeAgreement }}
+ */
+export function aggregateScorecards(scorecards, agentIds) {
+  const scores = {};
+  if (scorecards.length) {
+    for (const agentId of agentIds) {
+      const criteria = Object.fromEntries(
+        RUBRIC.map(({ key }) => [
+          key,
+          round2(mean(scorecards.map((card) => card.scores[agentId][key]))),
+        ]),
+      );
+      scores[agentId] = { ...criteria, total: round2(mean(Object.values(criteria))) };
+    }
+  }
+  const winner = pickWinner(scores);
+
+  // Every agent × criterion cell the judges filled in
+  const cells = agentIds.flatMap((agentId) => RUBRIC.map(({ key }) => [agentId, key]));
+  const spread = mean(
+    cells.map(([agentId, key]) => {
+      const values = scorecards.map((card) => card.scores[agentId][key]);
+      const average = mean(values);
+      return Math.sqrt(mean(values.map((value) => (value - average) ** 2)) ?? 0);
+    }),
+  );
+
+  const pairs = scorecards.flatMap((a, i) => scorecards.slice(i + 1).map((b) => [a, b]));
+  const pairwise = mean(
+    pairs.map(([a, b]) =>
+      1 -
+      mean(cells.map(([agentId, key]) => Math.abs(a.scores[agentId][key] - b.scores[agentId][key]))) / 10,
+    ),
+  );
+
+  return {
+    scores,
+    winner,
+    agreement: {
+      judges: scorecards.length,
+      winnerConsensus: scorecards.length
+        ? round2(scorecards.filter((card) => pickWinner(card.scores) === winner).length / scorecards.length)
+        : null,
+      pairwise: pairwise === null ? null : round2(pairwise),
+      spread: round2(spread ?? 0),
+    },
+  };
+}
+
+function judgePrompt(judgeId, { topic, round, messages, agentIds }) {
+  const persona = JUDGE_PERSONAS[judgeId];
+  return [
+    {
+      role: "system",
+      content: `You are ${persona.name}, one judge on a debate panel. ${persona.focus}
+
+Score every debater from 0 to 10 on each criterion:
+${RUBRIC.map(({ key, label, description }) => `- ${key} (${label}): ${description}`).join("\n")}
+
+Reply with JSON only:
+{"scores": [{"agentId": "...", ${RUBRIC.map(({ key }) => `"${key}": 0-10`).join(", ")}, "comment": "one sentence"}], "reasoning": "two or three sentences on who won the round and why"}`,
+    },
+    {
+      role: "user",
+      content: `MOTION: ${topic}
+ROUND ${round}
+DEBATERS: ${agentIds.join(", ")}
+
+${messages.map(({ agentId, message }) => `${agentId}: ${message}`).join("\n\n")}`,
+    },
+  ];
+}
+
+/**
+ * Have one judge score a round, retrying once with the validation error.
+ * @returns {Promise<JudgeScorecard | { judgeId: string, reason: string }>}
+ */
+async function runJudge(judgeId, input, complete) {
+  const messages = judgePrompt(judgeId, input);
+  let error;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const { text } = await complete({ messages, temperature: 0.2, maxTokens: 500 });
+      const parsed = parseScorecard(text, input.agentIds);
+      if (parsed.scorecard) return { judgeId, ...parsed.scorecard };
+      error = parsed.error;
+      messages.push(
+        { role: "assistant", content: text },
+        { role: "user", content: `That scorecard was invalid (${error}). Reply again with the JSON only.` },
+      );
+    } catch (callError) {
+      return { judgeId, reason: callError.message };
+    }
+  }
+  return { judgeId, reason: `invalid scorecard: ${error}` };
+}
+
+/**
+ * Score one round with the judge panel.
+ * @param {Object} input
+ * @param {string} input.topic
+ * @param {number} input.round
+ * @param {Array<{ agentId: string, message: string }>} input.messages
+ * @param {string[]} [input.agentIds] - Defaults to the round's speakers
+ * @param {string[]} [input.judges] - Defaults to getJudgePanel()
+ * @param {{ complete?: typeof generateCompletion }} [options]
+ * @returns {Promise<RoundVerdict>}
+ */
+export async function judgeRound(
+  { topic, round, messages, agentIds, judges = getJudgePanel() },
+  { complete = generateCompletion } = {},
+) {
+  const debaters = agentIds ?? [...new Set(messages.map((m) => m.agentId))];
+  const results = [];
+  // One judge at a time keeps a round's LLM load predictable
+  for (const judgeId of judges) {
+    results.push(await runJudge(judgeId, { topic, round, messages, agentIds: debaters }, complete));
+  }
+
+  const scorecards = results.filter((result) => result.scores);
+  const abstentions = results.filter((result) => !result.scores);
+  for (const { judgeId, reason } of abstentions) {
+    console.log(`⚠️ Judge ${judgeId} abstained on round ${round}: ${reason}`);
+  }
+
+  return {
+    round,
+    ...aggregateScorecards(scorecards, debaters),
+    judges: scorecards,
+    abstentions,
+    messageCount: messages.length,
+    scoredAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Combine round verdicts: mean round total per agent, rounds won, and the
+ * overall winner.
+ * @param {RoundVerdict[]} rounds
+ * @param {string[]} agentIds
+ * @returns {FinalVerdict}
+ */
+export function buildFinalVerdict(rounds, agentIds) {
+  const scored = rounds.filter((verdict) => verdict.winner !== null);
+  const totals = {};
+  const roundsWon = {};
+  for (const agentId of agentIds) {
+    const agentTotals = scored.map((verdict) => verdict.scores[agentId]?.total).filter(Number.isFinite);
+    totals[agentId] = agentTotals.length ? round2(mean(agentTotals)) : 0;
+    roundsWon[agentId] = scored.filter((verdict) => verdict.winner === agentId).length;
+  }
+
+  const agreementMean = (field) => {
+    const value = mean(scored.map((verdict) => verdict.agreement[field]).filter((v) => v !== null));
+    return value === null ? null : round2(value);
+  };
+
+  return {
+    totals,
+    roundsWon,
+    winner: scored.length
+      ? pickWinner(Object.fromEntries(Object.entries(totals).map(([id, total]) => [id, { total }])))
+      : null,
+    roundsScored: scored.length,
+    agreement: {
+      winnerConsensus: agreementMean("winnerConsensus"),
+      pairwise: agreementMean("pairwise"),
+    },
+    decidedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Judge a round and add its verdict to the debate's record. A round scored
+ * again replaces its earlier verdict.
+ * @param {string} debateId
+ * @param {Object} input - See judgeRound
+ * @param {{ complete?: typeof generateCompletion }} [options]
+ * @returns {Promise<RoundVerdict>}
+ */
+export async function scoreRound(debateId, input, options) {
+  const verdict = await judgeRound(input, options);
+  const agentIds = Object.keys(verdict.scores).length
+    ? Object.keys(verdict.scores)
+    : (input.agentIds ?? []);
+
+  await redisManager.execute(async (client) => {
+    const record = (await client.json.get(verdictKey(debateId))) || {
+      debateId,
+      topic: input.topic,
+      agents: [],
+      rounds: [],
+      final: null,
+    };
+    record.agents = [...new Set([...record.agents, ...agentIds])];
+    record.rounds = [...record.rounds.filter((r) => r.round !== verdict.round), verdict]
+      .sort((a, b) => a.round - b.round);
+    await client.json.set(verdictKey(debateId), "$", record);
+  });
+  return verdict;
+}
+
+/**
+ * Decide the debate from its stored round verdicts.
+ * @param {string} debateId
+ * @returns {Promise<FinalVerdict|null>} null when no round was judged
+ */
+export async function finalizeVerdict(debateId) {
+  return redisManager.execute(async (client) => {
+    const record = await client.json.get(verdictKey(debateId));
+    if (!record?.rounds.length) return null;
+
+    record.final = buildFinalVerdict(record.rounds, record.agents);
+    await client.json.set(verdictKey(debateId), "$", record);
+    return record.final;
+  });
+}
+
+/**
+ * @param {string} debateId
+ * @returns {Promise<{ debateId: string, topic: string, agents: string[], rounds: RoundVerdict[], final: FinalVerdict|null }|null>}
+ */
+export async function getVerdict(debateId) {
+  return redisManager.execute(async (client) => client.json.get(verdictKey(debateId)));
+}
+
+// Judging runs in the background; one task at a time per debate keeps the
+// final verdict behind the rounds it is built from
+const pendingJudging = new Map();
+
+/**
+ * Queue a judging task behind any still running for the same debate.
+ * @template T
+ * @param {string} debateId
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+export function scheduleJudging(debateId, task) {
+  const previous = pendingJudging.get(debateId) ?? Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+
+  pendingJudging.set(debateId, run);
+  run
+    .catch(() => {})
+    .finally(() => {
+      if (pendingJudging.get(debateId) === run) pendingJudging.delete(debateId);
+    });
+  return run;
+}
+
+export default {
+  RUBRIC,
+  JUDGE_PERSONAS,
+  TIE_MARGIN,
+  ScorecardSchema,
+  verdictKey,
+  getJudgePanel,
+  parseScorecard,
+  pickWinner,
+  aggregateScorecards,
+  judgeRound,
+  buildFinalVerdict,
+  scoreRound,
+  finalizeVerdict,
+  getVerdict,
+  scheduleJudging,
+};
@@ -0,0 +1,184 @@
+// Debate Replay
+// Rebuilds a finished (or running) debate from Redis - messages from the
+// `debate:{id}:messages` stream, stance points from the per-agent TimeSeries
+// and key moments from RedisJSON - and plays them back with their original
+// relative timing scaled by a speed multiplier.
+import redisManager from "./redisManager.js";
+import { getDebateCheckpoint } from "./debateState.js";
+import { topicToStanceKey } from "./messageGenerationCore.js";
+
+export const MAX_REPLAY_SPEED = 32;
+
+// Gaps keep their original length unless a caller opts in to squeezing long
+// silences (pauses, human seats timing out) with maxGapMs
+const DEFAULT_MAX_GAP_MS = Infinity;
+
+/**
+ * @typedef {Object} ReplayEvent
+ * @property {'message'|'stance'|'key_moment'} type
+ * @property {number} offsetMs - Time since the first event
+ * @property {string} timestamp - ISO 8601
+ */
+
+/**
+ * @typedef {Object} ReplayTimeline
+ * @property {string} debateId
+ * @property {string|null} topic
+ * @property {string[]} agents
+ * @property {string|null} startedAt
+ * @property {number} durationMs
+ * @property {ReplayEvent[]} events - Sorted by offsetMs
+ */
+
+function streamIdTime(id) {
+  return parseInt(id.split("-")[0]);
+}
+
+/**
+ * Collect everything stored for a debate into one ordered timeline.
+ * @param {string} debateId
+ * @returns {Promise<ReplayTimeline>}
+ */
+export async function loadReplayTimeline(debateId) {
+  const checkpoint = await getDebateCheckpoint(debateId).catch(() => null);
+
+  return await redisManager.execute(async (client) => {
+    const raw = [];
+
+    const entries = await client.xRange(`debate:${debateId}:messages`, "-", "+");
+    for (const entry of entries) {
+      raw.push({
+        type: "message",
+        time: streamIdTime(entry.id),
+        id: entry.id,
+        agentId: entry.message.agent_id,
+        message: entry.message.message,
+        authorType: entry.message.author_type || "ai",
+      });
+    }
+
+    const agents = checkpoint?.agents?.length
+      ? checkpoint.agents
+      : [...new Set(raw.map((event) => event.agentId))];
+    const topic = checkpoint?.topic || null;
+
+    // Stance TimeSeries are keyed by topic, so they need the checkpoint's topic
+    if (topic) {
+      const stanceKey = topicToStanceKey(topic);
+      for (const agentId of agents) {
+        const key = `debate:${debateId}:agent:${agentId}:stance:${stanceKey}`;
+        try {
+          const points = await client.ts.range(key, "-", "+");
+          for (const { timestamp, value } of points) {
+            // Same -1..1 scale as the live debate:stance_update broadcasts
+            raw.push({
+              type: "stance",
+              time: timestamp,
+              agentId,
+              value: (value - 0.5) * 2,
+            });
+          }
+        } catch (tsError) {
+          // No TimeSeries for this agent - replay without stance points
+        }
+      }
+    }
+
+    const keyMoments = await client.json.get(`debate:${debateId}:key_moments`);
+    for (const moment of keyMoments?.moments || []) {
+      const time = new Date(moment.timestamp).getTime();
+      if (Number.isFinite(time)) {
+        raw.push({ type: "key_moment", time, moment });
+      }
+    }
+
+    raw.sort((a, b) => a.time - b.time);
+    const start = raw[0]?.time;
+    const events = raw.map(({ time, ...event }) => ({
+      ...event,
+      offsetMs: time - start,
+      timestamp: new Date(time).toISOString(),
+    }));
+
+    return {
+      debateId,
+      topic,
+      agents,
+      startedAt: start !== undefined ? new Date(start).toISOString() : null,
+      durationMs: events.length ? events[events.length - 1].offsetMs : 0,
+      events,
+    };
+  });
+}
+
+/**
+ * Play a timeline back through onEvent. Events before fromMs are delivered
+ * at once with `catchUp: true` so a client seeking mid-debate can rebuild
+ * its state; later events keep their original spacing divided by speed.
+ * @param {ReplayTimeline} timeline
+ * @param {Object} options
+ * @param {(event: ReplayEvent & { catchUp?: boolean }) => void} options.onEvent
+ * @param {number} [options.speed=1]
+ * @param {number} [options.fromMs=0]
+ * @param {number} [options.maxGapMs=DEFAULT_MAX_GAP_MS] - Longest gap in debate time, uncapped by default
+ * @param {(ms: number) => Promise<void>} [options.sleep] - Injectable for tests
+ * @returns {{ done: Promise<boolean>, stop: () => void }} done resolves false if stopped
+ */
+export function playReplayTimeline(
+  timeline,
+  {
+    onEvent,
+    speed = 1,
+    fromMs = 0,
+    maxGapMs = DEFAULT_MAX_GAP_MS,
+    sleep,
+  },
+) {
+  const rate = Math.min(Math.max(speed, 0.1), MAX_REPLAY_SPEED);
+  let stopped = false;
+  // The pending wait, so stop() can end it instead of leaving a timer that
+  // may run for hours of uncapped debate time
+  let timer = null;
+  let wake = null;
+  const wait = (ms) =>
+    new Promise((resolve) => {
+      wake = resolve;
+      if (sleep) sleep(ms).then(resolve);
+      else timer = setTimeout(resolve, ms);
+    });
+
+  const done = (async () => {
+    let previousOffset = fromMs;
+    for (const event of timeline.events) {
+      if (stopped) return false;
+
+      if (event.offsetMs < fromMs) {
+        onEvent({ ...event, catchUp: true });
+        continue;
+      }
+
+      const gap = Math.min(event.offsetMs - previousOffset, maxGapMs);
+      if (gap > 0) await wait(gap / rate);
+      if (stopped) return false;
+
+      onEvent(event);
+      previousOffset = event.offsetMs;
+    }
+    return true;
+  })();
+
+  return {
+    done,
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+      wake?.();
+    },
+  };
+}
+
+export default {
+  MAX_REPLAY_SPEED,
+  loadReplayTimeline,
+  playReplayTimeline,
+};
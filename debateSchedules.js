@@ -0,0 +1,397 @@
+// Debate Schedules
+// One-shot and recurring (cron) debates stored in RedisJSON. A sorted set
+// scored by next run time holds what is due; the in-process runner, or an
+// external trigger calling runDueSchedules(), claims each run by pushing its
+// due time back a lease in one script, so only one server instance launches
+// it and a run lost to a crash comes due again.
+import { randomUUID } from "crypto";
+import redisManager from "./redisManager.js";
+
+const SCHEDULE_INDEX_KEY = "debate_schedules";
+const SCHEDULE_DUE_KEY = "debate_schedules:due";
+// How long a claimed run has to record its outcome before it is due again
+const CLAIM_LEASE_MS = 10 * 60 * 1000;
+
+// Move a due schedule (ARGV[1]) to the lease expiry (ARGV[3]) if it is still
+// due at ARGV[2]; 1 when this caller claimed the run
+const CLAIM_SCRIPT = `
+local score = redis.call('ZSCORE', KEYS[1], ARGV[1])
+if not score or tonumber(score) > tonumber(ARGV[2]) then return 0 end
+redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+return 1
+`;
+
+export function debateScheduleKey(id) {
+  return `debate_schedule:${id}`;
+}
+
+// Standard five-field cron, evaluated in UTC
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day-of-month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day-of-week", min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+// Give up looking for a matching minute after this long (e.g. "0 0 31 2 *")
+const MAX_CRON_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let start = min;
+    let end = max;
+
+    if (range !== "*") {
+      const [from, to] = range.split("-");
+      start = Number(from);
+      // "5/15" means every 15 from 5, a bare "5" just 5
+      end = to !== undefined ? Number(to) : stepText !== undefined ? max : start;
+    }
+
+    if (
+      ![start, end, step].every(Number.isInteger) ||
+      step < 1 ||
+      start < min ||
+      end > max ||
+      start > end
+    ) {
+      throw new Error(`Invalid ${name} field "${text}"`);
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  return values;
+}
+
+/**
+ * Parse "minute hour day-of-month month day-of-week". Supports `*`, lists,
+ * ranges and steps. Throws on anything else.
+ * @param {string} expression
+ */
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(
+      "Cron expression needs 5 fields: minute hour day-of-month month day-of-week",
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) =>
+    parseCronField(part, CRON_FIELDS[index]),
+  );
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  };
+}
+
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Cron rule: when both day fields are restricted, either may match
+function matchesDay(cron, date) {
+  const dayMatch = cron.days.has(date.getUTCDate());
+  const weekdayMatch = cron.weekdays.has(date.getUTCDay());
+  if (cron.anyDay) return weekdayMatch;
+  if (cron.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+/**
+ * First minute strictly after `after` that matches the expression.
+ * @param {string} expression
+ * @param {Date} [after]
+ * @returns {Date}
+ */
+export function nextCronRun(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const next = new Date(after.getTime());
+  next.setUTCSeconds(0, 0);
+  next.setUTCMinutes(next.getUTCMinutes() + 1);
+
+  const limit = after.getTime() + MAX_CRON_SEARCH_MS;
+  while (next.getTime() <= limit) {
+    if (!cron.months.has(next.getUTCMonth() + 1)) {
+      next.setUTCMonth(next.getUTCMonth() + 1, 1);
+      next.setUTCHours(0, 0);
+    } else if (!matchesDay(cron, next)) {
+      next.setUTCDate(next.getUTCDate() + 1);
+      next.setUTCHours(0, 0);
+    } else if (!cron.hours.has(next.getUTCHours())) {
+      next.setUTCHours(next.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(next.getUTCMinutes())) {
+      next.setUTCMinutes(next.getUTCMinutes() + 1);
+    } else {
+      return next;
+    }
+  }
+
+  throw new Error(`Cron expression "${expression}" never matches`);
+}
+
+/**
+ * @typedef {Object} DebateSchedule
+ * @property {string} id
+ * @property {string} [name]
+ * @property {string} topic
+ * @property {string[]} agents
+ * @property {string|null} [format] - Debate format name, see debateFormats.js
+ * @property {string} [turnPolicy] - See turnPolicies.js
+ * @property {string|null} cron - Recurring schedules
+ * @property {string|null} runAt - ISO 8601, one-shot schedules
+ * @property {boolean} enabled - One-shot schedules disable themselves once run
+ * @property {string|null} nextRunAt - ISO 8601
+ * @property {string|null} lastRunAt
+ * @property {string|null} lastDebateId
+ * @property {string|null} lastError
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * When a schedule should next launch, or null if it should not.
+ * An enabled one-shot whose time has passed is due immediately.
+ * @param {DebateSchedule} schedule
+ * @param {Date} [after]
+ * @returns {string|null}
+ */
+export function computeNextRun(schedule, after = new Date()) {
+  if (!schedule.enabled) return null;
+  if (schedule.cron) return nextCronRun(schedule.cron, after).toISOString();
+  return schedule.runAt || null;
+}
+
+// The document and its due entry are written together, so a claimed run is
+// either still leased or rescheduled, never dropped
+async function storeSchedule(schedule) {
+  await redisManager.execute(async (client) => {
+    const transaction = client
+      .multi()
+      .json.set(debateScheduleKey(schedule.id), "$", schedule)
+      .sAdd(SCHEDULE_INDEX_KEY, schedule.id);
+    if (schedule.nextRunAt) {
+      transaction.zAdd(SCHEDULE_DUE_KEY, {
+        score: Date.parse(schedule.nextRunAt),
+        value: schedule.id,
+      });
+    } else {
+      transaction.zRem(SCHEDULE_DUE_KEY, schedule.id);
+    }
+    await transaction.exec();
+  });
+  return schedule;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<DebateSchedule|null>}
+ */
+export async function getSchedule(id) {
+  return await redisManager.execute(async (client) =>
+    client.json.get(debateScheduleKey(id)),
+  );
+}
+
+/**
+ * All schedules, soonest next run first; schedules that will not run last.
+ * @returns {Promise<DebateSchedule[]>}
+ */
+export async function listSchedules() {
+  const ids = await redisManager.execute(async (client) =>
+    client.sMembers(SCHEDULE_INDEX_KEY),
+  );
+
+  const schedules = [];
+  for (const id of ids) {
+    const schedule = await getSchedule(id);
+    if (schedule) schedules.push(schedule);
+  }
+
+  const sortKey = (schedule) =>
+    schedule.nextRunAt ? Date.parse(schedule.nextRunAt) : Infinity;
+  return schedules.sort((a, b) => sortKey(a) - sortKey(b));
+}
+
+/**
+ * @param {Object} fields - Already validated (see debateScheduleSchema)
+ * @param {Date} [now]
+ * @returns {Promise<DebateSchedule>}
+ */
+export async function createSchedule(fields, now = new Date()) {
+  const schedule = {
+    id: randomUUID(),
+    format: null,
+    cron: null,
+    runAt: null,
+    enabled: true,
+    lastRunAt: null,
+    lastDebateId: null,
+    lastError: null,
+    ...fields,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+  schedule.nextRunAt = computeNextRun(schedule, now);
+  return await storeSchedule(schedule);
+}
+
+/**
+ * Replace a schedule's settings, keeping its run history.
+ * @returns {Promise<DebateSchedule|null>} null if the schedule does not exist
+ */
+export async function updateSchedule(id, fields, now = new Date()) {
+  const existing = await getSchedule(id);
+  if (!existing) return null;
+
+  const schedule = {
+    ...existing,
+    format: null,
+    cron: null,
+    runAt: null,
+    enabled: true,
+    ...fields,
+    id,
+    updatedAt: now.toISOString(),
+  };
+  schedule.nextRunAt = computeNextRun(schedule, now);
+  return await storeSchedule(schedule);
+}
+
+/**
+ * @returns {Promise<boolean>} false if the schedule did not exist
+ */
+export async function deleteSchedule(id) {
+  return await redisManager.execute(async (client) => {
+    const removed = await client.del(debateScheduleKey(id));
+    await client.sRem(SCHEDULE_INDEX_KEY, id);
+    await client.zRem(SCHEDULE_DUE_KEY, id);
+    return removed > 0;
+  });
+}
+
+/**
+ * Launch every schedule that is due. `launch` starts the debate and resolves
+ * to { debateId }, { error } to record a failed run, or { retry: true } to
+ * try again on the next tick without counting a run.
+ * @param {(schedule: DebateSchedule) => Promise<{ debateId?: string, error?: string, retry?: boolean }>} launch
+ * @param {Date} [now]
+ * @returns {Promise<Array<{ scheduleId: string, debateId?: string, error?: string }>>}
+ */
+export async function runDueSchedules(launch, now = new Date()) {
+  const dueIds = await redisManager.execute(async (client) =>
+    client.zRangeByScore(SCHEDULE_DUE_KEY, 0, now.getTime()),
+  );
+
+  const results = [];
+  for (const id of dueIds) {
+    const claimed = await redisManager.execute(async (client) =>
+      client.eval(CLAIM_SCRIPT, {
+        keys: [SCHEDULE_DUE_KEY],
+        arguments: [id, String(now.getTime()), String(now.getTime() + CLAIM_LEASE_MS)],
+      }),
+    );
+    if (!claimed) continue; // Another instance took this run
+
+    const schedule = await getSchedule(id);
+    if (!schedule?.enabled) {
+      await redisManager.execute(async (client) => client.zRem(SCHEDULE_DUE_KEY, id));
+      continue;
+    }
+
+    let outcome;
+    try {
+      outcome = await launch(schedule);
+    } catch (error) {
+      outcome = { error: error.message };
+    }
+
+    if (outcome.retry) {
+      await storeSchedule(schedule);
+      continue;
+    }
+
+    const ranAt = now.toISOString();
+    const updated = {
+      ...schedule,
+      enabled: Boolean(schedule.cron),
+      lastRunAt: ranAt,
+      lastDebateId: outcome.debateId ?? schedule.lastDebateId,
+      lastError: outcome.error ?? null,
+      updatedAt: ranAt,
+    };
+    updated.nextRunAt = computeNextRun(updated, now);
+    await storeSchedule(updated);
+
+    results.push({ scheduleId: id, ...outcome });
+  }
+
+  return results;
+}
+
+/**
+ * Poll for due schedules in this process.
+ * @param {Function} launch - See runDueSchedules
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=30000]
+ * @returns {() => void} Stops the runner
+ */
+export function startScheduleRunner(launch, { intervalMs = 30000 } = {}) {
+  let ticking = false;
+
+  const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const results = await runDueSchedules(launch);
+      for (const result of results) {
+        console.log(
+          result.error
+            ? `⚠️ Scheduled debate ${result.scheduleId} failed: ${result.error}`
+            : `🗓️ Scheduled debate ${result.scheduleId} started as ${result.debateId}`,
+        );
+      }
+    } catch (error) {
+      console.log(`⚠️ Debate schedule check failed: ${error.message}`);
+    } finally {
+      ticking = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+  return () => clearInterval(timer);
+}
+
+export default {
+  debateScheduleKey,
+  parseCron,
+  isValidCron,
+  nextCronRun,
+  computeNextRun,
+  getSchedule,
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runDueSchedules,
+  startScheduleRunner,
+};
@@ -0,0 +1,167 @@
+// Debate Lifecycle State - RedisJSON checkpoints
+// Persists topic, agents, round, turn index and status after each turn so a
+// restart can resume a debate or mark it interrupted instead of losing it.
+import redisManager from "./redisManager.js";
+import { config } from "./src/config/index.js";
+
+// Debates whose checkpoint may still need recovery after a restart
+const LIVE_DEBATES_KEY = "debates:live";
+
+export const DEBATE_STATUS = {
+  RUNNING: "running",
+  PAUSED: "paused",
+  COMPLETED: "completed",
+  STOPPED: "stopped",
+  INTERRUPTED: "interrupted",
+  FAILED: "failed",
+};
+
+const LIVE_STATUSES = new Set([DEBATE_STATUS.RUNNING, DEBATE_STATUS.PAUSED]);
+
+export function debateStateKey(debateId) {
+  return `debate:${debateId}:state`;
+}
+
+/**
+ * @typedef {Object} DebateCheckpoint
+ * @property {string} debateId
+ * @property {string} topic
+ * @property {string[]} agents
+ * @property {number} rounds - Total rounds planned
+ * @property {number} round - Current 1-based round
+ * @property {number} turnIndex - Completed turns so far
+ * @property {number} currentAgentIndex - Index into agents of the next speaker
+ * @property {string|null} lastSpeaker
+ * @property {string} [turnPolicy] - See turnPolicies.js
+ * @property {Object<string, number>} [turnWeights]
+ * @property {string|null} [format] - Debate format name, see debateFormats.js
+ * @property {number} [totalTurns] - Schedule length of a formatted debate
+ * @property {string} status - One of DEBATE_STATUS
+ * @property {'legacy'|'langgraph'} orchestration
+ * @property {string} startTime - ISO 8601
+ * @property {string} updatedAt - ISO 8601
+ */
+
+/**
+ * Write (or merge into) the checkpoint for a debate.
+ * @param {string} debateId
+ * @param {Partial<DebateCheckpoint>} state
+ * @returns {Promise<DebateCheckpoint>}
+ */
+export async function saveDebateCheckpoint(debateId, state) {
+  return await redisManager.execute(async (client) => {
+    const existing = (await client.json.get(debateStateKey(debateId))) || {};
+    const checkpoint = {
+      ...existing,
+      ...state,
+      debateId,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await client.json.set(debateStateKey(debateId), "$", checkpoint);
+    if (LIVE_STATUSES.has(checkpoint.status)) {
+      await client.sAdd(LIVE_DEBATES_KEY, debateId);
+    } else {
+      await client.sRem(LIVE_DEBATES_KEY, debateId);
+    }
+
+    return checkpoint;
+  });
+}
+
+/**
+ * Update only the status (plus any extra fields) of a checkpoint.
+ * @param {string} debateId
+ * @param {string} status
+ * @param {Object} [extra]
+ */
+export async function markDebateStatus(debateId, status, extra = {}) {
+  return await saveDebateCheckpoint(debateId, { ...extra, status });
+}
+
+/**
+ * @param {string} debateId
+ * @returns {Promise<DebateCheckpoint|null>}
+ */
+export async function getDebateCheckpoint(debateId) {
+  return await redisManager.execute(async (client) => {
+    return await client.json.get(debateStateKey(debateId));
+  });
+}
+
+/**
+ * Checkpoints of debates that were running or paused when last written.
+ * Ids whose state key has expired or been deleted are pruned from the index.
+ * @returns {Promise<DebateCheckpoint[]>}
+ */
+export async function listLiveDebateCheckpoints() {
+  return await redisManager.execute(async (client) => {
+    const ids = await client.sMembers(LIVE_DEBATES_KEY);
+    const checkpoints = [];
+
+    for (const id of ids) {
+      const checkpoint = await client.json.get(debateStateKey(id));
+      if (checkpoint) {
+        checkpoints.push(checkpoint);
+      } else {
+        await client.sRem(LIVE_DEBATES_KEY, id);
+      }
+    }
+
+    return checkpoints;
+  });
+}
+
+/**
+ * Decide what startup recovery should do with a live checkpoint.
+ * Only the legacy round loop can resume mid-debate; LangGraph state lives in
+ * the compiled graph and is not checkpointed, so those are interrupted.
+ * @param {DebateCheckpoint} checkpoint
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()]
+ * @param {string} [options.mode=config.debate.recoveryMode]
+ * @param {number} [options.maxAgeMs=config.debate.recoveryMaxAgeMs]
+ * @returns {{ action: 'resume'|'interrupt'|'complete', reason: string }}
+ */
+export function planDebateRecovery(
+  checkpoint,
+  {
+    now = Date.now(),
+    mode = config.debate.recoveryMode,
+    maxAgeMs = config.debate.recoveryMaxAgeMs,
+  } = {},
+) {
+  // Formatted debates record their schedule length; others take
+  // rounds * agents turns
+  const totalTurns =
+    checkpoint.totalTurns ??
+    checkpoint.rounds * (checkpoint.agents?.length || 0);
+
+  if (totalTurns > 0 && checkpoint.turnIndex >= totalTurns) {
+    return { action: "complete", reason: "all turns already taken" };
+  }
+  if (mode !== "resume") {
+    return { action: "interrupt", reason: `recovery mode is "${mode}"` };
+  }
+  if (checkpoint.orchestration === "langgraph") {
+    return { action: "interrupt", reason: "langgraph debates cannot resume" };
+  }
+  if (!checkpoint.topic || !(checkpoint.agents?.length >= 2)) {
+    return { action: "interrupt", reason: "checkpoint is incomplete" };
+  }
+  if (now - new Date(checkpoint.updatedAt).getTime() > maxAgeMs) {
+    return { action: "interrupt", reason: "checkpoint is stale" };
+  }
+
+  return { action: "resume", reason: `resuming at turn ${checkpoint.turnIndex + 1}` };
+}
+
+export default {
+  DEBATE_STATUS,
+  debateStateKey,
+  saveDebateCheckpoint,
+  markDebateStatus,
+  getDebateCheckpoint,
+  listLiveDebateCheckpoints,
+  planDebateRecovery,
+};
@@ -0,0 +1,266 @@
+// Embedding Indexes
+// Vector index names and schemas sized for the embedding provider in use
+// (EMBEDDING_PROVIDER, see llmProvider.js). Indexes built for the hosted
+// 1536-dimension providers keep their original names (cache-index,
+// facts-index, scientific-facts-index, ...); other sizes get their own, such
+// as cache-index-384, so a query never meets vectors of the wrong size. The
+// provider behind the stored vectors is recorded in embedding:backend. When
+// the configured provider differs, migrateEmbeddings() re-embeds every
+// collection into indexes for the new provider (run: node migrateEmbeddings.js).
+import redisManager from "./redisManager.js";
+import { CACHE_CONFIG } from "./cacheConfig.js";
+import {
+  DEFAULT_EMBEDDING_DIMENSIONS,
+  generateEmbedding,
+  getEmbeddingProviderName,
+  getLLMProvider,
+} from "./llmProvider.js";
+
+export const EMBEDDING_BACKEND_KEY = "embedding:backend";
+
+/**
+ * @typedef {Object} EmbeddingBackend
+ * @property {string} provider
+ * @property {string} model
+ * @property {number} dimensions
+ */
+
+// What stored vectors came from before the backend was recorded
+const LEGACY_BACKEND = {
+  provider: "openai",
+  model: CACHE_CONFIG.EMBEDDING_MODEL,
+  dimensions: DEFAULT_EMBEDDING_DIMENSIONS,
+};
+
+/**
+ * @returns {EmbeddingBackend} The configured embedding provider
+ */
+export function getEmbeddingBackend() {
+  const provider = getLLMProvider(getEmbeddingProviderName());
+  return {
+    provider: provider.name,
+    model: provider.embeddingModel,
+    dimensions: provider.embeddingDimensions,
+  };
+}
+
+/**
+ * @param {string} base - Index name at the default size
+ * @param {number} [dimensions] - Defaults to the configured provider's
+ * @returns {string}
+ */
+export function vectorIndexName(base, dimensions = getEmbeddingBackend().dimensions) {
+  return dimensions === DEFAULT_EMBEDDING_DIMENSIONS ? base : `${base}-${dimensions}`;
+}
+
+const vectorField = (algorithm, dimensions, extra = {}) => ({
+  type: "VECTOR",
+  ALGORITHM: algorithm,
+  TYPE: "FLOAT32",
+  DIM: dimensions,
+  DISTANCE_METRIC: "COSINE",
+  ...extra,
+});
+
+const factsSchema = (dimensions) => ({
+  content: { type: "TEXT" },
+  embedding: vectorField("FLAT", dimensions),
+});
+
+// advancedFactChecker.js's per-domain knowledge bases, such as
+// scientific-facts-index over scientific:fact:*
+const domainFacts = (domain) => ({
+  base: `${domain}-facts-index`,
+  prefix: `${domain}:fact:`,
+  textField: "content",
+  vectorField: "embedding",
+  schema: factsSchema,
+});
+
+/**
+ * Hash collections with an embedded text field, by name.
+ */
+export const EMBEDDING_COLLECTIONS = {
+  cache: {
+    base: CACHE_CONFIG.VECTOR_INDEX_NAME,
+    prefix: "cache:prompt:",
+    // The topic-qualified prompt the cache embeds
+    textField: "content",
+    vectorField: "vector",
+    schema: (dimensions) => ({
+      content: { type: "TEXT", SORTABLE: true },
+      response: { type: "TEXT" },
+      topic: { type: "TAG", SORTABLE: true },
+      vector: vectorField("HNSW", dimensions, {
+        INITIAL_CAP: 100,
+        M: 16,
+        EF_CONSTRUCTION: 200,
+      }),
+      created_at: { type: "TEXT" },
+      tokens_saved: { type: "NUMERIC" },
+    }),
+  },
+  facts: {
+    base: "facts-index",
+    prefix: "fact:",
+    textField: "content",
+    vectorField: "embedding",
+    schema: factsSchema,
+  },
+  scientificFacts: domainFacts("scientific"),
+  politicalFacts: domainFacts("political"),
+  economicFacts: domainFacts("economic"),
+};
+
+/**
+ * Create a collection's index for vectors of the given size, unless it exists.
+ * @param {import("redis").RedisClientType} client
+ * @param {keyof typeof EMBEDDING_COLLECTIONS} collection
+ * @param {number} [dimensions]
+ * @param {{ replace?: boolean }} [options] - Drop an existing index first
+ * @returns {Promise<string>} Index name
+ */
+export async function createVectorIndex(
+  client,
+  collection,
+  dimensions = getEmbeddingBackend().dimensions,
+  { replace = false } = {},
+) {
+  const { base, prefix, schema } = EMBEDDING_COLLECTIONS[collection];
+  const name = vectorIndexName(base, dimensions);
+  if (replace) {
+    await client.ft.dropIndex(name).catch(() => {});
+  }
+  try {
+    await client.ft.create(name, schema(dimensions), { ON: "HASH", PREFIX: prefix });
+  } catch (error) {
+    if (!error.message.includes("Index already exists")) throw error;
+  }
+  return name;
+}
+
+/**
+ * @returns {Promise<EmbeddingBackend & { migratedAt?: string }>} The provider
+ *   behind the stored vectors
+ */
+export async function getRecordedBackend() {
+  const stored = await redisManager.execute(async (client) =>
+    client.hGetAll(EMBEDDING_BACKEND_KEY),
+  );
+  if (!stored.provider) return LEGACY_BACKEND;
+  return { ...stored, dimensions: parseInt(stored.dimensions, 10) };
+}
+
+const sameBackend = (a, b) =>
+  a.provider === b.provider && a.model === b.model && a.dimensions === b.dimensions;
+
+async function scanKeys(client, prefix) {
+  const keys = [];
+  let cursor = "0";
+  do {
+    const result = await client.scan(cursor, { MATCH: `${prefix}*`, COUNT: 200 });
+    cursor = String(result.cursor);
+    keys.push(...result.keys);
+  } while (cursor !== "0");
+  return [...new Set(keys)];
+}
+
+/**
+ * @typedef {Object} MigrationProgress
+ * @property {string} collection
+ * @property {string} key
+ * @property {boolean} ok
+ * @property {number} completed - Within the collection
+ * @property {number} total
+ */
+
+/**
+ * @typedef {Object} MigrationResult
+ * @property {'up_to_date'|'migrated'|'dry_run'} status
+ * @property {EmbeddingBackend} from
+ * @property {EmbeddingBackend} to
+ * @property {Object<string, { index: string, keys: number, reembedded: number, failed: string[] }>} collections
+ */
+
+/**
+ * Re-embed every collection with the configured provider. A new
+ * index is created first when the size changes, and the old one is
+ * dropped afterwards; the hashes stay. Keys that fail to embed keep their
+ * old vector and are listed, and the backend is not recorded until none fail.
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Re-embed even if the backend is unchanged
+ * @param {boolean} [options.dryRun] - Count keys only
+ * @param {(text: string) => Promise<number[]>} [options.embed]
+ * @param {(progress: MigrationProgress) => void} [options.onProgress]
+ * @returns {Promise<MigrationResult>}
+ */
+export async function migrateEmbeddings({
+  force = false,
+  dryRun = false,
+  embed = (text) => generateEmbedding(text),
+  onProgress = () => {},
+} = {}) {
+  const from = await getRecordedBackend();
+  const to = getEmbeddingBackend();
+  const result = { status: "migrated", from, to, collections: {} };
+  if (sameBackend(from, to) && !force) return { ...result, status: "up_to_date" };
+
+  for (const [collection, { base, textField, vectorField: field, prefix }] of Object.entries(EMBEDDING_COLLECTIONS)) {
+    const summary = await redisManager.execute(async (client) => {
+      const keys = await scanKeys(client, prefix);
+      const index = vectorIndexName(base, to.dimensions);
+      const stats = { index, keys: keys.length, reembedded: 0, failed: [] };
+      if (dryRun) return stats;
+
+      await createVectorIndex(client, collection, to.dimensions);
+      for (const [i, key] of keys.entries()) {
+        let ok = false;
+        try {
+          const text = await client.hGet(key, textField);
+          if (text) {
+            const vector = await embed(text);
+            await client.hSet(key, field, Buffer.from(new Float32Array(vector).buffer));
+            ok = true;
+          }
+        } catch (error) {
+          console.error(`❌ Could not re-embed ${key}:`, error.message);
+        }
+        if (ok) stats.reembedded++;
+        else stats.failed.push(key);
+        onProgress({ collection, key, ok, completed: i + 1, total: keys.length });
+      }
+
+      const oldIndex = vectorIndexName(base, from.dimensions);
+      if (oldIndex !== index) {
+        // Keeps the documents, which the new index now covers
+        await client.ft.dropIndex(oldIndex).catch(() => {});
+      }
+      return stats;
+    });
+    result.collections[collection] = summary;
+  }
+
+  if (dryRun) return { ...result, status: "dry_run" };
+  const failures = Object.values(result.collections).reduce((sum, c) => sum + c.failed.length, 0);
+  if (failures === 0) {
+    await redisManager.execute(async (client) =>
+      client.hSet(EMBEDDING_BACKEND_KEY, {
+        provider: to.provider,
+        model: to.model,
+        dimensions: String(to.dimensions),
+        migratedAt: new Date().toISOString(),
+      }),
+    );
+  }
+  return result;
+}
+
+export default {
+  EMBEDDING_BACKEND_KEY,
+  EMBEDDING_COLLECTIONS,
+  getEmbeddingBackend,
+  vectorIndexName,
+  createVectorIndex,
+  getRecordedBackend,
+  migrateEmbeddings,
+};
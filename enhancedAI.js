@@ -4,6 +4,9 @@ import 'dotenv/config';
 import redisManager from './redisManager.js';
 import { generateMessageCore, determineEmotionalState, findPotentialAllies, topicToStanceKey } from './messageGenerationCore.js';
 import { debateStanceShifts } from './metrics.js';
+import { collectAnsweredArguments, evaluateStanceUpdate, recordStanceUpdate } from './stanceEvolution.js';
+import { recallMemories, formatRecalledMemories } from './agentMemory.js';
+import { applyProfileOverride, getLineage, getProfileOverride, setForkStance } from './debateForks.js';
 
 // Import fact-checking and sentiment analysis
 async function findClosestFact(messageText) {
@@ -49,6 +52,9 @@ export async function generateEnhancedMessage(agentId, debateId, topic = 'genera
         const emotionalState = determineEmotionalState(profile, recentContext);
         const allies = await findPotentialAllies(agentId, debateId, topic);
 
+        // Relevant memories from the agent's earlier debates
+        const longTermMemories = await recallMemories(agentId, topic, { excludeDebateId: debateId });
+
         // Use core generation with enhanced context
         const result = await generateMessageCore({
             agentId,
@@ -59,7 +65,8 @@ export async function generateEnhancedMessage(agentId, debateId, topic = 'genera
             turnNumber,
             additionalContext: {
                 emotionalState,
-                allies
+                allies,
+                longTermMemory: formatRecalledMemories(longTermMemories)
             },
             temperature: 0.9,
             maxTokens: 150
@@ -89,17 +96,22 @@ export async function generateEnhancedMessage(agentId, debateId, topic = 'genera
 }
 
 // Enhanced message generation without storing to streams (for server-controlled storage)
-export async function generateEnhancedMessageOnly(agentId, debateId, topic = 'general policy') {
+// options.phase is the current FormatTurn when the debate runs a format (see debateFormats.js)
+// options.newsContext is the agent's side and evidence in a news-seeded debate (see newsDebates.js)
+export async function generateEnhancedMessageOnly(agentId, debateId, topic = 'general policy', { phase = null, newsContext = '' } = {}) {
     try {
         // Get agent profile and debate context using Redis manager
-        const profile = await redisManager.execute(async (client) => {
+        const storedProfile = await redisManager.execute(async (client) => {
             return await client.json.get(`agent:${agentId}:profile`);
         });
         
-        if (!profile) {
+        if (!storedProfile) {
             throw new Error(`No profile found for agent: ${agentId}`);
         }
 
+        // A fork may have changed how this agent argues (see debateForks.js)
+        const profile = applyProfileOverride(storedProfile, await getProfileOverride(debateId, agentId));
+
         // Get recent debate messages for context
         const debateMessages = await redisManager.execute(async (client) => {
             return await client.xRevRange(`debate:${debateId}:messages`, '+', '-', { COUNT: 10 });
@@ -112,6 +124,9 @@ export async function generateEnhancedMessageOnly(agentId, debateId, topic = 'ge
         const emotionalState = determineEmotionalState(profile, recentContext);
         const allies = await findPotentialAllies(agentId, debateId, topic);
 
+        // Relevant memories from the agent's earlier debates
+        const longTermMemories = await recallMemories(agentId, topic, { excludeDebateId: debateId });
+
         // Calculate turn number for variation
         const totalMessages = debateMessages.length;
         const turnNumber = Math.floor(totalMessages / 2) + 1;
@@ -130,7 +145,10 @@ export async function generateEnhancedMessageOnly(agentId, debateId, topic = 'ge
             turnNumber,
             additionalContext: {
                 emotionalState,
-                allies
+                allies,
+                phase,
+                newsContext,
+                longTermMemory: formatRecalledMemories(longTermMemories)
             },
             temperature: adjustedTemperature,
             maxTokens: 200
@@ -170,6 +188,7 @@ export async function generateEnhancedMessageOnly(agentId, debateId, topic = 'ge
             metadata: {
                 emotionalState,
                 allies: allies.join(', '),
+                recalledMemories: longTermMemories.map(memory => memory.id),
                 turnNumber,
                 temperature: adjustedTemperature,
                 agentId,
@@ -184,122 +203,88 @@ export async function generateEnhancedMessageOnly(agentId, debateId, topic = 'ge
     }
 }
 
-// Extract references from previous messages (utility function)
+// Extract references from previous messages (utility function): the
+// speakers in `recentContext` ("agentId: message" lines) that the message names
 export function extractReferences(message, recentContext) {
     const references = [];
-    const contextLines = recentContext.split('\n');
     
-    // Simple reference detection
-    for (const line of contextLines) {
-        if (line.includes('senatorbot:') || line.includes('reformerbot:')) {
-            const agentName = line.split(':')[0];
-            if (message.toLowerCase().includes(agentName.toLowerCase())) {
-                references.push(agentName);
-            }
+    for (const line of recentContext.split('\n')) {
+        const speaker = line.match(/^([\w-]+):/)?.[1];
+        if (!speaker || references.includes(speaker)) continue;
+        // Whole words only, so "economy" does not name "con"
+        const named = new RegExp(`\\b${speaker.replace(/[^\w]/g, '\\$&')}\\b`, 'i');
+        if (named.test(message)) {
+            references.push(speaker);
         }
     }
     
     return references.join(', ');
 }
 
-// Advanced stance evolution based on debate dynamics
+// Stance evolution: weigh the opponent arguments the agent just answered
+// (see stanceEvolution.js) and log why the stance moved
 export async function updateStanceBasedOnDebate(agentId, debateId, topic) {
-    try {
-        const [profile, debateMessages] = await Promise.all([
-            redisManager.execute(async (client) => {
-                return await client.json.get(`agent:${agentId}:profile`);
-            }),
-            redisManager.execute(async (client) => {
-                return await client.xRevRange(`debate:${debateId}:messages`, '+', '-', { COUNT: 20 });
-            })
-        ]);
-        
-        const stanceKey = topicToStanceKey(topic);
-        const currentStance = profile.stance?.[stanceKey] || 0.5;
-        
-        // Analyze recent messages
-        let stanceShift = await analyzeMessagesForStanceShift(agentId, debateMessages);
-        
-        // Apply agent-specific patterns and personality factors
-        stanceShift = applyAgentPersonalityModifiers(agentId, profile, stanceShift);
-        
-        const newStance = Math.max(0, Math.min(1, currentStance + stanceShift));
-        
-        // Update profile
-        profile.stance[stanceKey] = newStance;
-        await redisManager.execute(async (client) => {
-            await client.json.set(`agent:${agentId}:profile`, '$', profile);
-        });
-        
-        // Store in TimeSeries for tracking
-        const tsKey = `debate:${debateId}:agent:${agentId}:stance:${stanceKey}`;
-        try {
-            await redisManager.execute(async (client) => {
-                await client.ts.add(tsKey, '*', parseFloat(newStance).toString());
-            });
-        } catch (tsError) {
-            console.log(`⚠️ TimeSeries add failed: ${tsError.message}`);
-        }
+    const debateMessages = await redisManager.execute(async (client) => {
+        return await client.xRevRange(`debate:${debateId}:messages`, '+', '-', { COUNT: 20 });
+    });
+    const answered = collectAnsweredArguments(agentId, debateMessages);
 
-        // Track stance shift metrics (only count meaningful shifts > 0.05)
-        if (Math.abs(stanceShift) > 0.05) {
-            debateStanceShifts.inc({ agent_id: agentId, topic: stanceKey });
+    const profiles = {};
+    await redisManager.execute(async (client) => {
+        for (const id of new Set([agentId, ...answered.map(argument => argument.speakerId)])) {
+            profiles[id] = await client.json.get(`agent:${id}:profile`);
         }
+    });
+    // Forks argue with their own overrides, forked stances included
+    const overrides = (await getLineage(debateId))?.agentOverrides || {};
+    const override = overrides[agentId];
+    const profile = applyProfileOverride(profiles[agentId], override);
 
-        return { oldStance: currentStance, newStance, shift: stanceShift };
-        
-    } catch (error) {
-        throw error;
+    const stanceKey = topicToStanceKey(topic);
+    const speakerStances = {};
+    for (const [id, speakerProfile] of Object.entries(profiles)) {
+        speakerStances[id] = applyProfileOverride(speakerProfile, overrides[id])?.stance?.[stanceKey] ?? 0.5;
     }
-}
 
-// Helper function to analyze messages and calculate initial stance shift
-async function analyzeMessagesForStanceShift(agentId, messages) {
-    let strongArgumentsFor = 0;
-    let strongArgumentsAgainst = 0;
-    
-    for (const entry of messages) {
-        if (entry.message.agent_id !== agentId) {
-            const message = entry.message.message.toLowerCase();
-            
-            // Check for strong evidence-based arguments
-            const strongIndicators = ['evidence', 'data', 'research', 'study', 'proven'];
-            const isStrong = strongIndicators.some(word => message.includes(word));
-            
-            if (isStrong) {
-                if (message.includes('benefit') || message.includes('improve')) {
-                    strongArgumentsFor++;
-                } else if (message.includes('harmful') || message.includes('dangerous')) {
-                    strongArgumentsAgainst++;
-                }
-            }
-        }
+    const update = await evaluateStanceUpdate({
+        agentId,
+        profile,
+        topic,
+        stanceKey,
+        answered,
+        speakerStances
+    });
+
+    if (override?.stance?.[stanceKey] !== undefined) {
+        await setForkStance(debateId, agentId, stanceKey, update.newStance);
+    } else {
+        await redisManager.execute(async (client) => {
+            await client.json.set(`agent:${agentId}:profile`, '$.stance', {
+                ...profiles[agentId].stance,
+                [stanceKey]: update.newStance
+            });
+        });
     }
-    
-    // Calculate base shift
-    if (strongArgumentsFor > strongArgumentsAgainst) {
-        return 0.15; // Noticeable positive shift
-    } else if (strongArgumentsAgainst > strongArgumentsFor) {
-        return -0.15; // Noticeable negative shift
+    try {
+        await recordStanceUpdate(debateId, update);
+    } catch (logError) {
+        console.log(`⚠️ Stance reason log failed: ${logError.message}`);
     }
-    return (Math.random() - 0.5) * 0.1; // Small random variation
-}
 
-// Helper function to apply agent-specific modifiers
-function applyAgentPersonalityModifiers(agentId, profile, baseShift) {
-    let agentModifier = 1.0;
-    
-    // Apply agent-specific behavior patterns
-    if (agentId === 'senatorbot') {
-        // More conservative change pattern
-        agentModifier = 0.7 + (Math.sin(Date.now() / 10000) * 0.3);
-    } else if (agentId === 'reformerbot') {
-        // More dynamic change pattern
-        agentModifier = 1.3 + (Math.cos(Date.now() / 8000) * 0.4);
+    // Store in TimeSeries for tracking
+    const tsKey = `debate:${debateId}:agent:${agentId}:stance:${stanceKey}`;
+    try {
+        await redisManager.execute(async (client) => {
+            await client.ts.add(tsKey, '*', parseFloat(update.newStance).toString());
+        });
+    } catch (tsError) {
+        console.log(`⚠️ TimeSeries add failed: ${tsError.message}`);
     }
-    
-    // Apply personality resistance
-    const personalityFactor = profile.tone === 'stubborn' ? 0.5 : 1.0;
-    
-    return baseShift * agentModifier * personalityFactor;
+
+    // Track stance shift metrics (only count meaningful shifts > 0.05)
+    if (Math.abs(update.shift) > 0.05) {
+        debateStanceShifts.inc({ agent_id: agentId, topic: stanceKey });
+    }
+
+    return update;
 }
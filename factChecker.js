@@ -1,18 +1,18 @@
 import 'dotenv/config';
 import { createClient } from 'redis';
-import { OpenAIEmbeddings } from '@langchain/openai';
+import { generateEmbedding } from './llmProvider.js';
+import { vectorIndexName } from './embeddingIndexes.js';
 
 const client = createClient({ url: process.env.REDIS_URL });
 client.on('error', (err) => console.error('🔴 Redis client error:', err.message));
-const embeddings = new OpenAIEmbeddings();
 
 async function findClosestFact(messageText) { // ✅ Renamed for clarity
     await client.connect();
 
-    const embedding = await embeddings.embedQuery(messageText);
+    const embedding = await generateEmbedding(messageText);
     const vector = Buffer.from(Float32Array.from(embedding).buffer);
 
-    const result = await client.ft.search('facts-index', '*=>[KNN 1 @embedding $vector AS score]', {
+    const result = await client.ft.search(vectorIndexName('facts-index', embedding.length), '*=>[KNN 1 @embedding $vector AS score]', {
         PARAMS: { vector },
         RETURN: ['content', 'score'],
         DIALECT: 2,
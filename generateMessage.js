@@ -2,13 +2,9 @@ import 'dotenv/config';
 import redisManager from './redisManager.js';
 import { generateMessageCore, topicToStanceKey } from './messageGenerationCore.js';
 import { getCachedResponse, cacheNewResponse } from './semanticCache.js';
-import OpenAI from 'openai';
-import {
-    trackOpenAICall,
-    debateMessagesTotal
-} from './metrics.js';
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+import { formatPhaseGuidance } from './debateFormats.js';
+import { generateCompletion } from './llmProvider.js';
+import { debateMessagesTotal } from './metrics.js';
 
 export async function generateMessage(agentId, debateId, topic = 'general policy') {
     try {
@@ -139,7 +135,7 @@ Avoid repeating previous arguments. Express your distinctive viewpoint as a ${pr
 }
 
 // Generate message without storing to streams (for server-controlled storage)
-export async function generateMessageOnly(agentId, debateId, topic = 'general policy') {
+export async function generateMessageOnly(agentId, debateId, topic = 'general policy', { phase = null, newsContext = '' } = {}) {
     try {
         const profileKey = `agent:${agentId}:profile`;
         const memoryStreamKey = `debate:${debateId}:agent:${agentId}:memory`;
@@ -198,7 +194,7 @@ Debate topic: ${topic}.
 Turn: ${turnNumber}
 Conversational style: ${randomCue}
 Unique seed: ${randomSeed}
-
+${phase ? `${formatPhaseGuidance(phase)}\n` : ''}${newsContext ? `${newsContext}\n` : ''}
 ${memoryContext
                 ? `Previously, you said:\n${memoryContext}\n\n`
                 : ''
@@ -220,18 +216,15 @@ Seed: ${randomSeed}
         } else {
             // Generate AI message (cache miss)
             console.log('🤖 Generating new AI response...');
-            const chatResponse = await trackOpenAICall('gpt-4', async () => {
-                return await openai.chat.completions.create({
-                    model: 'gpt-4',
-                    messages: [
-                        { role: 'system', content: prompt },
-                        { role: 'user', content: `What's your perspective on "${topic}"? Keep it brief and in character. ${randomCue}` },
-                    ],
-                    temperature: 0.8,
-                });
+            const chatResponse = await generateCompletion({
+                messages: [
+                    { role: 'system', content: prompt },
+                    { role: 'user', content: `What's your perspective on "${topic}"? Keep it brief and in character. ${randomCue}` },
+                ],
+                temperature: 0.8,
             });
 
-            message = chatResponse.choices[0].message.content.trim();
+            message = chatResponse.text;
 
             // Cache the new response
             await cacheNewResponse(prompt, message, {
@@ -318,19 +311,16 @@ ${recentMessages}
 
 Respond as ${profile.name} with your unique perspective on this topic. Stay true to your political positions and personality.`;
 
-        const completion = await trackOpenAICall('gpt-4', async () => {
-            return await openai.chat.completions.create({
-                model: 'gpt-4',
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                max_tokens: 300,
-                temperature: 0.8
-            });
+        const completion = await generateCompletion({
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userPrompt }
+            ],
+            maxTokens: 300,
+            temperature: 0.8
         });
 
-        const response = completion.choices[0].message.content;
+        const response = completion.text;
         console.log('✅ Generated new response');
 
         // Cache the new response
@@ -0,0 +1,151 @@
+// Human Participant Seats
+// A person can take over an agent's seat in a running debate. When that seat
+// is due to speak, the runner waits here for a turn posted through
+// POST /api/debate/:id/human-turn, or passes the turn after a timeout.
+import { config } from "./src/config/index.js";
+
+const HUMAN_TURN_POLL_INTERVAL = 200; // ms, matches the runners' cancellation checks
+
+const seatsByDebate = new Map(); // debateId -> Map<agentId, HumanSeat>
+const pendingTurns = new Map(); // `${debateId}:${agentId}` -> PendingHumanTurn
+
+/**
+ * @typedef {Object} HumanSeat
+ * @property {string} agentId - The agent seat the human holds
+ * @property {string} name - Display name of the human
+ * @property {string} joinedAt - ISO 8601
+ */
+
+/**
+ * @typedef {Object} PendingHumanTurn
+ * @property {string} debateId
+ * @property {string} agentId
+ * @property {number} deadline - Epoch ms after which the turn is passed
+ * @property {string|null} message - Filled in by submitHumanTurn
+ */
+
+function turnKey(debateId, agentId) {
+  return `${debateId}:${agentId}`;
+}
+
+/**
+ * @param {string} debateId
+ * @param {string} agentId
+ * @param {string} name
+ * @returns {HumanSeat|null} The new seat, or null if a human already holds it
+ */
+export function claimHumanSeat(debateId, agentId, name) {
+  if (!seatsByDebate.has(debateId)) seatsByDebate.set(debateId, new Map());
+  const seats = seatsByDebate.get(debateId);
+  if (seats.has(agentId)) return null;
+
+  const seat = { agentId, name, joinedAt: new Date().toISOString() };
+  seats.set(agentId, seat);
+  return seat;
+}
+
+/**
+ * Hand a seat back to its AI agent. A pending wait for it ends immediately.
+ * @returns {boolean} Whether a human held the seat
+ */
+export function releaseHumanSeat(debateId, agentId) {
+  const seats = seatsByDebate.get(debateId);
+  const released = seats?.delete(agentId) || false;
+  if (seats?.size === 0) seatsByDebate.delete(debateId);
+  return released;
+}
+
+export function clearHumanSeats(debateId) {
+  seatsByDebate.delete(debateId);
+}
+
+/**
+ * @returns {HumanSeat|null}
+ */
+export function getHumanSeat(debateId, agentId) {
+  return seatsByDebate.get(debateId)?.get(agentId) || null;
+}
+
+/**
+ * Seats held by humans in a debate, with the deadline of any turn they owe.
+ */
+export function listHumanSeats(debateId) {
+  return [...(seatsByDebate.get(debateId)?.values() || [])].map((seat) => {
+    const pending = pendingTurns.get(turnKey(debateId, seat.agentId));
+    return {
+      ...seat,
+      awaitingTurn: Boolean(pending),
+      deadline: pending ? new Date(pending.deadline).toISOString() : null,
+    };
+  });
+}
+
+/**
+ * Wait for the human holding a seat to post their turn.
+ * Resolves null on timeout, cancellation, or if the seat is released.
+ * @param {string} debateId
+ * @param {string} agentId
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=config.debate.humanTurnTimeoutMs]
+ * @param {import('./debateControl.js').DebateProcess} [options.debateProcess]
+ * @param {(turn: PendingHumanTurn) => void} [options.onWaiting] - Called once the turn is open
+ * @returns {Promise<string|null>}
+ */
+export async function waitForHumanTurn(
+  debateId,
+  agentId,
+  {
+    timeoutMs = config.debate.humanTurnTimeoutMs,
+    debateProcess,
+    onWaiting,
+  } = {},
+) {
+  const key = turnKey(debateId, agentId);
+  const turn = { debateId, agentId, deadline: Date.now() + timeoutMs, message: null };
+  pendingTurns.set(key, turn);
+  onWaiting?.(turn);
+
+  try {
+    while (
+      turn.message === null &&
+      Date.now() < turn.deadline &&
+      !debateProcess?.cancelled &&
+      getHumanSeat(debateId, agentId)
+    ) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, HUMAN_TURN_POLL_INTERVAL),
+      );
+    }
+    return turn.message;
+  } finally {
+    pendingTurns.delete(key);
+  }
+}
+
+/**
+ * Deliver a human's message to the runner waiting on their seat.
+ * @returns {{ accepted: boolean, reason?: string }}
+ */
+export function submitHumanTurn(debateId, agentId, message) {
+  if (!getHumanSeat(debateId, agentId)) {
+    return { accepted: false, reason: "Seat is not held by a human" };
+  }
+
+  const turn = pendingTurns.get(turnKey(debateId, agentId));
+  if (!turn || turn.message !== null) {
+    return { accepted: false, reason: "It is not this seat's turn" };
+  }
+
+  turn.message = message;
+  return { accepted: true };
+}
+
+export default {
+  claimHumanSeat,
+  releaseHumanSeat,
+  clearHumanSeats,
+  getHumanSeat,
+  listHumanSeats,
+  waitForHumanTurn,
+  submitHumanTurn,
+};
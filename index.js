@@ -24,7 +24,8 @@ async function run() {
             climate_policy: 0.4,
             economic_risk: 0.8
         },
-        biases: ['fiscal responsibility', 'bipartisan compromise']
+        biases: ['fiscal responsibility', 'bipartisan compromise'],
+        persuadability: 0.35
     });
     console.log('✅ SenatorBot profile created.');
 
@@ -1,6 +1,7 @@
 // Cache Initialization Script
 import redisManager from './redisManager.js';
 import { CACHE_CONFIG } from './cacheConfig.js';
+import { vectorIndexName } from './embeddingIndexes.js';
 
 const config = CACHE_CONFIG.getConfig();
 
@@ -42,7 +43,7 @@ async function initializeCache() {
 
         // Verify cache index exists
         try {
-            await client.ft.info(config.VECTOR_INDEX_NAME);
+            await client.ft.info(vectorIndexName(config.VECTOR_INDEX_NAME));
             console.log('✅ Cache vector index verified');
         } catch (error) {
             if (error.message.includes('unknown command')) {
@@ -3,11 +3,10 @@
 
 import "dotenv/config";
 import { createClient } from "redis";
-import OpenAI from "openai";
 import { getCachedResponse, cacheNewResponse } from "./semanticCache.js";
-import { trackOpenAICall } from "./metrics.js";
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+import { generateCompletion } from "./llmProvider.js";
+import { topicToStanceKey } from "./messageGenerationCore.js";
+import { getCoalitions, coalitionStatusFor } from "./coalitions.js";
 
 class IntelligentAgentSystem {
   constructor() {
@@ -77,17 +76,14 @@ class IntelligentAgentSystem {
       let cacheHit = !!response;
 
       if (!response) {
-        // Generate new response with GPT-4
-        const completion = await trackOpenAICall("gpt-4o-mini", async () => {
-          return await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: [{ role: "user", content: enhancedPrompt }],
-            max_tokens: 300,
-            temperature: 0.7 + emotionalState.intensity * 0.3, // Emotional variation
-          });
+        // Generate new response with the active provider
+        const completion = await generateCompletion({
+          messages: [{ role: "user", content: enhancedPrompt }],
+          maxTokens: 300,
+          temperature: 0.7 + emotionalState.intensity * 0.3, // Emotional variation
         });
 
-        response = completion.choices[0].message.content.trim();
+        response = completion.text;
 
         // Cache the response (Redis Vector + Hash)
         await cacheNewResponse(enhancedPrompt, response);
@@ -188,58 +184,11 @@ class IntelligentAgentSystem {
     }
   }
 
-  // 🤝 Evaluate coalition opportunities using RedisJSON
+  // 🤝 Read the agent's coalition from the debate's coalition graph (RedisJSON)
   async evaluateCoalitions(agentId, debateId) {
     try {
-      const coalitionKey = `debate:${debateId}:coalitions`;
-      const existingCoalitions = await this.client.json
-        .get(coalitionKey)
-        .catch(() => ({}));
-
-      // Analyze potential alliances based on stance similarity
-      const agentProfile = await this.client.json
-        .get(`agent:${agentId}:profile`)
-        .catch(() => null);
-      if (!agentProfile) {
-        return { status: "independent", confidence: 0.5, potential_allies: [] };
-      }
-
-      // Simple coalition logic for demo - in production would be more sophisticated
-      const currentStance = agentProfile.stance?.climate_policy || 0.5;
-      let status = "independent";
-      let confidence = 0.5;
-      let potential_allies = [];
-
-      // Check if stance aligns with other agents (within 0.3 range)
-      if (currentStance > 0.6) {
-        status = "progressive_coalition";
-        confidence = 0.7;
-        potential_allies = ["environmentalists", "progressives"];
-      } else if (currentStance < 0.4) {
-        status = "conservative_coalition";
-        confidence = 0.7;
-        potential_allies = ["traditionalists", "conservatives"];
-      }
-
-      // Store coalition analysis
-      const coalitionUpdate = {
-        ...existingCoalitions,
-        [agentId]: {
-          status,
-          confidence,
-          potential_allies,
-          last_updated: new Date().toISOString(),
-          stance_position: currentStance,
-        },
-      };
-
-      await this.client.json
-        .set(coalitionKey, ".", coalitionUpdate)
-        .catch(() => {
-          console.log("📊 JSON storage not available for coalitions");
-        });
-
-      return { status, confidence, potential_allies };
+      const stored = await getCoalitions(debateId);
+      return coalitionStatusFor(stored?.current ?? null, agentId);
     } catch (error) {
       console.log("⚠️ Coalition analysis fallback mode");
       return { status: "independent", confidence: 0.5, potential_allies: [] };
@@ -441,76 +390,9 @@ Generate a thoughtful, contextually-aware response that reflects your current em
     return patterns;
   }
 
-  // 🗝️ Convert topic to stance key - SYNCHRONIZED with messageGenerationCore.js
+  // 🗝️ Convert topic to stance key - shared with messageGenerationCore.js
   topicToStanceKey(topic) {
-    const mappings = {
-      "environmental regulations and green energy": "climate_policy",
-      "climate policy": "climate_policy",
-      "climate change": "climate_policy",
-
-      "artificial intelligence governance and ethics": "ai_policy",
-      "ai regulation": "ai_policy",
-
-      "universal healthcare and medical access": "healthcare_policy",
-      "healthcare reform": "healthcare_policy",
-      healthcare: "healthcare_policy",
-
-      "border security and refugee assistance": "immigration_policy",
-      "immigration policy": "immigration_policy",
-      immigration: "immigration_policy",
-
-      "public education and student debt": "education_policy",
-      "education reform": "education_policy",
-      education: "education_policy",
-
-      "progressive taxation and wealth redistribution": "tax_policy",
-      "tax policy": "tax_policy",
-      taxation: "tax_policy",
-
-      "data protection and surveillance": "privacy_policy",
-      "digital privacy": "privacy_policy",
-      privacy: "privacy_policy",
-
-      "space colonization and research funding": "space_policy",
-      "space exploration": "space_policy",
-      "space exploration funding": "space_policy",
-      space: "space_policy",
-    };
-
-    const lowerTopic = topic.toLowerCase();
-
-    // Direct match
-    if (mappings[lowerTopic]) {
-      return mappings[lowerTopic];
-    }
-
-    // Partial match for key words
-    if (lowerTopic.includes("climate") || lowerTopic.includes("environment")) {
-      return "climate_policy";
-    }
-    if (lowerTopic.includes("healthcare") || lowerTopic.includes("medical")) {
-      return "healthcare_policy";
-    }
-    if (lowerTopic.includes("education") || lowerTopic.includes("school")) {
-      return "education_policy";
-    }
-    if (lowerTopic.includes("immigration") || lowerTopic.includes("border")) {
-      return "immigration_policy";
-    }
-    if (lowerTopic.includes("tax") || lowerTopic.includes("wealth")) {
-      return "tax_policy";
-    }
-    if (lowerTopic.includes("ai") || lowerTopic.includes("artificial")) {
-      return "ai_policy";
-    }
-    if (lowerTopic.includes("privacy") || lowerTopic.includes("data")) {
-      return "privacy_policy";
-    }
-    if (lowerTopic.includes("space")) {
-      return "space_policy";
-    }
-
-    return "general_policy";
+    return topicToStanceKey(topic);
   }
 }
 
@@ -3,11 +3,8 @@
 // Demonstrates intelligent Redis JSON usage tied to actual app logic
 
 import { createClient } from 'redis';
-import OpenAI from 'openai';
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
 import redisManager from './redisManager.js';
+import { generateCompletion } from './llmProvider.js';
 
 class KeyMomentsDetector {
     constructor() {
@@ -160,8 +157,7 @@ class KeyMomentsDetector {
                 summaryPrompt += `\n\nRecent context:\n${context}`;
             }
             
-            const response = await openai.chat.completions.create({
-                model: 'gpt-4',
+            const response = await generateCompletion({
                 messages: [
                     {
                         role: 'system',
@@ -172,11 +168,11 @@ class KeyMomentsDetector {
                         content: summaryPrompt
                     }
                 ],
-                max_tokens: 150,
+                maxTokens: 150,
                 temperature: 0.7
             });
             
-            return response.choices[0].message.content.trim();
+            return response.text;
             
         } catch (error) {
             console.error('Error generating AI summary:', error);
@@ -4,8 +4,10 @@
  * Argues against the given position with critical analysis and counterarguments.
  */
 
-import { ChatOpenAI } from "@langchain/openai";
+import type { BaseChatModel } from "@langchain/core/language_models/chat_models";
 import { SystemMessage, HumanMessage, AIMessage } from "@langchain/core/messages";
+import { createChatModel } from "../../llmProvider.js";
+import { currentFormatPhase } from "../graph/state.js";
 import type { StanceState, DebateMessage } from "../graph/state.js";
 
 const SYSTEM_PROMPT = `You are the CON debater in a structured debate. Your role is to argue AGAINST the given position.
@@ -29,12 +31,8 @@ STYLE:
 - Evidence-based counterpoints
 - Sharp, focused critiques`;
 
-function createLLM(temperature = 0.7): ChatOpenAI {
-  return new ChatOpenAI({
-    modelName: "gpt-4",
-    temperature,
-    maxTokens: 300,
-  });
+function createLLM(temperature = 0.7): BaseChatModel {
+  return createChatModel({ temperature, maxTokens: 300 });
 }
 
 function buildContext(state: StanceState): string {
@@ -97,14 +95,15 @@ export async function generateConResponse(
   const { topic, conPosition, proPosition, round, totalRounds } = state;
 
   const context = buildContext(state);
-  const strategy = determineStrategy(state);
+  const phase = currentFormatPhase(state);
+  const strategy = phase?.guidance.con ?? determineStrategy(state);
 
   const userPrompt = `DEBATE TOPIC: ${topic}
 
 PRO POSITION (opponent): ${proPosition}
 YOUR POSITION (CON): ${conPosition}
 
-ROUND: ${round} of ${totalRounds}
+ROUND: ${round} of ${totalRounds}${phase ? ` - ${phase.title}` : ""}
 
 RECENT DEBATE CONTEXT:
 ${context}
@@ -4,8 +4,10 @@
  * Introduces rounds, maintains debate structure, and ensures fair discourse.
  */
 
-import { ChatOpenAI } from "@langchain/openai";
+import type { BaseChatModel } from "@langchain/core/language_models/chat_models";
 import { SystemMessage, HumanMessage, AIMessage } from "@langchain/core/messages";
+import { createChatModel } from "../../llmProvider.js";
+import { currentFormatPhase } from "../graph/state.js";
 import type { StanceState, DebateMessage } from "../graph/state.js";
 
 const SYSTEM_PROMPT = `You are a professional debate moderator. Your role is to facilitate a structured, fair debate between two sides.
@@ -29,12 +31,8 @@ STYLE:
 - Concise but substantive
 - Creates clear transitions`;
 
-function createLLM(temperature = 0.5): ChatOpenAI {
-  return new ChatOpenAI({
-    modelName: "gpt-4",
-    temperature,
-    maxTokens: 200,
-  });
+function createLLM(temperature = 0.5): BaseChatModel {
+  return createChatModel({ temperature, maxTokens: 200 });
 }
 
 function buildContext(state: StanceState): string {
@@ -77,6 +75,14 @@ export async function generateModeratorIntro(
       roundGuidance = `This is Round ${round} of ${totalRounds}. ${scoreContext} Transition to the next round by acknowledging key points and prompting deeper engagement.`;
   }
 
+  const phase = currentFormatPhase(state);
+  if (phase) {
+    const order = phase.speakers.map((s) => s.toUpperCase()).join(", ");
+    roundGuidance += ` This round is the "${phase.title}" phase; speakers in order: ${order}.${
+      phase.guidance.moderator ? ` ${phase.guidance.moderator}` : ""
+    }`;
+  }
+
   const userPrompt = `DEBATE TOPIC: ${topic}
 
 PRO POSITION: ${proPosition}
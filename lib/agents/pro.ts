@@ -4,8 +4,10 @@
  * Argues in favor of the given position with conviction and evidence.
  */
 
-import { ChatOpenAI } from "@langchain/openai";
+import type { BaseChatModel } from "@langchain/core/language_models/chat_models";
 import { SystemMessage, HumanMessage, AIMessage } from "@langchain/core/messages";
+import { createChatModel } from "../../llmProvider.js";
+import { currentFormatPhase } from "../graph/state.js";
 import type { StanceState, DebateMessage } from "../graph/state.js";
 
 const SYSTEM_PROMPT = `You are the PRO debater in a structured debate. Your role is to argue IN FAVOR of the given position.
@@ -29,12 +31,8 @@ STYLE:
 - Clear, structured arguments
 - Persuasive language without being aggressive`;
 
-function createLLM(temperature = 0.7): ChatOpenAI {
-  return new ChatOpenAI({
-    modelName: "gpt-4",
-    temperature,
-    maxTokens: 300,
-  });
+function createLLM(temperature = 0.7): BaseChatModel {
+  return createChatModel({ temperature, maxTokens: 300 });
 }
 
 function buildContext(state: StanceState): string {
@@ -83,13 +81,14 @@ export async function generateProResponse(
   const { topic, proPosition, round, totalRounds } = state;
 
   const context = buildContext(state);
-  const strategy = determineStrategy(state);
+  const phase = currentFormatPhase(state);
+  const strategy = phase?.guidance.pro ?? determineStrategy(state);
 
   const userPrompt = `DEBATE TOPIC: ${topic}
 
 YOUR POSITION (PRO): ${proPosition}
 
-ROUND: ${round} of ${totalRounds}
+ROUND: ${round} of ${totalRounds}${phase ? ` - ${phase.title}` : ""}
 
 RECENT DEBATE CONTEXT:
 ${context}
@@ -20,14 +20,14 @@ export type NodeName =
  *
  * Turn sequence per round:
  * 0 = moderator introduces
- * 1 = pro argues
- * 2 = con argues
+ * 1-2 = pro and con argue, opener chosen by the turn policy
  * 3 = scorer evaluates
  *
+ * The advance node records the chosen speaker in `nextSpeaker`.
  * After scorer, we go back to moderator for next round (or end if complete)
  */
 export function routeAfterAdvance(state: StanceState): NodeName | "__end__" {
-  const { isComplete, cancelled, turnInRound, errors } = state;
+  const { isComplete, cancelled, turnInRound, nextSpeaker, errors } = state;
 
   // Check termination conditions
   if (cancelled) {
@@ -45,20 +45,7 @@ export function routeAfterAdvance(state: StanceState): NodeName | "__end__" {
     return "finalSummary";
   }
 
-  // Route based on current turn
-  switch (turnInRound) {
-    case 0:
-      return "moderator";
-    case 1:
-      return "pro";
-    case 2:
-      return "con";
-    case 3:
-      return "scorer";
-    default:
-      console.log(`[Router] Unexpected turn: ${turnInRound}, defaulting to moderator`);
-      return "moderator";
-  }
+  return nextSpeaker ?? getNextSpeaker(turnInRound);
 }
 
 /**
@@ -91,7 +78,7 @@ export function shouldContinue(state: StanceState): boolean {
 }
 
 /**
- * Get next speaker based on turn
+ * Get next speaker based on turn (fixed order, used when no policy choice is set)
  */
 export function getNextSpeaker(turnInRound: number): SpeakerRole {
   const speakers: SpeakerRole[] = ["moderator", "pro", "con", "scorer"];
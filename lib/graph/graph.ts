@@ -22,6 +22,7 @@ import {
   finalSummaryNode,
 } from "./nodes.js";
 import { routeAfterAdvance } from "./edges.js";
+import { finalizeVerdict, type FinalVerdict, type RoundVerdict } from "../../debateJudging.js";
 import { getLangfuse, flushLangfuse } from "../langfuse.js";
 
 /**
@@ -66,6 +67,8 @@ export function createDebateGraph() {
 export interface DebateCallbacks {
   onMessage?: (message: DebateMessage) => void;
   onRoundComplete?: (summary: RoundSummary) => void;
+  onRoundScored?: (verdict: RoundVerdict) => void; // Also for rounds with no verdict
+  onVerdict?: (verdict: FinalVerdict) => void;
   onComplete?: (state: StanceState) => void;
   onError?: (error: Error) => void;
 }
@@ -132,6 +135,10 @@ export async function runDebate(
           callbacks.onRoundComplete(output.lastRoundSummary);
         }
 
+        if (output.lastRoundVerdict && callbacks.onRoundScored) {
+          callbacks.onRoundScored(output.lastRoundVerdict);
+        }
+
         // Track final state
         if (output.debateMessages) {
           finalState = {
@@ -166,6 +173,15 @@ export async function runDebate(
       }
     }
 
+    // Decide the debate from its scored rounds; null when none was judged
+    const verdict = await finalizeVerdict(config.debateId).catch((error: Error) => {
+      console.error(`[Debate] Verdict failed for ${config.debateId}:`, error.message);
+      return null;
+    });
+    if (verdict && callbacks.onVerdict) {
+      callbacks.onVerdict(verdict);
+    }
+
     // Notify completion
     if (callbacks.onComplete) {
       callbacks.onComplete(finalState);
@@ -11,8 +11,12 @@
 export {
   StanceStateAnnotation,
   createInitialState,
+  toFormatPhases,
+  currentFormatPhase,
   type StanceState,
   type DebateConfig,
+  type DebateFormatDefinition,
+  type FormatPhase,
   type DebateMessage,
   type DebateScores,
   type RoundSummary,
@@ -5,11 +5,15 @@
  */
 
 import type { RunnableConfig } from "@langchain/core/runnables";
+import { currentFormatPhase } from "./state.js";
 import type { StanceState, DebateMessage, SpeakerRole } from "./state.js";
 import { generateProResponse } from "../agents/pro.js";
 import { generateConResponse } from "../agents/con.js";
 import { generateModeratorIntro } from "../agents/moderator.js";
 import { generateScorerEvaluation } from "../agents/scorer.js";
+import { selectNextSpeaker } from "../../turnPolicies.js";
+
+const DEBATER_ROLES: SpeakerRole[] = ["pro", "con"];
 
 /**
  * Node: Moderator introduces the round
@@ -73,11 +77,42 @@ export async function scorerNode(
 
 /**
  * Node: Advance to next turn/round
+ *
+ * Each round is moderator, two debater turns, then scorer. The debate's turn
+ * policy picks who opens the debater turns; the other side answers. Under a
+ * debate format each round is a phase and its speaker list sets the order.
  */
-export function advanceTurnNode(state: StanceState): Partial<StanceState> {
-  const { round, totalRounds, turnInRound } = state;
+export async function advanceTurnNode(
+  state: StanceState
+): Promise<Partial<StanceState>> {
+  const { round, totalRounds, turnInRound, currentSpeaker } = state;
+
+  const phase = currentFormatPhase(state);
+  if (phase) {
+    const nextTurn = turnInRound + 1;
+    const isNewRound = nextTurn > phase.speakers.length + 1;
+    const nextRound = isNewRound ? round + 1 : round;
+    const isComplete = isNewRound && nextRound > totalRounds;
+
+    if (isComplete) {
+      console.log(`[Advance] Debate complete after ${totalRounds} phases`);
+    } else if (isNewRound) {
+      console.log(`[Advance] Moving to phase ${nextRound}`);
+    }
+
+    return {
+      turnInRound: isNewRound ? 0 : nextTurn,
+      round: nextRound,
+      nextSpeaker: isNewRound
+        ? "moderator"
+        : (phase.speakers[nextTurn - 1] ?? "scorer"),
+      isComplete,
+      lastMessage: null,
+      lastRoundSummary: null,
+      lastRoundVerdict: null,
+    };
+  }
 
-  // Turn sequence: 0=moderator, 1=pro, 2=con, 3=scorer
   const nextTurn = (turnInRound + 1) % 4;
   const isNewRound = nextTurn === 0;
   const nextRound = isNewRound ? round + 1 : round;
@@ -89,12 +124,31 @@ export function advanceTurnNode(state: StanceState): Partial<StanceState> {
     console.log(`[Advance] Moving to round ${nextRound}`);
   }
 
+  let nextSpeaker: SpeakerRole = isNewRound ? "moderator" : "scorer";
+  if (nextTurn === 1) {
+    const debaterTurns = state.debateMessages.filter((m) =>
+      DEBATER_ROLES.includes(m.role)
+    );
+    nextSpeaker = (await selectNextSpeaker(state.turnPolicy ?? "round-robin", {
+      agents: DEBATER_ROLES,
+      lastSpeaker: debaterTurns[debaterTurns.length - 1]?.role ?? null,
+      turnIndex: debaterTurns.length,
+      topic: state.topic,
+      history: debaterTurns.map((m) => ({ agentId: m.role, message: m.content })),
+      names: { pro: state.proPosition, con: state.conPosition },
+    })) as SpeakerRole;
+  } else if (nextTurn === 2) {
+    nextSpeaker = currentSpeaker === "pro" ? "con" : "pro";
+  }
+
   return {
     turnInRound: nextTurn,
     round: nextRound,
+    nextSpeaker,
     isComplete,
     lastMessage: null, // Clear for next turn
     lastRoundSummary: null,
+    lastRoundVerdict: null,
   };
 }
 
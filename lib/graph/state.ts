@@ -6,6 +6,7 @@
 
 import { Annotation } from "@langchain/langgraph";
 import type { BaseMessage } from "@langchain/core/messages";
+import type { RoundVerdict } from "../../debateJudging.js";
 
 // Speaker roles in the debate
 export type SpeakerRole = "pro" | "con" | "moderator" | "scorer";
@@ -36,6 +37,33 @@ export interface RoundSummary {
   scores: DebateScores;
   winner: SpeakerRole | "tie";
   reasoning: string;
+  // How far the judge panel agreed (see debateJudging.js)
+  agreement?: {
+    judges: number;
+    winnerConsensus: number | null;
+    pairwise: number | null;
+    spread: number;
+  };
+}
+
+// Debate format as stored by debateFormats.js
+export interface DebateFormatDefinition {
+  name: string;
+  title: string;
+  phases: Array<{
+    id: string;
+    title: string;
+    speakers: Array<"pro" | "con" | "panel">;
+    guidance?: string | Partial<Record<string, string>>;
+  }>;
+}
+
+// One format phase as the graph runs it: a round with its own speaker order
+export interface FormatPhase {
+  id: string;
+  title: string;
+  speakers: SpeakerRole[];
+  guidance: Partial<Record<SpeakerRole, string>>;
 }
 
 // Debate configuration
@@ -45,6 +73,8 @@ export interface DebateConfig {
   rounds: number;
   proPosition: string;
   conPosition: string;
+  turnPolicy?: string; // See turnPolicies.js; defaults to round-robin
+  format?: DebateFormatDefinition; // Replaces rounds and turnPolicy when set
 }
 
 // Define the state annotation for the debate graph
@@ -59,7 +89,10 @@ export const StanceStateAnnotation = Annotation.Root({
   currentSpeaker: Annotation<SpeakerRole>(),
   round: Annotation<number>(),
   totalRounds: Annotation<number>(),
-  turnInRound: Annotation<number>(), // 0: moderator intro, 1: pro, 2: con, 3: scorer
+  turnInRound: Annotation<number>(), // 0: moderator intro, 1-2: debaters (1-n under a format), then scorer
+  nextSpeaker: Annotation<SpeakerRole>(), // Set by advance; routes the next node
+  turnPolicy: Annotation<string>(),
+  formatPhases: Annotation<FormatPhase[] | null>(), // One per round when a format is set
 
   // Scoring
   scores: Annotation<DebateScores>({
@@ -95,6 +128,7 @@ export const StanceStateAnnotation = Annotation.Root({
   // Last generated content (for streaming)
   lastMessage: Annotation<DebateMessage | null>(),
   lastRoundSummary: Annotation<RoundSummary | null>(),
+  lastRoundVerdict: Annotation<RoundVerdict | null>(), // The judge panel's, stored in debate:{id}:verdict
 
   // Error tracking
   errors: Annotation<string[]>({
@@ -106,8 +140,39 @@ export const StanceStateAnnotation = Annotation.Root({
 // Export the state type
 export type StanceState = typeof StanceStateAnnotation.State;
 
+/**
+ * Map a stored format onto the graph's two debaters: "panel" means both
+ * sides speak, pro first.
+ */
+export function toFormatPhases(format: DebateFormatDefinition): FormatPhase[] {
+  return format.phases.map((phase) => {
+    const speakers = phase.speakers.flatMap((seat): SpeakerRole[] =>
+      seat === "panel" ? ["pro", "con"] : [seat]
+    );
+    const guidance: Partial<Record<SpeakerRole, string>> = {};
+    for (const role of ["pro", "con"] as const) {
+      const line =
+        typeof phase.guidance === "string"
+          ? phase.guidance
+          : (phase.guidance?.[role] ?? phase.guidance?.panel ?? phase.guidance?.default);
+      if (line) guidance[role] = line;
+    }
+    if (typeof phase.guidance === "object" && phase.guidance.moderator) {
+      guidance.moderator = phase.guidance.moderator;
+    }
+    return { id: phase.id, title: phase.title, speakers, guidance };
+  });
+}
+
+// The format phase for the current round, or null outside a format
+export function currentFormatPhase(state: StanceState): FormatPhase | null {
+  return state.formatPhases?.[state.round - 1] ?? null;
+}
+
 // Initial state factory
 export function createInitialState(config: DebateConfig): StanceState {
+  const formatPhases = config.format ? toFormatPhases(config.format) : null;
+
   return {
     debateId: config.debateId,
     topic: config.topic,
@@ -115,8 +180,11 @@ export function createInitialState(config: DebateConfig): StanceState {
     conPosition: config.conPosition,
     currentSpeaker: "moderator",
     round: 1,
-    totalRounds: config.rounds,
+    totalRounds: formatPhases?.length || config.rounds,
     turnInRound: 0,
+    nextSpeaker: "moderator",
+    turnPolicy: config.turnPolicy ?? "round-robin",
+    formatPhases,
     scores: { pro: 0, con: 0 },
     messages: [],
     debateMessages: [],
@@ -125,6 +193,7 @@ export function createInitialState(config: DebateConfig): StanceState {
     cancelled: false,
     lastMessage: null,
     lastRoundSummary: null,
+    lastRoundVerdict: null,
     errors: [],
   };
 }
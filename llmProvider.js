@@ -0,0 +1,493 @@
+// Pluggable LLM Provider Registry
+// Routes completions and embeddings through a named provider so the debate
+// pipeline can run against OpenAI, Gemini, or an offline deterministic mock.
+// Embeddings can come from a different provider than completions, including
+// the in-process local provider, which only embeds.
+//
+// Env:
+//   LLM_PROVIDER        openai | google | mock (default: openai)
+//   LLM_MODEL           override the provider's default chat model
+//   LLM_MOCK_SEED       seed for the mock provider (default: 42)
+//   EMBEDDING_PROVIDER  provider for embeddings, local included (default: LLM_PROVIDER)
+//   LOCAL_EMBEDDING_MODEL       transformers.js model (default: Xenova/all-MiniLM-L6-v2)
+//   LOCAL_EMBEDDING_DIMENSIONS  that model's output size (default: 384)
+//   GOOGLE_GENERATIVE_AI_API_KEY  required for the google provider
+import "dotenv/config";
+import crypto from "crypto";
+import OpenAI from "openai";
+import { ChatOpenAI } from "@langchain/openai";
+import { SimpleChatModel } from "@langchain/core/language_models/chat_models";
+import { createGoogleGenerativeAI } from "@ai-sdk/google";
+import { CACHE_CONFIG } from "./cacheConfig.js";
+import { trackOpenAICall } from "./metrics.js";
+
+// Hosted providers embed at this size; vector indexes built for it keep
+// their original names (see embeddingIndexes.js)
+export const DEFAULT_EMBEDDING_DIMENSIONS = 1536;
+
+const providerFactories = new Map();
+const providerInstances = new Map();
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {'system'|'user'|'assistant'} role
+ * @property {string} content
+ */
+
+/**
+ * @typedef {Object} CompletionResult
+ * @property {string} text
+ * @property {string} model
+ * @property {{ prompt_tokens: number, completion_tokens: number, total_tokens: number }} usage
+ */
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name
+ * @property {string} chatModel - Default chat model id
+ * @property {string} embeddingModel - Default embedding model id
+ * @property {number} embeddingDimensions
+ * @property {(options: { messages: ChatMessage[], model?: string, temperature?: number, maxTokens?: number }) => Promise<CompletionResult>} complete
+ * @property {(text: string) => Promise<number[]>} embed
+ */
+
+/**
+ * Register a provider factory under a name. Factories are invoked lazily so
+ * providers whose credentials are missing never get constructed.
+ * @param {string} name
+ * @param {() => LLMProvider} factory
+ */
+export function registerLLMProvider(name, factory) {
+  if (typeof factory !== "function") {
+    throw new Error(`LLM provider "${name}" must be registered with a factory`);
+  }
+  providerFactories.set(name, factory);
+  providerInstances.delete(name);
+}
+
+/**
+ * @returns {string[]} Registered provider names
+ */
+export function listLLMProviders() {
+  return [...providerFactories.keys()];
+}
+
+/**
+ * @returns {string} Provider selected via LLM_PROVIDER
+ */
+export function getActiveProviderName() {
+  return (process.env.LLM_PROVIDER || "openai").toLowerCase();
+}
+
+/**
+ * @returns {string} Provider selected via EMBEDDING_PROVIDER, else LLM_PROVIDER
+ */
+export function getEmbeddingProviderName() {
+  return (process.env.EMBEDDING_PROVIDER || getActiveProviderName()).toLowerCase();
+}
+
+/**
+ * Resolve a provider instance, constructing it on first use.
+ * @param {string} [name] - Defaults to LLM_PROVIDER
+ * @returns {LLMProvider}
+ */
+export function getLLMProvider(name = getActiveProviderName()) {
+  if (providerInstances.has(name)) return providerInstances.get(name);
+
+  const factory = providerFactories.get(name);
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Registered: ${listLLMProviders().join(", ")}`,
+    );
+  }
+
+  const provider = factory();
+  providerInstances.set(name, provider);
+  return provider;
+}
+
+/**
+ * Drop constructed providers so the next call re-reads env configuration.
+ */
+export function resetLLMProviders() {
+  providerInstances.clear();
+}
+
+/**
+ * Run a chat completion through the active provider with metrics tracking.
+ * @param {Object} options
+ * @param {ChatMessage[]} options.messages
+ * @param {string} [options.model]
+ * @param {number} [options.temperature]
+ * @param {number} [options.maxTokens]
+ * @param {string} [options.provider] - Override LLM_PROVIDER for this call
+ * @returns {Promise<CompletionResult & { provider: string }>}
+ */
+export async function generateCompletion({ provider: providerName, ...options }) {
+  const provider = getLLMProvider(providerName);
+  const model = options.model || provider.chatModel;
+
+  const result = await trackOpenAICall(model, () =>
+    provider.complete({ ...options, model }),
+  );
+
+  return { ...result, provider: provider.name };
+}
+
+/**
+ * Embed text through the embedding provider with metrics tracking.
+ * @param {string} text
+ * @param {{ provider?: string }} [options] - Defaults to EMBEDDING_PROVIDER
+ * @returns {Promise<number[]>}
+ */
+export async function generateEmbedding(text, { provider: providerName = getEmbeddingProviderName() } = {}) {
+  const provider = getLLMProvider(providerName);
+  const input = text.substring(0, CACHE_CONFIG.MAX_PROMPT_LENGTH);
+
+  return await trackOpenAICall(
+    provider.embeddingModel,
+    () => provider.embed(input),
+    "embedding",
+  );
+}
+
+// LangChain adapter for providers without a native LangChain integration
+class ProviderChatModel extends SimpleChatModel {
+  constructor({ providerName, model, temperature, maxTokens }) {
+    super({});
+    this.providerName = providerName;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+  }
+
+  _llmType() {
+    return `stancestream-${this.providerName}`;
+  }
+
+  async _call(messages) {
+    const { text } = await generateCompletion({
+      provider: this.providerName,
+      model: this.model,
+      temperature: this.temperature,
+      maxTokens: this.maxTokens,
+      messages: messages.map(toChatMessage),
+    });
+    return text;
+  }
+}
+
+function toChatMessage(message) {
+  const type = message.getType();
+  const role =
+    type === "system" ? "system" : type === "ai" ? "assistant" : "user";
+  const content =
+    typeof message.content === "string"
+      ? message.content
+      : message.content
+          .map((part) => (typeof part === "string" ? part : part.text || ""))
+          .join("");
+  return { role, content };
+}
+
+/**
+ * Create a LangChain chat model backed by the active provider. OpenAI keeps
+ * the native ChatOpenAI client so LangSmith tracing and streaming still work.
+ * @param {Object} [options]
+ * @param {number} [options.temperature=0.7]
+ * @param {number} [options.maxTokens=300]
+ * @param {string} [options.model]
+ * @param {string} [options.provider]
+ * @returns {import("@langchain/core/language_models/chat_models").BaseChatModel}
+ */
+export function createChatModel({
+  temperature = 0.7,
+  maxTokens = 300,
+  model,
+  provider: providerName = getActiveProviderName(),
+} = {}) {
+  const provider = getLLMProvider(providerName);
+
+  if (provider.name === "openai") {
+    return new ChatOpenAI({
+      modelName: model || provider.chatModel,
+      temperature,
+      maxTokens,
+    });
+  }
+
+  return new ProviderChatModel({
+    providerName,
+    model: model || provider.chatModel,
+    temperature,
+    maxTokens,
+  });
+}
+
+// ============================================
+// BUILT-IN PROVIDERS
+// ============================================
+
+function createOpenAIProvider() {
+  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+  return {
+    name: "openai",
+    chatModel: process.env.LLM_MODEL || "gpt-4",
+    embeddingModel: CACHE_CONFIG.EMBEDDING_MODEL,
+    embeddingDimensions: DEFAULT_EMBEDDING_DIMENSIONS,
+
+    async complete({ messages, model, temperature, maxTokens }) {
+      const completion = await openai.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+      });
+      return {
+        text: completion.choices[0].message.content.trim(),
+        model,
+        usage: completion.usage,
+      };
+    },
+
+    async embed(text) {
+      const response = await openai.embeddings.create({
+        model: this.embeddingModel,
+        input: text,
+      });
+      return response.data[0].embedding;
+    },
+  };
+}
+
+function createGoogleProvider() {
+  const google = createGoogleGenerativeAI({
+    apiKey: process.env.GOOGLE_GENERATIVE_AI_API_KEY,
+  });
+
+  return {
+    name: "google",
+    chatModel: process.env.LLM_MODEL || "gemini-2.5-flash",
+    embeddingModel: "gemini-embedding-001",
+    embeddingDimensions: DEFAULT_EMBEDDING_DIMENSIONS,
+
+    async complete({ messages, model, temperature, maxTokens }) {
+      const result = await google.languageModel(model).doGenerate({
+        prompt: messages.map(({ role, content }) =>
+          role === "system"
+            ? { role, content }
+            : { role, content: [{ type: "text", text: content }] },
+        ),
+        temperature,
+        maxOutputTokens: maxTokens,
+      });
+
+      const text = result.content
+        .filter((part) => part.type === "text")
+        .map((part) => part.text)
+        .join("")
+        .trim();
+      const promptTokens = result.usage?.inputTokens?.total || 0;
+      const completionTokens = result.usage?.outputTokens?.total || 0;
+
+      return {
+        text,
+        model,
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens,
+        },
+      };
+    },
+
+    async embed(text) {
+      const { embeddings } = await google
+        .embeddingModel(this.embeddingModel)
+        .doEmbed({
+          values: [text],
+          providerOptions: {
+            google: { outputDimensionality: this.embeddingDimensions },
+          },
+        });
+      return embeddings[0];
+    },
+  };
+}
+
+const MOCK_OPENERS = [
+  "The evidence points in a clear direction here.",
+  "We have to weigh the costs against the benefits.",
+  "I hear that concern, but the data tells a different story.",
+  "Let's be pragmatic about what can actually pass.",
+  "History shows that incremental change rarely goes far enough.",
+  "Any serious policy has to account for those most affected.",
+];
+
+const MOCK_CLAIMS = [
+  "Independent studies show measurable gains within five years",
+  "The fiscal impact is smaller than critics suggest",
+  "Delaying action only raises the long-term price",
+  "Voters consistently rank this among their top priorities",
+  "Comparable programs abroad have delivered mixed results",
+  "Local communities need flexibility in how this is implemented",
+];
+
+function seededRandom(seed) {
+  // mulberry32
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashToInt(value) {
+  return crypto.createHash("sha256").update(value).digest().readUInt32BE(0);
+}
+
+/**
+ * Offline provider: identical inputs always produce identical outputs for a
+ * given seed, so demos and tests run without network access or API keys.
+ * Embeddings are hashed bag-of-words vectors, so texts sharing vocabulary
+ * land close together under cosine distance.
+ * @param {{ seed?: number, dimensions?: number }} [options]
+ * @returns {LLMProvider}
+ */
+export function createMockProvider({
+  seed = parseInt(process.env.LLM_MOCK_SEED, 10) || 42,
+  dimensions = DEFAULT_EMBEDDING_DIMENSIONS,
+} = {}) {
+  const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+  return {
+    name: "mock",
+    chatModel: "mock-chat",
+    embeddingModel: "mock-embedding",
+    embeddingDimensions: dimensions,
+
+    async complete({ messages, model = "mock-chat", maxTokens = 150 }) {
+      const transcript = messages.map((m) => `${m.role}:${m.content}`).join("\n");
+      const random = seededRandom(hashToInt(`${seed}:${transcript}`));
+      const pick = (list) => list[Math.floor(random() * list.length)];
+
+      const lastUser = [...messages].reverse().find((m) => m.role === "user");
+      const topicMatch = transcript.match(/TOPIC:\s*(.+)/);
+      const subject = topicMatch ? topicMatch[1].trim() : "this issue";
+
+      const claim = pick(MOCK_CLAIMS);
+      let text = `${pick(MOCK_OPENERS)} On ${subject}, ${claim.toLowerCase()}.`;
+      if (lastUser && random() > 0.5) {
+        text += ` ${pick(MOCK_CLAIMS.filter((c) => c !== claim))}.`;
+      }
+      text = text.substring(0, maxTokens * 4);
+
+      const promptTokens = estimateTokens(transcript);
+      const completionTokens = estimateTokens(text);
+      return {
+        text,
+        model,
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens,
+        },
+      };
+    },
+
+    async embed(text) {
+      const vector = new Array(dimensions).fill(0);
+      const tokens = text.toLowerCase().match(/[a-z0-9]+/g) || [text];
+
+      for (const token of tokens) {
+        const random = seededRandom(hashToInt(`${seed}:${token}`));
+        // Each token touches a handful of dimensions with signed weights
+        for (let i = 0; i < 8; i++) {
+          const index = Math.floor(random() * dimensions);
+          vector[index] += random() > 0.5 ? 1 : -1;
+        }
+      }
+
+      const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+      return vector.map((v) => v / norm);
+    },
+  };
+}
+
+/**
+ * In-process sentence embeddings on CPU through transformers.js (ONNX), so
+ * the cache and fact checker run without an API key. The model downloads
+ * on first use and is cached on disk. @huggingface/transformers is loaded
+ * only when this provider embeds. There is no chat model.
+ * @param {{ model?: string, dimensions?: number, loadPipeline?: (model: string) => Promise<Function> }} [options]
+ * @returns {LLMProvider}
+ */
+export function createLocalProvider({
+  model = process.env.LOCAL_EMBEDDING_MODEL || "Xenova/all-MiniLM-L6-v2",
+  dimensions = parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS, 10) || 384,
+  loadPipeline = async (name) => {
+    let transformers;
+    try {
+      transformers = await import("@huggingface/transformers");
+    } catch {
+      throw new Error(
+        "The local embedding provider needs the optional dependency @huggingface/transformers: pnpm install",
+      );
+    }
+    return transformers.pipeline("feature-extraction", name);
+  },
+} = {}) {
+  let extractor = null;
+
+  return {
+    name: "local",
+    chatModel: null,
+    embeddingModel: model,
+    embeddingDimensions: dimensions,
+
+    async complete() {
+      throw new Error(
+        'The local provider only embeds; set LLM_PROVIDER to a chat provider and EMBEDDING_PROVIDER="local"',
+      );
+    },
+
+    async embed(text) {
+      // Concurrent first calls share one model load
+      extractor ??= loadPipeline(this.embeddingModel).catch((error) => {
+        extractor = null;
+        throw error;
+      });
+      const output = await (await extractor)(text, { pooling: "mean", normalize: true });
+      const vector = Array.from(output.data);
+      if (vector.length !== dimensions) {
+        throw new Error(
+          `${model} returned ${vector.length} dimensions, LOCAL_EMBEDDING_DIMENSIONS is ${dimensions}`,
+        );
+      }
+      return vector;
+    },
+  };
+}
+
+registerLLMProvider("openai", createOpenAIProvider);
+registerLLMProvider("google", createGoogleProvider);
+registerLLMProvider("mock", createMockProvider);
+registerLLMProvider("local", createLocalProvider);
+
+export default {
+  registerLLMProvider,
+  getLLMProvider,
+  listLLMProviders,
+  getActiveProviderName,
+  getEmbeddingProviderName,
+  resetLLMProviders,
+  generateCompletion,
+  generateEmbedding,
+  createChatModel,
+  createMockProvider,
+  createLocalProvider,
+};
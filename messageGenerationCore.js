@@ -1,11 +1,12 @@
 // Core Message Generation Logic for StanceStream
 import 'dotenv/config';
-import OpenAI from 'openai';
 import redisManager from './redisManager.js';
 import { getCachedResponse, cacheNewResponse } from './semanticCache.js';
-import { trackOpenAICall } from './metrics.js';
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+import { generateCompletion } from './llmProvider.js';
+import { formatPhaseGuidance } from './debateFormats.js';
+import { builtInStanceKey, resolvedStanceKey, GENERAL_STANCE_KEY } from './stanceDimensions.js';
+import { findCoalitionAllies } from './coalitions.js';
+import { getThresholdConfig, recordHitFeedback } from './cacheThresholds.js';
 
 // Common utility to check message similarity
 export function calculateSimilarity(message1, message2) {
@@ -21,6 +22,15 @@ export function calculateSimilarity(message1, message2) {
     return commonWords.length / Math.max(words1.length, words2.length);
 }
 
+// Highest calculateSimilarity between a message and the lines of a
+// memory context ("agentId: message" per line)
+export function maxContextSimilarity(message, memoryContext) {
+    return (memoryContext || '').split('\n').reduce((max, line) => {
+        const text = line.replace(/^[\w-]+:\s*/, '');
+        return Math.max(max, calculateSimilarity(message, text));
+    }, 0);
+}
+
 // Enhanced prompt generation with randomization and context
 export function generateEnhancedPrompt(profile, memoryContext, topic, turnNumber, additionalContext = {}) {
     const conversationalCues = [
@@ -68,12 +78,13 @@ STYLE: ${randomCue}
 SEED: ${randomSeed}
 
 ${behavioralInstructions}
-
-${memoryContext ? `PREVIOUS CONTEXT:\n${memoryContext}\n\n` : ''}
+${additionalContext.phase ? `\n${formatPhaseGuidance(additionalContext.phase)}\n` : ''}
+${additionalContext.newsContext ? `\n${additionalContext.newsContext}\n` : ''}
+${additionalContext.longTermMemory ? `${additionalContext.longTermMemory}\n\n` : ''}${memoryContext ? `PREVIOUS CONTEXT:\n${memoryContext}\n\n` : ''}
 
 SPECIFIC INSTRUCTIONS FOR ${profile.name}:
 - Keep responses concise (1-2 sentences)
-- Stay focused on ${topic}
+- Stay focused on ${topic}${additionalContext.phase ? `\n- Follow the phase guidance for ${additionalContext.phase.phaseTitle}` : ''}${additionalContext.newsContext ? '\n- Back your point with the news evidence, citing its tag' : ''}${additionalContext.longTermMemory ? '\n- Stay consistent with what you argued in earlier debates, or say why your view has changed' : ''}
 - Maintain your character's unique perspective as ${profile.name}
 - Add variety to your responses with your ${profile.tone} approach
 - Consider your emotional state: ${emotionalState}
@@ -85,6 +96,16 @@ UNIQUE_AGENT_SEED: ${profile.name}_${randomSeed}_${Date.now() % 1000}
 `;
 }
 
+// Highly specific cache topic so agents, stances and turns never share
+// entries. It is deterministic so cache warming (cacheWarming.js) can fill
+// it ahead of a debate; near-duplicate hit feedback stops replays.
+export function agentCacheTopic(agentId, profile, topic, turnNumber) {
+    const agentStanceSignature = Object.entries(profile.stance || {})
+        .map(([key, value]) => `${key}:${value}`)
+        .join('|');
+    return `${agentId}:${profile.name}:${profile.role}:${topic}:${agentStanceSignature}:turn${turnNumber}`;
+}
+
 // Core message generation with caching
 export async function generateMessageCore({
     agentId,
@@ -100,46 +121,54 @@ export async function generateMessageCore({
     try {
         const prompt = generateEnhancedPrompt(profile, memoryContext, topic, turnNumber, additionalContext);
         
-        // Create highly specific agent topic key to prevent cross-contamination
-        const agentStanceSignature = Object.entries(profile.stance || {})
-            .map(([key, value]) => `${key}:${value}`)
-            .join('|');
-        const timestamp = Date.now() % 10000; // Add time component for uniqueness
-        const agentSpecificTopic = `${agentId}:${profile.name}:${profile.role}:${topic}:${agentStanceSignature}:turn${turnNumber}:${timestamp}`;
+        const agentSpecificTopic = agentCacheTopic(agentId, profile, topic, turnNumber);
         
-        // Check semantic cache with much lower similarity threshold to prevent identical responses
-        const cachedResult = await getCachedResponse(prompt, agentSpecificTopic);
+        // Check semantic cache against the threshold learned for this agent and topic
+        const cachedResult = await getCachedResponse(prompt, agentSpecificTopic, { agentId, thresholdTopic: topic });
         
-        if (cachedResult && cachedResult.similarity > 0.50) { // Very low threshold - only cache truly identical prompts
-            console.log(`🎯 Using cached response (${(cachedResult.similarity * 100).toFixed(1)}% similarity)`);
-            return {
-                message: cachedResult.response,
-                cacheHit: true,
+        if (cachedResult) {
+            // A hit that repeats the recent discussion is a bad hit: teach the
+            // threshold and generate fresh instead. Any other hit only lets a
+            // raised threshold decay back toward the base
+            const repeated = maxContextSimilarity(cachedResult.response, memoryContext) >= getThresholdConfig().nearDuplicate;
+            recordHitFeedback({
+                topic,
+                agentId,
                 similarity: cachedResult.similarity,
-                costSaved: 0.002 // Estimated cost per API call
-            };
+                good: !repeated,
+                source: 'near_duplicate'
+            }).catch(error => console.error('❌ Error recording cache hit feedback:', error));
+
+            if (!repeated) {
+                console.log(`🎯 Using cached response (${(cachedResult.similarity * 100).toFixed(1)}% similarity)`);
+                return {
+                    message: cachedResult.response,
+                    cacheHit: true,
+                    similarity: cachedResult.similarity,
+                    costSaved: 0.002 // Estimated cost per API call
+                };
+            }
+            console.log(`🔁 Cached response repeats the debate (${(cachedResult.similarity * 100).toFixed(1)}% similarity), regenerating`);
         }
         
-        // Generate new response
-        const completion = await trackOpenAICall('gpt-4', async () => {
-            return await openai.chat.completions.create({
-                model: 'gpt-4',
-                messages: [
-                    { role: 'system', content: prompt },
-                    { role: 'user', content: `Continue the debate on "${topic}" considering the recent discussion.` }
-                ],
-                temperature,
-                max_tokens: maxTokens
-            });
+        // Generate new response through the configured LLM provider
+        const completion = await generateCompletion({
+            messages: [
+                { role: 'system', content: prompt },
+                { role: 'user', content: `Continue the debate on "${topic}" considering the recent discussion.` }
+            ],
+            temperature,
+            maxTokens
         });
 
-        const message = completion.choices[0].message.content.trim();
+        const message = completion.text;
         
         // Cache new response
         await cacheNewResponse(prompt, message, {
             agentId,
             debateId,
             topic: agentSpecificTopic,
+            debateTopic: topic,
             timestamp: new Date().toISOString()
         });
         
@@ -147,7 +176,8 @@ export async function generateMessageCore({
             message,
             cacheHit: false,
             similarity: 0,
-            costSaved: 0
+            costSaved: 0,
+            tokensUsed: completion.usage?.total_tokens ?? 0
         };
         
     } catch (error) {
@@ -156,86 +186,16 @@ export async function generateMessageCore({
             message: `I apologize, but I'm having trouble formulating a response right now. Let me gather my thoughts on ${topic}.`,
             cacheHit: false,
             similarity: 0,
-            costSaved: 0
+            costSaved: 0,
+            failed: true
         };
     }
 }
 
-// Convert debate topic to stance key for profile lookup
+// Convert debate topic to stance key for profile lookup. Topics outside the
+// built-in policy areas use the dimension resolveStanceDimension() gave them.
 export function topicToStanceKey(topic) {
-    console.log(`🔍 topicToStanceKey called with topic: "${topic}"`);
-    const topicMappings = {
-        'environmental regulations and green energy': 'climate_policy',
-        'climate policy': 'climate_policy',
-        'climate change': 'climate_policy',
-        
-        'artificial intelligence governance and ethics': 'ai_policy',
-        'ai regulation': 'ai_policy',
-        
-        'universal healthcare and medical access': 'healthcare_policy',
-        'healthcare reform': 'healthcare_policy',
-        'healthcare': 'healthcare_policy',
-        
-        'border security and refugee assistance': 'immigration_policy',
-        'immigration policy': 'immigration_policy',
-        'immigration': 'immigration_policy',
-        
-        'public education and student debt': 'education_policy',
-        'education reform': 'education_policy',
-        'education': 'education_policy',
-        
-        'progressive taxation and wealth redistribution': 'tax_policy',
-        'tax policy': 'tax_policy',
-        'taxation': 'tax_policy',
-        
-        'data protection and surveillance': 'privacy_policy',
-        'digital privacy': 'privacy_policy',
-        'privacy': 'privacy_policy',
-        
-        'space colonization and research funding': 'space_policy',
-        'space exploration': 'space_policy',
-        'space': 'space_policy'
-    };
-    
-    const lowerTopic = topic.toLowerCase();
-    console.log(`🔍 lowerTopic: "${lowerTopic}"`);
-    
-    // Direct match
-    if (topicMappings[lowerTopic]) {
-        console.log(`✅ Direct match found: "${lowerTopic}" → "${topicMappings[lowerTopic]}"`);
-        return topicMappings[lowerTopic];
-    }
-    
-    // Partial match for key words
-    if (lowerTopic.includes('climate') || lowerTopic.includes('environment')) {
-        return 'climate_policy';
-    }
-    if (lowerTopic.includes('healthcare') || lowerTopic.includes('medical')) {
-        return 'healthcare_policy';
-    }
-    if (lowerTopic.includes('education') || lowerTopic.includes('school')) {
-        return 'education_policy';
-    }
-    if (lowerTopic.includes('immigration') || lowerTopic.includes('border')) {
-        return 'immigration_policy';
-    }
-    if (lowerTopic.includes('tax') || lowerTopic.includes('wealth')) {
-        return 'tax_policy';
-    }
-    if (lowerTopic.includes('ai') || lowerTopic.includes('artificial')) {
-        return 'ai_policy';
-    }
-    if (lowerTopic.includes('privacy') || lowerTopic.includes('data')) {
-        return 'privacy_policy';
-    }
-    if (lowerTopic.includes('space')) {
-        console.log(`✅ Partial match found: "${lowerTopic}" includes 'space' → "space_policy"`);
-        return 'space_policy';
-    }
-    
-    // Default fallback
-    console.log(`⚠️ Unknown topic "${topic}", defaulting to general_policy`);
-    return 'general_policy';
+    return builtInStanceKey(topic) ?? resolvedStanceKey(topic) ?? GENERAL_STANCE_KEY;
 }
 
 // Determine emotional state from context
@@ -259,30 +219,11 @@ export function determineEmotionalState(profile, recentContext) {
     return state;
 }
 
-// Find potential allies for coalition building
+// Find potential allies for coalition building: the agent's current
+// coalition partners (see coalitions.js)
 export async function findPotentialAllies(agentId, debateId, topic) {
-    const client = await redisManager.getClient();
-    
     try {
-        const currentProfile = await client.json.get(`agent:${agentId}:profile`);
-        const stanceKey = topicToStanceKey(topic);
-        const currentStance = currentProfile.stance?.[stanceKey] || 0.5;
-        
-        const allAgents = ['senatorbot', 'reformerbot']; // Could be dynamic
-        const allies = [];
-        
-        for (const otherId of allAgents) {
-            if (otherId !== agentId) {
-                const otherProfile = await client.json.get(`agent:${otherId}:profile`);
-                const otherStance = otherProfile?.stance?.[stanceKey] || 0.5;
-                
-                if (Math.abs(currentStance - otherStance) < 0.3) {
-                    allies.push(otherProfile.name);
-                }
-            }
-        }
-        
-        return allies;
+        return await findCoalitionAllies(agentId, debateId);
     } catch (error) {
         console.error('Error finding allies:', error);
         return [];
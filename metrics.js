@@ -92,6 +92,24 @@ export const cacheCostSavings = new Counter({
   help: "Total cost savings from cache hits in USD",
 });
 
+export const cacheEvictionsTotal = new Counter({
+  name: "semantic_cache_evictions_total",
+  help: "Cache entries evicted, by policy and the budget they were evicted for",
+  labelNames: ["policy", "reason"],
+});
+
+export const cacheHitFeedbackTotal = new Counter({
+  name: "semantic_cache_hit_feedback_total",
+  help: "Cache hits judged good or bad, by where the judgement came from",
+  labelNames: ["quality", "source"],
+});
+
+export const cacheSimilarityThreshold = new Gauge({
+  name: "semantic_cache_similarity_threshold",
+  help: "Learned similarity threshold per topic|agent scope",
+  labelNames: ["scope"],
+});
+
 // ============================================
 // OPENAI API METRICS
 // ============================================
@@ -508,6 +526,14 @@ export function trackCacheOperation(
   }
 }
 
+/**
+ * Track feedback on a cache hit
+ * Usage: trackCacheHitFeedback('bad', 'near_duplicate')
+ */
+export function trackCacheHitFeedback(quality, source) {
+  cacheHitFeedbackTotal.inc({ quality, source });
+}
+
 /**
  * Update cache hit rate
  * Should be called periodically (e.g., after each cache check)
@@ -579,6 +605,10 @@ export default {
   cacheHitRate,
   trackCacheOperation,
   updateCacheHitRate,
+  cacheEvictionsTotal,
+  cacheHitFeedbackTotal,
+  cacheSimilarityThreshold,
+  trackCacheHitFeedback,
 
   // OpenAI
   openaiRequestDuration,
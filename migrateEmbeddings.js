@@ -0,0 +1,66 @@
+// Embedding Migration Script
+// Usage: node migrateEmbeddings.js [--dry-run] [--force]
+// Re-embeds cached prompts and facts with the configured EMBEDDING_PROVIDER
+// and moves them to vector indexes of its size. Run after changing provider.
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import redisManager from './redisManager.js';
+import { migrateEmbeddings } from './embeddingIndexes.js';
+
+const describeBackend = ({ provider, model, dimensions }) => `${provider}/${model} (${dimensions} dimensions)`;
+
+async function runMigrateEmbeddings() {
+    const { values } = parseArgs({
+        options: {
+            'dry-run': { type: 'boolean', default: false },
+            force: { type: 'boolean', default: false }
+        }
+    });
+
+    try {
+        const result = await migrateEmbeddings({
+            dryRun: values['dry-run'],
+            force: values.force,
+            onProgress: ({ collection, key, ok, completed, total }) => {
+                if (!ok || completed === total || completed % 100 === 0) {
+                    console.log(`   [${completed}/${total}] ${collection}: ${ok ? 're-embedded' : 'failed'} ${key}`);
+                }
+            }
+        });
+
+        if (result.status === 'up_to_date') {
+            console.log(`✅ Stored embeddings already match ${describeBackend(result.to)} - use --force to re-embed anyway`);
+            return true;
+        }
+
+        console.log(`🔄 ${describeBackend(result.from)} → ${describeBackend(result.to)}`);
+        for (const [collection, { index, keys, reembedded, failed }] of Object.entries(result.collections)) {
+            console.log(result.status === 'dry_run'
+                ? `   ${collection}: ${keys} keys would move to ${index}`
+                : `   ${collection}: ${reembedded}/${keys} re-embedded into ${index}, ${failed.length} failed`);
+        }
+
+        const failures = Object.values(result.collections).reduce((sum, { failed }) => sum + failed.length, 0);
+        if (failures > 0) {
+            console.log(`⚠️ ${failures} key(s) kept their old vectors - rerun to retry them`);
+        } else if (result.status === 'migrated') {
+            console.log('✅ Embedding migration complete');
+        }
+        return failures === 0;
+
+    } catch (error) {
+        console.error('❌ Error migrating embeddings:', error);
+        return false;
+    } finally {
+        await redisManager.disconnect();
+    }
+}
+
+// Run migration if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+    runMigrateEmbeddings()
+        .then(ok => process.exit(ok ? 0 : 1))
+        .catch(() => process.exit(1));
+}
+
+export default runMigrateEmbeddings;
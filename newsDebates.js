@@ -0,0 +1,194 @@
+// News-Seeded Debates
+// Turns a news article into a debate topic with pro/con positions plus a
+// numbered evidence list ([N1], [N2], ...) that agents can cite. The seed is
+// stored at debate:{id}:news so recovery can hand it back to the agents.
+import redisManager from "./redisManager.js";
+import { generateCompletion } from "./llmProvider.js";
+
+export const MAX_EVIDENCE = 4;
+const SNIPPET_LENGTH = 280;
+
+export function newsSeedKey(debateId) {
+  return `debate:${debateId}:news`;
+}
+
+/**
+ * @typedef {Object} NewsEvidence
+ * @property {string} id - Citation tag, e.g. "N1"
+ * @property {string} title
+ * @property {string} source
+ * @property {string} url
+ * @property {string} publishedAt
+ * @property {string} snippet
+ */
+
+/**
+ * @typedef {Object} NewsDebateSeed
+ * @property {string} topic
+ * @property {string} proPosition - Argued by the first agent
+ * @property {string} conPosition - Argued by the second agent
+ * @property {'model'|'headline'} framedBy
+ * @property {{ title: string, url: string, source: string, publishedAt: string }} article
+ * @property {NewsEvidence[]} evidence
+ */
+
+/**
+ * Number the articles as citable evidence, dropping duplicates.
+ * @param {import("./newsSources.js").NewsArticle[]} articles
+ * @returns {NewsEvidence[]}
+ */
+export function articlesToEvidence(articles) {
+  const seen = new Set();
+  const evidence = [];
+
+  for (const article of articles) {
+    const key = article.url || article.title;
+    if (!article.title || seen.has(key)) continue;
+    seen.add(key);
+
+    const text = (article.description || article.content || "").trim();
+    evidence.push({
+      id: `N${evidence.length + 1}`,
+      title: article.title,
+      source: article.source?.name || "",
+      url: article.url || "",
+      publishedAt: article.publishedAt || "",
+      snippet:
+        text.length > SNIPPET_LENGTH
+          ? `${text.substring(0, SNIPPET_LENGTH - 1)}…`
+          : text,
+    });
+    if (evidence.length === MAX_EVIDENCE) break;
+  }
+
+  return evidence;
+}
+
+// Headlines often end in " - Source Name"
+function headlineFraming(article) {
+  const subject = article.title.replace(/\s+[-–|]\s+[^-–|]+$/, "").trim();
+  return {
+    topic: subject.substring(0, 200),
+    proPosition: `In favor of: ${subject}`,
+    conPosition: `Against: ${subject}`,
+    framedBy: "headline",
+  };
+}
+
+/**
+ * Ask the active LLM provider to frame the article as a debatable motion.
+ * Falls back to the headline when the reply is not usable JSON, as with the
+ * mock provider.
+ * @param {import("./newsSources.js").NewsArticle} article
+ * @param {{ complete?: typeof generateCompletion }} [options]
+ * @returns {Promise<Pick<NewsDebateSeed, 'topic'|'proPosition'|'conPosition'|'framedBy'>>}
+ */
+export async function frameNewsDebate(article, { complete = generateCompletion } = {}) {
+  try {
+    const { text } = await complete({
+      messages: [
+        {
+          role: "system",
+          content:
+            'You turn news stories into balanced debate motions. Reply with JSON only: {"topic": "...", "proPosition": "...", "conPosition": "..."}',
+        },
+        {
+          role: "user",
+          content: `HEADLINE: ${article.title}\nSUMMARY: ${article.description || article.content || ""}\n\nWrite a short debate topic (under 120 characters) about the policy question this story raises, and one sentence for each side.`,
+        },
+      ],
+      temperature: 0.3,
+      maxTokens: 200,
+    });
+
+    const framing = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] ?? "");
+    if (framing.topic && framing.proPosition && framing.conPosition) {
+      return {
+        topic: String(framing.topic).trim().substring(0, 200),
+        proPosition: String(framing.proPosition).trim(),
+        conPosition: String(framing.conPosition).trim(),
+        framedBy: "model",
+      };
+    }
+  } catch (error) {
+    console.log(`⚠️ Framing "${article.title}" from its headline: ${error.message}`);
+  }
+
+  return headlineFraming(article);
+}
+
+/**
+ * @param {import("./newsSources.js").NewsArticle} article - The story to debate
+ * @param {import("./newsSources.js").NewsArticle[]} [related] - Extra evidence
+ * @param {{ complete?: typeof generateCompletion }} [options]
+ * @returns {Promise<NewsDebateSeed>}
+ */
+export async function buildNewsDebateSeed(article, related = [], options) {
+  const framing = await frameNewsDebate(article, options);
+  return {
+    ...framing,
+    article: {
+      title: article.title,
+      url: article.url || "",
+      source: article.source?.name || "",
+      publishedAt: article.publishedAt || "",
+    },
+    evidence: articlesToEvidence([article, ...related]),
+  };
+}
+
+export async function saveNewsSeed(debateId, seed) {
+  await redisManager.execute(async (client) =>
+    client.json.set(newsSeedKey(debateId), "$", seed),
+  );
+  return seed;
+}
+
+/**
+ * @returns {Promise<NewsDebateSeed|null>}
+ */
+export async function getNewsSeed(debateId) {
+  return await redisManager.execute(async (client) =>
+    client.json.get(newsSeedKey(debateId)),
+  );
+}
+
+/**
+ * Prompt lines giving an agent its side and the citable evidence, or ""
+ * outside a news-seeded debate.
+ * @param {NewsDebateSeed|null|undefined} seed
+ * @param {'pro'|'con'|null} seat - Agents past the second get no side
+ */
+export function formatNewsContext(seed, seat) {
+  if (!seed) return "";
+
+  const position =
+    seat === "pro" ? seed.proPosition : seat === "con" ? seed.conPosition : null;
+  const evidence = seed.evidence
+    .map(
+      (item) =>
+        `[${item.id}] ${item.title}${item.source ? ` (${item.source})` : ""}: ${item.snippet}`,
+    )
+    .join("\n");
+
+  return [
+    `NEWS STORY: ${seed.article.title}`,
+    position ? `YOUR SIDE: ${position}` : null,
+    evidence
+      ? `NEWS EVIDENCE (cite by tag, e.g. [N1], and do not invent other sources):\n${evidence}`
+      : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+export default {
+  MAX_EVIDENCE,
+  newsSeedKey,
+  articlesToEvidence,
+  frameNewsDebate,
+  buildNewsDebateSeed,
+  saveNewsSeed,
+  getNewsSeed,
+  formatNewsContext,
+};
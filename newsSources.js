@@ -0,0 +1,201 @@
+// Pluggable News Sources
+// News-seeded debates read articles through a named source so a directory of
+// JSON/RSS fixtures can stand in for GNews when offline.
+//
+// Env:
+//   NEWS_SOURCE         gnews | fixtures (default: gnews)
+//   NEWS_FIXTURES_DIR   directory read by the fixtures source (default: fixtures/news)
+import "dotenv/config";
+import fs from "fs/promises";
+import path from "path";
+import { searchNews, getTopHeadlines } from "./lib/gnews.js";
+
+const sourceFactories = new Map();
+const sourceInstances = new Map();
+
+/**
+ * Articles use the GNews shape (see GNewsArticle in lib/gnews.js).
+ * @typedef {import("./lib/gnews.js").GNewsArticle} NewsArticle
+ */
+
+/**
+ * @typedef {Object} NewsSource
+ * @property {string} name
+ * @property {(query: string, options?: { max?: number }) => Promise<NewsArticle[]>} search
+ * @property {(options?: { topic?: string, max?: number }) => Promise<NewsArticle[]>} headlines
+ */
+
+/**
+ * Register a news source factory under a name. Factories run on first use.
+ * @param {string} name
+ * @param {() => NewsSource} factory
+ */
+export function registerNewsSource(name, factory) {
+  if (typeof factory !== "function") {
+    throw new Error(`News source "${name}" must be registered with a factory`);
+  }
+  sourceFactories.set(name, factory);
+  sourceInstances.delete(name);
+}
+
+/**
+ * @returns {string[]} Registered source names
+ */
+export function listNewsSources() {
+  return [...sourceFactories.keys()];
+}
+
+/**
+ * @returns {string} Source selected via NEWS_SOURCE
+ */
+export function getActiveNewsSourceName() {
+  return (process.env.NEWS_SOURCE || "gnews").toLowerCase();
+}
+
+/**
+ * Resolve a source instance, constructing it on first use.
+ * @param {string} [name] - Defaults to NEWS_SOURCE
+ * @returns {NewsSource}
+ */
+export function getNewsSource(name = getActiveNewsSourceName()) {
+  if (sourceInstances.has(name)) return sourceInstances.get(name);
+
+  const factory = sourceFactories.get(name);
+  if (!factory) {
+    throw new Error(
+      `Unknown news source "${name}". Registered: ${listNewsSources().join(", ")}`,
+    );
+  }
+
+  const source = factory();
+  sourceInstances.set(name, source);
+  return source;
+}
+
+/**
+ * Drop constructed sources so the next call re-reads env configuration.
+ */
+export function resetNewsSources() {
+  sourceInstances.clear();
+}
+
+function createGNewsSource() {
+  return {
+    name: "gnews",
+    async search(query, { max = 10 } = {}) {
+      const { articles = [] } = await searchNews(query, { max });
+      return articles;
+    },
+    async headlines({ topic = "world", max = 10 } = {}) {
+      const { articles = [] } = await getTopHeadlines({ topic, max });
+      return articles;
+    },
+  };
+}
+
+function decodeXml(text = "") {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+function xmlTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, "i"));
+  return match ? decodeXml(match[1]) : "";
+}
+
+/**
+ * Read the <item>s of an RSS 2.0 feed as articles.
+ * @param {string} xml
+ * @returns {NewsArticle[]}
+ */
+export function parseRssItems(xml) {
+  const channel = xml.split(/<item[\s>]/i)[0];
+  const feedSource = { name: xmlTag(channel, "title"), url: xmlTag(channel, "link") };
+
+  return [...xml.matchAll(/<item[\s>][\s\S]*?<\/item>/gi)].map(([item]) => {
+    const published = xmlTag(item, "pubDate");
+    const description = xmlTag(item, "description");
+    return {
+      title: xmlTag(item, "title"),
+      description,
+      content: xmlTag(item, "content:encoded") || description,
+      url: xmlTag(item, "link"),
+      image: "",
+      // Feeds do carry unparsable dates; one must not sink the whole feed
+      publishedAt: Number.isNaN(Date.parse(published)) ? "" : new Date(published).toISOString(),
+      source: xmlTag(item, "source")
+        ? { name: xmlTag(item, "source"), url: "" }
+        : feedSource,
+    };
+  });
+}
+
+function newestFirst(a, b) {
+  return (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0);
+}
+
+/**
+ * Offline source over a directory of fixtures: `.json` files holding an
+ * article array or a GNews response, and `.xml`/`.rss` feeds. Search matches
+ * any query word in the title, description or content.
+ * @param {{ dir?: string }} [options]
+ * @returns {NewsSource}
+ */
+export function createFixtureNewsSource({
+  dir = process.env.NEWS_FIXTURES_DIR || "fixtures/news",
+} = {}) {
+  const loadArticles = async () => {
+    const files = (await fs.readdir(dir)).sort();
+    const articles = [];
+
+    for (const file of files) {
+      const text = await fs.readFile(path.join(dir, file), "utf8");
+      if (file.endsWith(".json")) {
+        const data = JSON.parse(text);
+        articles.push(...(Array.isArray(data) ? data : (data.articles ?? [])));
+      } else if (file.endsWith(".xml") || file.endsWith(".rss")) {
+        articles.push(...parseRssItems(text));
+      }
+    }
+
+    return articles.sort(newestFirst);
+  };
+
+  return {
+    name: "fixtures",
+    async search(query, { max = 10 } = {}) {
+      const words = query.toLowerCase().match(/[a-z0-9]+/g) || [];
+      const articles = await loadArticles();
+      return articles
+        .filter((article) => {
+          const text =
+            `${article.title} ${article.description} ${article.content}`.toLowerCase();
+          return words.some((word) => text.includes(word));
+        })
+        .slice(0, max);
+    },
+    async headlines({ max = 10 } = {}) {
+      return (await loadArticles()).slice(0, max);
+    },
+  };
+}
+
+registerNewsSource("gnews", createGNewsSource);
+registerNewsSource("fixtures", createFixtureNewsSource);
+
+export default {
+  registerNewsSource,
+  getNewsSource,
+  listNewsSources,
+  getActiveNewsSourceName,
+  resetNewsSources,
+  createFixtureNewsSource,
+  parseRssItems,
+};
@@ -3,6 +3,7 @@
 
 import 'dotenv/config';
 import { createClient } from 'redis';
+import { EMBEDDING_COLLECTIONS, vectorIndexName } from './embeddingIndexes.js';
 
 class PlatformMetricsDashboard {
     constructor() {
@@ -116,8 +117,8 @@ class PlatformMetricsDashboard {
     async getVectorSearchAnalytics() {
         try {
             const [factsInfo, cacheInfo] = await Promise.all([
-                this.client.ft.info('facts-index').catch(() => null),
-                this.client.ft.info('cache-index').catch(() => null)
+                this.client.ft.info(vectorIndexName(EMBEDDING_COLLECTIONS.facts.base)).catch(() => null),
+                this.client.ft.info(vectorIndexName(EMBEDDING_COLLECTIONS.cache.base)).catch(() => null)
             ]);
 
             const vectorOps = await this.client.eval(`
@@ -3,6 +3,7 @@
 
 import 'dotenv/config';
 import { createClient } from 'redis';
+import { EMBEDDING_COLLECTIONS, vectorIndexName } from './embeddingIndexes.js';
 
 class PlatformMetricsEngine {
     constructor() {
@@ -553,8 +554,9 @@ class PlatformMetricsEngine {
         
         // Test Vector capability
         try {
-            await this.client.ft.info('facts-index');
-            capabilities.vector = { available: true, index: 'facts-index' };
+            const factsIndex = vectorIndexName(EMBEDDING_COLLECTIONS.facts.base);
+            await this.client.ft.info(factsIndex);
+            capabilities.vector = { available: true, index: factsIndex };
         } catch (error) {
             capabilities.vector = { available: false, error: 'Index not found' };
         }
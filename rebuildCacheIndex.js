@@ -3,6 +3,7 @@
 
 import 'dotenv/config';
 import { createClient } from 'redis';
+import { createVectorIndex, getEmbeddingBackend } from './embeddingIndexes.js';
 
 async function rebuildCacheIndex() {
     console.log('🔄 Rebuilding cache index with topic filtering...');
@@ -29,53 +30,11 @@ async function rebuildCacheIndex() {
         await client.connect();
         console.log('✅ Connected to Redis');
 
-        // Drop existing index
-        try {
-            await client.ft.dropIndex('cache-index');
-            console.log('🗑️ Dropped existing cache-index');
-        } catch (error) {
-            console.log('ℹ️ No existing cache-index to drop');
-        }
-
-        // Create new index with topic filtering
-        await client.ft.create(
-            'cache-index',
-            {
-                content: {
-                    type: 'TEXT',
-                    SORTABLE: true
-                },
-                response: {
-                    type: 'TEXT'
-                },
-                topic: {
-                    type: 'TAG',
-                    SORTABLE: true
-                },
-                vector: {
-                    type: 'VECTOR',
-                    ALGORITHM: 'HNSW',
-                    TYPE: 'FLOAT32',
-                    DIM: 1536,
-                    DISTANCE_METRIC: 'COSINE',
-                    INITIAL_CAP: 100,
-                    M: 16,
-                    EF_CONSTRUCTION: 200
-                },
-                created_at: {
-                    type: 'TEXT'
-                },
-                tokens_saved: {
-                    type: 'NUMERIC'
-                }
-            },
-            {
-                ON: 'HASH',
-                PREFIX: 'cache:prompt:'
-            }
-        );
+        // Drop and recreate the index with topic filtering, sized for EMBEDDING_PROVIDER
+        const { provider, dimensions } = getEmbeddingBackend();
+        const index = await createVectorIndex(client, 'cache', dimensions, { replace: true });
 
-        console.log('✅ Cache index rebuilt with topic filtering!');
+        console.log(`✅ Cache index ${index} rebuilt with topic filtering (${dimensions} dimensions, ${provider})!`);
         console.log('🎯 Now topics are properly isolated:');
         console.log('   - Climate policy responses won\'t contaminate space exploration');
         console.log('   - Each topic maintains separate cache entries');
@@ -1,10 +1,13 @@
 // Semantic Cache System - Redis Vector Showcase Feature
-// Caches AI responses based on prompt similarity using OpenAI embeddings
+// Caches AI responses based on prompt similarity using provider embeddings
 import "dotenv/config";
 import redisManager from "./redisManager.js";
-import OpenAI from "openai";
+import { generateEmbedding as embedText } from "./llmProvider.js";
 import crypto from "crypto";
 import { CACHE_CONFIG } from "./cacheConfig.js";
+import { getSimilarityThreshold } from "./cacheThresholds.js";
+import { vectorIndexName } from "./embeddingIndexes.js";
+import { evictIfOverBudget } from "./cacheEviction.js";
 import {
   cacheHitsTotal,
   cacheMissesTotal,
@@ -15,14 +18,28 @@ import {
   cacheCostSavings,
   trackCacheOperation,
   updateCacheHitRate,
-  trackOpenAICall,
 } from "./metrics.js";
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
 // Get configuration with environment overrides
 const config = CACHE_CONFIG.getConfig();
 
+// TAG queries match the stored value exactly, punctuation and spaces escaped
+function escapeTag(value) {
+  return value.replace(/[^a-zA-Z0-9_]/g, "\\$&");
+}
+
+/**
+ * The topic as stored in the cache-index's topic TAG. The field splits on
+ * the default "," separator, so a topic such as "Taxes, spending and
+ * growth" would be indexed as several tags that no whole-topic query
+ * matches; commas become semicolons on both writes and lookups.
+ * @param {string} topic
+ * @returns {string}
+ */
+export function cacheTopicTag(topic) {
+  return String(topic).replace(/,/g, ";");
+}
+
 class SemanticCache {
   constructor() {
     this.metricsKey = "cache:metrics";
@@ -50,22 +67,11 @@ class SemanticCache {
 
       // Check in-memory embedding cache first
       if (this.embeddingCache.has(cacheKey)) {
-        console.log("🎯 Embedding cache hit - saved OpenAI API call");
+        console.log("🎯 Embedding cache hit - saved embedding API call");
         return this.embeddingCache.get(cacheKey);
       }
 
-      const response = await trackOpenAICall(
-        config.EMBEDDING_MODEL,
-        async () => {
-          return await openai.embeddings.create({
-            model: config.EMBEDDING_MODEL,
-            input: text.substring(0, config.MAX_PROMPT_LENGTH), // Use config limit
-          });
-        },
-        "embedding",
-      );
-
-      const embedding = response.data[0].embedding;
+      const embedding = await embedText(text);
 
       // Cache the embedding (with size management)
       if (this.embeddingCacheSize < this.maxEmbeddingCacheSize) {
@@ -101,11 +107,19 @@ class SemanticCache {
     return `cache:prompt:${hash.substring(0, 16)}`;
   }
 
-  // Search for similar cached prompts with topic awareness
-  async findSimilarCachedResponse(prompt, topic = "general") {
+  // Search for similar cached prompts with topic awareness. The hit
+  // threshold is the one learned for thresholdTopic (the plain debate topic,
+  // since the cache topic is agent- and turn-specific) and agentId.
+  async findSimilarCachedResponse(prompt, topic = "general", options = {}) {
+    const { agentId = null, thresholdTopic = null } = options;
     const start = Date.now();
 
     try {
+      const { threshold } = await getSimilarityThreshold({
+        topic: thresholdTopic,
+        agentId,
+      });
+
       // Include topic in embedding generation for better context
       const contextualPrompt = `Topic: ${topic}. ${prompt}`;
       const embedding = await this.generateEmbedding(contextualPrompt);
@@ -114,8 +128,8 @@ class SemanticCache {
       // Search for similar prompts using Redis Vector Search WITH topic filtering
       const searchResults = await redisManager.execute(async (client) => {
         return await client.ft.search(
-          config.VECTOR_INDEX_NAME,
-          `@topic:{${topic.replace(/[^a-zA-Z0-9]/g, "_")}} => [KNN ${config.VECTOR_SEARCH_LIMIT} @vector $query_vector AS score]`,
+          vectorIndexName(config.VECTOR_INDEX_NAME, embedding.length),
+          `@topic:{${escapeTag(cacheTopicTag(topic))}} => [KNN ${config.VECTOR_SEARCH_LIMIT} @vector $query_vector AS score]`,
           {
             PARAMS: {
               query_vector: vectorBuffer,
@@ -131,7 +145,7 @@ class SemanticCache {
         const bestMatch = searchResults.documents[0];
         const similarity = 1 - parseFloat(bestMatch.value.score); // Convert distance to similarity
 
-        if (similarity >= config.SIMILARITY_THRESHOLD) {
+        if (similarity >= threshold) {
           const duration = (Date.now() - start) / 1000;
 
           console.log(
@@ -155,10 +169,13 @@ class SemanticCache {
 
           // Update hit metrics
           await this.updateMetrics(true, similarity);
+          await this.recordEntryHit(bestMatch.id, similarity);
 
           return {
             response: bestMatch.value.response,
             similarity,
+            threshold,
+            cacheKey: bestMatch.id,
             cached: true,
             originalPrompt: bestMatch.value.content,
           };
@@ -199,22 +216,30 @@ class SemanticCache {
       const cacheData = {
         content: contextualPrompt,
         original_prompt: prompt,
-        topic: topic,
+        topic: cacheTopicTag(topic),
         response: response,
         vector: vectorBuffer,
         created_at: new Date().toISOString(),
         metadata: JSON.stringify(metadata),
         tokens_saved: this.estimateTokens(response),
+        hit_count: 0,
       };
 
       await redisManager.execute(async (client) => {
         await client.hSet(cacheKey, cacheData);
-        // Set TTL
-        await client.expire(cacheKey, config.CACHE_TTL);
+        // Set TTL, unless the entry was pinned (see cacheAdmin.js)
+        if ((await client.hGet(cacheKey, "pinned")) !== "1") {
+          await client.expire(cacheKey, config.CACHE_TTL);
+        }
       });
 
       console.log(`💾 Response cached with key: ${cacheKey}`);
 
+      // Budgets hold per insert, not only per CACHE_CLEANUP_INTERVAL
+      evictIfOverBudget().catch((error) =>
+        console.error("Error enforcing cache budgets:", error),
+      );
+
       return cacheKey;
     } catch (error) {
       console.error("Error caching response:", error);
@@ -222,6 +247,21 @@ class SemanticCache {
     }
   }
 
+  // Count hits per entry for the cache browser
+  async recordEntryHit(cacheKey, similarity) {
+    try {
+      await redisManager.execute(async (client) => {
+        await client.hIncrBy(cacheKey, "hit_count", 1);
+        await client.hSet(cacheKey, {
+          last_hit_at: new Date().toISOString(),
+          last_hit_similarity: String(similarity),
+        });
+      });
+    } catch (error) {
+      console.error("Error recording cache entry hit:", error);
+    }
+  }
+
   // Update cache metrics
   async updateMetrics(isHit, similarity = 0) {
     try {
@@ -317,14 +357,17 @@ class SemanticCache {
     return Math.ceil(text.length / config.TOKEN_ESTIMATION_RATIO);
   }
 
-  // Clean up old cache entries
+  // Clean up old cache entries: TTL expires them, eviction keeps the rest
+  // inside the entry and memory budgets (see cacheEviction.js)
   async cleanupCache() {
     try {
-      // Find expired entries (Redis TTL handles this automatically)
-      // This method can be used for additional cleanup logic
-      console.log("🧹 Cache cleanup completed");
+      const { evictCache } = await import("./cacheEviction.js");
+      const result = await evictCache();
+      console.log(`🧹 Cache cleanup completed, ${result.evicted ?? 0} evicted`);
+      return result;
     } catch (error) {
       console.error("Error during cache cleanup:", error);
+      return null;
     }
   }
 
@@ -342,8 +385,12 @@ class SemanticCache {
         );
       });
 
+      const { getEvictionStats } = await import("./cacheEviction.js");
+      const eviction = await getEvictionStats();
+
       return {
         ...metrics,
+        eviction,
         total_cache_entries: totalKeys,
         cache_efficiency: metrics.hit_ratio,
         memory_saved_mb:
@@ -363,8 +410,8 @@ const semanticCache = new SemanticCache();
 export default semanticCache;
 
 // Helper functions for easy integration
-export async function getCachedResponse(prompt, topic = "general") {
-  return await semanticCache.findSimilarCachedResponse(prompt, topic);
+export async function getCachedResponse(prompt, topic = "general", options = {}) {
+  return await semanticCache.findSimilarCachedResponse(prompt, topic, options);
 }
 
 export async function cacheNewResponse(prompt, response, metadata = {}) {
@@ -20,6 +20,7 @@ import {
   generateContestAnalytics,
 } from "./advancedMetrics.js";
 import { createServer } from "http";
+import { randomUUID } from "crypto";
 import sentimentAnalyzer from "./sentimentAnalysis.js";
 import keyMomentsDetector, {
   processDebateEvent,
@@ -34,6 +35,144 @@ import debateOrchestrator, {
   runLangGraphDebate,
 } from "./src/agents/debateOrchestrator.js";
 import { getLangfuse, flushLangfuse } from "./src/utils/langfuse.js";
+import {
+  DEBATE_STATUS,
+  saveDebateCheckpoint,
+  markDebateStatus,
+  getDebateCheckpoint,
+  listLiveDebateCheckpoints,
+  planDebateRecovery,
+} from "./debateState.js";
+import {
+  createDebateProcess,
+  pauseDebateProcess,
+  resumeDebateProcess,
+  stepDebateProcess,
+  canTakeTurn,
+  waitForTurnPermit,
+  consumeTurnPermit,
+} from "./debateControl.js";
+import {
+  DEFAULT_TURN_POLICY,
+  TURN_POLICY_NAMES,
+  isTurnPolicy,
+  selectNextSpeaker,
+  loadTurnContext,
+} from "./turnPolicies.js";
+import {
+  claimHumanSeat,
+  releaseHumanSeat,
+  clearHumanSeats,
+  getHumanSeat,
+  listHumanSeats,
+  waitForHumanTurn,
+  submitHumanTurn,
+} from "./humanTurns.js";
+import { castAudienceVote, getAudienceSummary } from "./audiencePoll.js";
+import {
+  MAX_REPLAY_SPEED,
+  loadReplayTimeline,
+  playReplayTimeline,
+} from "./debateReplay.js";
+import {
+  EXPORT_FORMATS,
+  loadDebateTranscript,
+  recordMessageAnnotations,
+} from "./debateExport.js";
+import {
+  buildFormatSchedule,
+  getDebateFormat,
+  listDebateFormats,
+  saveDebateFormat,
+} from "./debateFormats.js";
+import {
+  createSchedule,
+  deleteSchedule,
+  getSchedule,
+  isValidCron,
+  listSchedules,
+  runDueSchedules,
+  startScheduleRunner,
+  updateSchedule,
+} from "./debateSchedules.js";
+import { getNewsSource, getActiveNewsSourceName } from "./newsSources.js";
+import {
+  buildNewsDebateSeed,
+  formatNewsContext,
+  getNewsSeed,
+  saveNewsSeed,
+} from "./newsDebates.js";
+import { DEBATE_TOPICS } from "./lib/gnews.js";
+import { getStanceReasons } from "./stanceEvolution.js";
+import { updateCoalitions, getCoalitions } from "./coalitions.js";
+import { getArgumentMap, scheduleArgumentMapUpdate } from "./argumentMap.js";
+import {
+  CACHE_SORTS,
+  deleteCacheEntries,
+  getCacheEntry,
+  listCacheEntries,
+  searchCache,
+  setCacheEntryPinned,
+} from "./cacheAdmin.js";
+import {
+  listThresholds,
+  recordHitFeedback,
+  setThreshold,
+} from "./cacheThresholds.js";
+import {
+  DEFAULT_WARM_AGENTS,
+  scheduledWarmTargets,
+  warmCache,
+} from "./cacheWarming.js";
+import { evictCache, startEvictionRunner } from "./cacheEviction.js";
+import { getEmbeddingBackend, getRecordedBackend } from "./embeddingIndexes.js";
+import {
+  advanceTournament,
+  createTournament,
+  getLeaderboard,
+  getTournament,
+  listTournaments,
+  resumeTournaments,
+  tournamentStandings,
+} from "./tournaments.js";
+import {
+  finalizeVerdict,
+  getVerdict,
+  scheduleJudging,
+  scoreRound,
+} from "./debateJudging.js";
+import {
+  applyProfileOverride,
+  compareBranches,
+  forkDebate,
+  getForkTree,
+  getLineage,
+  inheritVerdictRounds,
+} from "./debateForks.js";
+import {
+  rememberDebateTurn,
+  recallMemories,
+  listMemories,
+  forgetMemories,
+} from "./agentMemory.js";
+import {
+  createAgent,
+  deleteAgent,
+  exportPersonaPack,
+  getAgent,
+  getAgentVersions,
+  importPersonas,
+  listAgents,
+  parsePersonaPack,
+  rollbackAgent,
+  updateAgent,
+} from "./agentPersonas.js";
+import {
+  listStanceDimensions,
+  loadStanceAliases,
+  mergeStanceDimensions,
+  prepareStanceDimension,
+} from "./stanceDimensions.js";
 import redisOptimizer, {
   startOptimization,
   getOptimizationMetrics,
@@ -52,6 +191,7 @@ import enhancedEndpoints from "./src/routes/enhanced-endpoints.js";
 
 // New imports for improvements
 import { validateEnvironment } from "./src/config/environment.js";
+import { config } from "./src/config/index.js";
 import {
   getMetricsHandler,
   trackHttpRequest,
@@ -62,6 +202,17 @@ import {
 import {
   sanitizeRequest,
   validateDebateStart,
+  validateNewsDebate,
+  validateDebateFormat,
+  validateAgentProfile,
+  validateStanceDimensionMerge,
+  validateDebateSchedule,
+  validateTournament,
+  validateDebateFork,
+  validateCacheSearch,
+  validateCacheThreshold,
+  validateCacheWarm,
+  validateCacheEviction,
 } from "./src/middleware/validation.js";
 
 // Validate environment before starting
@@ -311,6 +462,11 @@ console.log(
   "⏸️ Redis optimizer disabled - use API endpoints to enable manually",
 );
 
+// Debate scheduler runner, started once the server is listening
+let stopScheduleRunner = null;
+// Semantic cache eviction runner, likewise
+let stopEvictionRunner = null;
+
 // Start platform metrics collection - DISABLED FOR MANUAL CONTROL
 let contestMetricsCleanup = null;
 // Contest metrics disabled by default to reduce background noise
@@ -365,6 +521,9 @@ const currentAgentIndexPerDebate = new Map(); // debateId -> agentIndex
 // Store last message timestamps to prevent duplicate rapid-fire messages
 const lastMessageTimestamps = new Map(); // agentId -> timestamp
 
+// Debates found in Redis checkpoints at startup (resumed or interrupted)
+const recoveredDebates = new Map(); // debateId -> { status, reason, ... }
+
 // Global debate start cooldown to prevent rapid-fire starts
 let lastGlobalDebateStart = 0;
 const DEBATE_START_COOLDOWN = 100; // Reduced to 100ms for testing
@@ -403,6 +562,23 @@ wss.on("connection", (ws) => {
   connections.add(ws);
   websocketConnectionsActive.inc();
 
+  // Identifies the viewer for one-vote-per-round audience polling. Assigned
+  // here, never taken from the client, so a voter cannot mint new identities.
+  ws.clientId = randomUUID();
+
+  ws.on("message", (raw) => {
+    let data;
+    try {
+      data = JSON.parse(raw.toString());
+    } catch {
+      return; // Ignore non-JSON frames
+    }
+
+    if (data?.type === "stance:vote") {
+      handleAudienceVote(ws, data);
+    }
+  });
+
   // Heartbeat liveness flag. Set true on pong; the interval below terminates
   // any connection that did not respond to the previous ping.
   ws.isAlive = true;
@@ -450,6 +626,41 @@ wss.on("close", () => {
   clearInterval(wsHeartbeatInterval);
 });
 
+// Audience vote from a viewer: ack the sender, broadcast the new tally
+async function handleAudienceVote(ws, { debateId, stance }) {
+  try {
+    const result = await castAudienceVote({
+      debateId: sanitizeInput(String(debateId || "")),
+      clientId: ws.clientId,
+      stance,
+    });
+
+    if (ws.readyState === ws.OPEN) {
+      ws.send(
+        JSON.stringify({
+          type: "audience_vote_ack",
+          debateId,
+          stance,
+          ...result,
+        }),
+      );
+    }
+
+    if (result.accepted) {
+      broadcast({
+        type: "audience_update",
+        debateId,
+        round: result.round,
+        tally: result.tally,
+        overall: result.overall,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  } catch (error) {
+    console.error(`❌ Audience vote failed for ${debateId}:`, error.message);
+  }
+}
+
 // Broadcast to all connected clients
 function broadcast(data) {
   const message = JSON.stringify(data);
@@ -462,6 +673,120 @@ function broadcast(data) {
   });
 }
 
+// Persist debate lifecycle state so a restart can resume or interrupt it
+async function checkpointDebate(debateId, fields = {}) {
+  const debate = activeDebates.get(debateId);
+  try {
+    await saveDebateCheckpoint(debateId, {
+      ...(debate && {
+        topic: debate.topic,
+        agents: debate.agents,
+        startTime: debate.startTime,
+        messageCount: debate.messageCount,
+        factChecks: debate.factChecks,
+        turnPolicy: debate.turnPolicy,
+        turnWeights: debate.turnWeights,
+        format: debate.format?.name ?? null,
+      }),
+      ...fields,
+    });
+  } catch (error) {
+    console.log(
+      `⚠️ Could not checkpoint debate ${debateId}: ${error.message}`,
+    );
+  }
+}
+
+// Record how a debate runner finished and free any human seats. The
+// checkpoint is skipped during shutdown so it stays live and startup
+// recovery can pick it up.
+async function finalizeDebateState(debateId, debateProcess) {
+  clearHumanSeats(debateId);
+  if (isShuttingDown) return;
+
+  const status = debateProcess?.cancelled
+    ? DEBATE_STATUS.STOPPED
+    : debateProcess?.error
+      ? DEBATE_STATUS.FAILED
+      : DEBATE_STATUS.COMPLETED;
+
+  await checkpointDebate(debateId, {
+    status,
+    endTime: new Date().toISOString(),
+    ...(debateProcess?.error && { error: debateProcess.error }),
+  });
+}
+
+// Read turnPolicy / turnWeights from a start request body.
+// Returns { error } for an unknown policy so routes can answer 400.
+function parseTurnPolicyOptions(body = {}) {
+  const { turnPolicy = DEFAULT_TURN_POLICY, turnWeights } = body;
+  if (!isTurnPolicy(turnPolicy)) {
+    return {
+      error: `Unknown turn policy "${turnPolicy}". Expected one of: ${TURN_POLICY_NAMES.join(", ")}`,
+    };
+  }
+
+  const weights = {};
+  if (turnWeights && typeof turnWeights === "object") {
+    for (const [agentId, weight] of Object.entries(turnWeights)) {
+      const value = Number(weight);
+      if (Number.isFinite(value) && value >= 0) {
+        weights[sanitizeInput(agentId)] = value;
+      }
+    }
+  }
+
+  return { turnPolicy, turnWeights: weights };
+}
+
+// Read the optional debate format from a start request body and expand it
+// into a turn schedule for these agents. Returns { error } for an unknown
+// format so routes can answer 400.
+async function parseDebateFormatOption(body = {}, agents) {
+  if (!body.format) return { format: null, formatSchedule: null };
+
+  const name = sanitizeInput(String(body.format));
+  const format = await getDebateFormat(name);
+  if (!format) {
+    return { error: `Unknown debate format "${name}"` };
+  }
+  return { format, formatSchedule: buildFormatSchedule(format, agents) };
+}
+
+// Pick the index of the next speaker under the debate's turn policy.
+// A debate format fixes the speaker order, so its schedule wins.
+// Any failure falls back to seat order so a debate never stalls here.
+async function pickNextAgentIndex(debateId, agents, topic, lastSpeaker, turnIndex) {
+  const debate = activeDebates.get(debateId);
+  const turnPolicy = debate?.turnPolicy || DEFAULT_TURN_POLICY;
+  const roundRobinIndex = (agents.indexOf(lastSpeaker) + 1) % agents.length;
+
+  const scheduledTurn = debate?.formatSchedule?.[turnIndex];
+  if (scheduledTurn) return agents.indexOf(scheduledTurn.agentId);
+
+  if (turnPolicy === DEFAULT_TURN_POLICY) return roundRobinIndex;
+
+  try {
+    const context = await loadTurnContext({
+      debateId,
+      agents,
+      topic,
+      lastSpeaker,
+      turnIndex,
+      weights: debate?.turnWeights,
+    });
+    const nextAgentId = await selectNextSpeaker(turnPolicy, context);
+    console.log(`🎙️ ${turnPolicy} picked ${nextAgentId} for turn ${turnIndex + 1}`);
+    return agents.indexOf(nextAgentId);
+  } catch (error) {
+    console.log(
+      `⚠️ Turn policy ${turnPolicy} failed for ${debateId}, using round-robin: ${error.message}`,
+    );
+    return roundRobinIndex;
+  }
+}
+
 // Broadcast Redis operation for Matrix visualization
 function broadcastRedisOperation(operationType, operation, metadata = {}) {
   broadcast({
@@ -614,9 +939,11 @@ app.post("/api/agent/:id/update", async (req, res) => {
       return res.status(404).json({ error: "Agent not found" });
     }
 
-    // Merge updates
-    const updatedProfile = { ...currentProfile, ...updates };
-    await client.json.set(`agent:${id}:profile`, "$", updatedProfile);
+    // Merge updates, keeping the previous profile in the version history
+    const updatedProfile = await updateAgent(id, {
+      ...currentProfile,
+      ...updates,
+    });
 
     // Broadcast update to all clients
     broadcast({
@@ -650,133 +977,379 @@ function sanitizeInput(input) {
     .substring(0, 1000); // Limit length to prevent DoS
 }
 
-// Start a new debate - ENHANCED FOR MULTI-DEBATE SUPPORT
-app.post("/api/debate/start", async (req, res) => {
+// Free text people write into a debate (human turns, seat names, injected
+// messages) is stored as typed, trimmed and capped. Whatever renders it
+// escapes it, so escaping here as well would show "&amp;" in exports.
+function cleanText(input, maxLength = 1000) {
+  if (typeof input !== "string") return input;
+  return input
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, "")
+    .trim()
+    .substring(0, maxLength);
+}
+
+// Give a debate topic its stance dimension and the agents a starting stance
+// on it. Failures only cost the topic its own dimension, so they are logged.
+async function prepareDebateStances(topic, agents) {
   try {
-    const {
-      debateId = `debate_${Date.now()}`,
-      topic = "climate change policy",
-      agents = ["senatorbot", "reformerbot"],
-    } = req.body;
+    return await prepareStanceDimension(topic, agents);
+  } catch (error) {
+    console.log(`⚠️ Could not prepare stance dimension for "${topic}": ${error.message}`);
+    return null;
+  }
+}
 
-    // Sanitize inputs to prevent XSS attacks
-    const sanitizedTopic = sanitizeInput(topic);
-    const sanitizedDebateId = sanitizeInput(debateId);
-    const sanitizedAgents = Array.isArray(agents)
-      ? agents.map((agent) => sanitizeInput(agent))
-      : ["senatorbot", "reformerbot"];
+// Recompute a debate's coalitions after a turn and announce changes
+async function trackCoalitions(debateId, topic, agents, turn) {
+  try {
+    const { topicToStanceKey } = await import("./messageGenerationCore.js");
+    const { graph, changed, previous } = await updateCoalitions(
+      debateId,
+      agents,
+      { stanceKey: topicToStanceKey(topic), turn },
+    );
+    if (changed) {
+      broadcast({
+        type: "coalition_changed",
+        debateId,
+        turn,
+        coalitions: graph.coalitions,
+        previous,
+        graph,
+        timestamp: graph.timestamp,
+      });
+    }
+  } catch (error) {
+    console.log(`⚠️ Coalition update failed for ${debateId}: ${error.message}`);
+  }
+}
 
-    // Global cooldown check
-    const now = Date.now();
-    if (now - lastGlobalDebateStart < DEBATE_START_COOLDOWN) {
-      console.log(
-        `🚫 Debate start request too soon (${now - lastGlobalDebateStart}ms ago), rejecting`,
-      );
-      return res.status(429).json({
+// Extend a debate's argument map in the background with the latest turns.
+// Extraction can take an LLM call per message, so turns never wait on it.
+function trackArgumentMap(debateId, options) {
+  scheduleArgumentMapUpdate(debateId, options)
+    .then((map) => {
+      broadcast({
+        type: "argument_map_updated",
+        debateId,
+        map,
+        timestamp: map.updatedAt,
+      });
+    })
+    .catch((error) => {
+      console.log(`⚠️ Argument map update failed for ${debateId}: ${error.message}`);
+    });
+}
+
+// Have the judge panel score a finished round in the background. `messages`
+// are the round's turns as { agentId, message }.
+function trackRoundScore(debateId, topic, agents, round, messages) {
+  if (messages.length === 0) return;
+  scheduleJudging(debateId, () =>
+    scoreRound(debateId, { topic, round, messages, agentIds: agents }),
+  )
+    .then((verdict) => {
+      broadcast({
+        type: "round_scored",
+        debateId,
+        round,
+        scores: verdict.scores,
+        winner: verdict.winner,
+        agreement: verdict.agreement,
+        abstentions: verdict.abstentions,
+        timestamp: verdict.scoredAt,
+      });
+    })
+    .catch((error) => {
+      console.log(`⚠️ Round ${round} scoring failed for ${debateId}: ${error.message}`);
+    });
+}
+
+// Announce the winner once every queued round has been scored
+function trackVerdict(debateId, topic) {
+  scheduleJudging(debateId, () => finalizeVerdict(debateId))
+    .then((verdict) => {
+      if (!verdict) return;
+      broadcast({
+        type: "debate_verdict",
+        debateId,
+        topic,
+        ...verdict,
+        timestamp: verdict.decidedAt,
+      });
+    })
+    .catch((error) => {
+      console.log(`⚠️ Verdict failed for ${debateId}: ${error.message}`);
+    });
+}
+
+// Start a new debate - ENHANCED FOR MULTI-DEBATE SUPPORT
+// Shared by POST /api/debate/start, /api/debate/from-news and the debate
+// scheduler. Resolves to the HTTP status and JSON body the route should send.
+// `news` is a NewsDebateSeed (see newsDebates.js) whose side and evidence the
+// agents are given.
+async function startDebate(body = {}, { news = null } = {}) {
+  const {
+    debateId = `debate_${Date.now()}`,
+    topic = "climate change policy",
+    agents = ["senatorbot", "reformerbot"],
+  } = body;
+
+  // Sanitize inputs to prevent XSS attacks
+  const sanitizedTopic = sanitizeInput(topic);
+  const sanitizedDebateId = sanitizeInput(debateId);
+  const sanitizedAgents = Array.isArray(agents)
+    ? agents.map((agent) => sanitizeInput(agent))
+    : ["senatorbot", "reformerbot"];
+
+  const { turnPolicy, turnWeights, error: turnPolicyError } =
+    parseTurnPolicyOptions(body);
+  if (turnPolicyError) {
+    return { status: 400, body: { error: turnPolicyError } };
+  }
+
+  const { format, formatSchedule, error: formatError } =
+    await parseDebateFormatOption(body, sanitizedAgents);
+  if (formatError) {
+    return { status: 400, body: { error: formatError } };
+  }
+
+  // Global cooldown check
+  const now = Date.now();
+  if (now - lastGlobalDebateStart < DEBATE_START_COOLDOWN) {
+    console.log(
+      `🚫 Debate start request too soon (${now - lastGlobalDebateStart}ms ago), rejecting`,
+    );
+    return {
+      status: 429,
+      body: {
         error: "Too many requests",
         message: `Please wait ${DEBATE_START_COOLDOWN}ms between debate starts`,
         cooldownRemaining:
           DEBATE_START_COOLDOWN - (now - lastGlobalDebateStart),
-      });
-    }
+      },
+    };
+  }
 
-    lastGlobalDebateStart = now;
+  lastGlobalDebateStart = now;
 
-    // Generate unique debate ID if not provided
-    const uniqueDebateId =
-      sanitizedDebateId === "live_debate"
-        ? `debate_${Date.now()}`
-        : sanitizedDebateId;
+  // Generate unique debate ID if not provided
+  const uniqueDebateId =
+    sanitizedDebateId === "live_debate"
+      ? `debate_${Date.now()}`
+      : sanitizedDebateId;
 
-    // Check if specific debate is already running
-    if (activeDebates.has(uniqueDebateId)) {
-      console.log(
-        `⚠️ Debate ${uniqueDebateId} is already running, rejecting duplicate start request`,
-      );
-      return res.status(409).json({
+  // Check if specific debate is already running
+  if (activeDebates.has(uniqueDebateId)) {
+    console.log(
+      `⚠️ Debate ${uniqueDebateId} is already running, rejecting duplicate start request`,
+    );
+    return {
+      status: 409,
+      body: {
         error: "Debate is already running",
         debateId: uniqueDebateId,
         message:
           "Please wait for the current debate to finish or use a different debate ID",
         currentStatus: activeDebates.get(uniqueDebateId),
-      });
-    }
-
-    console.log(
-      `🎯 Starting debate: ${uniqueDebateId} on topic: ${sanitizedTopic}`,
-    );
+      },
+    };
+  }
 
-    // Update metrics
-    debateMetrics.totalDebatesStarted++;
-    debateMetrics.concurrentDebates = activeDebates.size + 1;
+  console.log(
+    `🎯 Starting debate: ${uniqueDebateId} on topic: ${sanitizedTopic}`,
+  );
 
-    // Mark debate as active
-    activeDebates.set(uniqueDebateId, {
-      topic: sanitizedTopic,
-      agents: sanitizedAgents,
-      startTime: new Date().toISOString(),
-      status: "running",
-      messageCount: 0,
-      factChecks: 0,
-    });
-    activeDebatesGauge.set(activeDebates.size);
+  // Update metrics
+  debateMetrics.totalDebatesStarted++;
+  debateMetrics.concurrentDebates = activeDebates.size + 1;
+
+  // Mark debate as active
+  activeDebates.set(uniqueDebateId, {
+    topic: sanitizedTopic,
+    agents: sanitizedAgents,
+    startTime: new Date().toISOString(),
+    status: "running",
+    messageCount: 0,
+    factChecks: 0,
+    turnPolicy,
+    turnWeights,
+    format,
+    formatSchedule,
+    news,
+  });
+  activeDebatesGauge.set(activeDebates.size);
 
-    // Broadcast debate start
-    broadcast({
-      type: "debate_started",
-      debateId: uniqueDebateId,
-      topic: sanitizedTopic,
-      agents: sanitizedAgents,
-      timestamp: new Date().toISOString(),
-      totalActive: activeDebates.size,
-    });
+  const stanceDimension = await prepareDebateStances(
+    sanitizedTopic,
+    sanitizedAgents,
+  );
 
-    // Start the debate loop (don't await to return response immediately)
-    const debateProcess = { cancelled: false };
-    runningDebateProcesses.set(uniqueDebateId, debateProcess);
+  if (news) {
+    try {
+      await saveNewsSeed(uniqueDebateId, news);
+    } catch (error) {
+      console.log(
+        `⚠️ Could not store news seed for ${uniqueDebateId}: ${error.message}`,
+      );
+    }
+  }
 
-    // Choose orchestration method based on feature flag
-    const debateRunner = USE_LANGGRAPH
-      ? runLangGraphDebateWithBroadcast(
-          uniqueDebateId,
-          sanitizedAgents,
-          sanitizedTopic,
-          debateProcess,
-        )
-      : runDebateRounds(uniqueDebateId, sanitizedAgents, sanitizedTopic);
+  // Broadcast debate start
+  broadcast({
+    type: "debate_started",
+    debateId: uniqueDebateId,
+    topic: sanitizedTopic,
+    agents: sanitizedAgents,
+    turnPolicy,
+    format: format?.name ?? null,
+    stanceDimension: stanceDimension?.key ?? null,
+    ...(news && { news: news.article }),
+    timestamp: new Date().toISOString(),
+    totalActive: activeDebates.size,
+  });
 
-    debateRunner.finally(() => {
-      // Remove from active debates when finished
-      activeDebates.delete(uniqueDebateId);
-      activeDebatesGauge.set(activeDebates.size);
-      runningDebateProcesses.delete(uniqueDebateId);
-      currentAgentIndexPerDebate.delete(uniqueDebateId);
-      lastSpeakerPerDebate.delete(uniqueDebateId);
-      debateMetrics.concurrentDebates = activeDebates.size;
+  // Start the debate loop (don't await to return response immediately)
+  const debateProcess = createDebateProcess();
+  runningDebateProcesses.set(uniqueDebateId, debateProcess);
+
+  // Choose orchestration method based on feature flag
+  const debateRunner = USE_LANGGRAPH
+    ? runLangGraphDebateWithBroadcast(
+        uniqueDebateId,
+        sanitizedAgents,
+        sanitizedTopic,
+        debateProcess,
+      )
+    : runDebateRounds(uniqueDebateId, sanitizedAgents, sanitizedTopic);
+
+  debateRunner.finally(() => {
+    finalizeDebateState(uniqueDebateId, debateProcess);
+
+    // Remove from active debates when finished
+    activeDebates.delete(uniqueDebateId);
+    activeDebatesGauge.set(activeDebates.size);
+    runningDebateProcesses.delete(uniqueDebateId);
+    currentAgentIndexPerDebate.delete(uniqueDebateId);
+    lastSpeakerPerDebate.delete(uniqueDebateId);
+    debateMetrics.concurrentDebates = activeDebates.size;
 
-      // Broadcast updated metrics
-      broadcast({
-        type: "metrics_updated",
-        metrics: getEnhancedMetrics(),
-        timestamp: new Date().toISOString(),
-      });
+    // Broadcast updated metrics
+    broadcast({
+      type: "metrics_updated",
+      metrics: getEnhancedMetrics(),
+      timestamp: new Date().toISOString(),
     });
+  });
 
-    res.json({
+  return {
+    status: 200,
+    body: {
       success: true,
       debateId: uniqueDebateId,
       topic: sanitizedTopic,
       agents: sanitizedAgents,
+      turnPolicy,
+      format: format?.name ?? null,
+      stanceDimension: stanceDimension?.key ?? null,
       message: "Debate started successfully",
       orchestration: USE_LANGGRAPH ? "langgraph" : "legacy",
       activeDebates: activeDebates.size,
-    });
+    },
+  };
+}
+
+app.post("/api/debate/start", async (req, res) => {
+  try {
+    const { status, body } = await startDebate(req.body);
+    res.status(status).json(body);
   } catch (error) {
     console.error("Error starting debate:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Fetch candidate articles from the active news source (NEWS_SOURCE).
+// `category` is one of DEBATE_TOPICS; with neither it returns headlines.
+async function fetchNewsArticles({ query, category, max = 10 } = {}) {
+  const source = getNewsSource();
+  const categoryQuery = DEBATE_TOPICS.find((t) => t.id === category)?.query;
+  const searchQuery = query || categoryQuery;
+
+  return searchQuery
+    ? await source.search(searchQuery, { max })
+    : await source.headlines({ max });
+}
+
+// Browse articles a news-seeded debate could start from
+app.get("/api/news", async (req, res) => {
+  const { query, category } = req.query;
+  const max = Math.min(parseInt(req.query.max, 10) || 10, 10);
+
+  try {
+    const articles = await fetchNewsArticles({ query, category, max });
+    res.json({
+      success: true,
+      source: getActiveNewsSourceName(),
+      categories: DEBATE_TOPICS,
+      articles,
+    });
+  } catch (error) {
+    console.error("Error fetching news:", error);
+    res.status(502).json({ error: `News source failed: ${error.message}` });
+  }
+});
+
+// Start a debate seeded from a news article. Pass `article` to debate a
+// specific story, or `query` / `category` (and optionally `articleIndex`)
+// to pick one from the news source. The other fetched articles become
+// extra evidence.
+app.post("/api/debate/from-news", validateNewsDebate, async (req, res) => {
+  const { article: givenArticle, query, category, articleIndex } =
+    req.validatedBody;
+
+  let article = givenArticle;
+  let related = [];
+  if (!article) {
+    try {
+      const articles = await fetchNewsArticles({ query, category });
+      article = articles[articleIndex];
+      related = articles.filter((_, index) => index !== articleIndex);
+    } catch (error) {
+      console.error("Error fetching news:", error);
+      return res
+        .status(502)
+        .json({ error: `News source failed: ${error.message}` });
+    }
+    if (!article) {
+      return res.status(404).json({ error: "No matching news article found" });
+    }
+  }
+
+  try {
+    const news = await buildNewsDebateSeed(article, related);
+    const { status, body } = await startDebate(
+      { ...req.body, topic: news.topic },
+      { news },
+    );
+    res.status(status).json(
+      status === 200
+        ? {
+            ...body,
+            article: news.article,
+            proPosition: news.proPosition,
+            conPosition: news.conPosition,
+            framedBy: news.framedBy,
+            evidence: news.evidence,
+          }
+        : body,
+    );
+  } catch (error) {
+    console.error("Error starting news debate:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Stop a running debate
 app.post("/api/debate/:id/stop", async (req, res) => {
   try {
@@ -824,14 +1397,228 @@ app.post("/api/debate/:id/stop", async (req, res) => {
   }
 });
 
-// Stop all running debates
-app.post("/api/debates/stop-all", async (req, res) => {
-  try {
-    console.log(`🛑 Stopping all ${activeDebates.size} active debates...`);
+// Pause, resume or single-step a running debate. The runner holds before its
+// next turn while paused; a step lets exactly one turn through and re-holds.
+function setDebateRunState(id, action) {
+  const debateProcess = runningDebateProcesses.get(id);
+  if (!activeDebates.has(id) || !debateProcess) return null;
+
+  if (action === "pause") pauseDebateProcess(debateProcess);
+  if (action === "resume") resumeDebateProcess(debateProcess);
+  if (action === "step") stepDebateProcess(debateProcess);
+
+  const status = debateProcess.paused ? "paused" : "running";
+  activeDebates.get(id).status = status;
+  checkpointDebate(id, {
+    status: debateProcess.paused
+      ? DEBATE_STATUS.PAUSED
+      : DEBATE_STATUS.RUNNING,
+  });
 
-    const stoppedDebates = Array.from(activeDebates.keys());
+  return { status, pendingSteps: debateProcess.pendingSteps };
+}
 
-    // Signal all running debate processes to stop
+app.post("/api/debate/:id/pause", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const state = setDebateRunState(id, "pause");
+
+    if (!state) {
+      return res.status(404).json({
+        error: "No active debate found",
+        debateId: id,
+      });
+    }
+
+    console.log(`⏸️ Debate ${id} paused`);
+    broadcast({
+      type: "debate_paused",
+      debateId: id,
+      timestamp: new Date().toISOString(),
+    });
+
+    res.json({ success: true, debateId: id, ...state });
+  } catch (error) {
+    console.error("Error pausing debate:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/api/debate/:id/resume", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const state = setDebateRunState(id, "resume");
+
+    if (!state) {
+      return res.status(404).json({
+        error: "No active debate found",
+        debateId: id,
+      });
+    }
+
+    console.log(`▶️ Debate ${id} resumed`);
+    broadcast({
+      type: "debate_resumed",
+      debateId: id,
+      timestamp: new Date().toISOString(),
+    });
+
+    res.json({ success: true, debateId: id, ...state });
+  } catch (error) {
+    console.error("Error resuming debate:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/api/debate/:id/step", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const state = setDebateRunState(id, "step");
+
+    if (!state) {
+      return res.status(404).json({
+        error: "No active debate found",
+        debateId: id,
+      });
+    }
+
+    console.log(`⏭️ Debate ${id} stepping one turn`);
+    // Still paused - clients keep showing the paused state with a turn queued
+    broadcast({
+      type: "debate_paused",
+      debateId: id,
+      step: true,
+      pendingSteps: state.pendingSteps,
+      timestamp: new Date().toISOString(),
+    });
+
+    res.json({ success: true, debateId: id, ...state });
+  } catch (error) {
+    console.error("Error stepping debate:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Take over an agent's seat in a running debate as a human participant
+app.post("/api/debate/:id/join", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const agentId = sanitizeInput(req.body?.agentId || "");
+    const name = cleanText(req.body?.name || "Guest", 60);
+    const debate = activeDebates.get(id);
+
+    if (!debate) {
+      return res.status(404).json({
+        error: "No active debate found",
+        debateId: id,
+      });
+    }
+    if (!debate.agents.includes(agentId)) {
+      return res.status(400).json({
+        error: "agentId must be one of the debate's agents",
+        agents: debate.agents,
+      });
+    }
+
+    const seat = claimHumanSeat(id, agentId, name);
+    if (!seat) {
+      return res.status(409).json({
+        error: "Seat is already held by a human",
+        debateId: id,
+        agentId,
+      });
+    }
+
+    console.log(`🙋 ${name} joined debate ${id} in ${agentId}'s seat`);
+    broadcast({
+      type: "human_joined",
+      debateId: id,
+      agentId,
+      name,
+      timestamp: seat.joinedAt,
+    });
+
+    res.json({ success: true, debateId: id, seat });
+  } catch (error) {
+    console.error("Error joining debate:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Hand a human-held seat back to its AI agent
+app.post("/api/debate/:id/leave", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const agentId = sanitizeInput(req.body?.agentId || "");
+
+    if (!releaseHumanSeat(id, agentId)) {
+      return res.status(404).json({
+        error: "No human seat found",
+        debateId: id,
+        agentId,
+      });
+    }
+
+    console.log(`👋 Human left debate ${id}, ${agentId} back to AI`);
+    broadcast({
+      type: "human_left",
+      debateId: id,
+      agentId,
+      timestamp: new Date().toISOString(),
+    });
+
+    res.json({ success: true, debateId: id, agentId });
+  } catch (error) {
+    console.error("Error leaving debate:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Post the turn a human-held seat owes
+app.post("/api/debate/:id/human-turn", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const agentId = sanitizeInput(req.body?.agentId || "");
+    const message =
+      typeof req.body?.message === "string"
+        ? cleanText(req.body.message)
+        : "";
+
+    if (!activeDebates.has(id)) {
+      return res.status(404).json({
+        error: "No active debate found",
+        debateId: id,
+      });
+    }
+    if (message.length < 2) {
+      return res.status(400).json({ error: "Message is required" });
+    }
+
+    const { accepted, reason } = submitHumanTurn(id, agentId, message);
+    if (!accepted) {
+      return res.status(409).json({
+        error: reason,
+        debateId: id,
+        agentId,
+        seats: listHumanSeats(id),
+      });
+    }
+
+    res.json({ success: true, debateId: id, agentId });
+  } catch (error) {
+    console.error("Error submitting human turn:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Stop all running debates
+app.post("/api/debates/stop-all", async (req, res) => {
+  try {
+    console.log(`🛑 Stopping all ${activeDebates.size} active debates...`);
+
+    const stoppedDebates = Array.from(activeDebates.keys());
+
+    // Signal all running debate processes to stop
     for (const [debateId, process] of runningDebateProcesses) {
       process.cancelled = true;
       console.log(`🛑 Signaled debate ${debateId} to stop`);
@@ -874,6 +1661,7 @@ app.get("/api/debate/:id/messages", async (req, res) => {
       id: entry.id,
       agentId: entry.message.agent_id,
       message: entry.message.message,
+      authorType: entry.message.author_type || "ai",
       timestamp: new Date(parseInt(entry.id.split("-")[0])).toISOString(),
     }));
 
@@ -884,6 +1672,532 @@ app.get("/api/debate/:id/messages", async (req, res) => {
   }
 });
 
+// Audience poll tallies (per round and overall) and the audience stance series
+app.get("/api/debate/:id/audience", async (req, res) => {
+  try {
+    const { id } = req.params;
+    res.json(await getAudienceSummary(id));
+  } catch (error) {
+    console.error("Error fetching audience poll:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Why each agent's stance moved: the arguments it weighed, how persuasive
+// each was to it, and the resulting shift. ?agentId= narrows to one agent.
+app.get("/api/debate/:id/stance-reasons", async (req, res) => {
+  try {
+    const updates = await getStanceReasons(req.params.id, {
+      agentId: req.query.agentId,
+    });
+    res.json({ success: true, debateId: req.params.id, updates });
+  } catch (error) {
+    console.error("Error fetching stance reasons:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Coalition graph of a debate: the latest snapshot and its history
+app.get("/api/debate/:id/coalitions", async (req, res) => {
+  try {
+    const stored = await getCoalitions(req.params.id);
+    if (!stored) {
+      return res.status(404).json({ error: "No coalition data for this debate" });
+    }
+    res.json({ success: true, ...stored });
+  } catch (error) {
+    console.error("Error fetching coalitions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Argument graph extracted from the transcript. The map is built in the
+// background after every turn, so this only reads it; a build (or, with
+// ?rebuild=true, a re-extraction from the first message) is started here
+// when needed and its result arrives as argument_map_updated.
+app.get("/api/debate/:id/argument-map", async (req, res) => {
+  try {
+    const debateId = req.params.id;
+    const rebuild = req.query.rebuild === "true";
+    const map = rebuild ? null : await getArgumentMap(debateId);
+    if (map) {
+      return res.json({ success: true, ...map });
+    }
+
+    const messageCount = await redisManager.execute(async (client) =>
+      client.xLen(`debate:${debateId}:messages`),
+    );
+    if (messageCount === 0) {
+      return res.status(404).json({ error: "No messages for this debate" });
+    }
+    trackArgumentMap(debateId, { rebuild });
+    res.status(202).json({ success: true, debateId, status: "building", nodes: [], edges: [] });
+  } catch (error) {
+    console.error("Error building argument map:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Judge panel scores for each round and, once the debate ends, the verdict
+app.get("/api/debate/:id/verdict", async (req, res) => {
+  try {
+    const verdict = await getVerdict(req.params.id);
+    if (!verdict) {
+      return res.status(404).json({ error: "No rounds have been judged for this debate" });
+    }
+    res.json({ success: true, ...verdict });
+  } catch (error) {
+    console.error("Error fetching verdict:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Fork a debate after one of its messages and run the fork from there. The
+// fork always continues on the legacy loop, the orchestrator that can pick a
+// debate up mid-way; see debateForks.js for what is copied.
+app.post("/api/debate/:id/fork", validateDebateFork, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { messageId, agentOverrides, injectMessage, rounds } =
+      req.validatedBody;
+
+    const live = activeDebates.get(id);
+    const checkpoint = await getDebateCheckpoint(id);
+    const parent = live ?? checkpoint;
+    if (!parent) {
+      return res.status(404).json({ error: "Debate not found", debateId: id });
+    }
+    const { topic, agents } = parent;
+
+    const strangers = [
+      ...Object.keys(agentOverrides),
+      ...(injectMessage ? [injectMessage.agentId] : []),
+    ].filter((agentId) => !agents.includes(agentId));
+    if (strangers.length) {
+      return res.status(400).json({
+        error: "Overrides and injected messages must name the debate's agents",
+        unknownAgents: [...new Set(strangers)],
+        agents,
+      });
+    }
+
+    // Formatted debates keep their format and a fork cannot run past it
+    const format = live
+      ? live.format
+      : checkpoint.format
+        ? await getDebateFormat(checkpoint.format)
+        : null;
+    if (!live && checkpoint.format && !format) {
+      return res.status(400).json({
+        error: `debate format "${checkpoint.format}" no longer exists`,
+      });
+    }
+    const formatSchedule = format ? buildFormatSchedule(format, agents) : null;
+
+    const debateId = `fork_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    const forked = await forkDebate(id, {
+      debateId,
+      messageId,
+      topic,
+      agents,
+      maxTurns: formatSchedule?.length,
+      agentOverrides,
+      injectMessage: injectMessage
+        ? { ...injectMessage, message: cleanText(injectMessage.message) }
+        : null,
+    });
+    if (forked.error) {
+      return res.status(400).json({ error: forked.error });
+    }
+    const { lineage } = forked;
+    const { turns } = lineage;
+
+    // Without a format the fork runs at least one round past the fork point
+    const parentRounds = checkpoint?.rounds || 5;
+    const forkRounds = formatSchedule
+      ? formatSchedule[0]?.phaseCount || 0
+      : Math.max(rounds ?? parentRounds, Math.floor(turns / agents.length) + 1);
+    const completedRounds = formatSchedule
+      ? formatSchedule[turns].phaseIndex
+      : Math.floor(turns / agents.length);
+    await inheritVerdictRounds(id, debateId, completedRounds);
+
+    const turnPolicy = parent.turnPolicy || DEFAULT_TURN_POLICY;
+    activeDebates.set(debateId, {
+      topic,
+      agents,
+      startTime: new Date().toISOString(),
+      status: "running",
+      messageCount: turns,
+      factChecks: 0,
+      turnPolicy,
+      turnWeights: parent.turnWeights || {},
+      format,
+      formatSchedule,
+      news: await getNewsSeed(id),
+      forkedFrom: { debateId: id, messageId },
+    });
+    activeDebatesGauge.set(activeDebates.size);
+    debateMetrics.totalDebatesStarted++;
+    debateMetrics.concurrentDebates = activeDebates.size;
+    currentAgentIndexPerDebate.set(
+      debateId,
+      (agents.indexOf(lineage.lastSpeaker) + 1) % agents.length,
+    );
+    if (lineage.lastSpeaker) {
+      lastSpeakerPerDebate.set(debateId, lineage.lastSpeaker);
+    }
+
+    const debateProcess = createDebateProcess();
+    runningDebateProcesses.set(debateId, debateProcess);
+
+    broadcast({
+      type: "debate_forked",
+      debateId,
+      parentId: id,
+      rootId: lineage.rootId,
+      forkedFromMessageId: messageId,
+      topic,
+      agents,
+      resumedFromTurn: turns,
+      timestamp: lineage.createdAt,
+    });
+    console.log(`🌿 Forked debate ${id} at ${messageId} into ${debateId}`);
+
+    runDebateRounds(debateId, agents, topic, forkRounds, {
+      resumeFromTurn: turns,
+    }).finally(() => {
+      finalizeDebateState(debateId, debateProcess);
+      activeDebates.delete(debateId);
+      activeDebatesGauge.set(activeDebates.size);
+      runningDebateProcesses.delete(debateId);
+      currentAgentIndexPerDebate.delete(debateId);
+      lastSpeakerPerDebate.delete(debateId);
+      debateMetrics.concurrentDebates = activeDebates.size;
+    });
+
+    res.status(201).json({
+      success: true,
+      debateId,
+      topic,
+      agents,
+      rounds: forkRounds,
+      turnPolicy,
+      orchestration: "legacy",
+      lineage,
+    });
+  } catch (error) {
+    console.error("Error forking debate:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// The fork tree a debate belongs to, with each branch's status and winner
+app.get("/api/debate/:id/forks", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [forkTree, lineage] = await Promise.all([getForkTree(id), getLineage(id)]);
+    res.json({ success: true, debateId: id, lineage, ...forkTree });
+  } catch (error) {
+    console.error("Error fetching fork tree:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Two branches side by side from where their histories part
+app.get("/api/debate/:id/compare/:otherId", async (req, res) => {
+  try {
+    const { id, otherId } = req.params;
+    res.json({ success: true, ...(await compareBranches(id, otherId)) });
+  } catch (error) {
+    console.error("Error comparing debates:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Replay a stored debate over SSE: messages, stance points and key moments
+// with their original relative timing. ?speed=2 plays twice as fast, ?from=ms
+// seeks (earlier events arrive at once flagged catchUp), ?maxGap=ms shortens
+// longer silences, ?format=json returns the whole timeline instead of streaming it.
+app.get("/api/debate/:id/replay", async (req, res) => {
+  const { id } = req.params;
+  const speed = req.query.speed === undefined ? 1 : parseFloat(req.query.speed);
+  const fromMs = req.query.from === undefined ? 0 : parseInt(req.query.from);
+  const maxGapMs =
+    req.query.maxGap === undefined ? Infinity : parseInt(req.query.maxGap);
+
+  if (!Number.isFinite(speed) || speed <= 0 || speed > MAX_REPLAY_SPEED) {
+    return res
+      .status(400)
+      .json({ error: `speed must be between 0 and ${MAX_REPLAY_SPEED}` });
+  }
+  if (!Number.isFinite(fromMs) || fromMs < 0) {
+    return res.status(400).json({ error: "from must be a non-negative offset in ms" });
+  }
+  if (Number.isNaN(maxGapMs) || maxGapMs <= 0) {
+    return res.status(400).json({ error: "maxGap must be a positive duration in ms" });
+  }
+
+  let timeline;
+  try {
+    timeline = await loadReplayTimeline(id);
+  } catch (error) {
+    console.error("Error loading debate replay:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+
+  if (timeline.events.length === 0) {
+    return res.status(404).json({ error: "No stored messages for this debate" });
+  }
+
+  if (req.query.format === "json") {
+    return res.json(timeline);
+  }
+
+  res.setHeader("Content-Type", "text/event-stream");
+  // no-transform keeps compression() from buffering the stream, which would
+  // deliver every event at the end and undo the pacing
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const { events, ...meta } = timeline;
+  send("meta", {
+    ...meta,
+    speed,
+    fromMs,
+    keyMoments: events.filter((event) => event.type === "key_moment"),
+  });
+
+  const playback = playReplayTimeline(timeline, {
+    speed,
+    fromMs,
+    maxGapMs,
+    onEvent: (event) => send(event.type, event),
+  });
+  req.on("close", playback.stop);
+
+  if (await playback.done) {
+    send("end", { debateId: id, durationMs: timeline.durationMs });
+    res.end();
+  }
+});
+
+// Export a debate transcript joined with fact-checks, sentiment, stance deltas,
+// key moments and agent profiles. ?format=md (default), json, html or srt.
+app.get("/api/debate/:id/export", async (req, res) => {
+  const { id } = req.params;
+  const format = req.query.format || "md";
+  const exporter = EXPORT_FORMATS[format];
+
+  if (!exporter) {
+    return res.status(400).json({
+      error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    });
+  }
+
+  try {
+    const transcript = await loadDebateTranscript(id);
+    if (transcript.messages.length === 0) {
+      return res.status(404).json({ error: "No stored messages for this debate" });
+    }
+
+    // HTML is meant for sharing, so it opens in the browser; the rest download
+    const disposition = format === "html" ? "inline" : "attachment";
+    res.setHeader("Content-Type", exporter.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `${disposition}; filename="debate-${id.replace(/[^\w-]/g, "_")}.${format}"`,
+    );
+    res.send(exporter.render(transcript));
+  } catch (error) {
+    console.error("Error exporting debate:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// List debate formats (built-in and stored)
+app.get("/api/debate-formats", async (req, res) => {
+  try {
+    const formats = await listDebateFormats();
+    res.json({ success: true, formats });
+  } catch (error) {
+    console.error("Error listing debate formats:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get one debate format
+app.get("/api/debate-formats/:name", async (req, res) => {
+  try {
+    const format = await getDebateFormat(req.params.name);
+    if (!format) {
+      return res.status(404).json({ error: "Debate format not found" });
+    }
+    res.json({ success: true, format });
+  } catch (error) {
+    console.error("Error getting debate format:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Create or replace a debate format
+app.put("/api/debate-formats/:name", validateDebateFormat, async (req, res) => {
+  if (req.validatedBody.name !== req.params.name) {
+    return res
+      .status(400)
+      .json({ error: "Format name in body must match the URL" });
+  }
+
+  try {
+    const format = await saveDebateFormat(req.validatedBody);
+    res.json({ success: true, format });
+  } catch (error) {
+    console.error("Error saving debate format:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// List stance dimensions: the built-in policy areas and those created for
+// other topics, each with the topics that resolve to it
+app.get("/api/stance-dimensions", async (req, res) => {
+  try {
+    const dimensions = await listStanceDimensions();
+    res.json({ success: true, dimensions });
+  } catch (error) {
+    console.error("Error listing stance dimensions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Fold one stance dimension into another, e.g. after two phrasings of the
+// same topic were given separate dimensions
+app.post(
+  "/api/stance-dimensions/merge",
+  validateStanceDimensionMerge,
+  async (req, res) => {
+    const { source, target } = req.validatedBody;
+
+    try {
+      const result = await mergeStanceDimensions(source, target);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error("Error merging stance dimensions:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Launch a scheduled debate through the same path as POST /api/debate/start.
+// The start cooldown is retried on the next scheduler tick.
+async function launchScheduledDebate(schedule) {
+  const { status, body } = await startDebate({
+    debateId: `scheduled_${schedule.id.slice(0, 8)}_${Date.now()}`,
+    topic: schedule.topic,
+    agents: schedule.agents,
+    format: schedule.format,
+    turnPolicy: schedule.turnPolicy,
+  });
+
+  if (status === 429) return { retry: true };
+  if (status !== 200) return { error: body.error };
+  return { debateId: body.debateId };
+}
+
+// Cron syntax is not covered by the zod schema
+function scheduleCronError(fields) {
+  return fields.cron && !isValidCron(fields.cron)
+    ? `Invalid cron expression "${fields.cron}"`
+    : null;
+}
+
+// List debate schedules, soonest first
+app.get("/api/schedules", async (req, res) => {
+  try {
+    const schedules = await listSchedules();
+    res.json({ success: true, schedules });
+  } catch (error) {
+    console.error("Error listing schedules:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Schedule a one-shot (runAt) or recurring (cron, UTC) debate
+app.post("/api/schedules", validateDebateSchedule, async (req, res) => {
+  const cronError = scheduleCronError(req.validatedBody);
+  if (cronError) return res.status(400).json({ error: cronError });
+
+  try {
+    const schedule = await createSchedule(req.validatedBody);
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    console.error("Error creating schedule:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Launch whatever is due now - for external triggers such as Trigger.dev
+// when the in-process runner is off
+app.post("/api/schedules/run-due", async (req, res) => {
+  try {
+    const results = await runDueSchedules(launchScheduledDebate);
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error("Error running due schedules:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/schedules/:id", async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error("Error getting schedule:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Replace a schedule's settings; its run history is kept
+app.put("/api/schedules/:id", validateDebateSchedule, async (req, res) => {
+  const cronError = scheduleCronError(req.validatedBody);
+  if (cronError) return res.status(400).json({ error: cronError });
+
+  try {
+    const schedule = await updateSchedule(req.params.id, req.validatedBody);
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error("Error updating schedule:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.delete("/api/schedules/:id", async (req, res) => {
+  try {
+    const deleted = await deleteSchedule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting schedule:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Get agent memory
 app.get("/api/agent/:id/memory/:debateId", async (req, res) => {
   try {
@@ -911,6 +2225,35 @@ app.get("/api/agent/:id/memory/:debateId", async (req, res) => {
   }
 });
 
+// Long-term memories across debates. With ?query= they are ranked by
+// relevance (decayed similarity); without it the newest come first.
+app.get("/api/agent/:id/memories", async (req, res) => {
+  const { id } = req.params;
+  const query = req.query.query ? String(req.query.query) : "";
+  const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+  try {
+    const memories = query
+      ? await recallMemories(id, query, { k: limit, minScore: 0 })
+      : await listMemories(id, { limit });
+    res.json({ success: true, agentId: id, query, memories });
+  } catch (error) {
+    console.error("Error fetching long-term memories:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Forget an agent's long-term memories
+app.delete("/api/agent/:id/memories", async (req, res) => {
+  try {
+    const removed = await forgetMemories(req.params.id);
+    res.json({ success: true, agentId: req.params.id, removed });
+  } catch (error) {
+    console.error("Error deleting long-term memories:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Get stance evolution data
 app.get("/api/agent/:id/stance/:debateId/:topic", async (req, res) => {
   try {
@@ -1031,6 +2374,7 @@ app.get("/api/debates/active", async (req, res) => {
     res.json({
       debates: activeDebatesList,
       totalActive: activeDebates.size,
+      recovered: Array.from(recoveredDebates.values()),
       metrics: getEnhancedMetrics(),
     });
   } catch (error) {
@@ -1057,40 +2401,271 @@ app.get("/api/debate/status", async (req, res) => {
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error("Error fetching debate status:", error);
+    console.error("Error fetching debate status:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get all agents list
+app.get("/api/agents", async (req, res) => {
+  try {
+    const agents = (await listAgents()).map((profile) => ({
+      id: profile.id,
+      name: profile.name,
+      role: profile.role,
+      tone: profile.tone,
+      description: profile.role,
+      version: profile.version ?? null,
+      status: "active",
+    }));
+
+    res.json({
+      agents,
+      totalAgents: agents.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error fetching agents:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Agent ids come from the URL; the body must not name a different agent
+function agentIdMismatch(req) {
+  return req.validatedBody.id !== req.params.id
+    ? "Agent id in body must match the URL"
+    : null;
+}
+
+// Agents taking part in a running debate cannot be deleted
+function debatesUsingAgent(id) {
+  return [...activeDebates.entries()]
+    .filter(([, debate]) => debate.agents?.includes(id))
+    .map(([debateId]) => debateId);
+}
+
+// Get one agent persona
+app.get("/api/agents/:id", async (req, res) => {
+  try {
+    const profile = await getAgent(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: "Agent not found" });
+    }
+    res.json({ success: true, agent: { ...profile, id: req.params.id } });
+  } catch (error) {
+    console.error("Error getting agent:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Create an agent persona
+app.post("/api/agents/:id", validateAgentProfile, async (req, res) => {
+  const mismatch = agentIdMismatch(req);
+  if (mismatch) return res.status(400).json({ error: mismatch });
+
+  try {
+    const { profile, error } = await createAgent(req.validatedBody);
+    if (error) return res.status(409).json({ error });
+
+    broadcast({ type: "agent_created", agentId: profile.id, profile });
+    res.status(201).json({ success: true, agent: profile });
+  } catch (error) {
+    console.error("Error creating agent:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Replace an agent persona, saving a new version
+app.put("/api/agents/:id", validateAgentProfile, async (req, res) => {
+  const mismatch = agentIdMismatch(req);
+  if (mismatch) return res.status(400).json({ error: mismatch });
+
+  try {
+    const profile = await updateAgent(req.params.id, req.validatedBody);
+    if (!profile) {
+      return res.status(404).json({ error: "Agent not found" });
+    }
+
+    broadcast({ type: "agent_updated", agentId: profile.id, profile });
+    res.json({ success: true, agent: profile });
+  } catch (error) {
+    console.error("Error updating agent:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Delete an agent persona and its history
+app.delete("/api/agents/:id", async (req, res) => {
+  const { id } = req.params;
+  const debates = debatesUsingAgent(id);
+  if (debates.length > 0) {
+    return res
+      .status(409)
+      .json({ error: "Agent is in a running debate", debates });
+  }
+
+  try {
+    if (!(await deleteAgent(id))) {
+      return res.status(404).json({ error: "Agent not found" });
+    }
+
+    broadcast({ type: "agent_deleted", agentId: id });
+    res.json({ success: true, agentId: id });
+  } catch (error) {
+    console.error("Error deleting agent:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Version history of an agent persona, newest first
+app.get("/api/agents/:id/versions", async (req, res) => {
+  try {
+    const versions = await getAgentVersions(req.params.id);
+    res.json({ success: true, agentId: req.params.id, versions });
+  } catch (error) {
+    console.error("Error getting agent versions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Restore an earlier version; the rollback is saved as a new version
+app.post("/api/agents/:id/rollback", async (req, res) => {
+  const version = Number(req.body.version);
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({ error: "version must be a positive integer" });
+  }
+
+  try {
+    const { profile, error } = await rollbackAgent(req.params.id, version);
+    if (error) return res.status(404).json({ error });
+
+    broadcast({ type: "agent_updated", agentId: profile.id, profile });
+    res.json({ success: true, agent: profile });
+  } catch (error) {
+    console.error("Error rolling back agent:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Export agent personas as a JSON or YAML pack. ?ids=a,b limits the pack.
+app.get("/api/persona-packs/export", async (req, res) => {
+  const format = req.query.format === "yaml" ? "yaml" : "json";
+  const ids = req.query.ids ? String(req.query.ids).split(",") : null;
+
+  try {
+    const agents = (await listAgents()).filter(
+      (agent) => !ids || ids.includes(agent.id),
+    );
+    res.setHeader(
+      "Content-Type",
+      format === "yaml" ? "application/yaml" : "application/json",
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="personas.${format}"`,
+    );
+    res.send(exportPersonaPack(agents, format));
+  } catch (error) {
+    console.error("Error exporting personas:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get all agents list
-app.get("/api/agents", async (req, res) => {
-  try {
-    const agents = [
-      {
-        id: "senatorbot",
-        name: "SenatorBot",
-        description: "Conservative political AI agent",
-        status: "active",
-      },
-      {
-        id: "reformerbot",
-        name: "ReformerBot",
-        description: "Progressive reform-focused AI agent",
-        status: "active",
-      },
-    ];
+// Import a persona pack: { content, format: "json" | "yaml", overwrite } or
+// the pack itself. Invalid personas are reported and the rest imported.
+app.post("/api/persona-packs/import", async (req, res) => {
+  const { content, format = "json", overwrite = false } = req.body;
+  const { agents, errors } = parsePersonaPack(content ?? req.body, format);
+  if (agents.length === 0) {
+    return res.status(400).json({ error: "No valid personas in pack", errors });
+  }
 
-    res.json({
-      agents,
-      totalAgents: agents.length,
-      timestamp: new Date().toISOString(),
+  try {
+    const result = await importPersonas(agents, {
+      overwrite: overwrite === true,
     });
+    broadcast({ type: "agents_imported", ...result });
+    res.json({ success: true, ...result, errors });
   } catch (error) {
-    console.error("Error fetching agents:", error);
+    console.error("Error importing personas:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Start one debate of a batch without waiting for it: the machinery behind
+// POST /api/debates/start-multiple, also used for tournament matches.
+// Resolves to the debate's summary and a promise that settles when it ends.
+async function launchConcurrentDebate(
+  topic,
+  agents,
+  {
+    debateId = `multi_debate_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+    rounds = 5,
+    turnPolicy,
+    turnWeights,
+    format = null,
+    formatSchedule = null,
+  } = {},
+) {
+  const stanceDimension = await prepareDebateStances(topic, agents);
+
+  // Update metrics
+  debateMetrics.totalDebatesStarted++;
+  debateMetrics.concurrentDebates = activeDebates.size + 1;
+
+  // Mark debate as active
+  activeDebates.set(debateId, {
+    topic,
+    agents,
+    startTime: new Date().toISOString(),
+    status: "running",
+    messageCount: 0,
+    factChecks: 0,
+    turnPolicy,
+    turnWeights,
+    format,
+    formatSchedule,
+  });
+  activeDebatesGauge.set(activeDebates.size);
+
+  // Start the debate (non-blocking)
+  const debateProcess = createDebateProcess();
+  runningDebateProcesses.set(debateId, debateProcess);
+
+  // Choose orchestration based on feature flag
+  const debateRunner = USE_LANGGRAPH
+    ? runLangGraphDebateWithBroadcast(
+        debateId,
+        agents,
+        topic,
+        debateProcess,
+        rounds,
+      )
+    : runDebateRounds(debateId, agents, topic, rounds);
+
+  const finished = debateRunner.finally(() => {
+    finalizeDebateState(debateId, debateProcess);
+    activeDebates.delete(debateId);
+    activeDebatesGauge.set(activeDebates.size);
+    runningDebateProcesses.delete(debateId);
+    currentAgentIndexPerDebate.delete(debateId);
+    lastSpeakerPerDebate.delete(debateId);
+    debateMetrics.concurrentDebates = activeDebates.size;
+  });
+
+  return {
+    debate: {
+      debateId,
+      topic,
+      turnPolicy,
+      format: format?.name ?? null,
+      stanceDimension: stanceDimension?.key ?? null,
+      orchestration: USE_LANGGRAPH ? "langgraph" : "legacy",
+    },
+    finished,
+  };
+}
+
 // Start multiple debates simultaneously (CONTEST FEATURE)
 app.post("/api/debates/start-multiple", async (req, res) => {
   try {
@@ -1100,56 +2675,30 @@ app.post("/api/debates/start-multiple", async (req, res) => {
       return res.status(400).json({ error: "At least one topic is required" });
     }
 
+    const { turnPolicy, turnWeights, error: turnPolicyError } =
+      parseTurnPolicyOptions(req.body);
+    if (turnPolicyError) {
+      return res.status(400).json({ error: turnPolicyError });
+    }
+
+    const { format, formatSchedule, error: formatError } =
+      await parseDebateFormatOption(req.body, agents);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+
     console.log(`🚀 Starting ${topics.length} concurrent debates`);
 
     const startedDebates = [];
 
     for (const topic of topics) {
-      const debateId = `multi_debate_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
-
-      // Update metrics
-      debateMetrics.totalDebatesStarted++;
-      debateMetrics.concurrentDebates = activeDebates.size + 1;
-
-      // Mark debate as active
-      activeDebates.set(debateId, {
-        topic,
-        agents,
-        startTime: new Date().toISOString(),
-        status: "running",
-        messageCount: 0,
-        factChecks: 0,
-      });
-      activeDebatesGauge.set(activeDebates.size);
-
-      // Start the debate (non-blocking)
-      const debateProcess = { cancelled: false };
-      runningDebateProcesses.set(debateId, debateProcess);
-
-      // Choose orchestration based on feature flag
-      const debateRunner = USE_LANGGRAPH
-        ? runLangGraphDebateWithBroadcast(
-            debateId,
-            agents,
-            topic,
-            debateProcess,
-          )
-        : runDebateRounds(debateId, agents, topic);
-
-      debateRunner.finally(() => {
-        activeDebates.delete(debateId);
-        activeDebatesGauge.set(activeDebates.size);
-        runningDebateProcesses.delete(debateId);
-        currentAgentIndexPerDebate.delete(debateId);
-        lastSpeakerPerDebate.delete(debateId);
-        debateMetrics.concurrentDebates = activeDebates.size;
-      });
-
-      startedDebates.push({
-        debateId,
-        topic,
-        orchestration: USE_LANGGRAPH ? "langgraph" : "legacy",
+      const { debate } = await launchConcurrentDebate(topic, agents, {
+        turnPolicy,
+        turnWeights,
+        format,
+        formatSchedule,
       });
+      startedDebates.push(debate);
     }
 
     // Broadcast multi-debate start
@@ -1174,6 +2723,102 @@ app.post("/api/debates/start-multiple", async (req, res) => {
   }
 });
 
+// Play a tournament match as a concurrent debate. The result is the judge
+// panel's final verdict, read once judging has caught up with the debate.
+async function launchTournamentMatch(match, tournament) {
+  const { debate, finished } = await launchConcurrentDebate(
+    match.topic,
+    match.agents,
+    {
+      debateId: `tournament_${tournament.id.slice(0, 8)}_${match.id}_${Date.now()}`,
+      rounds: tournament.rounds,
+    },
+  );
+  const result = finished
+    .then(() => scheduleJudging(debate.debateId, () => getVerdict(debate.debateId)))
+    .then((verdict) => ({
+      winner: verdict?.final?.winner ?? null,
+      totals: verdict?.final?.totals ?? null,
+    }));
+  return { debateId: debate.debateId, result };
+}
+
+function broadcastTournament(tournament, match) {
+  broadcast({
+    type: "tournament_updated",
+    tournamentId: tournament.id,
+    status: tournament.status,
+    stage: tournament.stage,
+    match,
+    champion: tournament.champion,
+    timestamp: tournament.updatedAt,
+  });
+}
+
+// Create a round-robin or single-elimination tournament and start its first
+// matches; the rest launch as earlier ones finish
+app.post("/api/tournaments", validateTournament, async (req, res) => {
+  const fields = req.validatedBody;
+
+  try {
+    const missing = [];
+    for (const agentId of fields.agents) {
+      if (!(await client.exists(`agent:${agentId}:profile`))) missing.push(agentId);
+    }
+    if (missing.length) {
+      return res.status(400).json({ error: `Unknown agents: ${missing.join(", ")}` });
+    }
+
+    const tournament = await createTournament(fields);
+    await advanceTournament(tournament.id, launchTournamentMatch, broadcastTournament);
+
+    res.status(201).json({
+      success: true,
+      tournament: (await getTournament(tournament.id)) ?? tournament,
+    });
+  } catch (error) {
+    console.error("Error creating tournament:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/tournaments", async (req, res) => {
+  try {
+    res.json({ success: true, tournaments: await listTournaments() });
+  } catch (error) {
+    console.error("Error listing tournaments:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/tournaments/:id", async (req, res) => {
+  try {
+    const tournament = await getTournament(req.params.id);
+    if (!tournament) {
+      return res.status(404).json({ error: "Tournament not found" });
+    }
+    res.json({
+      success: true,
+      tournament,
+      standings: tournament.format === "round-robin" ? tournamentStandings(tournament) : null,
+    });
+  } catch (error) {
+    console.error("Error fetching tournament:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Agents by Elo rating from tournament matches
+app.get("/api/leaderboard", async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  try {
+    res.json({ success: true, leaderboard: await getLeaderboard(limit) });
+  } catch (error) {
+    console.error("Error fetching leaderboard:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // LangGraph-specific debate endpoint - always uses LangGraph regardless of feature flag
 app.post("/api/debate/langgraph/start", async (req, res) => {
   try {
@@ -1191,6 +2836,18 @@ app.post("/api/debate/langgraph/start", async (req, res) => {
       ? agents.map((agent) => sanitizeInput(agent))
       : ["senatorbot", "reformerbot"];
 
+    const { turnPolicy, turnWeights, error: turnPolicyError } =
+      parseTurnPolicyOptions(req.body);
+    if (turnPolicyError) {
+      return res.status(400).json({ error: turnPolicyError });
+    }
+
+    const { format, formatSchedule, error: formatError } =
+      await parseDebateFormatOption(req.body, sanitizedAgents);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+
     // Check if debate already running
     if (activeDebates.has(sanitizedDebateId)) {
       return res.status(409).json({
@@ -1202,6 +2859,7 @@ app.post("/api/debate/langgraph/start", async (req, res) => {
     console.log(
       `Starting LangGraph debate: ${sanitizedDebateId} on "${sanitizedTopic}"`,
     );
+    await prepareDebateStances(sanitizedTopic, sanitizedAgents);
 
     // Initialize Langfuse trace for debate lifecycle
     const langfuse = getLangfuse();
@@ -1212,6 +2870,8 @@ app.post("/api/debate/langgraph/start", async (req, res) => {
         topic: sanitizedTopic,
         agents: sanitizedAgents,
         rounds,
+        turnPolicy,
+        format: format?.name ?? null,
       },
       metadata: {
         app: "stancestream",
@@ -1233,6 +2893,10 @@ app.post("/api/debate/langgraph/start", async (req, res) => {
       factChecks: 0,
       orchestration: "langgraph",
       langfuseTraceId: debateTrace?.id,
+      turnPolicy,
+      turnWeights,
+      format,
+      formatSchedule,
     });
     activeDebatesGauge.set(activeDebates.size);
 
@@ -1243,12 +2907,14 @@ app.post("/api/debate/langgraph/start", async (req, res) => {
       topic: sanitizedTopic,
       agents: sanitizedAgents,
       orchestration: "langgraph",
+      turnPolicy,
+      format: format?.name ?? null,
       timestamp: new Date().toISOString(),
       totalActive: activeDebates.size,
     });
 
     // Start LangGraph debate
-    const debateProcess = { cancelled: false };
+    const debateProcess = createDebateProcess();
     runningDebateProcesses.set(sanitizedDebateId, debateProcess);
 
     runLangGraphDebateWithBroadcast(
@@ -1270,6 +2936,7 @@ app.post("/api/debate/langgraph/start", async (req, res) => {
         });
       })
       .catch((error) => {
+        debateProcess.error = error.message;
         debateTrace?.end({
           output: {
             debateId: sanitizedDebateId,
@@ -1283,6 +2950,7 @@ app.post("/api/debate/langgraph/start", async (req, res) => {
         });
       })
       .finally(async () => {
+        finalizeDebateState(sanitizedDebateId, debateProcess);
         activeDebates.delete(sanitizedDebateId);
         activeDebatesGauge.set(activeDebates.size);
         runningDebateProcesses.delete(sanitizedDebateId);
@@ -1303,6 +2971,8 @@ app.post("/api/debate/langgraph/start", async (req, res) => {
       topic: sanitizedTopic,
       agents: sanitizedAgents,
       rounds,
+      turnPolicy,
+      format: format?.name ?? null,
       orchestration: "langgraph",
       message: "LangGraph debate started successfully",
       langsmith:
@@ -1602,64 +3272,317 @@ app.get("/api/cache/metrics", async (req, res) => {
         timestamp: new Date().toISOString(),
       };
 
-      res.json(response);
-    } else {
-      // Return empty metrics if cache not initialized
-      res.json({
-        success: true,
-        metrics: {
-          total_requests: 0,
-          cache_hits: 0,
-          cache_misses: 0,
-          hit_ratio: 0,
-          total_tokens_saved: 0,
-          estimated_cost_saved: 0,
-          average_similarity: 0,
-          total_cache_entries: 0,
-          cache_efficiency: 0,
-          memory_saved_mb: 0,
-        },
-        timestamp: new Date().toISOString(),
+      res.json(response);
+    } else {
+      // Return empty metrics if cache not initialized
+      res.json({
+        success: true,
+        metrics: {
+          total_requests: 0,
+          cache_hits: 0,
+          cache_misses: 0,
+          hit_ratio: 0,
+          total_tokens_saved: 0,
+          estimated_cost_saved: 0,
+          average_similarity: 0,
+          total_cache_entries: 0,
+          cache_efficiency: 0,
+          memory_saved_mb: 0,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+  } catch (error) {
+    console.error("❌ Error fetching cache metrics:", error);
+    // Return fallback data instead of error
+    res.json({
+      success: true,
+      metrics: {
+        total_requests: 0,
+        cache_hits: 0,
+        cache_misses: 0,
+        hit_ratio: 0,
+        total_tokens_saved: 0,
+        estimated_cost_saved: 0,
+        average_similarity: 0,
+        total_cache_entries: 0,
+        cache_efficiency: 0,
+        memory_saved_mb: 0,
+        last_updated: new Date().toISOString(),
+      },
+      business_value: {
+        current_usage: {
+          monthly_savings: 0,
+          daily_cost_saved: 0,
+          cache_efficiency: "0%",
+          daily_tokens_saved: 0,
+        },
+        enterprise_projections: {
+          medium_enterprise: { annual_savings: 0 },
+        },
+        performance_impact: {
+          api_calls_eliminated: 0,
+          system_efficiency: "Initializing",
+        },
+      },
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Filters shared by listing and bulk deletion, see cacheAdmin.js
+const CACHE_NUMBER_FILTERS = [
+  "minHits",
+  "maxHits",
+  "minAgeSeconds",
+  "maxAgeSeconds",
+];
+
+function parseCacheFilters(query = {}) {
+  const filters = {};
+  for (const name of ["topic", "agentId", "debateId"]) {
+    if (query[name]) filters[name] = String(query[name]);
+  }
+  for (const name of CACHE_NUMBER_FILTERS) {
+    if (query[name] === undefined) continue;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${name} must be a non-negative number` };
+    }
+    filters[name] = value;
+  }
+  if (query.pinned !== undefined) filters.pinned = query.pinned === "true";
+  return { filters };
+}
+
+// Browse cache entries: ?offset, ?limit (max 100), ?sort=newest|oldest|hits
+// and the filters above
+app.get("/api/cache/entries", async (req, res) => {
+  try {
+    const { filters, error } = parseCacheFilters(req.query);
+    if (error) return res.status(400).json({ error });
+    const sort = req.query.sort || "newest";
+    if (!CACHE_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of ${CACHE_SORTS.join(", ")}` });
+    }
+
+    const page = await listCacheEntries({
+      ...filters,
+      sort,
+      offset: Math.max(parseInt(req.query.offset) || 0, 0),
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+    });
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error("Error listing cache entries:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Ad-hoc similarity search against the cache, hits or not
+app.post("/api/cache/entries/search", validateCacheSearch, async (req, res) => {
+  try {
+    const { prompt, topic, limit } = req.validatedBody;
+    res.json({ success: true, ...(await searchCache(prompt, { topic, limit })) });
+  } catch (error) {
+    console.error("Error searching cache:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/cache/entries/:id", async (req, res) => {
+  try {
+    const entry = await getCacheEntry(req.params.id);
+    if (!entry) return res.status(404).json({ error: "Cache entry not found" });
+    res.json({ success: true, entry });
+  } catch (error) {
+    console.error("Error fetching cache entry:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.delete("/api/cache/entries/:id", async (req, res) => {
+  try {
+    const { deleted } = await deleteCacheEntries({ ids: [req.params.id] });
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: "Cache entry not found" });
+    }
+    console.log(`🗑️ Cache entry ${req.params.id} deleted`);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error("Error deleting cache entry:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Bulk invalidation by topic, agent or debate (plus the other filters).
+// Pinned entries stay unless ?includePinned=true.
+app.delete("/api/cache/entries", async (req, res) => {
+  try {
+    const { filters, error } = parseCacheFilters(req.query);
+    if (error) return res.status(400).json({ error });
+    if (!filters.topic && !filters.agentId && !filters.debateId) {
+      return res.status(400).json({
+        error: "Give a topic, agentId or debateId to delete by",
+      });
+    }
+
+    const result = await deleteCacheEntries({
+      ...filters,
+      includePinned: req.query.includePinned === "true",
+    });
+    console.log(`🗑️ ${result.deleted.length} cache entries deleted`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error deleting cache entries:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Pinned entries never expire; unpinning restarts the CACHE_TTL countdown
+function cachePinHandler(pinned) {
+  return async (req, res) => {
+    try {
+      const entry = await setCacheEntryPinned(req.params.id, pinned);
+      if (!entry) return res.status(404).json({ error: "Cache entry not found" });
+      res.json({ success: true, entry });
+    } catch (error) {
+      console.error("Error pinning cache entry:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
+
+app.post("/api/cache/entries/:id/pin", cachePinHandler(true));
+app.delete("/api/cache/entries/:id/pin", cachePinHandler(false));
+
+// Report a served entry as a bad hit; the thresholds for its agent and debate
+// topic rise past the similarity it was last served at
+app.post("/api/cache/entries/:id/bad-hit", async (req, res) => {
+  try {
+    const entry = await getCacheEntry(req.params.id);
+    if (!entry) return res.status(404).json({ error: "Cache entry not found" });
+    if (entry.lastHitSimilarity === null) {
+      return res.status(400).json({ error: "Cache entry has not been served yet" });
+    }
+    if (!entry.debateTopic) {
+      return res.status(400).json({ error: "Cache entry has no debate topic to learn for" });
+    }
+
+    const thresholds = await recordHitFeedback({
+      topic: entry.debateTopic,
+      agentId: entry.agentId,
+      similarity: entry.lastHitSimilarity,
+      good: false,
+      source: "manual",
+    });
+    console.log(`👎 Bad cache hit reported for ${entry.id}`);
+    res.json({ success: true, thresholds });
+  } catch (error) {
+    console.error("Error reporting bad cache hit:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Per-topic and per-agent similarity thresholds, learned or set by hand
+app.get("/api/cache/thresholds", async (req, res) => {
+  try {
+    res.json({ success: true, thresholds: await listThresholds() });
+  } catch (error) {
+    console.error("Error fetching cache thresholds:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Set a threshold; locked (the default) stops feedback from moving it
+app.put("/api/cache/thresholds", validateCacheThreshold, async (req, res) => {
+  try {
+    const { topic, agentId, threshold, locked } = req.validatedBody;
+    const record = await setThreshold({ topic, agentId }, { threshold, locked });
+    res.json({ success: true, threshold: record });
+  } catch (error) {
+    console.error("Error setting cache threshold:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Evict now rather than waiting for the runner. The body can override the
+// configured policy and budgets for this run only.
+app.post("/api/cache/evict", validateCacheEviction, async (req, res) => {
+  try {
+    const result = await evictCache(req.validatedBody);
+    if (result.error) return res.status(400).json({ error: result.error });
+    console.log(`🧹 Evicted ${result.evicted} cache entries (${result.policy})`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error evicting cache entries:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Cache warming runs one job at a time in the background; this is the
+// running or last finished job
+let cacheWarmJob = null;
+
+// Warm the given topics, or those of schedules due within withinHours.
+// Progress arrives as cache_warm_progress and cache_warm_complete events.
+app.post("/api/cache/warm", validateCacheWarm, async (req, res) => {
+  if (cacheWarmJob?.status === "running") {
+    return res.status(409).json({
+      error: "A cache warming job is already running",
+      jobId: cacheWarmJob.jobId,
+    });
+  }
+
+  try {
+    const { topics, agents, withinHours, turns, maxTokens } = req.validatedBody;
+    const targets = topics
+      ? topics.map((topic) => ({ topic, agents: agents ?? DEFAULT_WARM_AGENTS }))
+      : await scheduledWarmTargets({ withinHours });
+    if (targets.length === 0) {
+      return res.status(400).json({
+        error: "No topics given and no schedules due to warm",
       });
     }
-  } catch (error) {
-    console.error("❌ Error fetching cache metrics:", error);
-    // Return fallback data instead of error
-    res.json({
-      success: true,
-      metrics: {
-        total_requests: 0,
-        cache_hits: 0,
-        cache_misses: 0,
-        hit_ratio: 0,
-        total_tokens_saved: 0,
-        estimated_cost_saved: 0,
-        average_similarity: 0,
-        total_cache_entries: 0,
-        cache_efficiency: 0,
-        memory_saved_mb: 0,
-        last_updated: new Date().toISOString(),
-      },
-      business_value: {
-        current_usage: {
-          monthly_savings: 0,
-          daily_cost_saved: 0,
-          cache_efficiency: "0%",
-          daily_tokens_saved: 0,
-        },
-        enterprise_projections: {
-          medium_enterprise: { annual_savings: 0 },
-        },
-        performance_impact: {
-          api_calls_eliminated: 0,
-          system_efficiency: "Initializing",
-        },
+
+    const jobId = `warm_${randomUUID()}`;
+    cacheWarmJob = { jobId, status: "running", targets, progress: null };
+    console.log(`🔥 Cache warming ${jobId} started for ${targets.length} topic(s)`);
+
+    warmCache({
+      jobId,
+      targets,
+      turns,
+      maxTokens,
+      onProgress: (progress) => {
+        cacheWarmJob.progress = progress;
+        broadcast({ type: "cache_warm_progress", ...progress });
       },
-      timestamp: new Date().toISOString(),
-    });
+    })
+      .then((summary) => {
+        cacheWarmJob = summary;
+        console.log(
+          `✅ Cache warming ${jobId} ${summary.status}: ${summary.generated} generated, ${summary.tokensUsed} tokens`,
+        );
+        broadcast({ type: "cache_warm_complete", ...summary });
+      })
+      .catch((error) => {
+        console.error("Error warming cache:", error);
+        cacheWarmJob = { ...cacheWarmJob, status: "failed", error: error.message };
+        broadcast({ type: "cache_warm_complete", ...cacheWarmJob });
+      });
+
+    res.status(202).json({ success: true, jobId, targets });
+  } catch (error) {
+    console.error("Error starting cache warming:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
+app.get("/api/cache/warm", (req, res) => {
+  res.json({ success: true, job: cacheWarmJob });
+});
+
 // Live Performance Analytics - Mission Control Metrics
 app.get("/api/analytics/performance", async (req, res) => {
   try {
@@ -1985,7 +3908,14 @@ function getEnhancedMetrics() {
 }
 
 // Debate simulation function - ENHANCED WITH METRICS TRACKING
-async function runDebateRounds(debateId, agents, topic, rounds = 5) {
+// Pass resumeFromTurn to continue a debate recovered from its checkpoint.
+async function runDebateRounds(
+  debateId,
+  agents,
+  topic,
+  rounds = 5,
+  { resumeFromTurn = 0 } = {},
+) {
   console.log(`🎯 Starting debate simulation for: ${topic} (${debateId})`);
   console.log(
     `📊 Active debates at start: ${Array.from(activeDebates.keys()).join(", ")}`,
@@ -2011,21 +3941,62 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
     `✅ Debate process confirmed for ${debateId}, proceeding with rounds...`,
   );
 
-  // Clear previous debate messages to avoid confusion
-  try {
-    await client.del(`debate:${debateId}:messages`);
-    console.log(`🧹 Cleared previous messages for debate: ${debateId}`);
-  } catch (error) {
-    console.log(`⚠️ No previous messages to clear for debate: ${debateId}`);
+  // Clear previous debate messages to avoid confusion (kept when resuming)
+  if (resumeFromTurn === 0) {
+    try {
+      await client.del(`debate:${debateId}:messages`);
+      console.log(`🧹 Cleared previous messages for debate: ${debateId}`);
+    } catch (error) {
+      console.log(`⚠️ No previous messages to clear for debate: ${debateId}`);
+    }
+  } else {
+    console.log(`♻️ Resuming debate ${debateId} at turn ${resumeFromTurn + 1}`);
   }
 
-  // Alternate between agents for natural conversation flow
-  const totalTurns = rounds * agents.length;
-  let currentAgentIndex = currentAgentIndexPerDebate.get(debateId) || 0; // Track which agent should speak next for this debate
-  let actualTurn = 0; // Track actual successful turns
+  // Speaker order comes from the debate's turn policy (round-robin by
+  // default); a round is agents.length turns whoever takes them. A debate
+  // format replaces both with its schedule, one round per phase.
+  const formatSchedule = activeDebates.get(debateId)?.formatSchedule || null;
+  // News-seeded debates give the first two agents a side and shared evidence
+  const newsSeed = activeDebates.get(debateId)?.news || null;
+  const newsContextFor = (agentId) =>
+    formatNewsContext(newsSeed, ["pro", "con"][agents.indexOf(agentId)] ?? null);
+  const totalTurns = formatSchedule
+    ? formatSchedule.length
+    : rounds * agents.length;
+  const totalRounds = formatSchedule
+    ? formatSchedule[0]?.phaseCount || 0
+    : rounds;
+  const roundForTurn = (turn) =>
+    formatSchedule
+      ? formatSchedule[Math.min(turn, totalTurns - 1)].phaseIndex + 1
+      : Math.floor(turn / agents.length) + 1;
+  let currentAgentIndex = formatSchedule?.[resumeFromTurn]
+    ? agents.indexOf(formatSchedule[resumeFromTurn].agentId)
+    : currentAgentIndexPerDebate.get(debateId) || 0; // Track which agent should speak next for this debate
+  let actualTurn = resumeFromTurn; // Track actual successful turns
+  let currentPhaseId = null;
+  // Turns of the round in progress, handed to the judge panel once it ends
+  let roundMessages = [];
+  const scoreRoundIfComplete = (roundNumber) => {
+    if (actualTurn < totalTurns && roundForTurn(actualTurn) === roundNumber) return;
+    trackRoundScore(debateId, topic, agents, roundNumber, roundMessages);
+    roundMessages = [];
+  };
+
+  await checkpointDebate(debateId, {
+    status: DEBATE_STATUS.RUNNING,
+    orchestration: "legacy",
+    rounds: totalRounds,
+    totalTurns,
+    round: roundForTurn(actualTurn),
+    turnIndex: actualTurn,
+    currentAgentIndex,
+    lastSpeaker: lastSpeakerPerDebate.get(debateId) || null,
+  });
 
   for (
-    let attemptedTurn = 0;
+    let attemptedTurn = resumeFromTurn;
     attemptedTurn < totalTurns && actualTurn < totalTurns;
     attemptedTurn++
   ) {
@@ -2037,9 +4008,35 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
       return;
     }
 
+    // Hold while paused; a step request lets exactly one turn through
+    if (!canTakeTurn(debateProcess)) {
+      console.log(`⏸️ Debate ${debateId} paused before turn ${actualTurn + 1}`);
+      await waitForTurnPermit(debateProcess);
+      if (!activeDebates.has(debateId) || debateProcess.cancelled) {
+        console.log(`⏹️ Debate ${debateId} was stopped while paused`);
+        return;
+      }
+    }
+
     // Use currentAgentIndex to ensure proper alternation
     const agentId = agents[currentAgentIndex];
-    const roundNumber = Math.floor(actualTurn / agents.length) + 1;
+    const roundNumber = roundForTurn(actualTurn);
+    const phaseTurn = formatSchedule?.[actualTurn] ?? null;
+
+    if (phaseTurn && phaseTurn.phaseId !== currentPhaseId) {
+      currentPhaseId = phaseTurn.phaseId;
+      broadcast({
+        type: "debate_phase",
+        debateId,
+        phase: {
+          id: phaseTurn.phaseId,
+          title: phaseTurn.phaseTitle,
+          index: phaseTurn.phaseIndex,
+          count: phaseTurn.phaseCount,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
 
     // Enhanced debug log to track alternation
     const lastSpeakerPreCheck = lastSpeakerPerDebate.get(debateId);
@@ -2065,13 +4062,14 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
         await new Promise((resolve) =>
           setTimeout(resolve, 2000 - timeSinceLastMessage),
         );
-        // Don't increment currentAgentIndex, retry with same agent
-        continue;
+        // Don't increment currentAgentIndex, retry with same agent. A
+        // format may give one agent consecutive turns, so just go on.
+        if (!phaseTurn) continue;
       }
 
       // Additional check: Ensure agent alternation (should not be needed with proper index management)
       const lastSpeaker = lastSpeakerPerDebate.get(debateId);
-      if (lastSpeaker === agentId && actualTurn > 0) {
+      if (!phaseTurn && lastSpeaker === agentId && actualTurn > 0) {
         console.log(
           `⚠️ ${agentId} spoke last, this should not happen with proper alternation. Force switching to next agent.`,
         );
@@ -2081,13 +4079,16 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
       }
 
       // Additional safety check: Verify recent messages to prevent same agent speaking consecutively
+      // (skipped under a format, whose schedule may repeat a speaker)
       try {
-        const recentMessages = await client.xRevRange(
-          `debate:${debateId}:messages`,
-          "+",
-          "-",
-          { COUNT: 2 },
-        );
+        const recentMessages = phaseTurn
+          ? []
+          : await client.xRevRange(
+              `debate:${debateId}:messages`,
+              "+",
+              "-",
+              { COUNT: 2 },
+            );
         if (recentMessages.length > 0) {
           const lastMessage = recentMessages[0];
           const lastMessageAgentId = lastMessage.message.agent_id;
@@ -2110,6 +4111,67 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
         );
       }
 
+      // 🙋 A human-held seat waits for a posted turn instead of generating one
+      let humanMessage = null;
+      const humanSeat = getHumanSeat(debateId, agentId);
+      if (humanSeat) {
+        console.log(
+          `🙋 Waiting for ${humanSeat.name} (${agentId}) to take turn ${actualTurn + 1}`,
+        );
+        humanMessage = await waitForHumanTurn(debateId, agentId, {
+          debateProcess,
+          onWaiting: (pendingTurn) =>
+            broadcast({
+              type: "human_turn_requested",
+              debateId,
+              agentId,
+              name: humanSeat.name,
+              deadline: new Date(pendingTurn.deadline).toISOString(),
+              timestamp: new Date().toISOString(),
+            }),
+        });
+
+        if (!activeDebates.has(debateId) || debateProcess.cancelled) {
+          console.log(
+            `⏹️ Debate ${debateId} was stopped while waiting for ${humanSeat.name}`,
+          );
+          return;
+        }
+
+        // Timed out with the seat still held - pass the turn. A released
+        // seat falls through and its AI agent speaks instead.
+        if (humanMessage === null && getHumanSeat(debateId, agentId)) {
+          console.log(`⌛ ${humanSeat.name} passed turn ${actualTurn + 1}`);
+          broadcast({
+            type: "human_turn_skipped",
+            debateId,
+            agentId,
+            name: humanSeat.name,
+            reason: "timeout",
+            timestamp: new Date().toISOString(),
+          });
+
+          actualTurn++;
+          currentAgentIndex = await pickNextAgentIndex(
+            debateId,
+            agents,
+            topic,
+            agentId,
+            actualTurn,
+          );
+          currentAgentIndexPerDebate.set(debateId, currentAgentIndex);
+          consumeTurnPermit(debateProcess);
+          await checkpointDebate(debateId, {
+            round: roundForTurn(actualTurn),
+            turnIndex: actualTurn,
+            currentAgentIndex,
+          });
+          scoreRoundIfComplete(roundNumber);
+          continue;
+        }
+      }
+      const authorType = humanMessage !== null ? "human" : "ai";
+
       // 📊 Use Enhanced AI Generation with emotional state and context
       let message;
       let cacheHit = false;
@@ -2123,11 +4185,15 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
           return;
         }
 
-        const result = await generateEnhancedMessageOnly(
-          agentId,
-          debateId,
-          topic,
-        );
+        // Human turns skip generation; an empty sentiment makes the broadcast
+        // use the analyzer result below, as for any message without one
+        const result =
+          humanMessage !== null
+            ? { message: humanMessage, sentiment: {} }
+            : await generateEnhancedMessageOnly(agentId, debateId, topic, {
+                phase: phaseTurn,
+                newsContext: newsContextFor(agentId),
+              });
 
         // Handle enhanced result format with all metadata
         if (typeof result === "object" && result.message) {
@@ -2159,7 +4225,11 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
           var enhancedMetadata = {};
         }
 
-        console.log(`✨ Enhanced AI message generated for ${agentId}`);
+        console.log(
+          authorType === "human"
+            ? `🙋 Human turn received for ${agentId}`
+            : `✨ Enhanced AI message generated for ${agentId}`,
+        );
       } catch (enhancedError) {
         console.log(
           `⚠️ Enhanced AI failed, falling back to standard: ${enhancedError.message}`,
@@ -2173,7 +4243,10 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
           return;
         }
 
-        const result = await generateMessageOnly(agentId, debateId, topic);
+        const result = await generateMessageOnly(agentId, debateId, topic, {
+          phase: phaseTurn,
+          newsContext: newsContextFor(agentId),
+        });
 
         // Handle fallback result format
         if (typeof result === "object" && result.message) {
@@ -2213,10 +4286,12 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
       }
 
       // Store in shared debate stream
-      await client.xAdd(debateStreamKey, "*", {
+      const messageId = await client.xAdd(debateStreamKey, "*", {
         agent_id: agentId,
         message,
+        author_type: authorType,
       });
+      roundMessages.push({ agentId, message });
 
       // Broadcast Redis Streams operation for Matrix
       broadcastRedisOperation(
@@ -2244,6 +4319,18 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
         },
       );
 
+      // Long-term memory for every participant; not awaited since it embeds
+      rememberDebateTurn({
+        debateId,
+        topic,
+        speakerId: agentId,
+        text: message,
+        participantIds: agents,
+        spokenByAgent: authorType === "ai",
+      }).catch((error) =>
+        console.log(`⚠️ Long-term memory not stored: ${error.message}`),
+      );
+
       // 🎯 Broadcast cache hit celebration if applicable
       if (cacheHit) {
         console.log(
@@ -2276,8 +4363,11 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
         return;
       }
 
-      // Get agent profile for broadcast
-      const profile = await client.json.get(`agent:${agentId}:profile`);
+      // Get agent profile for broadcast, as a fork may have changed it
+      const profile = applyProfileOverride(
+        await client.json.get(`agent:${agentId}:profile`),
+        (await getLineage(debateId))?.agentOverrides?.[agentId],
+      );
 
       if (!profile) {
         console.error(`❌ No profile found for agent: ${agentId}`);
@@ -2325,9 +4415,9 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
           debateId,
           topic,
         );
-        stanceData = stanceUpdate;
+        stanceData = { ...stanceUpdate, change: stanceUpdate.shift };
         console.log(
-          `📈 ${agentId} stance evolved: ${stanceUpdate.oldStance.toFixed(3)} → ${stanceUpdate.newStance.toFixed(3)}`,
+          `📈 ${agentId} stance evolved: ${stanceUpdate.oldStance.toFixed(3)} → ${stanceUpdate.newStance.toFixed(3)} (${stanceUpdate.explanation})`,
         );
       } catch (stanceError) {
         console.log(
@@ -2337,15 +4427,13 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
         // Import topic mapping utility
         const { topicToStanceKey } = await import("./messageGenerationCore.js");
 
-        // Fallback to simple stance evolution with correct topic
+        // Fall back to holding the stance where it was
         const stanceKey = topicToStanceKey(topic);
         const currentStance = profile.stance?.[stanceKey] || 0.5;
-        const stanceShift = (Math.random() - 0.5) * 0.1;
-        const newStance = Math.max(0, Math.min(1, currentStance + stanceShift));
         stanceData = {
           oldStance: currentStance,
-          newStance,
-          change: stanceShift,
+          newStance: currentStance,
+          change: 0,
         };
 
         // Store stance in TimeSeries with correct topic
@@ -2425,6 +4513,49 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
         return;
       }
 
+      const messageFactCheck = factCheck.fact
+        ? {
+            fact: factCheck.fact,
+            score: factCheck.score,
+            confidence: factCheck.confidence,
+          }
+        : factResult?.content
+          ? {
+              fact: factResult.content,
+              score: factResult.score,
+              confidence: Math.round((1 - factResult.score) * 100),
+            }
+          : null;
+      const messageSentiment = sentiment.sentiment
+        ? {
+            sentiment: sentiment.sentiment,
+            confidence: sentiment.confidence,
+            model: sentiment.model,
+          }
+        : {
+            sentiment: sentimentResult.sentiment,
+            confidence: sentimentResult.confidence,
+            model: sentimentResult.model,
+          };
+
+      // Keep the analysis with the stored message for transcript export
+      try {
+        await recordMessageAnnotations(debateId, messageId, {
+          factCheck: messageFactCheck,
+          sentiment: messageSentiment,
+          stance: {
+            previous: stanceData.oldStance,
+            value: stanceData.newStance,
+            change: stanceData.newStance - stanceData.oldStance,
+            ...(stanceData.explanation && { reason: stanceData.explanation }),
+          },
+        });
+      } catch (annotationError) {
+        console.log(
+          `⚠️ Failed to store message annotations: ${annotationError.message}`,
+        );
+      }
+
       // Broadcast the new message to all clients with enhanced metadata
       console.log(
         `🐛 DEBUG: Broadcasting stance with topic="${topic}" for debateId=${debateId}`,
@@ -2434,32 +4565,15 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
         debateId,
         agentId,
         agentName: profile.name,
+        authorType,
+        ...(humanSeat && authorType === "human" && { humanName: humanSeat.name }),
+        ...(phaseTurn && {
+          phase: { id: phaseTurn.phaseId, title: phaseTurn.phaseTitle },
+        }),
         message,
         timestamp: new Date().toISOString(),
-        factCheck: factCheck.fact
-          ? {
-              fact: factCheck.fact,
-              score: factCheck.score,
-              confidence: factCheck.confidence,
-            }
-          : factResult?.content
-            ? {
-                fact: factResult.content,
-                score: factResult.score,
-                confidence: Math.round((1 - factResult.score) * 100),
-              }
-            : null,
-        sentiment: sentiment.sentiment
-          ? {
-              sentiment: sentiment.sentiment,
-              confidence: sentiment.confidence,
-              model: sentiment.model,
-            }
-          : {
-              sentiment: sentimentResult.sentiment,
-              confidence: sentimentResult.confidence,
-              model: sentimentResult.model,
-            },
+        factCheck: messageFactCheck,
+        sentiment: messageSentiment,
         stance: {
           topic: topic,
           value: stanceData.newStance,
@@ -2551,6 +4665,9 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
         );
       }
 
+      await trackCoalitions(debateId, topic, agents, turn + 1);
+      trackArgumentMap(debateId);
+
       console.log(`✅ ${agentId}: ${message.substring(0, 50)}...`);
 
       // Check again if debate was stopped before waiting
@@ -2577,9 +4694,24 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
       // ✅ Successfully completed this turn - advance to next agent
       lastMessageTimestamps.set(agentId, now);
       lastSpeakerPerDebate.set(debateId, agentId);
-      currentAgentIndex = (currentAgentIndex + 1) % agents.length;
-      currentAgentIndexPerDebate.set(debateId, currentAgentIndex);
       actualTurn++;
+      currentAgentIndex = await pickNextAgentIndex(
+        debateId,
+        agents,
+        topic,
+        agentId,
+        actualTurn,
+      );
+      currentAgentIndexPerDebate.set(debateId, currentAgentIndex);
+      consumeTurnPermit(debateProcess);
+
+      await checkpointDebate(debateId, {
+        round: roundForTurn(actualTurn),
+        turnIndex: actualTurn,
+        currentAgentIndex,
+        lastSpeaker: agentId,
+      });
+      scoreRoundIfComplete(roundNumber);
 
       console.log(
         `✅ Turn ${actualTurn} completed by ${agentId}. Next: ${agents[currentAgentIndex]}`,
@@ -2593,9 +4725,12 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
         timestamp: new Date().toISOString(),
       });
 
-      // Even on error, advance to next agent to prevent stuck loops
-      currentAgentIndex = (currentAgentIndex + 1) % agents.length;
-      currentAgentIndexPerDebate.set(debateId, currentAgentIndex);
+      // Even on error, advance to next agent to prevent stuck loops (a
+      // format retries its scheduled speaker instead)
+      if (!phaseTurn) {
+        currentAgentIndex = (currentAgentIndex + 1) % agents.length;
+        currentAgentIndexPerDebate.set(debateId, currentAgentIndex);
+      }
     }
   }
 
@@ -2639,8 +4774,8 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
       topic,
       // Add some election-night style metadata
       metadata: {
-        round: rounds,
-        totalRounds: rounds,
+        round: totalRounds,
+        totalRounds,
         totalMessages: debateMetrics.messagesGenerated,
       },
     });
@@ -2660,9 +4795,10 @@ async function runDebateRounds(debateId, agents, topic, rounds = 5) {
       type: "debate_ended",
       debateId,
       topic,
-      totalRounds: rounds,
+      totalRounds,
       timestamp: new Date().toISOString(),
     });
+    trackVerdict(debateId, topic);
   }
 
   console.log(`🏁 Debate simulation completed for: ${topic}`);
@@ -2692,11 +4828,52 @@ async function runLangGraphDebateWithBroadcast(
   }
 
   let turnCount = 0;
+  let currentPhaseId = null;
+  const formatSchedule = activeDebates.get(debateId)?.formatSchedule || null;
+  const totalRounds = formatSchedule?.[0]?.phaseCount || rounds;
+  const totalTurns = formatSchedule?.length || rounds * agents.length;
+  const roundForTurn = (turn) =>
+    formatSchedule
+      ? formatSchedule[turn].phaseIndex + 1
+      : Math.floor(turn / agents.length) + 1;
+  // Turns of the round in progress, handed to the judge panel once it ends
+  let roundMessages = [];
+  const pendingTurns = [];
+
+  await checkpointDebate(debateId, {
+    status: DEBATE_STATUS.RUNNING,
+    orchestration: "langgraph",
+    rounds: totalRounds,
+    ...(formatSchedule && { totalTurns: formatSchedule.length }),
+    round: 1,
+    turnIndex: 0,
+    currentAgentIndex: 0,
+    lastSpeaker: null,
+  });
 
   // Message callback - broadcasts each message as it's generated
   const onMessage = async (msg) => {
     turnCount++;
-    const { agentId, message, timestamp, metadata } = msg;
+    const { agentId, message, timestamp, metadata, authorType = "ai" } = msg;
+    const phase = metadata?.phase;
+
+    if (phase && phase.id !== currentPhaseId) {
+      currentPhaseId = phase.id;
+      broadcast({
+        type: "debate_phase",
+        debateId,
+        phase,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    await checkpointDebate(debateId, {
+      round: phase
+        ? phase.index + 1
+        : Math.floor((turnCount - 1) / agents.length) + 1,
+      turnIndex: turnCount,
+      lastSpeaker: agentId,
+    });
 
     // Update metrics
     debateMetrics.messagesGenerated++;
@@ -2740,6 +4917,8 @@ async function runLangGraphDebateWithBroadcast(
       debateId,
       agentId,
       agentName: profile?.name || agentId,
+      authorType,
+      ...(phase && { phase: { id: phase.id, title: phase.title } }),
       message,
       timestamp,
       factCheck: metadata?.factCheck?.fact
@@ -2818,6 +4997,16 @@ async function runLangGraphDebateWithBroadcast(
       console.log(`Failed to broadcast stance update: ${stanceError.message}`);
     }
 
+    await trackCoalitions(debateId, topic, agents, turnCount);
+    trackArgumentMap(debateId);
+
+    roundMessages.push({ agentId, message });
+    const round = roundForTurn(turnCount - 1);
+    if (turnCount >= totalTurns || roundForTurn(turnCount) !== round) {
+      trackRoundScore(debateId, topic, agents, round, roundMessages);
+      roundMessages = [];
+    }
+
     console.log(`[LangGraph] ${agentId}: ${message.substring(0, 50)}...`);
 
     // Small delay between messages for better UX
@@ -2832,10 +5021,29 @@ async function runLangGraphDebateWithBroadcast(
         topic,
         agents,
         rounds,
+        turnPolicy: activeDebates.get(debateId)?.turnPolicy,
+        turnWeights: activeDebates.get(debateId)?.turnWeights,
+        formatSchedule,
+        newsSeed: activeDebates.get(debateId)?.news,
+        onHumanTurn: ({ type, ...details }) =>
+          broadcast({
+            type: type === "skipped" ? "human_turn_skipped" : "human_turn_requested",
+            debateId,
+            ...details,
+            ...(type === "skipped" && { reason: "timeout" }),
+            timestamp: new Date().toISOString(),
+          }),
+      },
+      (msg) => {
+        const handled = onMessage(msg);
+        pendingTurns.push(handled);
+        return handled;
       },
-      onMessage,
       debateProcess,
     );
+    // The orchestrator does not wait for onMessage; let the last turns'
+    // bookkeeping (round scores included) land before the debate ends
+    await Promise.allSettled(pendingTurns);
 
     // Broadcast debate end
     if (activeDebates.has(debateId)) {
@@ -2845,11 +5053,12 @@ async function runLangGraphDebateWithBroadcast(
         type: "debate_ended",
         debateId,
         topic,
-        totalRounds: rounds,
+        totalRounds,
         totalMessages: messages.length,
         orchestration: "langgraph",
         timestamp: new Date().toISOString(),
       });
+      trackVerdict(debateId, topic);
     }
 
     console.log(
@@ -2869,6 +5078,122 @@ async function runLangGraphDebateWithBroadcast(
   }
 }
 
+/**
+ * Startup recovery - pick up debates whose checkpoints were still live when
+ * the previous process exited. Legacy debates resume from their last
+ * completed turn; anything that cannot resume is marked interrupted.
+ */
+async function recoverDebatesOnStartup() {
+  let checkpoints;
+  try {
+    checkpoints = await listLiveDebateCheckpoints();
+  } catch (error) {
+    console.log(`⚠️ Debate recovery skipped: ${error.message}`);
+    return;
+  }
+
+  if (checkpoints.length === 0) return;
+  console.log(`♻️ Found ${checkpoints.length} debate checkpoint(s) to recover`);
+
+  for (const checkpoint of checkpoints) {
+    const { debateId, topic, agents, rounds, turnIndex } = checkpoint;
+    if (activeDebates.has(debateId)) continue;
+
+    const { action, reason } = planDebateRecovery(checkpoint);
+
+    try {
+      if (action === "complete") {
+        await markDebateStatus(debateId, DEBATE_STATUS.COMPLETED);
+        continue;
+      }
+
+      if (action === "interrupt") {
+        const interruptedAt = new Date().toISOString();
+        await markDebateStatus(debateId, DEBATE_STATUS.INTERRUPTED, {
+          interruptedAt,
+          interruptReason: reason,
+        });
+        recoveredDebates.set(debateId, {
+          ...checkpoint,
+          status: DEBATE_STATUS.INTERRUPTED,
+          interruptedAt,
+          reason,
+        });
+        console.log(`⏸️ Debate ${debateId} marked interrupted: ${reason}`);
+        continue;
+      }
+
+      // A formatted debate resumes on the schedule of its stored format
+      const format = checkpoint.format
+        ? await getDebateFormat(checkpoint.format)
+        : null;
+      if (checkpoint.format && !format) {
+        throw new Error(`debate format "${checkpoint.format}" no longer exists`);
+      }
+
+      activeDebates.set(debateId, {
+        topic,
+        agents,
+        startTime: checkpoint.startTime || new Date().toISOString(),
+        status:
+          checkpoint.status === DEBATE_STATUS.PAUSED ? "paused" : "running",
+        messageCount: checkpoint.messageCount || 0,
+        factChecks: checkpoint.factChecks || 0,
+        turnPolicy: checkpoint.turnPolicy || DEFAULT_TURN_POLICY,
+        turnWeights: checkpoint.turnWeights || {},
+        format,
+        formatSchedule: format ? buildFormatSchedule(format, agents) : null,
+        news: await getNewsSeed(debateId),
+        recovered: true,
+        resumedFromTurn: turnIndex,
+      });
+      activeDebatesGauge.set(activeDebates.size);
+      currentAgentIndexPerDebate.set(debateId, checkpoint.currentAgentIndex || 0);
+      if (checkpoint.lastSpeaker) {
+        lastSpeakerPerDebate.set(debateId, checkpoint.lastSpeaker);
+      }
+      recoveredDebates.set(debateId, {
+        ...checkpoint,
+        status: "resumed",
+        resumedAt: new Date().toISOString(),
+        reason,
+      });
+
+      const debateProcess = createDebateProcess({
+        paused: checkpoint.status === DEBATE_STATUS.PAUSED,
+      });
+      runningDebateProcesses.set(debateId, debateProcess);
+      debateMetrics.concurrentDebates = activeDebates.size;
+
+      broadcast({
+        type: "debate_recovered",
+        debateId,
+        topic,
+        agents,
+        resumedFromTurn: turnIndex,
+        timestamp: new Date().toISOString(),
+      });
+
+      console.log(`♻️ Resuming debate ${debateId}: ${reason}`);
+
+      runDebateRounds(debateId, agents, topic, rounds, {
+        resumeFromTurn: turnIndex,
+      }).finally(() => {
+        finalizeDebateState(debateId, debateProcess);
+        activeDebates.delete(debateId);
+        activeDebatesGauge.set(activeDebates.size);
+        runningDebateProcesses.delete(debateId);
+        currentAgentIndexPerDebate.delete(debateId);
+        lastSpeakerPerDebate.delete(debateId);
+        recoveredDebates.delete(debateId);
+        debateMetrics.concurrentDebates = activeDebates.size;
+      });
+    } catch (error) {
+      console.error(`❌ Failed to recover debate ${debateId}:`, error);
+    }
+  }
+}
+
 const PORT = process.env.PORT || 3001;
 
 // 🧪 Test Route - Simple verification
@@ -2965,6 +5290,35 @@ server.listen(PORT, () => {
   console.log(`🛡️ Security enhancements: ✅ Enabled`);
   console.log(`📊 Rate limiting: ✅ Active`);
   console.log(`🗜️ Compression: ✅ Active`);
+
+  // Recovered debates need their topics' stance dimensions
+  loadStanceAliases().then(recoverDebatesOnStartup);
+
+  resumeTournaments(launchTournamentMatch, broadcastTournament)
+    .then((resumed) => {
+      if (resumed.length > 0) console.log(`🏆 Resumed ${resumed.length} tournament(s)`);
+    })
+    .catch((error) => console.log(`⚠️ Could not resume tournaments: ${error.message}`));
+
+  if (config.debate.scheduler === "local") {
+    stopScheduleRunner = startScheduleRunner(launchScheduledDebate, {
+      intervalMs: config.debate.schedulerIntervalMs,
+    });
+    console.log(`🗓️ Debate scheduler: ✅ Active`);
+  }
+
+  stopEvictionRunner = startEvictionRunner();
+
+  getRecordedBackend()
+    .then((stored) => {
+      const configured = getEmbeddingBackend();
+      if (stored.provider !== configured.provider || stored.dimensions !== configured.dimensions) {
+        console.log(
+          `⚠️ Stored embeddings are ${stored.provider} (${stored.dimensions}d) but EMBEDDING_PROVIDER is ${configured.provider} (${configured.dimensions}d) - run node migrateEmbeddings.js`,
+        );
+      }
+    })
+    .catch((error) => console.log(`⚠️ Could not check the embedding backend: ${error.message}`));
 });
 
 // Enhanced error handling
@@ -3023,6 +5377,14 @@ const gracefulShutdown = async (signal) => {
       clearInterval(performanceInterval);
       console.log("✅ Performance broadcasting stopped");
     }
+    if (stopScheduleRunner) {
+      stopScheduleRunner();
+      console.log("✅ Debate scheduler stopped");
+    }
+    if (stopEvictionRunner) {
+      stopEvictionRunner();
+      console.log("✅ Cache eviction stopped");
+    }
 
     // Notify all WebSocket clients about shutdown
     wss.clients.forEach((ws) => {
@@ -2,6 +2,7 @@
 // Run this once to create the cache index for prompt similarity search
 import 'dotenv/config';
 import { createClient } from 'redis';
+import { createVectorIndex, getEmbeddingBackend } from './embeddingIndexes.js';
 
 async function createCacheIndex() {
     console.log('🚀 Starting cache index setup...');
@@ -51,56 +52,14 @@ async function createCacheIndex() {
         }
         console.log('✅ Required Redis modules verified');
 
-        // Drop existing index if it exists
-        try {
-            await client.ft.dropIndex('cache-index');
-            console.log('🗑️ Dropped existing cache-index');
-        } catch (error) {
-            console.log('ℹ️ No existing cache-index to drop');
-        }
-
-        // Create vector index for semantic cache
-        await client.ft.create(
-            'cache-index',
-            {
-                content: {
-                    type: 'TEXT',
-                    SORTABLE: true
-                },
-                response: {
-                    type: 'TEXT'
-                },
-                topic: {
-                    type: 'TAG',
-                    SORTABLE: true
-                },
-                vector: {
-                    type: 'VECTOR',
-                    ALGORITHM: 'HNSW',
-                    TYPE: 'FLOAT32',
-                    DIM: 1536,
-                    DISTANCE_METRIC: 'COSINE',
-                    INITIAL_CAP: 100,
-                    M: 16,
-                    EF_CONSTRUCTION: 200
-                },
-                created_at: {
-                    type: 'TEXT'
-                },
-                tokens_saved: {
-                    type: 'NUMERIC'
-                }
-            },
-            {
-                ON: 'HASH',
-                PREFIX: 'cache:prompt:'
-            }
-        );
+        // Drop and recreate the index, sized for EMBEDDING_PROVIDER
+        const { provider, dimensions } = getEmbeddingBackend();
+        const index = await createVectorIndex(client, 'cache', dimensions, { replace: true });
 
         console.log('✅ Cache vector index created successfully!');
         console.log('📊 Index details:');
-        console.log('   - Name: cache-index');
-        console.log('   - Vector dimensions: 1536 (OpenAI embeddings)');
+        console.log(`   - Name: ${index}`);
+        console.log(`   - Vector dimensions: ${dimensions} (${provider} embeddings)`);
         console.log('   - Distance metric: COSINE');
         console.log('   - Algorithm: HNSW (fast similarity search)');
         console.log('   - Prefix: cache:prompt:*');
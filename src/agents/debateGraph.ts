@@ -6,8 +6,9 @@
  */
 
 import { StateGraph, END, START, Annotation } from "@langchain/langgraph";
-import { ChatOpenAI } from "@langchain/openai";
+import type { BaseChatModel } from "@langchain/core/language_models/chat_models";
 import { HumanMessage, AIMessage, BaseMessage, SystemMessage } from "@langchain/core/messages";
+import { createChatModel } from "../../llmProvider.js";
 import { RunnableConfig } from "@langchain/core/runnables";
 
 // Agent configuration types
@@ -122,14 +123,11 @@ function determineEmotionalState(
   return "neutral";
 }
 
-// Create LLM instance with optional LangSmith tracing
-function createLLM(temperature = 0.7): ChatOpenAI {
-  return new ChatOpenAI({
-    modelName: "gpt-4",
-    temperature,
-    // LangSmith tracing is automatically enabled when LANGCHAIN_TRACING_V2=true
-    // and LANGCHAIN_API_KEY is set in environment
-  });
+// Create LLM instance for the configured provider (LLM_PROVIDER)
+function createLLM(temperature = 0.7): BaseChatModel {
+  // LangSmith tracing is automatically enabled for the OpenAI provider when
+  // LANGCHAIN_TRACING_V2=true and LANGCHAIN_API_KEY is set in environment
+  return createChatModel({ temperature });
 }
 
 // Node: Generate agent response
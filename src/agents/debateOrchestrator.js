@@ -7,13 +7,27 @@
 
 import "dotenv/config";
 import { StateGraph, END, START, Annotation } from "@langchain/langgraph";
-import { ChatOpenAI } from "@langchain/openai";
 import {
   HumanMessage,
   AIMessage,
   SystemMessage,
 } from "@langchain/core/messages";
 import redisManager from "../../redisManager.js";
+import { createChatModel } from "../../llmProvider.js";
+import {
+  waitForTurnPermit,
+  consumeTurnPermit,
+} from "../../debateControl.js";
+import { DEFAULT_TURN_POLICY, selectNextSpeaker } from "../../turnPolicies.js";
+import { getHumanSeat, waitForHumanTurn } from "../../humanTurns.js";
+import { topicToStanceKey } from "../../messageGenerationCore.js";
+import { formatPhaseGuidance } from "../../debateFormats.js";
+import { formatNewsContext } from "../../newsDebates.js";
+import {
+  recallMemories,
+  formatRecalledMemories,
+  rememberDebateTurn,
+} from "../../agentMemory.js";
 import { getLangfuse, flushLangfuse } from "../utils/langfuse.js";
 
 // Lazy imports to avoid circular dependencies
@@ -45,6 +59,11 @@ const DebateStateAnnotation = Annotation.Root({
   currentAgentIndex: Annotation(),
   currentRound: Annotation(),
   totalRounds: Annotation(),
+  turnsTaken: Annotation(),
+  turnPolicy: Annotation(),
+  turnWeights: Annotation(),
+  formatSchedule: Annotation(), // FormatTurn[] from debateFormats.js, or null
+  newsSeed: Annotation(), // NewsDebateSeed from newsDebates.js, or null
 
   // Message history - uses reducer to accumulate
   messages: Annotation({
@@ -110,23 +129,29 @@ async function loadAgentProfile(agentId) {
 }
 
 /**
- * Create LLM instance with optional LangSmith tracing
- * LangSmith is automatically enabled when:
+ * Create LLM instance for the configured provider (LLM_PROVIDER)
+ * LangSmith tracing applies to the OpenAI provider when:
  * - LANGCHAIN_TRACING_V2=true
  * - LANGCHAIN_API_KEY is set
  */
 function createLLM(temperature = 0.7) {
-  return new ChatOpenAI({
-    modelName: "gpt-4",
-    temperature,
-    maxTokens: 200,
-  });
+  return createChatModel({ temperature, maxTokens: 200 });
 }
 
 /**
  * Node: Generate agent response
+ * Holds before generating while the debate process is paused. A seat held by
+ * a human (see humanTurns.js) waits for their posted turn instead.
  */
-async function generateAgentResponse(state) {
+async function generateAgentResponse(state, config) {
+  const debateProcess = config?.configurable?.debateProcess;
+  const onHumanTurn = config?.configurable?.onHumanTurn;
+  await waitForTurnPermit(debateProcess);
+  if (debateProcess?.cancelled) {
+    return { cancelled: true, lastGeneratedMessage: null };
+  }
+  consumeTurnPermit(debateProcess);
+
   const {
     agents,
     currentAgentIndex,
@@ -137,6 +162,35 @@ async function generateAgentResponse(state) {
   } = state;
 
   const agentId = agents[currentAgentIndex];
+  const phase = state.formatSchedule?.[state.turnsTaken || 0] ?? null;
+  const newsContext = formatNewsContext(
+    state.newsSeed,
+    ["pro", "con"][currentAgentIndex] ?? null,
+  );
+
+  let humanMessage = null;
+  const humanSeat = getHumanSeat(debateId, agentId);
+  if (humanSeat) {
+    humanMessage = await waitForHumanTurn(debateId, agentId, {
+      debateProcess,
+      onWaiting: (pendingTurn) =>
+        onHumanTurn?.({
+          type: "requested",
+          agentId,
+          name: humanSeat.name,
+          deadline: new Date(pendingTurn.deadline).toISOString(),
+        }),
+    });
+    if (debateProcess?.cancelled) {
+      return { cancelled: true, lastGeneratedMessage: null };
+    }
+    // Timed out with the seat still held - pass; a released seat falls back to the LLM
+    if (humanMessage === null && getHumanSeat(debateId, agentId)) {
+      console.log(`${humanSeat.name} passed their turn as ${agentId}`);
+      onHumanTurn?.({ type: "skipped", agentId, name: humanSeat.name });
+      return { lastGeneratedMessage: null };
+    }
+  }
   const agentProfile = agentProfiles?.[agentId];
   const emotionalState = determineEmotionalState(agentId, messages);
 
@@ -146,6 +200,10 @@ async function generateAgentResponse(state) {
     .map((m) => `${m.agentId}: ${m.message}`)
     .join("\n");
 
+  const longTermMemory = formatRecalledMemories(
+    await recallMemories(agentId, topic, { excludeDebateId: debateId }),
+  );
+
   // Get agent-specific system prompt
   const systemPrompt =
     AGENT_PROMPTS[agentId] || `You are ${agentId}, participating in a debate.`;
@@ -166,6 +224,7 @@ DEBATE CONTEXT:
 - Your current emotional state: ${emotionalState}
 ${stanceInfo ? `- Your stance positions: ${stanceInfo}` : ""}
 
+${phase ? `${formatPhaseGuidance(phase)}\n` : ""}${newsContext ? `${newsContext}\n` : ""}${longTermMemory ? `${longTermMemory}\n\n` : ""}
 RECENT CONVERSATION:
 ${recentContext || "(Opening statement)"}
 
@@ -173,7 +232,7 @@ INSTRUCTIONS:
 - Keep your response concise (1-3 sentences)
 - Stay in character and maintain your distinctive viewpoint
 - Address points raised by other participants when relevant
-- Do not repeat yourself or use generic statements
+- Do not repeat yourself or use generic statements${newsContext ? "\n- Back your point with the news evidence, citing its tag" : ""}${longTermMemory ? "\n- Stay consistent with what you argued in earlier debates, or say why your view has changed" : ""}
 `;
 
   // Create LLM with appropriate temperature based on emotional state
@@ -181,52 +240,59 @@ INSTRUCTIONS:
   const llm = createLLM(temperature);
 
   try {
-    console.log(`Generating response for ${agentId} (turn ${turnNumber})...`);
-
-    const langfuse = getLangfuse();
-    const trace = langfuse?.trace({
-      name: "debate-agent-generation",
-      input: {
-        debateId,
-        agentId,
-        topic,
-        turnNumber,
-        emotionalState,
-      },
-      metadata: {
-        app: "stancestream",
-        debate_type: "langgraph_orchestrated",
-      },
-    });
-
-    const generation = trace?.generation({
-      model: "gpt-4",
-      modelParameters: {
-        temperature: emotionalState === "passionate" ? 0.9 : 0.7,
-        maxTokens: 200,
-      },
-      input: {
-        systemPrompt: fullSystemPrompt,
-        messages: 2,
-      },
-    });
+    let responseText;
+    let generation;
+    if (humanMessage !== null) {
+      console.log(`Human turn from ${humanSeat.name} as ${agentId}`);
+      responseText = humanMessage;
+    } else {
+      console.log(`Generating response for ${agentId} (turn ${turnNumber})...`);
+
+      const langfuse = getLangfuse();
+      const trace = langfuse?.trace({
+        name: "debate-agent-generation",
+        input: {
+          debateId,
+          agentId,
+          topic,
+          turnNumber,
+          emotionalState,
+        },
+        metadata: {
+          app: "stancestream",
+          debate_type: "langgraph_orchestrated",
+        },
+      });
 
-    // Generate response
-    const response = await llm.invoke([
-      new SystemMessage(fullSystemPrompt),
-      new HumanMessage(
-        `Continue the debate on "${topic}". Generate your response as ${agentId}.`,
-      ),
-    ]);
+      generation = trace?.generation({
+        model: "gpt-4",
+        modelParameters: {
+          temperature: emotionalState === "passionate" ? 0.9 : 0.7,
+          maxTokens: 200,
+        },
+        input: {
+          systemPrompt: fullSystemPrompt,
+          messages: 2,
+        },
+      });
 
-    const responseText =
-      typeof response.content === "string"
-        ? response.content
-        : response.content
-            .map((c) =>
-              typeof c === "string" ? c : c.type === "text" ? c.text : "",
-            )
-            .join("");
+      // Generate response
+      const response = await llm.invoke([
+        new SystemMessage(fullSystemPrompt),
+        new HumanMessage(
+          `Continue the debate on "${topic}". Generate your response as ${agentId}.`,
+        ),
+      ]);
+
+      responseText =
+        typeof response.content === "string"
+          ? response.content
+          : response.content
+              .map((c) =>
+                typeof c === "string" ? c : c.type === "text" ? c.text : "",
+              )
+              .join("");
+    }
 
     // Lazy load dependencies to avoid circular imports
     if (!findClosestFact) {
@@ -254,10 +320,19 @@ INSTRUCTIONS:
       agentId,
       message: responseText.trim(),
       timestamp: new Date().toISOString(),
+      authorType: humanMessage !== null ? "human" : "ai",
       metadata: {
         emotionalState,
         cacheHit: false,
         turnNumber,
+        ...(phase && {
+          phase: {
+            id: phase.phaseId,
+            title: phase.phaseTitle,
+            index: phase.phaseIndex,
+            count: phase.phaseCount,
+          },
+        }),
         factCheck: {
           fact: factCheckResult?.content || null,
           confidence: factCheckResult?.content
@@ -311,7 +386,7 @@ INSTRUCTIONS:
  * Node: Store message to Redis
  */
 async function storeMessage(state) {
-  const { debateId, lastGeneratedMessage } = state;
+  const { debateId, lastGeneratedMessage, agents, topic } = state;
 
   if (!lastGeneratedMessage) {
     return {};
@@ -327,6 +402,7 @@ async function storeMessage(state) {
       await client.xAdd(debateStreamKey, "*", {
         agent_id: lastGeneratedMessage.agentId,
         message: lastGeneratedMessage.message,
+        author_type: lastGeneratedMessage.authorType || "ai",
         timestamp: lastGeneratedMessage.timestamp,
         emotional_state:
           lastGeneratedMessage.metadata?.emotionalState || "neutral",
@@ -347,6 +423,17 @@ async function storeMessage(state) {
     });
 
     console.log(`Stored message from ${lastGeneratedMessage.agentId} to Redis`);
+
+    rememberDebateTurn({
+      debateId,
+      topic,
+      speakerId: lastGeneratedMessage.agentId,
+      text: lastGeneratedMessage.message,
+      participantIds: agents,
+      spokenByAgent: (lastGeneratedMessage.authorType || "ai") === "ai",
+    }).catch((error) =>
+      console.log(`Long-term memory not stored: ${error.message}`),
+    );
   } catch (error) {
     console.error("Error storing message to Redis:", error.message);
   }
@@ -356,12 +443,55 @@ async function storeMessage(state) {
 
 /**
  * Node: Advance to next turn
+ * The next speaker comes from the debate's turn policy; a round is
+ * agents.length turns regardless of who spoke. A debate format instead
+ * fixes the speaker of every turn and makes each phase a round.
  */
-function advanceTurn(state) {
-  const { agents, currentAgentIndex, currentRound, totalRounds } = state;
+async function advanceTurn(state) {
+  const { agents, currentAgentIndex, totalRounds, topic, formatSchedule } =
+    state;
+  const turnsTaken = (state.turnsTaken || 0) + 1;
+
+  if (formatSchedule) {
+    const nextTurn = formatSchedule[turnsTaken];
+    if (!nextTurn) {
+      console.log(`Debate completing after ${formatSchedule.length} format turns`);
+    }
+    return {
+      currentAgentIndex: nextTurn
+        ? agents.indexOf(nextTurn.agentId)
+        : currentAgentIndex,
+      currentRound: nextTurn ? nextTurn.phaseIndex + 1 : totalRounds,
+      turnsTaken,
+      isComplete: !nextTurn,
+    };
+  }
+
+  const stanceKey = topicToStanceKey(topic);
+
+  const stances = {};
+  const names = {};
+  for (const [agentId, profile] of Object.entries(state.agentProfiles || {})) {
+    if (profile?.stance?.[stanceKey] !== undefined) {
+      stances[agentId] = profile.stance[stanceKey];
+    }
+    if (profile?.name) names[agentId] = profile.name;
+  }
 
-  const nextAgentIndex = (currentAgentIndex + 1) % agents.length;
-  const nextRound = nextAgentIndex === 0 ? currentRound + 1 : currentRound;
+  const nextAgentId = await selectNextSpeaker(
+    state.turnPolicy || DEFAULT_TURN_POLICY,
+    {
+      agents,
+      lastSpeaker: agents[currentAgentIndex],
+      turnIndex: turnsTaken,
+      topic,
+      history: state.messages || [],
+      stances,
+      names,
+      weights: state.turnWeights,
+    },
+  );
+  const nextRound = Math.floor(turnsTaken / agents.length) + 1;
   const isComplete = nextRound > totalRounds;
 
   if (isComplete) {
@@ -369,8 +499,9 @@ function advanceTurn(state) {
   }
 
   return {
-    currentAgentIndex: nextAgentIndex,
+    currentAgentIndex: agents.indexOf(nextAgentId),
     currentRound: nextRound,
+    turnsTaken,
     isComplete,
   };
 }
@@ -420,7 +551,16 @@ function createDebateGraph() {
  * Create initial debate state
  */
 async function createInitialState(config) {
-  const { debateId, topic, agents, rounds } = config;
+  const {
+    debateId,
+    topic,
+    agents,
+    rounds,
+    turnPolicy,
+    turnWeights,
+    formatSchedule,
+    newsSeed,
+  } = config;
 
   // Load agent profiles from Redis
   const agentProfiles = {};
@@ -436,9 +576,18 @@ async function createInitialState(config) {
     topic,
     agents,
     agentProfiles,
-    currentAgentIndex: 0,
+    currentAgentIndex: formatSchedule?.length
+      ? agents.indexOf(formatSchedule[0].agentId)
+      : 0,
     currentRound: 1,
-    totalRounds: rounds,
+    totalRounds: formatSchedule?.length
+      ? formatSchedule[0].phaseCount
+      : rounds,
+    turnsTaken: 0,
+    turnPolicy: turnPolicy || DEFAULT_TURN_POLICY,
+    turnWeights: turnWeights || {},
+    formatSchedule: formatSchedule?.length ? formatSchedule : null,
+    newsSeed: newsSeed || null,
     messages: [],
     agentEmotionalStates: {},
     lastGeneratedMessage: null,
@@ -456,15 +605,31 @@ async function createInitialState(config) {
  * @param {string} config.topic - Debate topic
  * @param {string[]} config.agents - Array of agent IDs
  * @param {number} config.rounds - Number of rounds
+ * @param {string} [config.turnPolicy] - Turn policy name (see turnPolicies.js)
+ * @param {Object<string, number>} [config.turnWeights] - Per-agent weights for random-weighted
+ * @param {Object[]} [config.formatSchedule] - Turn schedule from buildFormatSchedule(); overrides rounds and turnPolicy
+ * @param {Object} [config.newsSeed] - News seed from newsDebates.js; gives agents a side and citable evidence
+ * @param {Function} [config.onHumanTurn] - Called when a human-held seat is asked for, or passes, a turn
  * @param {Function} onMessage - Callback for each new message
- * @param {Object} debateProcess - Object with cancelled flag for abort control
+ * @param {Object} debateProcess - Process handle (see debateControl.js) for stop/pause/step
  * @returns {Promise<Object[]>} Array of debate messages
  */
 export async function runLangGraphDebate(config, onMessage, debateProcess) {
-  const { debateId, topic, agents, rounds = 5 } = config;
+  const {
+    debateId,
+    topic,
+    agents,
+    rounds = 5,
+    turnPolicy,
+    turnWeights,
+    formatSchedule,
+    newsSeed,
+  } = config;
 
   console.log(`Starting LangGraph debate: ${debateId} on "${topic}"`);
-  console.log(`Agents: ${agents.join(", ")}, Rounds: ${rounds}`);
+  console.log(
+    `Agents: ${agents.join(", ")}, Rounds: ${rounds}, Turn policy: ${turnPolicy || DEFAULT_TURN_POLICY}`,
+  );
 
   const graph = createDebateGraph();
   const initialState = await createInitialState({
@@ -472,6 +637,10 @@ export async function runLangGraphDebate(config, onMessage, debateProcess) {
     topic,
     agents,
     rounds,
+    turnPolicy,
+    turnWeights,
+    formatSchedule,
+    newsSeed,
   });
 
   const allMessages = [];
@@ -479,6 +648,9 @@ export async function runLangGraphDebate(config, onMessage, debateProcess) {
   try {
     // Stream the graph execution
     const stream = await graph.stream(initialState, {
+      // Lets nodes honour pause/step/cancel on the shared process handle
+      // and report human seat turns back to the server
+      configurable: { debateProcess, onHumanTurn: config.onHumanTurn },
       // LangSmith tracing config (auto-enabled if env vars set)
       runName: `debate-${debateId}`,
       tags: ["debate", "stancestream", topic.replace(/\s+/g, "-")],
@@ -75,6 +75,15 @@ export const config = {
     maxAgents: 5,
     messageCooldown: 1200, // ms between messages
     startCooldown: 1000,   // ms between debate starts
+    // Startup recovery: 'resume' continues checkpointed debates, 'interrupt' only marks them
+    recoveryMode: process.env.DEBATE_RECOVERY_MODE || 'resume',
+    recoveryMaxAgeMs: parseInt(process.env.DEBATE_RECOVERY_MAX_AGE_MS) || 60 * 60 * 1000,
+    // How long a human-held seat may take before its turn is passed
+    humanTurnTimeoutMs: parseInt(process.env.HUMAN_TURN_TIMEOUT_MS) || 90 * 1000,
+    // Scheduled debates: 'local' polls in-process, 'off' leaves it to an
+    // external trigger calling POST /api/schedules/run-due
+    scheduler: process.env.DEBATE_SCHEDULER || 'local',
+    schedulerIntervalMs: parseInt(process.env.DEBATE_SCHEDULER_INTERVAL_MS) || 30 * 1000,
   },
 
   // Logging configuration
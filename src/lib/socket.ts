@@ -1,14 +1,16 @@
 /**
  * Socket.io server + Redis pub/sub for StanceStream real-time debates.
  * Use this alongside the Next.js API route to broadcast stance updates.
+ * Votes go through audiencePoll.js, the same path as the ws server, which
+ * publishes each tally update on `stance:{debateId}`.
  */
 import { Server as SocketServer } from "socket.io";
-import { createClient } from "ioredis";
+import { Redis } from "ioredis";
+import { castAudienceVote } from "../../audiencePoll.js";
 
 let io: SocketServer | undefined;
 
-const publisher = createClient({ url: process.env.REDIS_URL });
-const subscriber = createClient({ url: process.env.REDIS_URL });
+const subscriber = new Redis(process.env.REDIS_URL ?? "redis://localhost:6379");
 
 export function getSocketServer(httpServer?: any): SocketServer {
   if (!io) {
@@ -24,18 +26,27 @@ export function getSocketServer(httpServer?: any): SocketServer {
         socket.join(`debate:${debateId}`);
       });
 
-      // Cast a stance vote
+      // Cast a stance vote - one per user per round
       socket.on(
         "stance:vote",
-        async (data: {
-          debateId: string;
-          stance: "for" | "against" | "neutral";
-          userId: string;
-        }) => {
-          await publisher.publish(
-            `stance:${data.debateId}`,
-            JSON.stringify(data),
-          );
+        async (data: { debateId: string; stance: DebateStance }) => {
+          // Votes are keyed on the server-assigned socket id, never on an
+          // id the client sends, so one connection gets one vote per round
+          try {
+            const result = await castAudienceVote({
+              debateId: data.debateId,
+              clientId: socket.id,
+              stance: data.stance,
+            });
+            socket.emit("stance:vote:ack", { debateId: data.debateId, ...result });
+          } catch (error) {
+            console.error(`Audience vote failed for ${data?.debateId}:`, error);
+            socket.emit("stance:vote:ack", {
+              debateId: data?.debateId,
+              accepted: false,
+              reason: "Vote could not be recorded",
+            });
+          }
         },
       );
 
@@ -45,15 +56,18 @@ export function getSocketServer(httpServer?: any): SocketServer {
     });
 
     // Subscribe to Redis stance events and broadcast to room
-    subscriber.psubscribe("stance:*", (err) => {
+    subscriber.psubscribe("stance:*", (err?: Error | null) => {
       if (err) console.error("Redis subscribe error:", err);
     });
 
-    subscriber.on("pmessage", (_pattern, channel, message) => {
-      const debateId = channel.replace("stance:", "");
-      const data = JSON.parse(message);
-      io?.to(`debate:${debateId}`).emit("stance:update", data);
-    });
+    subscriber.on(
+      "pmessage",
+      (_pattern: string, channel: string, message: string) => {
+        const debateId = channel.replace("stance:", "");
+        const data: AudienceUpdate = JSON.parse(message);
+        io?.to(`debate:${debateId}`).emit("stance:update", data);
+      },
+    );
   }
   return io;
 }
@@ -66,3 +80,21 @@ export interface StanceUpdate {
   userId: string;
   timestamp: number;
 }
+
+export interface AudienceTally {
+  for: number;
+  against: number;
+  neutral: number;
+  total: number;
+  score: number; // -1 (all against) to 1 (all for)
+}
+
+// Published on `stance:{debateId}` after each accepted vote
+export interface AudienceUpdate {
+  debateId: string;
+  round: number;
+  stance: DebateStance;
+  tally: AudienceTally;
+  overall: AudienceTally;
+  timestamp: number;
+}
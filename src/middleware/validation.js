@@ -22,7 +22,35 @@ export const debateStartSchema = z.object({
         .positive()
         .max(7200, 'Duration cannot exceed 2 hours')
         .optional()
-        .default(300)
+        .default(300),
+    // Names match TURN_POLICY_NAMES in turnPolicies.js
+    turnPolicy: z.enum(['round-robin', 'moderator-selected', 'most-challenged', 'random-weighted'])
+        .optional(),
+    turnWeights: z.record(z.string(), z.number().nonnegative())
+        .optional(),
+    // A stored debate format name, see debateFormats.js
+    format: z.string()
+        .regex(/^[a-z0-9-]+$/, 'Format must be a lowercase slug')
+        .optional()
+});
+
+// Only the news fields; the rest of the body goes to the debate start as is
+export const newsDebateSchema = z.object({
+    article: z.looseObject({
+        title: z.string({ error: 'article.title is required' })
+            .min(1, 'article.title is required')
+    }).optional(),
+    query: z.string()
+        .max(200)
+        .optional(),
+    category: z.string()
+        .max(100)
+        .optional(),
+    articleIndex: z.coerce.number()
+        .int()
+        .min(0)
+        .optional()
+        .default(0)
 });
 
 export const messageGenerationSchema = z.object({
@@ -60,7 +88,7 @@ export const agentProfileSchema = z.object({
     role: z.string()
         .min(1)
         .max(200),
-    tone: z.enum(['measured', 'passionate', 'analytical', 'diplomatic'])
+    tone: z.enum(['measured', 'passionate', 'analytical', 'diplomatic', 'aggressive', 'cautious'])
         .optional()
         .default('measured'),
     stance: z.record(z.string(), z.number().min(-1).max(1))
@@ -68,7 +96,152 @@ export const agentProfileSchema = z.object({
         .default({}),
     biases: z.array(z.string())
         .optional()
-        .default([])
+        .default([]),
+    // How far persuasive arguments move the agent: 0 immovable, 1 easily swayed
+    persuadability: z.number()
+        .min(0)
+        .max(1)
+        .optional()
+});
+
+// Seats match FORMAT_SEATS in debateFormats.js
+const formatSeatSchema = z.enum(['pro', 'con', 'panel']);
+
+export const debateFormatSchema = z.object({
+    name: z.string()
+        .min(1)
+        .max(50)
+        .regex(/^[a-z0-9-]+$/, 'Format name must be a lowercase slug'),
+    title: z.string()
+        .min(1)
+        .max(100),
+    description: z.string()
+        .max(500)
+        .optional(),
+    phases: z.array(z.object({
+        id: z.string()
+            .min(1)
+            .max(50),
+        title: z.string()
+            .min(1)
+            .max(100),
+        speakers: z.array(formatSeatSchema)
+            .min(1, 'Each phase needs at least one speaker')
+            .max(20),
+        guidance: z.union([
+            z.string().max(500),
+            z.partialRecord(z.enum(['pro', 'con', 'panel', 'moderator', 'default']), z.string().max(500))
+        ]).optional()
+    }))
+        .min(1, 'A format needs at least one phase')
+        .max(12)
+});
+
+// Cron syntax is checked by the route with debateSchedules.js
+export const debateScheduleSchema = z.object({
+    name: z.string()
+        .max(100)
+        .optional(),
+    topic: z.string()
+        .min(3, 'Topic must be at least 3 characters')
+        .max(200, 'Topic must be less than 200 characters')
+        .trim(),
+    agents: z.array(z.string())
+        .min(2, 'At least 2 agents required')
+        .max(10, 'Maximum 10 agents allowed')
+        .optional()
+        .default(['senatorbot', 'reformerbot']),
+    format: z.string()
+        .regex(/^[a-z0-9-]+$/, 'Format must be a lowercase slug')
+        .nullable()
+        .optional(),
+    turnPolicy: z.enum(['round-robin', 'moderator-selected', 'most-challenged', 'random-weighted'])
+        .optional(),
+    cron: z.string()
+        .max(100)
+        .nullable()
+        .optional(),
+    runAt: z.iso.datetime({ offset: true })
+        .nullable()
+        .optional(),
+    enabled: z.boolean()
+        .optional()
+        .default(true)
+}).refine(schedule => Boolean(schedule.cron) !== Boolean(schedule.runAt), {
+    message: 'Provide either cron or runAt',
+    path: ['cron']
+});
+
+// Formats match TOURNAMENT_FORMATS in tournaments.js
+export const tournamentSchema = z.object({
+    name: z.string()
+        .max(100)
+        .optional(),
+    format: z.enum(['round-robin', 'single-elimination'])
+        .optional()
+        .default('round-robin'),
+    agents: z.array(z.string().min(1))
+        .min(2, 'At least 2 agents required')
+        .max(16, 'Maximum 16 agents allowed')
+        .refine(agents => new Set(agents).size === agents.length, 'Agents must be unique'),
+    topics: z.array(z.string()
+        .min(3, 'Topic must be at least 3 characters')
+        .max(200, 'Topic must be less than 200 characters')
+        .trim())
+        .min(1, 'At least one topic is required')
+        .max(20),
+    concurrency: z.number()
+        .int()
+        .min(1)
+        .max(5)
+        .optional()
+        .default(2),
+    rounds: z.number()
+        .int()
+        .min(1)
+        .max(10)
+        .optional()
+        .default(3)
+});
+
+// Profile fields a fork may change, see OVERRIDABLE_FIELDS in debateForks.js
+// (no defaults, so a field left out keeps the agent's own value)
+const agentOverrideSchema = z.object({
+    name: z.string().min(1).max(100),
+    role: z.string().min(1).max(200),
+    tone: z.enum(['measured', 'passionate', 'analytical', 'diplomatic', 'aggressive', 'cautious']),
+    stance: z.record(z.string(), z.number().min(-1).max(1)),
+    biases: z.array(z.string()),
+    persuadability: z.number().min(0).max(1)
+}).partial().strict();
+
+export const debateForkSchema = z.object({
+    messageId: z.string()
+        .regex(/^\d+-\d+$/, 'messageId must be a stream entry ID'),
+    agentOverrides: z.record(z.string(), agentOverrideSchema)
+        .optional()
+        .default({}),
+    injectMessage: z.object({
+        agentId: z.string().min(1),
+        message: z.string()
+            .min(2, 'Message is required')
+            .max(2000, 'Message too long')
+            .trim()
+    }).optional(),
+    rounds: z.number()
+        .int()
+        .min(1)
+        .max(10)
+        .optional()
+});
+
+const stanceKeySchema = z.string()
+    .regex(/^[a-z0-9_]+$/, 'Stance dimension keys are lowercase words joined by underscores')
+    .max(100);
+
+export const stanceDimensionMergeSchema = z.object({
+    source: stanceKeySchema,
+    target: stanceKeySchema
 });
 
 export const cacheQuerySchema = z.object({
@@ -82,6 +255,75 @@ export const cacheQuerySchema = z.object({
         .default(0.85)
 });
 
+export const cacheSearchSchema = z.object({
+    prompt: z.string()
+        .min(1, 'Prompt is required')
+        .max(5000, 'Prompt too long'),
+    topic: z.string()
+        .max(500)
+        .optional(),
+    limit: z.number()
+        .int()
+        .min(1)
+        .max(50)
+        .optional()
+        .default(10)
+});
+
+export const cacheThresholdSchema = z.object({
+    topic: z.string()
+        .min(1, 'Topic is required')
+        .max(500),
+    agentId: z.string()
+        .regex(/^[a-zA-Z0-9_-]+$/, 'Agent ID must be alphanumeric')
+        .max(50)
+        .optional(),
+    threshold: z.number()
+        .min(0)
+        .max(1),
+    locked: z.boolean()
+        .optional()
+        .default(true)
+});
+
+export const cacheWarmSchema = z.object({
+    topics: z.array(z.string().min(1).max(500))
+        .min(1)
+        .max(20)
+        .optional(),
+    agents: z.array(z.string().regex(/^[a-zA-Z0-9_-]+$/, 'Agent ID must be alphanumeric'))
+        .min(1)
+        .max(10)
+        .optional(),
+    withinHours: z.number()
+        .positive()
+        .max(24 * 30)
+        .optional()
+        .default(24),
+    turns: z.number()
+        .int()
+        .min(1)
+        .max(10)
+        .optional(),
+    maxTokens: z.number()
+        .int()
+        .min(1)
+        .max(1000000)
+        .optional()
+});
+
+export const cacheEvictionSchema = z.object({
+    policy: z.enum(['lru', 'lfu', 'cost'])
+        .optional(),
+    maxEntries: z.number()
+        .int()
+        .min(0)
+        .optional(),
+    maxMemoryMb: z.number()
+        .min(0)
+        .optional()
+});
+
 // ============================================
 // VALIDATION MIDDLEWARE FACTORY
 // ============================================
@@ -100,7 +342,7 @@ export function validateBody(schema) {
             if (error instanceof z.ZodError) {
                 return res.status(400).json({
                     error: 'Validation failed',
-                    details: error.errors.map(err => ({
+                    details: error.issues.map(err => ({
                         field: err.path.join('.'),
                         message: err.message
                     }))
@@ -128,7 +370,7 @@ export function validateQuery(schema) {
             if (error instanceof z.ZodError) {
                 return res.status(400).json({
                     error: 'Invalid query parameters',
-                    details: error.errors.map(err => ({
+                    details: error.issues.map(err => ({
                         field: err.path.join('.'),
                         message: err.message
                     }))
@@ -156,7 +398,7 @@ export function validateParams(schema) {
             if (error instanceof z.ZodError) {
                 return res.status(400).json({
                     error: 'Invalid URL parameters',
-                    details: error.errors.map(err => ({
+                    details: error.issues.map(err => ({
                         field: err.path.join('.'),
                         message: err.message
                     }))
@@ -179,6 +421,11 @@ export function validateParams(schema) {
  */
 export const validateDebateStart = validateBody(debateStartSchema);
 
+/**
+ * Validate debate-from-news request
+ */
+export const validateNewsDebate = validateBody(newsDebateSchema);
+
 /**
  * Validate message generation request
  */
@@ -194,6 +441,51 @@ export const validateFactCheck = validateBody(factCheckSchema);
  */
 export const validateAgentProfile = validateBody(agentProfileSchema);
 
+/**
+ * Validate debate format definition
+ */
+export const validateDebateFormat = validateBody(debateFormatSchema);
+
+/**
+ * Validate scheduled debate
+ */
+export const validateDebateSchedule = validateBody(debateScheduleSchema);
+
+/**
+ * Validate tournament creation
+ */
+export const validateTournament = validateBody(tournamentSchema);
+
+/**
+ * Validate cache similarity search
+ */
+export const validateCacheSearch = validateBody(cacheSearchSchema);
+
+/**
+ * Validate cache threshold override
+ */
+export const validateCacheThreshold = validateBody(cacheThresholdSchema);
+
+/**
+ * Validate cache warming job
+ */
+export const validateCacheWarm = validateBody(cacheWarmSchema);
+
+/**
+ * Validate manual cache eviction
+ */
+export const validateCacheEviction = validateBody(cacheEvictionSchema);
+
+/**
+ * Validate debate fork
+ */
+export const validateDebateFork = validateBody(debateForkSchema);
+
+/**
+ * Validate stance dimension merge
+ */
+export const validateStanceDimensionMerge = validateBody(stanceDimensionMergeSchema);
+
 /**
  * Validate cache query
  */
@@ -307,6 +599,9 @@ export default {
     validateMessageGeneration,
     validateFactCheck,
     validateAgentProfile,
+    validateDebateFormat,
+    validateDebateSchedule,
+    validateStanceDimensionMerge,
     validateCacheQuery,
     sanitizeHtml,
     sanitizeInput,
@@ -316,6 +611,9 @@ export default {
     messageGenerationSchema,
     factCheckSchema,
     agentProfileSchema,
+    debateFormatSchema,
+    debateScheduleSchema,
+    stanceDimensionMergeSchema,
     cacheQuerySchema,
     debateIdSchema,
     agentIdSchema,
@@ -18,6 +18,9 @@ import {
   type StanceState,
 } from "../../lib/graph/index.js";
 import { getLangfuse, flushLangfuse } from "../utils/langfuse.js";
+import { isTurnPolicy, TURN_POLICY_NAMES } from "../../turnPolicies.js";
+import { getDebateFormat } from "../../debateFormats.js";
+import type { FinalVerdict, RoundVerdict } from "../../debateJudging.js";
 
 const router: RouterType = Router();
 
@@ -104,12 +107,16 @@ router.post("/start", async (req: Request, res: Response) => {
     proPosition,
     conPosition,
     rounds = 3,
+    turnPolicy = "round-robin",
+    format: formatName,
   } = req.body as {
     debateId?: string;
     topic?: string;
     proPosition?: string;
     conPosition?: string;
     rounds?: number;
+    turnPolicy?: string;
+    format?: string;
   };
 
   // Validate required fields
@@ -144,6 +151,23 @@ router.post("/start", async (req: Request, res: Response) => {
     return;
   }
 
+  if (!isTurnPolicy(turnPolicy)) {
+    res.status(400).json({
+      success: false,
+      error: `Turn policy must be one of: ${TURN_POLICY_NAMES.join(", ")}`,
+    });
+    return;
+  }
+
+  const format = formatName ? await getDebateFormat(formatName) : null;
+  if (formatName && !format) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown debate format "${formatName}"`,
+    });
+    return;
+  }
+
   console.log(`[LangGraph] Starting debate: ${debateId}`);
   console.log(`[LangGraph] Topic: ${topic}`);
   console.log(`[LangGraph] Rounds: ${rounds}`);
@@ -156,6 +180,8 @@ router.post("/start", async (req: Request, res: Response) => {
     proPosition: finalProPosition,
     conPosition: finalConPosition,
     rounds,
+    turnPolicy,
+    format: format?.name ?? null,
     message: "Debate starting",
     streamUrl: `/api/debate/langgraph/stream/${debateId}`,
     timestamp: new Date().toISOString(),
@@ -168,6 +194,8 @@ router.post("/start", async (req: Request, res: Response) => {
     proPosition: finalProPosition,
     conPosition: finalConPosition,
     rounds,
+    turnPolicy,
+    ...(format && { format }),
   };
 
   orchestrator
@@ -184,6 +212,27 @@ router.post("/start", async (req: Request, res: Response) => {
           ...summary,
         });
       },
+      onRoundScored: (verdict: RoundVerdict) => {
+        broadcastToDebate(debateId, "round_scored", {
+          type: "round_scored",
+          debateId,
+          round: verdict.round,
+          scores: verdict.scores,
+          winner: verdict.winner,
+          agreement: verdict.agreement,
+          abstentions: verdict.abstentions,
+          timestamp: verdict.scoredAt,
+        });
+      },
+      onVerdict: (verdict: FinalVerdict) => {
+        broadcastToDebate(debateId, "debate_verdict", {
+          type: "debate_verdict",
+          debateId,
+          topic,
+          ...verdict,
+          timestamp: verdict.decidedAt,
+        });
+      },
       onComplete: (state: StanceState) => {
         broadcastToDebate(debateId, "complete", {
           type: "debate_complete",
@@ -287,12 +336,16 @@ router.post("/run", async (req: Request, res: Response) => {
     proPosition,
     conPosition,
     rounds = 3,
+    turnPolicy = "round-robin",
+    format: formatName,
   } = req.body as {
     debateId?: string;
     topic?: string;
     proPosition?: string;
     conPosition?: string;
     rounds?: number;
+    turnPolicy?: string;
+    format?: string;
   };
 
   if (!topic) {
@@ -314,6 +367,23 @@ router.post("/run", async (req: Request, res: Response) => {
     return;
   }
 
+  if (!isTurnPolicy(turnPolicy)) {
+    res.status(400).json({
+      success: false,
+      error: `Turn policy must be one of: ${TURN_POLICY_NAMES.join(", ")}`,
+    });
+    return;
+  }
+
+  const format = formatName ? await getDebateFormat(formatName) : null;
+  if (formatName && !format) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown debate format "${formatName}"`,
+    });
+    return;
+  }
+
   console.log(`[LangGraph] Running complete debate: ${debateId}`);
 
   try {
@@ -323,9 +393,16 @@ router.post("/run", async (req: Request, res: Response) => {
       proPosition: finalProPosition,
       conPosition: finalConPosition,
       rounds,
+      turnPolicy,
+      ...(format && { format }),
     };
 
-    const state = await orchestrator.start(config);
+    let verdict: FinalVerdict | null = null;
+    const state = await orchestrator.start(config, {
+      onVerdict: (final: FinalVerdict) => {
+        verdict = final;
+      },
+    });
 
     res.json({
       success: true,
@@ -343,6 +420,7 @@ router.post("/run", async (req: Request, res: Response) => {
             : "tie",
       messages: state.debateMessages,
       roundSummaries: state.roundSummaries,
+      verdict,
       totalMessages: state.debateMessages.length,
       timestamp: new Date().toISOString(),
     });
@@ -0,0 +1,35 @@
+/**
+ * Trigger.dev task for scheduled debates
+ *
+ * Every minute, asks the StanceStream API to launch any due debate
+ * schedules. Use it with DEBATE_SCHEDULER=off on the server; the default
+ * in-process runner needs no Trigger.dev project at all.
+ */
+
+import { schedules, logger } from "@trigger.dev/sdk/v3";
+
+interface RunDueResponse {
+  success: boolean;
+  results: Array<{ scheduleId: string; debateId?: string; error?: string }>;
+}
+
+export const runDueDebateSchedules = schedules.task({
+  id: "run-due-debate-schedules",
+  cron: "* * * * *",
+  run: async () => {
+    const apiUrl = process.env.STANCESTREAM_API_URL || "http://localhost:3001";
+
+    const response = await fetch(`${apiUrl}/api/schedules/run-due`, {
+      method: "POST",
+    });
+    if (!response.ok) {
+      throw new Error(`run-due failed with HTTP ${response.status}`);
+    }
+
+    const { results } = (await response.json()) as RunDueResponse;
+    for (const result of results) {
+      logger.log("Scheduled debate launched", result);
+    }
+    return { launched: results.length };
+  },
+});
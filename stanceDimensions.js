@@ -0,0 +1,526 @@
+// Stance Dimensions
+// Every debate topic maps to a stance dimension: the key used in agent
+// profiles (profile.stance[key]) and stance TimeSeries. The eight policy areas
+// keep their built-in keys. Any other topic is matched by embedding
+// similarity to an existing dimension, or becomes a new one with a key
+// derived from its words. Topic → key aliases are kept in Redis and mirrored
+// in memory so topicToStanceKey() can stay synchronous.
+//
+// Env:
+//   STANCE_DIMENSION_THRESHOLD   cosine similarity needed to reuse a dimension (default: 0.85)
+import "dotenv/config";
+import redisManager from "./redisManager.js";
+import { generateCompletion, generateEmbedding } from "./llmProvider.js";
+import { vectorIndexName } from "./embeddingIndexes.js";
+
+export const GENERAL_STANCE_KEY = "general_policy";
+
+const DIMENSION_INDEX_NAME = "idx:stance_dimensions";
+const DIMENSION_SET_KEY = "stance_dimensions";
+const TOPIC_ALIASES_KEY = "stance_topic_aliases";
+const MAX_KEY_WORDS = 6;
+
+export function stanceDimensionKey(key) {
+  return `stance_dimension:${key}`;
+}
+
+const BUILT_IN_TOPICS = {
+  "environmental regulations and green energy": "climate_policy",
+  "climate policy": "climate_policy",
+  "climate change": "climate_policy",
+
+  "artificial intelligence governance and ethics": "ai_policy",
+  "ai regulation": "ai_policy",
+
+  "universal healthcare and medical access": "healthcare_policy",
+  "healthcare reform": "healthcare_policy",
+  healthcare: "healthcare_policy",
+
+  "border security and refugee assistance": "immigration_policy",
+  "immigration policy": "immigration_policy",
+  immigration: "immigration_policy",
+
+  "public education and student debt": "education_policy",
+  "education reform": "education_policy",
+  education: "education_policy",
+
+  "progressive taxation and wealth redistribution": "tax_policy",
+  "tax policy": "tax_policy",
+  taxation: "tax_policy",
+
+  "data protection and surveillance": "privacy_policy",
+  "digital privacy": "privacy_policy",
+  privacy: "privacy_policy",
+
+  "space colonization and research funding": "space_policy",
+  "space exploration": "space_policy",
+  "space exploration funding": "space_policy",
+  space: "space_policy",
+};
+
+// Checked in order; each pattern matches at the start of a word so that,
+// for example, "remain" is not an AI topic and "syntax" not a tax one
+const BUILT_IN_KEYWORDS = [
+  [/\b(climate|environment)/, "climate_policy"],
+  [/\b(healthcare|medical)/, "healthcare_policy"],
+  [/\b(education|school)/, "education_policy"],
+  [/\b(immigration|border)/, "immigration_policy"],
+  [/\b(tax|wealth)/, "tax_policy"],
+  [/\b(ai|artificial)\b/, "ai_policy"],
+  [/\b(privacy|data)\b/, "privacy_policy"],
+  [/\bspace\b/, "space_policy"],
+];
+
+export const BUILT_IN_STANCE_KEYS = [
+  ...new Set(Object.values(BUILT_IN_TOPICS)),
+  GENERAL_STANCE_KEY,
+];
+
+const STOP_WORDS = new Set(
+  "a an and are be by can do does for from has have how in is it of on or over should than that the their this to vs was we what when whether which who will with".split(
+    " ",
+  ),
+);
+
+// Lowercased topic → dimension key, mirrored from TOPIC_ALIASES_KEY
+const resolvedTopics = new Map();
+
+function topicId(topic) {
+  return String(topic).trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * Built-in dimension for one of the eight policy areas, or null.
+ * @param {string} topic
+ * @returns {string|null}
+ */
+export function builtInStanceKey(topic) {
+  const lowerTopic = topicId(topic);
+  if (BUILT_IN_TOPICS[lowerTopic]) return BUILT_IN_TOPICS[lowerTopic];
+
+  for (const [pattern, key] of BUILT_IN_KEYWORDS) {
+    if (pattern.test(lowerTopic)) return key;
+  }
+  return null;
+}
+
+/**
+ * Dimension a topic was already resolved to in this process, or null.
+ * @param {string} topic
+ * @returns {string|null}
+ */
+export function resolvedStanceKey(topic) {
+  return resolvedTopics.get(topicId(topic)) ?? null;
+}
+
+/**
+ * Derive a dimension key from a topic's significant words, e.g.
+ * "Should we adopt a four-day work week?" → "adopt_four_day_work_week".
+ * @param {string} topic
+ * @returns {string}
+ */
+export function normalizeStanceKey(topic) {
+  // Topics reach us HTML-escaped by the server's input sanitizing
+  const text = topicId(topic).replace(/&#?[a-z0-9]+;/g, " ");
+  const words = (text.match(/[a-z0-9]+/g) || []).filter(
+    (word) => !STOP_WORDS.has(word),
+  );
+  return words.slice(0, MAX_KEY_WORDS).join("_") || GENERAL_STANCE_KEY;
+}
+
+/**
+ * @typedef {Object} StanceDimension
+ * @property {string} key
+ * @property {string} label - The topic that created the dimension
+ * @property {string[]} topics - Every topic resolved to it
+ * @property {boolean} builtIn
+ * @property {string|null} createdAt
+ */
+
+/**
+ * @typedef {Object} StanceResolution
+ * @property {string} key
+ * @property {'built-in'|'alias'|'embedding'|'new'} matchedBy
+ * @property {number} [similarity] - For embedding matches
+ */
+
+function getMatchThreshold() {
+  return parseFloat(process.env.STANCE_DIMENSION_THRESHOLD) || 0.85;
+}
+
+// One index per embedding size, so switching providers never mixes vectors
+async function ensureDimensionIndex(client, dimensions) {
+  const name = vectorIndexName(DIMENSION_INDEX_NAME, dimensions);
+  try {
+    await client.ft.create(
+      name,
+      {
+        "$.key": { type: "TAG", AS: "key" },
+        "$.vector": {
+          type: "VECTOR",
+          AS: "vector",
+          ALGORITHM: "HNSW",
+          TYPE: "FLOAT32",
+          DIM: dimensions,
+          DISTANCE_METRIC: "COSINE",
+        },
+      },
+      { ON: "JSON", PREFIX: "stance_dimension:" },
+    );
+  } catch (error) {
+    if (!error.message.includes("Index already exists")) throw error;
+  }
+  return name;
+}
+
+async function findSimilarDimension(embedding) {
+  return await redisManager.execute(async (client) => {
+    const index = await ensureDimensionIndex(client, embedding.length);
+    const results = await client.ft.search(
+      index,
+      "*=>[KNN 1 @vector $query_vector AS score]",
+      {
+        PARAMS: {
+          query_vector: Buffer.from(new Float32Array(embedding).buffer),
+        },
+        SORTBY: "score",
+        DIALECT: 2,
+        RETURN: ["key", "score"],
+      },
+    );
+
+    const best = results.documents[0];
+    return best
+      ? { key: best.value.key, similarity: 1 - parseFloat(best.value.score) }
+      : null;
+  });
+}
+
+async function recordAlias(topic, key) {
+  resolvedTopics.set(topicId(topic), key);
+  await redisManager.execute(async (client) => {
+    await client.hSet(TOPIC_ALIASES_KEY, topicId(topic), key);
+    if (await client.exists(stanceDimensionKey(key))) {
+      const topics = await client.json.get(stanceDimensionKey(key), {
+        path: "$.topics",
+      });
+      if (!topics?.[0]?.includes(topic)) {
+        await client.json.arrAppend(stanceDimensionKey(key), "$.topics", topic);
+      }
+    }
+  });
+}
+
+/**
+ * Find or create the dimension for a topic. Built-in areas win, then known
+ * topics, then the nearest stored dimension if it is similar enough.
+ * Otherwise a new dimension is stored. Without vector search (or if
+ * embedding fails) the topic still gets its own normalized key.
+ * @param {string} topic
+ * @param {{ embed?: typeof generateEmbedding, threshold?: number }} [options]
+ * @returns {Promise<StanceResolution>}
+ */
+export async function resolveStanceDimension(
+  topic,
+  { embed = generateEmbedding, threshold = getMatchThreshold() } = {},
+) {
+  const builtIn = builtInStanceKey(topic);
+  if (builtIn) return { key: builtIn, matchedBy: "built-in" };
+
+  const known =
+    resolvedStanceKey(topic) ??
+    (await redisManager.execute(async (client) =>
+      client.hGet(TOPIC_ALIASES_KEY, topicId(topic)),
+    ));
+  if (known) {
+    resolvedTopics.set(topicId(topic), known);
+    return { key: known, matchedBy: "alias" };
+  }
+
+  let embedding = null;
+  try {
+    embedding = await embed(topic);
+    const match = await findSimilarDimension(embedding);
+    if (match && match.similarity >= threshold) {
+      await recordAlias(topic, match.key);
+      return { ...match, matchedBy: "embedding" };
+    }
+  } catch (error) {
+    console.log(`⚠️ Stance dimension search unavailable: ${error.message}`);
+  }
+
+  const key = normalizeStanceKey(topic);
+  if (BUILT_IN_STANCE_KEYS.includes(key)) {
+    await recordAlias(topic, key);
+    return { key, matchedBy: "built-in" };
+  }
+
+  await redisManager.execute(async (client) => {
+    if (!(await client.exists(stanceDimensionKey(key)))) {
+      await client.json.set(stanceDimensionKey(key), "$", {
+        key,
+        label: topic,
+        topics: [],
+        ...(embedding && { vector: embedding }),
+        createdAt: new Date().toISOString(),
+      });
+    }
+    await client.sAdd(DIMENSION_SET_KEY, key);
+  });
+  await recordAlias(topic, key);
+  console.log(`🧭 New stance dimension "${key}" for topic "${topic}"`);
+  return { key, matchedBy: "new" };
+}
+
+/**
+ * Load stored topic aliases so topicToStanceKey() knows them after a restart.
+ */
+export async function loadStanceAliases() {
+  try {
+    const aliases = await redisManager.execute(async (client) =>
+      client.hGetAll(TOPIC_ALIASES_KEY),
+    );
+    for (const [topic, key] of Object.entries(aliases)) {
+      resolvedTopics.set(topic, key);
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not load stance dimensions: ${error.message}`);
+  }
+}
+
+/**
+ * Built-in dimensions followed by stored ones, without their vectors.
+ * @returns {Promise<StanceDimension[]>}
+ */
+export async function listStanceDimensions() {
+  const { keys, aliases } = await redisManager.execute(async (client) => ({
+    keys: await client.sMembers(DIMENSION_SET_KEY),
+    aliases: await client.hGetAll(TOPIC_ALIASES_KEY),
+  }));
+
+  const topicsByKey = {};
+  for (const [topic, key] of Object.entries(aliases)) {
+    (topicsByKey[key] ??= []).push(topic);
+  }
+
+  const dimensions = BUILT_IN_STANCE_KEYS.map((key) => ({
+    key,
+    label: key.replace(/_/g, " "),
+    topics: topicsByKey[key] ?? [],
+    builtIn: true,
+    createdAt: null,
+  }));
+
+  for (const key of keys.sort()) {
+    const stored = await redisManager.execute(async (client) =>
+      client.json.get(stanceDimensionKey(key)),
+    );
+    if (!stored) continue;
+    dimensions.push({
+      key,
+      label: stored.label,
+      topics: stored.topics,
+      builtIn: false,
+      createdAt: stored.createdAt,
+    });
+  }
+
+  return dimensions;
+}
+
+/**
+ * Fold one stored dimension into another. Its topics are re-pointed at the
+ * target, and agents with a stance on the source keep that value on the
+ * target unless they already hold one there. Stance history already
+ * recorded under the source key is left as it is.
+ * @param {string} source - A stored (not built-in) dimension
+ * @param {string} target - Any dimension
+ * @returns {Promise<{ source: string, target: string, topicsMoved: number, agentsUpdated: string[] } | { error: string, status: number }>}
+ */
+export async function mergeStanceDimensions(source, target) {
+  if (source === target) {
+    return { status: 400, error: "Cannot merge a dimension into itself" };
+  }
+  if (BUILT_IN_STANCE_KEYS.includes(source)) {
+    return { status: 400, error: `Built-in dimension "${source}" cannot be merged away` };
+  }
+
+  return await redisManager.execute(async (client) => {
+    const sourceDimension = await client.json.get(stanceDimensionKey(source));
+    if (!sourceDimension) {
+      return { status: 404, error: `Unknown stance dimension "${source}"` };
+    }
+    const targetDimension = BUILT_IN_STANCE_KEYS.includes(target)
+      ? null
+      : await client.json.get(stanceDimensionKey(target));
+    if (!targetDimension && !BUILT_IN_STANCE_KEYS.includes(target)) {
+      return { status: 404, error: `Unknown stance dimension "${target}"` };
+    }
+
+    const aliases = await client.hGetAll(TOPIC_ALIASES_KEY);
+    const movedTopics = Object.keys(aliases).filter(
+      (topic) => aliases[topic] === source,
+    );
+    for (const topic of movedTopics) {
+      await client.hSet(TOPIC_ALIASES_KEY, topic, target);
+      resolvedTopics.set(topic, target);
+    }
+
+    if (targetDimension) {
+      const topics = [
+        ...new Set([...targetDimension.topics, ...sourceDimension.topics]),
+      ];
+      await client.json.set(stanceDimensionKey(target), "$.topics", topics);
+    }
+
+    const agentsUpdated = [];
+    for (const profileKey of await client.keys("agent:*:profile")) {
+      const profile = await client.json.get(profileKey);
+      if (profile?.stance?.[source] === undefined) continue;
+
+      const stance = { ...profile.stance };
+      stance[target] ??= stance[source];
+      delete stance[source];
+      await client.json.set(profileKey, "$.stance", stance);
+      agentsUpdated.push(profileKey.split(":")[1]);
+    }
+
+    await client.del(stanceDimensionKey(source));
+    await client.sRem(DIMENSION_SET_KEY, source);
+
+    return { source, target, topicsMoved: movedTopics.length, agentsUpdated };
+  });
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(normA * normB) || 1);
+}
+
+/**
+ * Starting stance (0 = strongly against, 1 = strongly for) for an agent on a
+ * dimension it has no stance on. The LLM judges from the profile's role and
+ * biases; if its reply is not a number, the agent's stances on its most
+ * similar existing dimensions are averaged, weighted by similarity.
+ * @param {Object} profile - Agent profile (name, role, biases, stance)
+ * @param {string} topic
+ * @param {{ complete?: typeof generateCompletion, embed?: typeof generateEmbedding }} [options]
+ * @returns {Promise<{ value: number, inferredBy: 'model'|'related'|'default' }>}
+ */
+export async function inferInitialStance(
+  profile,
+  topic,
+  { complete = generateCompletion, embed = generateEmbedding } = {},
+) {
+  try {
+    const { text } = await complete({
+      messages: [
+        {
+          role: "system",
+          content:
+            "You estimate where a debater starts on a motion. Reply with a single number from 0 (strongly against) to 1 (strongly for) and nothing else.",
+        },
+        {
+          role: "user",
+          content: `DEBATER: ${profile.name}, ${profile.role}\nCORE BELIEFS: ${(profile.biases || []).join(", ")}\nMOTION: ${topic}`,
+        },
+      ],
+      temperature: 0,
+      maxTokens: 5,
+    });
+
+    const match = text.trim().match(/^(0(\.\d+)?|1(\.0+)?)$/);
+    if (match) return { value: parseFloat(match[1]), inferredBy: "model" };
+  } catch (error) {
+    console.log(`⚠️ Stance inference for ${profile.name} failed: ${error.message}`);
+  }
+
+  const known = Object.entries(profile.stance || {}).filter(
+    ([, value]) => typeof value === "number",
+  );
+  if (known.length) {
+    try {
+      const topicVector = await embed(topic);
+      let weighted = 0;
+      let totalWeight = 0;
+      for (const [key, value] of known) {
+        const weight = Math.max(
+          0,
+          cosineSimilarity(topicVector, await embed(key.replace(/_/g, " "))),
+        );
+        weighted += weight * value;
+        totalWeight += weight;
+      }
+      if (totalWeight > 0) {
+        const value = Math.round((weighted / totalWeight) * 100) / 100;
+        return { value, inferredBy: "related" };
+      }
+    } catch (error) {
+      console.log(`⚠️ Related stance lookup failed: ${error.message}`);
+    }
+  }
+
+  return { value: 0.5, inferredBy: "default" };
+}
+
+/**
+ * Resolve a debate topic's dimension and give each agent without a stance
+ * on it an inferred starting stance.
+ * @param {string} topic
+ * @param {string[]} agentIds
+ * @param {Object} [options] - Passed to resolveStanceDimension and inferInitialStance
+ * @returns {Promise<StanceResolution & { stances: Record<string, number> }>}
+ */
+export async function prepareStanceDimension(topic, agentIds, options = {}) {
+  const resolution = await resolveStanceDimension(topic, options);
+  const stances = {};
+
+  for (const agentId of agentIds) {
+    const profileKey = `agent:${agentId}:profile`;
+    const profile = await redisManager.execute(async (client) =>
+      client.json.get(profileKey),
+    );
+    if (!profile) continue;
+
+    if (typeof profile.stance?.[resolution.key] === "number") {
+      stances[agentId] = profile.stance[resolution.key];
+      continue;
+    }
+
+    const { value, inferredBy } = await inferInitialStance(profile, topic, options);
+    await redisManager.execute(async (client) =>
+      client.json.set(profileKey, "$.stance", {
+        ...profile.stance,
+        [resolution.key]: value,
+      }),
+    );
+    stances[agentId] = value;
+    console.log(
+      `🧭 ${profile.name} starts at ${value} on "${resolution.key}" (${inferredBy})`,
+    );
+  }
+
+  return { ...resolution, stances };
+}
+
+export default {
+  GENERAL_STANCE_KEY,
+  BUILT_IN_STANCE_KEYS,
+  stanceDimensionKey,
+  builtInStanceKey,
+  resolvedStanceKey,
+  normalizeStanceKey,
+  resolveStanceDimension,
+  loadStanceAliases,
+  listStanceDimensions,
+  mergeStanceDimensions,
+  inferInitialStance,
+  prepareStanceDimension,
+};
@@ -0,0 +1,332 @@
+// Stance Evolution
+// After an agent speaks, each opponent argument it just answered is scored
+// for how persuasive it is to that agent, and the stance moves toward the
+// side the argument argued for. How far depends on the profile's
+// `persuadability` (0 = immovable, 1 = easily swayed). Every update is
+// logged with its inputs and reasons to debate:{id}:stance_reasons, so a
+// shift can be explained and recomputed.
+import redisManager from "./redisManager.js";
+import { generateCompletion, generateEmbedding } from "./llmProvider.js";
+
+export const DEFAULT_PERSUADABILITY = 0.5;
+// Largest move one fully persuasive argument can cause at persuadability 1
+export const MAX_ARGUMENT_SHIFT = 0.15;
+// Largest move in one update, however many arguments were answered
+export const MAX_UPDATE_SHIFT = 0.2;
+const MAX_ARGUMENTS = 4;
+
+export function stanceReasonsKey(debateId) {
+  return `debate:${debateId}:stance_reasons`;
+}
+
+/**
+ * @typedef {Object} ArgumentScore
+ * @property {string} messageId - Stream ID of the opponent's message
+ * @property {string} speakerId
+ * @property {number} persuasiveness - 0 to 1, to this agent
+ * @property {-1|0|1} direction - 1 argues for the motion, -1 against
+ * @property {string} reason
+ * @property {'model'|'embedding'} scoredBy
+ */
+
+/**
+ * @typedef {Object} StanceUpdate
+ * @property {string} agentId
+ * @property {string} stanceKey
+ * @property {number} oldStance
+ * @property {number} newStance
+ * @property {number} shift
+ * @property {number} persuadability
+ * @property {ArgumentScore[]} arguments
+ * @property {string} explanation
+ */
+
+/**
+ * @param {Object} profile
+ * @returns {number} The profile's persuadability, clamped to 0..1
+ */
+export function getPersuadability(profile) {
+  const value = Number(profile?.persuadability);
+  return Number.isFinite(value)
+    ? Math.max(0, Math.min(1, value))
+    : DEFAULT_PERSUADABILITY;
+}
+
+/**
+ * Opponent messages the agent has answered since it last spoke before.
+ * @param {string} agentId
+ * @param {Array<{ id: string, message: Record<string, string> }>} entries - Newest first (XREVRANGE)
+ * @returns {Array<{ id: string, speakerId: string, text: string }>} Oldest first
+ */
+export function collectAnsweredArguments(agentId, entries) {
+  const answered = [];
+  let index = 0;
+
+  // Skip the message the agent just posted
+  while (index < entries.length && entries[index].message.agent_id === agentId) {
+    index++;
+  }
+  for (; index < entries.length; index++) {
+    const { id, message } = entries[index];
+    if (message.agent_id === agentId) break;
+    answered.push({ id, speakerId: message.agent_id, text: message.message });
+  }
+
+  return answered.slice(0, MAX_ARGUMENTS).reverse();
+}
+
+/**
+ * Combine scored arguments into one stance move.
+ * @param {ArgumentScore[]} scores
+ * @param {number} persuadability
+ * @returns {number}
+ */
+export function computeStanceShift(scores, persuadability) {
+  const pull = scores.reduce(
+    (sum, score) => sum + score.direction * score.persuasiveness,
+    0,
+  );
+  const shift = pull * persuadability * MAX_ARGUMENT_SHIFT;
+  return (
+    Math.round(Math.max(-MAX_UPDATE_SHIFT, Math.min(MAX_UPDATE_SHIFT, shift)) * 1000) /
+    1000
+  );
+}
+
+function clampUnit(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Ask the LLM how persuasive an argument is to this agent. Returns null when
+ * the reply is not the expected JSON (as with the mock provider).
+ */
+async function judgeArgument({ profile, topic, stance, argument }, complete) {
+  const { text } = await complete({
+    messages: [
+      {
+        role: "system",
+        content:
+          'You judge debate arguments from one listener\'s point of view. Reply with JSON only: {"persuasiveness": 0-1, "direction": "for" | "against", "reason": "one sentence"}. Persuasiveness is how much this listener, given their beliefs, would be moved by the argument; direction is the side of the motion the argument supports.',
+      },
+      {
+        role: "user",
+        content: `LISTENER: ${profile.name}, ${profile.role}\nCORE BELIEFS: ${(profile.biases || []).join(", ")}\nMOTION: ${topic}\nLISTENER'S CURRENT STANCE: ${stance.toFixed(2)} (0 = against, 1 = for)\nARGUMENT: ${argument.text}`,
+      },
+    ],
+    temperature: 0,
+    maxTokens: 120,
+  });
+
+  const verdict = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] ?? "null");
+  const persuasiveness = Number(verdict?.persuasiveness);
+  if (
+    !Number.isFinite(persuasiveness) ||
+    !["for", "against"].includes(verdict.direction)
+  ) {
+    return null;
+  }
+
+  return {
+    persuasiveness: clampUnit(persuasiveness),
+    direction: verdict.direction === "for" ? 1 : -1,
+    reason: String(verdict.reason || "").trim(),
+    scoredBy: "model",
+  };
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(normA * normB) || 1);
+}
+
+/**
+ * Without a usable judge, an argument persuades as much as it speaks to one
+ * of the agent's biases, and pulls toward the stance of whoever made it.
+ */
+async function scoreByEmbedding({ profile, stance, argument, speakerStance }, embed) {
+  const argumentVector = await embed(argument.text);
+  let best = { bias: null, similarity: 0 };
+  for (const bias of profile.biases || []) {
+    const similarity = cosineSimilarity(argumentVector, await embed(bias));
+    if (similarity > best.similarity) best = { bias, similarity };
+  }
+
+  const gap = speakerStance - stance;
+  const direction = Math.abs(gap) < 0.01 ? 0 : Math.sign(gap);
+  const persuasiveness = Math.round(clampUnit(best.similarity) * 1000) / 1000;
+
+  return {
+    persuasiveness,
+    direction,
+    reason: best.bias
+      ? `Speaks to "${best.bias}" (similarity ${persuasiveness.toFixed(2)}); pulls toward the speaker's stance ${speakerStance.toFixed(2)}`
+      : "No beliefs to appeal to",
+    scoredBy: "embedding",
+  };
+}
+
+/**
+ * Score one opponent argument for this agent: the LLM judge first, falling
+ * back to embedding similarity with the agent's biases.
+ * @param {Object} input
+ * @param {Object} input.profile - The listening agent's profile
+ * @param {string} input.topic
+ * @param {number} input.stance - The listener's current stance, 0..1
+ * @param {{ id: string, speakerId: string, text: string }} input.argument
+ * @param {number} input.speakerStance - The speaker's stance, 0..1
+ * @param {{ complete?: typeof generateCompletion, embed?: typeof generateEmbedding }} [options]
+ * @returns {Promise<ArgumentScore>}
+ */
+export async function scoreArgument(
+  input,
+  { complete = generateCompletion, embed = generateEmbedding } = {},
+) {
+  let score = null;
+  try {
+    score = await judgeArgument(input, complete);
+  } catch (error) {
+    console.log(`⚠️ Argument judge unavailable: ${error.message}`);
+  }
+  score ??= await scoreByEmbedding(input, embed);
+
+  return {
+    messageId: input.argument.id,
+    speakerId: input.argument.speakerId,
+    ...score,
+  };
+}
+
+function explain(agentName, scores, shift) {
+  if (scores.length === 0) return `${agentName} had no new arguments to weigh`;
+  if (shift === 0) return `${agentName} was not moved by the arguments`;
+
+  const strongest = scores.reduce((best, score) =>
+    score.persuasiveness * Math.abs(score.direction) >
+    best.persuasiveness * Math.abs(best.direction)
+      ? score
+      : best,
+  );
+  const toward = shift > 0 ? "for" : "against";
+  return `${agentName} moved ${Math.abs(shift).toFixed(3)} toward ${toward}: ${strongest.speakerId} was most persuasive (${strongest.persuasiveness.toFixed(2)}). ${strongest.reason}`;
+}
+
+/**
+ * Weigh the arguments an agent just answered and work out its new stance.
+ * Pure apart from scoring, so a logged update can be recomputed from its
+ * scores with computeStanceShift().
+ * @param {Object} input
+ * @param {string} input.agentId
+ * @param {Object} input.profile
+ * @param {string} input.topic
+ * @param {string} input.stanceKey
+ * @param {Array<{ id: string, speakerId: string, text: string }>} input.answered
+ * @param {Record<string, number>} input.speakerStances - By agent ID, 0..1
+ * @param {Object} [options] - See scoreArgument
+ * @returns {Promise<StanceUpdate>}
+ */
+export async function evaluateStanceUpdate(
+  { agentId, profile, topic, stanceKey, answered, speakerStances },
+  options,
+) {
+  const oldStance = profile.stance?.[stanceKey] ?? 0.5;
+  const persuadability = getPersuadability(profile);
+
+  const scores = [];
+  for (const argument of answered) {
+    scores.push(
+      await scoreArgument(
+        {
+          profile,
+          topic,
+          stance: oldStance,
+          argument,
+          speakerStance: speakerStances[argument.speakerId] ?? 0.5,
+        },
+        options,
+      ),
+    );
+  }
+
+  const shift = computeStanceShift(scores, persuadability);
+  const newStance = Math.round(clampUnit(oldStance + shift) * 1000) / 1000;
+
+  return {
+    agentId,
+    stanceKey,
+    oldStance,
+    newStance,
+    shift: Math.round((newStance - oldStance) * 1000) / 1000,
+    persuadability,
+    arguments: scores,
+    explanation: explain(profile.name || agentId, scores, shift),
+  };
+}
+
+/**
+ * Append an update to the debate's stance reasons stream.
+ * @param {string} debateId
+ * @param {StanceUpdate} update
+ */
+export async function recordStanceUpdate(debateId, update) {
+  return await redisManager.execute(async (client) =>
+    client.xAdd(stanceReasonsKey(debateId), "*", {
+      agent_id: update.agentId,
+      stance_key: update.stanceKey,
+      old_stance: String(update.oldStance),
+      new_stance: String(update.newStance),
+      shift: String(update.shift),
+      persuadability: String(update.persuadability),
+      arguments: JSON.stringify(update.arguments),
+      explanation: update.explanation,
+    }),
+  );
+}
+
+/**
+ * Logged stance updates for a debate, oldest first.
+ * @param {string} debateId
+ * @param {{ agentId?: string }} [filter]
+ * @returns {Promise<Array<StanceUpdate & { id: string, timestamp: string }>>}
+ */
+export async function getStanceReasons(debateId, { agentId } = {}) {
+  const entries = await redisManager.execute(async (client) =>
+    client.xRange(stanceReasonsKey(debateId), "-", "+"),
+  );
+
+  return entries
+    .map(({ id, message }) => ({
+      id,
+      timestamp: new Date(parseInt(id.split("-")[0], 10)).toISOString(),
+      agentId: message.agent_id,
+      stanceKey: message.stance_key,
+      oldStance: parseFloat(message.old_stance),
+      newStance: parseFloat(message.new_stance),
+      shift: parseFloat(message.shift),
+      persuadability: parseFloat(message.persuadability),
+      arguments: JSON.parse(message.arguments || "[]"),
+      explanation: message.explanation,
+    }))
+    .filter((update) => !agentId || update.agentId === agentId);
+}
+
+export default {
+  DEFAULT_PERSUADABILITY,
+  MAX_ARGUMENT_SHIFT,
+  MAX_UPDATE_SHIFT,
+  stanceReasonsKey,
+  getPersuadability,
+  collectAnsweredArguments,
+  computeStanceShift,
+  scoreArgument,
+  evaluateStanceUpdate,
+  recordStanceUpdate,
+  getStanceReasons,
+};
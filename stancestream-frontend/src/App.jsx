@@ -11,6 +11,10 @@ const EnhancedPerformanceDashboard = lazy(() => import('./components/EnhancedPer
 const TrueMultiDebateViewer = lazy(() => import('./components/TrueMultiDebateViewer'));
 const StanceEvolutionChart = lazy(() => import('./components/StanceEvolutionChart'));
 const KeyMomentsPanel = lazy(() => import('./components/KeyMomentsPanel'));
+const ArgumentMapPanel = lazy(() => import('./components/ArgumentMapPanel'));
+const DebateForkPanel = lazy(() => import('./components/DebateForkPanel'));
+const TournamentLeaderboard = lazy(() => import('./components/TournamentLeaderboard'));
+const CacheBrowserPanel = lazy(() => import('./components/CacheBrowserPanel'));
 const BusinessValueDashboard = lazy(() => import('./components/BusinessValueDashboard'));
 const PlatformShowcaseDashboard = lazy(() => import('./components/PlatformShowcaseDashboard'));
 const LivePerformanceOverlay = lazy(() => import('./components/LivePerformanceOverlay'));
@@ -22,6 +26,7 @@ import { ViewModeSelector, ToastProvider, Container, Stack, Grid } from './compo
 import wsManager from './services/websocketManager';
 import api from './services/api';
 import { getWebSocketUrl } from './utils/url';
+import useDebateReplay from './hooks/useDebateReplay';
 
 export default function App() {
   const [debateMessages, setDebateMessages] = useState([]);
@@ -31,13 +36,19 @@ export default function App() {
   const [viewMode, setViewMode] = useState('standard'); // 'standard', 'multi-debate', 'analytics', 'business', or 'showcase'
   const [metricsUpdateTrigger, setMetricsUpdateTrigger] = useState(0);
   const [activeDebates, setActiveDebates] = useState(new Map()); // Track multiple debates
+  const [coalitions, setCoalitions] = useState(new Map()); // Latest coalition graph per debate
   const [currentDebateId, setCurrentDebateId] = useState(null); // Track current single debate
+  const [humanTurn, setHumanTurn] = useState(null); // Pending turn for a human-held seat
+  const [audienceData, setAudienceData] = useState([]); // Audience stance series for the chart
+  const [audienceVote, setAudienceVote] = useState(null); // Last vote ack for this viewer
+  const [replayDebateId, setReplayDebateId] = useState(null); // Finished debate being replayed
   const [stanceData, setStanceData] = useState([]); // Track stance evolution for chart
   const [_currentStances, setCurrentStances] = useState({ senatorbot: 0, reformerbot: 0 }); // Track current stance values
   const [showMatrixModal, setShowMatrixModal] = useState(false); // Matrix modal state
   const [showIntro, setShowIntro] = useState(false); // Intro module state
   const [connectionStatus, setConnectionStatus] = useState('Disconnected');
   const webSocketMessageHandlerRef = useRef(() => {});
+  const replay = useDebateReplay(replayDebateId);
 
   // WebSocket connection using centralized manager
   useEffect(() => {
@@ -114,9 +125,16 @@ export default function App() {
           timestamp: messageData.timestamp,
           debateId: messageData.debateId,
           factCheck: messageData.factCheck,
-          sentiment: messageData.sentiment
+          sentiment: messageData.sentiment,
+          authorType: messageData.authorType,
+          humanName: messageData.humanName
         };
 
+        // The seat that was asked for a turn has now spoken
+        setHumanTurn(prev => (
+          prev && prev.debateId === messageData.debateId && prev.agentId === messageData.agentId ? null : prev
+        ));
+
         // Keep last 100 messages to prevent memory issues
         setDebateMessages(prev => {
             const messages = [...prev, newMessage];
@@ -208,6 +226,8 @@ export default function App() {
           if (viewMode === 'standard') {
             setCurrentDebateId(messageData.debateId);
             setStanceData([]); // Clear previous stance data for new debate
+            setAudienceData([]);
+            setAudienceVote(null);
             setCurrentStances({ senatorbot: 0, reformerbot: 0 }); // Reset current stances
           }
         }
@@ -227,6 +247,41 @@ export default function App() {
         }
         break;
 
+      case 'audience_update':
+        setAudienceData(prev => [...prev, {
+          debateId: messageData.debateId,
+          round: messageData.round,
+          timestamp: messageData.timestamp,
+          value: messageData.overall?.score ?? 0,
+          total: messageData.overall?.total ?? 0
+        }].slice(-500));
+        break;
+
+      case 'audience_vote_ack':
+        setAudienceVote({
+          debateId: messageData.debateId,
+          round: messageData.round,
+          stance: messageData.stance,
+          accepted: messageData.accepted,
+          reason: messageData.reason
+        });
+        break;
+
+      case 'human_turn_requested':
+        setHumanTurn({
+          debateId: messageData.debateId,
+          agentId: messageData.agentId,
+          deadline: messageData.deadline
+        });
+        break;
+
+      case 'human_turn_skipped':
+      case 'human_left':
+        setHumanTurn(prev => (
+          prev && prev.debateId === messageData.debateId && prev.agentId === messageData.agentId ? null : prev
+        ));
+        break;
+
       case 'all_debates_stopped':
         // Handle stopping all debates at once
         console.log('🛑 All debates stopped');
@@ -307,6 +362,40 @@ export default function App() {
         }));
         break;
 
+      case 'coalition_changed':
+        setCoalitions(prev => new Map(prev).set(messageData.debateId, messageData.graph));
+        break;
+
+      case 'tournament_updated':
+        // TournamentLeaderboard refetches ratings when a match is recorded
+        window.dispatchEvent(new CustomEvent('websocket-message', {
+          detail: { type: 'tournament_updated', ...messageData }
+        }));
+        break;
+
+      case 'argument_map_updated':
+        // ArgumentMapPanel keeps the map for the debate it shows
+        window.dispatchEvent(new CustomEvent('websocket-message', {
+          detail: { type: 'argument_map_updated', ...messageData }
+        }));
+        break;
+
+      case 'debate_forked':
+      case 'debate_verdict':
+        // DebateForkPanel refetches the fork tree with its branch outcomes
+        window.dispatchEvent(new CustomEvent('websocket-message', {
+          detail: { type, ...messageData }
+        }));
+        break;
+
+      case 'cache_warm_progress':
+      case 'cache_warm_complete':
+        // CacheBrowserPanel shows warming progress and refreshes when done
+        window.dispatchEvent(new CustomEvent('websocket-message', {
+          detail: { type, ...messageData }
+        }));
+        break;
+
       case 'cache_hit':
         // Handle cache hit events
         console.log('💾 Cache hit event:', messageData);
@@ -431,6 +520,24 @@ export default function App() {
     setMetricsUpdateTrigger(prev => prev + 1);
   };
 
+  // Seed the audience overlay when switching to a debate that already has votes
+  useEffect(() => {
+    if (!currentDebateId) return;
+    api.getDebateAudience(currentDebateId)
+      .then(summary => {
+        setAudienceData(prev => [
+          ...prev.filter(entry => entry.debateId !== currentDebateId),
+          ...(summary.series || []).map(point => ({ debateId: currentDebateId, ...point }))
+        ]);
+      })
+      .catch(error => console.error('Failed to load audience poll:', error));
+  }, [currentDebateId]);
+
+  const handleAudienceVote = (stance) => {
+    if (!currentDebateId) return;
+    wsManager.send({ type: 'stance:vote', debateId: currentDebateId, stance });
+  };
+
   // Helper function to stop current debate
   const handleStopCurrentDebate = async () => {
     if (currentDebateId) {
@@ -462,6 +569,9 @@ export default function App() {
     }
   };
 
+  // Debate the REPLAY toggle would review: the current one, else the latest seen
+  const reviewDebateId = currentDebateId || debateMessages[debateMessages.length - 1]?.debateId || null;
+
   // Get messages for current view mode
   const getFilteredMessages = () => {
     if (viewMode === 'standard') {
@@ -527,6 +637,7 @@ export default function App() {
                     console.log('🧹 Conversation cleared from Enhanced Controls');
                   }}
                   onDebateStarted={(debateId) => {
+                    setReplayDebateId(null);
                     if (viewMode === 'standard') {
                       // Clear previous messages when starting a new debate
                       setDebateMessages([]);
@@ -564,6 +675,19 @@ export default function App() {
                         {connectionStatus === 'Connected' && connectionHealth === 'healthy' ? 'ONLINE' : 'ERROR'}
                       </span>
                     </div>
+                    {/* Replay toggle for a finished debate */}
+                    {(replayDebateId || (viewMode === 'standard' && reviewDebateId && !activeDebates.has(reviewDebateId))) && (
+                      <button
+                        onClick={() => setReplayDebateId(prev => (prev ? null : reviewDebateId))}
+                        className={`flex items-center gap-2 px-3 py-2 rounded-xl border flex-shrink-0 text-xs font-mono transition-colors ${replayDebateId
+                          ? 'bg-green-500/20 border-green-500/40 text-green-300'
+                          : 'bg-surface-card border-green-500/20 text-green-400 hover:bg-green-500/10'
+                          }`}
+                      >
+                        <Icon name="play-circle" size={14} />
+                        {replayDebateId ? 'EXIT REPLAY' : 'REPLAY'}
+                      </button>
+                    )}
                   </div>
                 </div>
 
@@ -648,7 +772,13 @@ export default function App() {
                 <div className="flex flex-col lg:flex-row gap-4 flex-1 min-h-0">
                   {/* Left Column: Debate Panel (70% width) - Matrix Style */}
                   <div className="flex-1 lg:flex-[7] min-w-0 min-h-[500px] bg-stage border border-stage-line rounded-xl backdrop-blur-sm">
-                    <DebatePanel messages={getFilteredMessages()} />
+                    <DebatePanel
+                      messages={replayDebateId ? replay.messages : getFilteredMessages()}
+                      debateId={currentDebateId && activeDebates.has(currentDebateId) ? currentDebateId : null}
+                      agents={activeDebates.get(currentDebateId)?.agents}
+                      humanTurn={humanTurn}
+                      replay={replayDebateId ? replay : null}
+                    />
                   </div>
 
                   {/* Right Column: Semantic Cache Engine + Key Moments + Fact Checker (30% width) */}
@@ -681,12 +811,29 @@ export default function App() {
                 {/* Bottom row: Stance Evolution Chart - Matrix Style */}
                 <div className="h-96 flex-shrink-0 mt-6 animate-fade-in-up stagger-3 bg-surface-elevated border border-green-500/20 rounded-xl backdrop-blur-sm p-4">
                   <StanceEvolutionChart
-                    stanceData={currentDebateId ?
+                    stanceData={replayDebateId ? replay.stanceData : currentDebateId ?
                       stanceData.filter(entry => entry.debateId === currentDebateId) :
                       stanceData
                     }
+                    audienceData={audienceData.filter(entry => entry.debateId === currentDebateId)}
+                    onAudienceVote={currentDebateId && activeDebates.has(currentDebateId) ? handleAudienceVote : null}
+                    audienceVote={audienceVote?.debateId === currentDebateId ? audienceVote : null}
                   />
                 </div>
+
+                {/* Argument Map - Matrix Style */}
+                <div className="h-[28rem] flex-shrink-0 mt-6 animate-fade-in-up stagger-3 bg-surface-elevated border border-green-500/20 rounded-xl backdrop-blur-sm p-4">
+                  <Suspense fallback={<PanelLoader />}>
+                    <ArgumentMapPanel debateId={currentDebateId} />
+                  </Suspense>
+                </div>
+
+                {/* Debate Forks - Matrix Style */}
+                <div className="h-[32rem] flex-shrink-0 mt-6 animate-fade-in-up stagger-3 bg-surface-elevated border border-green-500/20 rounded-xl backdrop-blur-sm p-4">
+                  <Suspense fallback={<PanelLoader />}>
+                    <DebateForkPanel debateId={currentDebateId} />
+                  </Suspense>
+                </div>
               </div>
             ) : viewMode === 'multi-debate' ? (
               /* Multi-Debate Layout - Matrix Style */
@@ -703,6 +850,7 @@ export default function App() {
                     <TrueMultiDebateViewer
                       messages={debateMessages}
                       activeDebates={activeDebates}
+                      coalitions={coalitions}
                       onMetricsUpdate={handleMetricsUpdate}
                     />
                   </div>
@@ -741,6 +889,20 @@ export default function App() {
                   <EnhancedPerformanceDashboard key={metricsUpdateTrigger} />
                 </div>
 
+                {/* Tournament Leaderboard - Matrix Style */}
+                <div className="w-full animate-fade-in-up stagger-2 bg-surface-elevated border border-green-500/20 rounded-xl backdrop-blur-sm p-4">
+                  <Suspense fallback={<PanelLoader />}>
+                    <TournamentLeaderboard />
+                  </Suspense>
+                </div>
+
+                {/* Cache Browser - Matrix Style */}
+                <div className="w-full animate-fade-in-up stagger-2 bg-surface-elevated border border-green-500/20 rounded-xl backdrop-blur-sm p-4">
+                  <Suspense fallback={<PanelLoader />}>
+                    <CacheBrowserPanel />
+                  </Suspense>
+                </div>
+
                 {/* Bottom Row: Quick Actions and Stats - Matrix Grid */}
                 <Grid columns={2} gap="gap-6" className="animate-fade-in-up stagger-3">
                   {/* Quick Actions - Matrix Style */}
@@ -2,30 +2,65 @@ import React, { useState, useEffect } from 'react';
 import Icon from './Icon';
 import api from '../services/api';
 
+const NEW_PERSONA = {
+    id: '',
+    name: '',
+    role: '',
+    tone: 'measured',
+    stance: {},
+    biases: [],
+    persuadability: 0.5
+};
+
 const AgentConfig = ({ isVisible, onClose, agentId = 'senatorbot' }) => {
+    const [agents, setAgents] = useState([]);
+    const [selectedId, setSelectedId] = useState(agentId);
+    const [isNew, setIsNew] = useState(false);
     const [profile, setProfile] = useState(null);
+    const [versions, setVersions] = useState([]);
+    const [showVersions, setShowVersions] = useState(false);
     const [loading, setLoading] = useState(false);
     const [saving, setSaving] = useState(false);
 
     useEffect(() => {
-        if (isVisible && agentId) {
-            loadProfile();
+        if (isVisible) {
+            setSelectedId(agentId);
+            setIsNew(false);
+            loadAgents();
         }
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [isVisible, agentId]);
 
+    useEffect(() => {
+        if (isVisible && selectedId && !isNew) {
+            loadProfile();
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [isVisible, selectedId, isNew]);
+
+    const loadAgents = async () => {
+        try {
+            const { agents: list } = await api.getAgents();
+            setAgents(list || []);
+        } catch (error) {
+            console.error('❌ Failed to load agent gallery:', error);
+        }
+    };
+
     const loadProfile = async () => {
         setLoading(true);
+        setShowVersions(false);
         try {
-            console.log('📡 Loading profile for agent:', agentId);
-            const agentProfile = await api.getAgentProfile(agentId);
+            console.log('📡 Loading profile for agent:', selectedId);
+            const agentProfile = await api.getAgentProfile(selectedId);
             console.log('✅ Profile loaded:', agentProfile);
-            setProfile(agentProfile);
+            setProfile({ ...agentProfile, id: selectedId });
         } catch (error) {
             console.error('❌ Failed to load profile:', error);
             // Show a more user-friendly error
             setProfile({
-                name: agentId === 'senatorbot' ? 'SenatorBot' : 'ReformerBot',
+                id: selectedId,
+                name: selectedId === 'senatorbot' ? 'SenatorBot' : 'ReformerBot',
                 role: 'AI Agent',
                 tone: 'measured',
                 stance: {
@@ -39,19 +74,93 @@ const AgentConfig = ({ isVisible, onClose, agentId = 'senatorbot' }) => {
         }
     };
 
+    const loadVersions = async () => {
+        try {
+            const { versions: history } = await api.getAgentVersions(selectedId);
+            setVersions(history || []);
+            setShowVersions(true);
+        } catch (error) {
+            console.error('Failed to load versions:', error);
+            alert('Failed to load version history');
+        }
+    };
+
+    const startNewPersona = () => {
+        setIsNew(true);
+        setShowVersions(false);
+        setProfile({ ...NEW_PERSONA });
+    };
+
+    const selectAgent = (id) => {
+        setIsNew(false);
+        setSelectedId(id);
+    };
+
     const saveProfile = async () => {
         setSaving(true);
         try {
-            await api.updateAgentProfile(agentId, profile);
-            alert('Agent profile updated successfully!');
+            if (isNew) {
+                await api.createAgent(profile);
+                alert('Persona created!');
+                setIsNew(false);
+                setSelectedId(profile.id);
+            } else {
+                await api.saveAgent(profile);
+                alert('Agent profile updated successfully!');
+            }
+            await loadAgents();
         } catch (error) {
             console.error('Failed to save profile:', error);
-            alert('Failed to save profile');
+            alert(isNew ? 'Failed to create persona (is the ID already taken?)' : 'Failed to save profile');
         } finally {
             setSaving(false);
         }
     };
 
+    const deleteProfile = async () => {
+        if (!window.confirm(`Delete ${profile.name || selectedId} and its version history?`)) return;
+        try {
+            await api.deleteAgent(selectedId);
+            const remaining = agents.filter(agent => agent.id !== selectedId);
+            setAgents(remaining);
+            if (remaining.length > 0) {
+                setSelectedId(remaining[0].id);
+            } else {
+                startNewPersona();
+            }
+        } catch (error) {
+            console.error('Failed to delete agent:', error);
+            alert('Failed to delete agent (it may be in a running debate)');
+        }
+    };
+
+    const rollbackTo = async (version) => {
+        try {
+            const { agent } = await api.rollbackAgent(selectedId, version);
+            setProfile({ ...agent, id: selectedId });
+            await loadVersions();
+        } catch (error) {
+            console.error('Failed to roll back agent:', error);
+            alert('Failed to roll back');
+        }
+    };
+
+    const importPack = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const format = /\.ya?ml$/i.test(file.name) ? 'yaml' : 'json';
+            const result = await api.importPersonaPack(await file.text(), format);
+            alert(`Imported ${result.created.length} new persona(s), skipped ${result.skipped.length} existing`);
+            await loadAgents();
+        } catch (error) {
+            console.error('Failed to import persona pack:', error);
+            alert('Failed to import persona pack');
+        }
+    };
+
     const updateProfile = (field, value) => {
         setProfile(prev => ({
             ...prev,
@@ -87,12 +196,12 @@ const AgentConfig = ({ isVisible, onClose, agentId = 'senatorbot' }) => {
                         <div className="flex items-center space-x-3">
                             <div className="w-10 h-10 bg-gradient-to-r from-blue-500 to-purple-600 rounded-xl flex items-center justify-center">
                                 <span className="text-white text-lg">
-                                    {agentId === 'senatorbot' ? '👔' : '🔥'}
+                                    {selectedId === 'senatorbot' ? '👔' : selectedId === 'reformerbot' ? '🔥' : '🎭'}
                                 </span>
                             </div>
                             <div>
                                 <h2 className="text-xl font-bold text-white">
-                                    {profile?.name || agentId}
+                                    {isNew ? 'New Persona' : profile?.name || selectedId}
                                 </h2>
                                 <p className="text-slate-400 text-sm">Agent Configuration</p>
                             </div>
@@ -106,8 +215,52 @@ const AgentConfig = ({ isVisible, onClose, agentId = 'senatorbot' }) => {
                     </div>
                 </div>
 
+                {/* Agent Gallery */}
+                <div className="px-6 py-3 border-b border-slate-700 flex items-center gap-2 overflow-x-auto">
+                    {agents.map(agent => (
+                        <button
+                            key={agent.id}
+                            onClick={() => selectAgent(agent.id)}
+                            title={agent.role}
+                            className={`shrink-0 px-3 py-2 rounded-xl text-sm font-medium transition-colors ${
+                                !isNew && agent.id === selectedId
+                                    ? 'bg-blue-600 text-white'
+                                    : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                            }`}
+                        >
+                            {agent.name}
+                        </button>
+                    ))}
+                    <button
+                        onClick={startNewPersona}
+                        className={`shrink-0 px-3 py-2 rounded-xl text-sm font-medium transition-colors ${
+                            isNew ? 'bg-green-600 text-white' : 'bg-slate-700 text-green-300 hover:bg-slate-600'
+                        }`}
+                    >
+                        + New Persona
+                    </button>
+                    <div className="ml-auto flex items-center gap-2 shrink-0">
+                        <label className="cursor-pointer px-3 py-2 rounded-xl text-xs bg-slate-700 text-slate-300 hover:bg-slate-600">
+                            Import
+                            <input type="file" accept=".json,.yaml,.yml" onChange={importPack} className="hidden" />
+                        </label>
+                        <a
+                            href={api.getPersonaPackUrl('yaml')}
+                            className="px-3 py-2 rounded-xl text-xs bg-slate-700 text-slate-300 hover:bg-slate-600"
+                        >
+                            Export YAML
+                        </a>
+                        <a
+                            href={api.getPersonaPackUrl('json')}
+                            className="px-3 py-2 rounded-xl text-xs bg-slate-700 text-slate-300 hover:bg-slate-600"
+                        >
+                            Export JSON
+                        </a>
+                    </div>
+                </div>
+
                 {/* Content */}
-                <div className="overflow-y-auto max-h-[calc(90vh-5rem)]">
+                <div className="overflow-y-auto max-h-[calc(90vh-9rem)]">
                     {loading ? (
                         <div className="flex flex-col items-center justify-center py-12">
                             <div className="w-12 h-12 bg-slate-700 rounded-full flex items-center justify-center mb-4">
@@ -117,6 +270,21 @@ const AgentConfig = ({ isVisible, onClose, agentId = 'senatorbot' }) => {
                         </div>
                     ) : profile ? (
                         <div className="p-6 space-y-6">
+                            {isNew && (
+                                <div>
+                                    <label className="block text-sm font-semibold text-slate-300 mb-2">
+                                        Agent ID
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={profile.id}
+                                        onChange={(e) => updateProfile('id', e.target.value.toLowerCase().replace(/[^a-z0-9_-]/g, ''))}
+                                        placeholder="e.g. economistbot"
+                                        className="w-full bg-slate-700 border border-slate-600 rounded-xl px-4 py-3 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                                    />
+                                </div>
+                            )}
+
                             {/* Basic Info */}
                             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                                 <div>
@@ -223,6 +391,71 @@ const AgentConfig = ({ isVisible, onClose, agentId = 'senatorbot' }) => {
                                     These beliefs influence how the agent approaches debates and forms arguments
                                 </p>
                             </div>
+
+                            {/* Persuadability */}
+                            <div>
+                                <div className="flex justify-between items-center mb-2">
+                                    <label className="text-sm font-semibold text-slate-300">
+                                        Persuadability
+                                    </label>
+                                    <span className="text-sm font-bold text-blue-400">
+                                        {((profile.persuadability ?? 0.5) * 100).toFixed(0)}%
+                                    </span>
+                                </div>
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="1"
+                                    step="0.05"
+                                    value={profile.persuadability ?? 0.5}
+                                    onChange={(e) => updateProfile('persuadability', parseFloat(e.target.value))}
+                                    className="w-full h-3 bg-slate-600 rounded-lg appearance-none cursor-pointer slider"
+                                />
+                                <p className="text-xs text-slate-400 mt-2">
+                                    How far persuasive arguments move this agent's stance
+                                </p>
+                            </div>
+
+                            {/* Version History */}
+                            {!isNew && (
+                                <div>
+                                    <button
+                                        onClick={showVersions ? () => setShowVersions(false) : loadVersions}
+                                        className="text-sm font-semibold text-slate-300 hover:text-white flex items-center space-x-2"
+                                    >
+                                        <Icon name="clock" size={16} />
+                                        <span>
+                                            {showVersions ? 'Hide' : 'Show'} Version History
+                                            {profile.version ? ` (v${profile.version})` : ''}
+                                        </span>
+                                    </button>
+                                    {showVersions && (
+                                        <div className="mt-3 space-y-2">
+                                            {versions.length === 0 && (
+                                                <p className="text-xs text-slate-400">No saved versions yet</p>
+                                            )}
+                                            {versions.map(entry => (
+                                                <div key={entry.version} className="flex items-center justify-between bg-slate-700/50 rounded-xl px-4 py-2">
+                                                    <div className="text-sm text-slate-200">
+                                                        v{entry.version} · {entry.note}
+                                                        <span className="block text-xs text-slate-400">
+                                                            {new Date(entry.savedAt).toLocaleString()}
+                                                        </span>
+                                                    </div>
+                                                    {entry.version !== profile.version && (
+                                                        <button
+                                                            onClick={() => rollbackTo(entry.version)}
+                                                            className="text-xs px-3 py-1 rounded-lg bg-slate-600 hover:bg-slate-500 text-white"
+                                                        >
+                                                            Restore
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            )}
                         </div>
                     ) : (
                         <div className="flex flex-col items-center justify-center py-12">
@@ -241,7 +474,7 @@ const AgentConfig = ({ isVisible, onClose, agentId = 'senatorbot' }) => {
                         <div className="flex gap-3">
                             <button
                                 onClick={saveProfile}
-                                disabled={saving}
+                                disabled={saving || (isNew && (!profile.id || !profile.name || !profile.role))}
                                 className="flex-1 bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 disabled:from-slate-600 disabled:to-slate-700 text-white font-semibold py-3 px-4 rounded-xl transition-all duration-200 transform hover:scale-[1.02] shadow-lg flex items-center justify-center space-x-2"
                             >
                                 {saving ? (
@@ -249,8 +482,16 @@ const AgentConfig = ({ isVisible, onClose, agentId = 'senatorbot' }) => {
                                 ) : (
                                     <Icon name="save" size={16} />
                                 )}
-                                <span>{saving ? 'Saving Changes...' : 'Save Changes'}</span>
+                                <span>{saving ? 'Saving Changes...' : isNew ? 'Create Persona' : 'Save Changes'}</span>
                             </button>
+                            {!isNew && (
+                                <button
+                                    onClick={deleteProfile}
+                                    className="px-6 bg-red-600/80 hover:bg-red-600 text-white font-semibold py-3 rounded-xl transition-colors"
+                                >
+                                    Delete
+                                </button>
+                            )}
                             <button
                                 onClick={onClose}
                                 className="px-6 bg-slate-600 hover:bg-slate-500 text-white font-semibold py-3 rounded-xl transition-colors"
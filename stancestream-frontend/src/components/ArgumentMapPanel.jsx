@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import Icon from './Icon';
+import api from '../services/api';
+
+const TYPE_COLORS = {
+    claim: '#22c55e',
+    premise: '#38bdf8',
+    rebuttal: '#f87171',
+    concession: '#facc15'
+};
+const RELATION_COLORS = {
+    supports: '#38bdf8',
+    rebuts: '#f87171',
+    concedes: '#facc15'
+};
+
+const LANE_WIDTH = 220;
+const NODE_WIDTH = 190;
+const NODE_HEIGHT = 34;
+const ROW_GAP = 14;
+const HEADER_HEIGHT = 24;
+
+// One lane per speaker; units run top to bottom in transcript order
+function layoutMap(map) {
+    const speakers = [...new Set(map.nodes.map(node => node.speakerId))];
+    const positions = new Map(map.nodes.map((node, row) => [node.id, {
+        x: speakers.indexOf(node.speakerId) * LANE_WIDTH + (LANE_WIDTH - NODE_WIDTH) / 2,
+        y: HEADER_HEIGHT + row * (NODE_HEIGHT + ROW_GAP)
+    }]));
+    return {
+        speakers,
+        positions,
+        width: Math.max(speakers.length, 1) * LANE_WIDTH,
+        height: HEADER_HEIGHT + map.nodes.length * (NODE_HEIGHT + ROW_GAP)
+    };
+}
+
+function edgePath(from, to) {
+    // Within a lane the curve bows out to the right so it clears the boxes
+    if (from.x === to.x) {
+        const x = from.x + NODE_WIDTH;
+        const bow = x + 18;
+        return `M ${x} ${from.y + NODE_HEIGHT / 2} C ${bow} ${from.y + NODE_HEIGHT / 2}, ${bow} ${to.y + NODE_HEIGHT / 2}, ${x} ${to.y + NODE_HEIGHT / 2}`;
+    }
+    const leftward = to.x < from.x;
+    const startX = leftward ? from.x : from.x + NODE_WIDTH;
+    const endX = leftward ? to.x + NODE_WIDTH : to.x;
+    const midX = (startX + endX) / 2;
+    const startY = from.y + NODE_HEIGHT / 2;
+    const endY = to.y + NODE_HEIGHT / 2;
+    return `M ${startX} ${startY} C ${midX} ${startY}, ${midX} ${endY}, ${endX} ${endY}`;
+}
+
+const ArgumentMapPanel = ({ debateId }) => {
+    const [map, setMap] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [selectedId, setSelectedId] = useState(null);
+
+    useEffect(() => {
+        setMap(null);
+        setSelectedId(null);
+        if (!debateId) return;
+
+        let cancelled = false;
+        setLoading(true);
+        api.getArgumentMap(debateId)
+            .then(response => {
+                if (!cancelled) setMap(response);
+            })
+            .catch(() => {
+                // 404 until the debate has messages; the WebSocket fills it in
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [debateId]);
+
+    useEffect(() => {
+        const handleMapUpdated = (event) => {
+            if (event.detail?.type === 'argument_map_updated' && event.detail.debateId === debateId) {
+                setMap(event.detail.map);
+            }
+        };
+
+        window.addEventListener('websocket-message', handleMapUpdated);
+        return () => window.removeEventListener('websocket-message', handleMapUpdated);
+    }, [debateId]);
+
+    const nodes = map?.nodes || [];
+    const edges = map?.edges || [];
+    const { speakers, positions, width, height } = layoutMap({ nodes });
+    const selected = nodes.find(node => node.id === selectedId);
+    const linked = new Set(edges
+        .filter(edge => edge.from === selectedId || edge.to === selectedId)
+        .flatMap(edge => [edge.from, edge.to]));
+
+    return (
+        <div className="h-full flex flex-col">
+            <div className="flex items-center justify-between mb-3">
+                <div className="flex items-center gap-2">
+                    <Icon name="git-branch" size={16} className="text-green-400" />
+                    <h3 className="text-sm font-bold text-green-300 font-mono tracking-wide">ARGUMENT MAP</h3>
+                </div>
+                <div className="flex items-center gap-3 text-xs font-mono">
+                    {Object.entries(TYPE_COLORS).map(([type, color]) => (
+                        <span key={type} className="flex items-center gap-1 text-green-400/70">
+                            <span className="inline-block w-2 h-2 rounded-sm" style={{ backgroundColor: color }} />
+                            {type.toUpperCase()}
+                        </span>
+                    ))}
+                </div>
+            </div>
+
+            {nodes.length === 0 ? (
+                <div className="flex-1 flex items-center justify-center text-xs text-green-400/60 font-mono tracking-wide">
+                    {loading ? 'MAPPING ARGUMENTS...' : debateId ? 'NO ARGUMENTS MAPPED YET' : 'START A DEBATE TO MAP ITS ARGUMENTS'}
+                </div>
+            ) : (
+                <>
+                    <div className="flex-1 overflow-auto min-h-0 bg-black/40 rounded border border-green-500/20">
+                        <svg width={width} height={height} role="img" aria-label="Argument map">
+                            <defs>
+                                {Object.entries(RELATION_COLORS).map(([relation, color]) => (
+                                    <marker key={relation} id={`argmap-${relation}`} viewBox="0 0 8 8" refX="7" refY="4" markerWidth="6" markerHeight="6" orient="auto">
+                                        <path d="M 0 0 L 8 4 L 0 8 z" fill={color} />
+                                    </marker>
+                                ))}
+                            </defs>
+                            {speakers.map((speakerId, lane) => (
+                                <text key={speakerId} x={lane * LANE_WIDTH + LANE_WIDTH / 2} y={14} textAnchor="middle" fontSize="10" fill="#86efac" fontFamily="monospace">
+                                    {speakerId.toUpperCase()}
+                                </text>
+                            ))}
+                            {edges.map(edge => {
+                                const from = positions.get(edge.from);
+                                const to = positions.get(edge.to);
+                                if (!from || !to) return null;
+                                const dimmed = selectedId && !(edge.from === selectedId || edge.to === selectedId);
+                                return (
+                                    <path
+                                        key={`${edge.from}-${edge.to}`}
+                                        d={edgePath(from, to)}
+                                        fill="none"
+                                        stroke={RELATION_COLORS[edge.relation]}
+                                        strokeWidth={1.5}
+                                        strokeOpacity={dimmed ? 0.15 : 0.8}
+                                        strokeDasharray={edge.relation === 'supports' ? '4 3' : undefined}
+                                        markerEnd={`url(#argmap-${edge.relation})`}
+                                    >
+                                        <title>{edge.relation}</title>
+                                    </path>
+                                );
+                            })}
+                            {nodes.map(node => {
+                                const { x, y } = positions.get(node.id);
+                                const dimmed = selectedId && node.id !== selectedId && !linked.has(node.id);
+                                return (
+                                    <g key={node.id} onClick={() => setSelectedId(node.id === selectedId ? null : node.id)} className="cursor-pointer" opacity={dimmed ? 0.35 : 1}>
+                                        <rect x={x} y={y} width={NODE_WIDTH} height={NODE_HEIGHT} rx={4} fill="#000" fillOpacity={0.7} stroke={TYPE_COLORS[node.type]} strokeWidth={node.id === selectedId ? 2 : 1} />
+                                        <text x={x + 6} y={y + 13} fontSize="8" fill={TYPE_COLORS[node.type]} fontFamily="monospace">
+                                            {node.type.toUpperCase()}
+                                        </text>
+                                        <text x={x + 6} y={y + 26} fontSize="9" fill="#d1fae5" fontFamily="monospace">
+                                            {node.text.length > 34 ? `${node.text.slice(0, 33)}…` : node.text}
+                                        </text>
+                                        <title>{`${node.speakerId} (${node.type}): ${node.text}`}</title>
+                                    </g>
+                                );
+                            })}
+                        </svg>
+                    </div>
+
+                    <div className="mt-2 text-xs font-mono text-green-400/80 min-h-[2rem]">
+                        {selected ? (
+                            <span>
+                                <span style={{ color: TYPE_COLORS[selected.type] }}>{selected.speakerId.toUpperCase()} • {selected.type.toUpperCase()}</span>
+                                <span className="text-green-400/50"> • MSG {selected.messageId}</span>
+                                <div className="text-green-200 mt-1">{selected.text}</div>
+                            </span>
+                        ) : (
+                            <span className="text-green-400/60">
+                                {map.messageCount} MESSAGES • {nodes.length} UNITS • {edges.length} LINKS • CLICK A UNIT TO TRACE IT
+                            </span>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ArgumentMapPanel;
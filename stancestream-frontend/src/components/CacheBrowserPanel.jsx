@@ -0,0 +1,357 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Icon from './Icon';
+import api from '../services/api';
+
+const PAGE_SIZE = 15;
+const EMPTY_FILTERS = { topic: '', agentId: '', debateId: '', minHits: '' };
+
+function formatAge(createdAt) {
+    const seconds = (Date.now() - Date.parse(createdAt)) / 1000;
+    if (Number.isNaN(seconds)) return '-';
+    if (seconds < 3600) return `${Math.max(Math.round(seconds / 60), 0)}M`;
+    if (seconds < 86400) return `${Math.round(seconds / 3600)}H`;
+    return `${Math.round(seconds / 86400)}D`;
+}
+
+function formatTtl(entry) {
+    if (entry.pinned || entry.ttl === null) return 'PINNED';
+    return entry.ttl < 3600 ? `${Math.round(entry.ttl / 60)}M` : `${Math.round(entry.ttl / 3600)}H`;
+}
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const CacheBrowserPanel = () => {
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [applied, setApplied] = useState(EMPTY_FILTERS);
+    const [sort, setSort] = useState('newest');
+    const [offset, setOffset] = useState(0);
+    const [page, setPage] = useState({ total: 0, entries: [] });
+    const [selected, setSelected] = useState(null);
+    const [searchPrompt, setSearchPrompt] = useState('');
+    const [searchResults, setSearchResults] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [notice, setNotice] = useState(null);
+    const [thresholds, setThresholds] = useState([]);
+    const [warmTopics, setWarmTopics] = useState('');
+    const [warmJob, setWarmJob] = useState(null);
+
+    const fetchEntries = useCallback(async () => {
+        try {
+            setLoading(true);
+            setPage(await api.getCacheEntries({ ...applied, sort, offset, limit: PAGE_SIZE }));
+        } catch (error) {
+            console.error('Error fetching cache entries:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, [applied, sort, offset]);
+
+    useEffect(() => {
+        fetchEntries();
+    }, [fetchEntries]);
+
+    const fetchThresholds = useCallback(async () => {
+        try {
+            const { thresholds: list } = await api.getCacheThresholds();
+            setThresholds(list);
+        } catch (error) {
+            console.error('Error fetching cache thresholds:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchThresholds();
+    }, [fetchThresholds]);
+
+    const applyFilters = (event) => {
+        event.preventDefault();
+        setOffset(0);
+        setApplied(filters);
+    };
+
+    const handleSearch = async (event) => {
+        event.preventDefault();
+        if (!searchPrompt.trim()) {
+            setSearchResults(null);
+            return;
+        }
+        try {
+            setSearchResults(await api.searchCacheEntries(searchPrompt.trim(), { topic: applied.topic || undefined }));
+        } catch (error) {
+            setNotice(`Search failed: ${error.message}`);
+        }
+    };
+
+    const handleDelete = async (entry) => {
+        try {
+            await api.deleteCacheEntry(entry.id);
+            setSelected(null);
+            setNotice(`Deleted ${entry.id}`);
+            fetchEntries();
+        } catch (error) {
+            setNotice(`Delete failed: ${error.message}`);
+        }
+    };
+
+    const handleTogglePin = async (entry) => {
+        try {
+            const { entry: updated } = await api.setCacheEntryPinned(entry.id, !entry.pinned);
+            setSelected(current => (current?.id === updated.id ? updated : current));
+            fetchEntries();
+        } catch (error) {
+            setNotice(`Pin failed: ${error.message}`);
+        }
+    };
+
+    // Warming progress arrives per turn; the finished job's entries are new
+    useEffect(() => {
+        const handleWarmEvent = (event) => {
+            const { type, ...job } = event.detail ?? {};
+            if (type === 'cache_warm_progress') {
+                setWarmJob({ status: 'running', ...job });
+            } else if (type === 'cache_warm_complete') {
+                setWarmJob(job);
+                fetchEntries();
+            }
+        };
+
+        window.addEventListener('websocket-message', handleWarmEvent);
+        return () => window.removeEventListener('websocket-message', handleWarmEvent);
+    }, [fetchEntries]);
+
+    // Blank topics warm whatever is scheduled in the next day
+    const handleWarm = async (event) => {
+        event.preventDefault();
+        const topics = warmTopics.split(',').map(topic => topic.trim()).filter(Boolean);
+        try {
+            const { jobId, targets } = await api.warmCache({ topics: topics.length ? topics : undefined });
+            setWarmJob({ jobId, status: 'running', completed: 0, total: null });
+            setNotice(`Warming ${targets.length} topic(s)`);
+        } catch (error) {
+            setNotice(`Warming failed: ${error.message}`);
+        }
+    };
+
+    const handleBadHit = async (entry) => {
+        try {
+            const { thresholds: updated } = await api.reportBadCacheHit(entry.id);
+            setNotice(`Threshold for ${updated[0].scope} now ${Math.round(updated[0].threshold * 100)}%`);
+            fetchThresholds();
+        } catch (error) {
+            setNotice(`Report failed: ${error.message}`);
+        }
+    };
+
+    // Unlocking hands a threshold back to feedback; locking freezes it where it is
+    const handleToggleLock = async (record) => {
+        try {
+            await api.setCacheThreshold({
+                topic: record.topic,
+                agentId: record.agentId === '*' ? undefined : record.agentId,
+                threshold: record.threshold,
+                locked: !record.locked
+            });
+            fetchThresholds();
+        } catch (error) {
+            setNotice(`Threshold update failed: ${error.message}`);
+        }
+    };
+
+    // Bulk invalidation takes the topic, agent and debate filters only
+    const bulkFilters = Object.fromEntries(['topic', 'agentId', 'debateId']
+        .filter(name => applied[name])
+        .map(name => [name, applied[name]]));
+
+    const handleBulkDelete = async () => {
+        const description = Object.entries(bulkFilters).map(([name, value]) => `${name}=${value}`).join(', ');
+        if (!window.confirm(`Delete every unpinned cache entry matching ${description}?`)) return;
+        try {
+            const { deleted, skippedPinned } = await api.deleteCacheEntries(bulkFilters);
+            setNotice(`Deleted ${deleted.length} entries${skippedPinned ? `, kept ${skippedPinned} pinned` : ''}`);
+            setOffset(0);
+            fetchEntries();
+        } catch (error) {
+            setNotice(`Delete failed: ${error.message}`);
+        }
+    };
+
+    const inputClass = 'bg-black border border-green-500/30 text-green-200 rounded px-2 py-1 text-xs font-mono';
+    const buttonClass = 'px-2 py-1 rounded border border-green-500/40 text-green-300 hover:bg-green-600/20 text-xs font-mono disabled:opacity-40';
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-green-300 flex items-center gap-2 font-mono">
+                    <Icon name="database" size={20} className="text-green-400" />
+                    CACHE BROWSER
+                </h3>
+                <span className="text-xs text-green-400/60 font-mono">
+                    {loading ? 'LOADING...' : `${page.total} ENTRIES`}
+                </span>
+            </div>
+
+            <form onSubmit={applyFilters} className="flex flex-wrap gap-2 mb-3">
+                {['topic', 'agentId', 'debateId'].map(name => (
+                    <input
+                        key={name}
+                        value={filters[name]}
+                        onChange={event => setFilters(prev => ({ ...prev, [name]: event.target.value }))}
+                        placeholder={name}
+                        className={inputClass}
+                    />
+                ))}
+                <input
+                    type="number"
+                    min="0"
+                    value={filters.minHits}
+                    onChange={event => setFilters(prev => ({ ...prev, minHits: event.target.value }))}
+                    placeholder="min hits"
+                    className={`${inputClass} w-24`}
+                />
+                <select value={sort} onChange={event => { setSort(event.target.value); setOffset(0); }} className={inputClass}>
+                    <option value="newest">NEWEST</option>
+                    <option value="oldest">OLDEST</option>
+                    <option value="hits">MOST HITS</option>
+                </select>
+                <button type="submit" className={buttonClass}>FILTER</button>
+                <button type="button" onClick={handleBulkDelete} disabled={Object.keys(bulkFilters).length === 0} className={`${buttonClass} border-red-500/40 text-red-300 hover:bg-red-600/20`}>
+                    DELETE MATCHING
+                </button>
+            </form>
+
+            <form onSubmit={handleSearch} className="flex gap-2 mb-3">
+                <input
+                    value={searchPrompt}
+                    onChange={event => setSearchPrompt(event.target.value)}
+                    placeholder="Similarity search: paste a prompt"
+                    className={`${inputClass} flex-1`}
+                />
+                <button type="submit" className={buttonClass}>
+                    <Icon name="search" size={12} />
+                </button>
+            </form>
+
+            <form onSubmit={handleWarm} className="flex gap-2 mb-3">
+                <input
+                    value={warmTopics}
+                    onChange={event => setWarmTopics(event.target.value)}
+                    placeholder="Warm topics, comma-separated (blank: scheduled)"
+                    className={`${inputClass} flex-1`}
+                />
+                <button type="submit" disabled={warmJob?.status === 'running'} className={buttonClass}>WARM</button>
+            </form>
+
+            {warmJob && (
+                <div className="text-xs text-green-400/60 font-mono mb-2">
+                    {warmJob.status === 'running'
+                        ? `WARMING ${warmJob.completed}/${warmJob.total ?? '?'}${warmJob.topic ? ` • ${truncate(warmJob.topic, 40)}` : ''} • ${warmJob.tokensUsed ?? 0} TOKENS`
+                        : `WARMING ${warmJob.status.toUpperCase()} • ${warmJob.generated ?? 0} GENERATED • ${warmJob.cached ?? 0} ALREADY CACHED • ${warmJob.tokensUsed ?? 0}/${warmJob.maxTokens ?? '?'} TOKENS`}
+                </div>
+            )}
+
+            {notice && <div className="text-xs text-yellow-300 font-mono mb-2">{notice}</div>}
+
+            {searchResults && (
+                <div className="mb-3 p-2 bg-black/40 rounded border border-green-500/20 text-xs font-mono">
+                    <div className="text-green-400/60 mb-1">NEAREST ENTRIES • DEFAULT HIT AT {Math.round(searchResults.threshold * 100)}%</div>
+                    {searchResults.results.length === 0 ? (
+                        <div className="text-green-400/60">NO CACHED PROMPTS NEARBY</div>
+                    ) : searchResults.results.map(result => (
+                        <button key={result.id} onClick={() => setSelected(result)} className="w-full text-left flex gap-2 py-0.5 hover:text-green-200">
+                            <span className={result.wouldHit ? 'text-green-400' : 'text-green-400/50'}>
+                                {Math.round(result.similarity * 100)}%/{Math.round(result.threshold * 100)}% {result.wouldHit ? 'HIT' : 'MISS'}
+                            </span>
+                            <span className="text-green-300 truncate">{truncate(result.prompt, 90)}</span>
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <table className="w-full text-xs font-mono">
+                <thead>
+                    <tr className="text-green-400/60 border-b border-green-500/20">
+                        <th className="text-left py-1">PROMPT</th>
+                        <th className="text-left py-1">AGENT</th>
+                        <th className="text-right py-1">HITS</th>
+                        <th className="text-right py-1">AGE</th>
+                        <th className="text-right py-1">TTL</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {page.entries.map(entry => (
+                        <tr
+                            key={entry.id}
+                            onClick={() => setSelected(entry.id === selected?.id ? null : entry)}
+                            className={`border-b border-green-500/10 cursor-pointer ${entry.id === selected?.id ? 'bg-green-500/10' : 'hover:bg-green-500/5'}`}
+                        >
+                            <td className="py-1 text-green-300">{truncate(entry.prompt.replace(/\s+/g, ' '), 70)}</td>
+                            <td className="py-1 text-green-400">{entry.agentId?.toUpperCase() ?? '-'}</td>
+                            <td className="py-1 text-right text-green-400">{entry.hits}</td>
+                            <td className="py-1 text-right text-green-400/60">{formatAge(entry.createdAt)}</td>
+                            <td className={`py-1 text-right ${entry.pinned ? 'text-yellow-300' : 'text-green-400/60'}`}>{formatTtl(entry)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <div className="flex items-center justify-between mt-2 text-xs font-mono text-green-400/60">
+                <button onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))} disabled={offset === 0} className={buttonClass}>PREV</button>
+                <span>{page.total ? `${offset + 1}-${Math.min(offset + PAGE_SIZE, page.total)} OF ${page.total}` : 'NO ENTRIES'}</span>
+                <button onClick={() => setOffset(offset + PAGE_SIZE)} disabled={offset + PAGE_SIZE >= page.total} className={buttonClass}>NEXT</button>
+            </div>
+
+            {selected && (
+                <div className="mt-3 p-3 bg-black/40 rounded border border-green-500/20 text-xs font-mono space-y-2">
+                    <div className="flex items-center justify-between">
+                        <span className="text-green-400/60">{selected.id} • {selected.debateId ?? 'NO DEBATE'} • {selected.hits} HITS</span>
+                        <span className="flex gap-2">
+                            {selected.lastHitSimilarity !== null && selected.debateTopic && (
+                                <button onClick={() => handleBadHit(selected)} className={`${buttonClass} border-yellow-500/40 text-yellow-300 hover:bg-yellow-600/20`}>BAD HIT</button>
+                            )}
+                            <button onClick={() => handleTogglePin(selected)} className={buttonClass}>{selected.pinned ? 'UNPIN' : 'PIN'}</button>
+                            <button onClick={() => handleDelete(selected)} className={`${buttonClass} border-red-500/40 text-red-300 hover:bg-red-600/20`}>
+                                <Icon name="trash" size={12} />
+                            </button>
+                        </span>
+                    </div>
+                    <div className="text-green-400/60 break-all">{selected.topic}</div>
+                    <div className="text-green-200 whitespace-pre-wrap">{selected.response}</div>
+                </div>
+            )}
+
+            {thresholds.length > 0 && (
+                <div className="mt-4">
+                    <div className="text-xs text-green-400/60 font-mono mb-1">SIMILARITY THRESHOLDS</div>
+                    <table className="w-full text-xs font-mono">
+                        <thead>
+                            <tr className="text-green-400/60 border-b border-green-500/20">
+                                <th className="text-left py-1">TOPIC</th>
+                                <th className="text-left py-1">AGENT</th>
+                                <th className="text-right py-1">HIT AT</th>
+                                <th className="text-right py-1">GOOD / BAD</th>
+                                <th className="text-right py-1"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {thresholds.map(record => (
+                                <tr key={record.scope} className="border-b border-green-500/10">
+                                    <td className="py-1 text-green-300">{truncate(record.topic, 40)}</td>
+                                    <td className="py-1 text-green-400">{record.agentId === '*' ? 'ALL' : record.agentId.toUpperCase()}</td>
+                                    <td className="py-1 text-right text-green-400">{Math.round(record.threshold * 100)}%</td>
+                                    <td className="py-1 text-right text-green-400/60">{record.goodHits} / {record.badHits}</td>
+                                    <td className="py-1 text-right">
+                                        <button onClick={() => handleToggleLock(record)} className={buttonClass}>
+                                            {record.locked ? 'UNLOCK' : 'LOCK'}
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CacheBrowserPanel;
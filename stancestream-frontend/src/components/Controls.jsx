@@ -8,6 +8,7 @@ import Icon from './Icon';
 const Controls = () => {
     const [topic, setTopic] = useState('climate change policy');
     const [isDebating, setIsDebating] = useState(false);
+    const [isPaused, setIsPaused] = useState(false);
     const [currentDebateId, setCurrentDebateId] = useState(null);
     const [showAgentConfig, setShowAgentConfig] = useState(false);
     const [showPerformanceDashboard, setShowPerformanceDashboard] = useState(false);
@@ -19,6 +20,8 @@ const Controls = () => {
     const [loading, setLoading] = useState({
         start: false,
         stop: false,
+        pause: false,
+        step: false,
         addFact: false,
         summarize: false
     });
@@ -53,6 +56,7 @@ const Controls = () => {
             console.log('✅ Debate started successfully:', result);
             setCurrentDebateId(debateId);
             setIsDebating(true);
+            setIsPaused(false);
         } catch (error) {
             console.error('❌ Failed to start debate:', error);
             alert('Failed to start debate. Check console for details.');
@@ -75,6 +79,7 @@ const Controls = () => {
             const result = await api.stopDebate(currentDebateId);
             console.log('✅ Debate stopped successfully:', result);
             setIsDebating(false);
+            setIsPaused(false);
             // Don't clear currentDebateId - keep it so messages remain visible
             // setCurrentDebateId(null); // Commented out to preserve conversation
         } catch (error) {
@@ -87,6 +92,40 @@ const Controls = () => {
         }
     };
 
+    const handleTogglePause = async () => {
+        if (!currentDebateId) return;
+
+        setLoading(prev => ({ ...prev, pause: true }));
+        try {
+            const result = isPaused
+                ? await api.resumeDebate(currentDebateId)
+                : await api.pauseDebate(currentDebateId);
+            console.log(`✅ Debate ${isPaused ? 'resumed' : 'paused'}:`, result);
+            setIsPaused(result.status === 'paused');
+        } catch (error) {
+            console.error('❌ Failed to toggle pause:', error);
+            alert('Failed to pause/resume debate. Check console for details.');
+        } finally {
+            setLoading(prev => ({ ...prev, pause: false }));
+        }
+    };
+
+    const handleStepDebate = async () => {
+        if (!currentDebateId) return;
+
+        setLoading(prev => ({ ...prev, step: true }));
+        try {
+            const result = await api.stepDebate(currentDebateId);
+            console.log('⏭️ Debate stepped one turn:', result);
+            setIsPaused(true);
+        } catch (error) {
+            console.error('❌ Failed to step debate:', error);
+            alert('Failed to step debate. Check console for details.');
+        } finally {
+            setLoading(prev => ({ ...prev, step: false }));
+        }
+    };
+
     const handleClearConversation = () => {
         console.log('🧹 Clear Conversation clicked!');
         // Note: This component doesn't manage debateMessages directly
@@ -278,6 +317,34 @@ const Controls = () => {
                                 <span className="truncate text-xs sm:text-sm">{loading.stop ? 'Stopping...' : 'Stop Debate'}</span>
                             </button>
 
+                            <button
+                                onClick={handleTogglePause}
+                                disabled={!isDebating || loading.pause}
+                                className="flex items-center justify-center space-x-1 sm:space-x-2 bg-gradient-to-r from-amber-500 to-amber-600 hover:from-amber-600 hover:to-amber-700 disabled:from-slate-600 disabled:to-slate-700 disabled:cursor-not-allowed text-white font-semibold py-2 px-3 sm:px-4 rounded-lg transition-all duration-200 transform hover:scale-[1.02] shadow-md w-full sm:w-auto min-w-0"
+                                title={isPaused ? 'Resume the debate' : 'Hold the debate before the next turn'}
+                            >
+                                <svg className="w-3 h-3 sm:w-4 sm:h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+                                    {isPaused ? (
+                                        <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
+                                    ) : (
+                                        <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zM7 8a1 1 0 012 0v4a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v4a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                                    )}
+                                </svg>
+                                <span className="truncate text-xs sm:text-sm">{isPaused ? 'Resume' : 'Pause'}</span>
+                            </button>
+
+                            <button
+                                onClick={handleStepDebate}
+                                disabled={!isDebating || loading.step}
+                                className="flex items-center justify-center space-x-1 sm:space-x-2 bg-gradient-to-r from-sky-500 to-sky-600 hover:from-sky-600 hover:to-sky-700 disabled:from-slate-600 disabled:to-slate-700 disabled:cursor-not-allowed text-white font-semibold py-2 px-3 sm:px-4 rounded-lg transition-all duration-200 transform hover:scale-[1.02] shadow-md w-full sm:w-auto min-w-0"
+                                title="Run exactly one turn, then hold"
+                            >
+                                <svg className="w-3 h-3 sm:w-4 sm:h-4 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+                                    <path d="M4.555 5.168A1 1 0 003 6v8a1 1 0 001.555.832L10 11.202V14a1 1 0 001.555.832l6-4a1 1 0 000-1.664l-6-4A1 1 0 0010 6v2.798l-5.445-3.63z" />
+                                </svg>
+                                <span className="truncate text-xs sm:text-sm">{loading.step ? 'Stepping...' : 'Step'}</span>
+                            </button>
+
                             <button
                                 onClick={handleClearConversation}
                                 disabled={false} // Always allow clearing
@@ -294,13 +361,15 @@ const Controls = () => {
                         {/* Right: Status + More Tools Dropdown */}
                         <div className="flex items-center gap-3">
                             {/* Status Indicator */}
-                            <div className={`flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-medium ${isDebating
+                            <div className={`flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-medium ${isDebating && isPaused
+                                ? 'bg-amber-500/20 text-amber-400'
+                                : isDebating
                                 ? 'bg-emerald-500/20 text-emerald-400'
                                 : 'bg-slate-600/50 text-slate-400'
                                 }`}>
-                                <div className={`w-2 h-2 rounded-full ${isDebating ? 'bg-emerald-400 animate-pulse' : 'bg-slate-400'
+                                <div className={`w-2 h-2 rounded-full ${isDebating && isPaused ? 'bg-amber-400' : isDebating ? 'bg-emerald-400 animate-pulse' : 'bg-slate-400'
                                     }`}></div>
-                                <span>{isDebating ? 'Live' : 'Idle'}</span>
+                                <span>{isDebating && isPaused ? 'Paused' : isDebating ? 'Live' : 'Idle'}</span>
                             </div>
 
                             {/* More Tools Dropdown */}
@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Icon from './Icon';
+import api from '../services/api';
+
+const TONES = ['measured', 'passionate', 'analytical', 'diplomatic', 'aggressive', 'cautious'];
+
+// Depth-first list of the tree so it renders as indented rows
+function flattenTree(node, depth = 0) {
+    if (!node) return [];
+    return [{ ...node, depth }, ...node.children.flatMap(child => flattenTree(child, depth + 1))];
+}
+
+function describeChanges(node) {
+    const changes = Object.entries(node.agentOverrides || {}).map(([agentId, fields]) =>
+        `${agentId.toUpperCase()}: ${Object.keys(fields).join(', ')}`);
+    if (node.injectedMessage) changes.push(`INJECTED ${node.injectedMessage.agentId.toUpperCase()}`);
+    return changes.join(' • ');
+}
+
+const BranchColumn = ({ branch }) => (
+    <div className="flex-1 min-w-0 bg-black/40 rounded border border-green-500/20 p-2">
+        <div className="flex items-center justify-between text-xs font-mono mb-2">
+            <span className="text-green-300 truncate pr-2">{branch.debateId}</span>
+            <span className="flex-shrink-0 text-green-400">
+                {branch.verdict ? `WINNER ${branch.verdict.winner?.toUpperCase() ?? '-'}` : 'NO VERDICT'}
+            </span>
+        </div>
+        <div className="space-y-2 max-h-64 overflow-y-auto">
+            {branch.messages.length === 0 ? (
+                <div className="text-xs text-green-400/60 font-mono">NOTHING PAST THE SHARED HISTORY</div>
+            ) : branch.messages.map(message => (
+                <div key={message.id} className="text-xs font-mono">
+                    <span className={message.authorType === 'injected' ? 'text-yellow-400' : 'text-green-400'}>
+                        {message.agentId.toUpperCase()}{message.authorType === 'injected' ? ' (INJECTED)' : ''}:
+                    </span>
+                    <span className="text-green-200"> {message.message}</span>
+                </div>
+            ))}
+        </div>
+    </div>
+);
+
+const DebateForkPanel = ({ debateId }) => {
+    const [messages, setMessages] = useState([]);
+    const [forkTree, setForkTree] = useState(null);
+    const [forkPoint, setForkPoint] = useState(null);
+    const [injectAgentId, setInjectAgentId] = useState('');
+    const [injectText, setInjectText] = useState('');
+    const [toneAgentId, setToneAgentId] = useState('');
+    const [tone, setTone] = useState(TONES[0]);
+    const [compareIds, setCompareIds] = useState([]);
+    const [comparison, setComparison] = useState(null);
+    const [error, setError] = useState(null);
+    const [forking, setForking] = useState(false);
+
+    const fetchTree = useCallback(async () => {
+        if (!debateId) return;
+        try {
+            setForkTree(await api.getDebateForks(debateId));
+        } catch (fetchError) {
+            console.error('Error fetching fork tree:', fetchError);
+        }
+    }, [debateId]);
+
+    const fetchMessages = useCallback(async () => {
+        if (!debateId) return;
+        try {
+            setMessages(await api.getDebateMessages(debateId, 50));
+        } catch (fetchError) {
+            console.error('Error fetching debate messages:', fetchError);
+        }
+    }, [debateId]);
+
+    useEffect(() => {
+        setForkTree(null);
+        setMessages([]);
+        setForkPoint(null);
+        setCompareIds([]);
+        setComparison(null);
+        fetchTree();
+        fetchMessages();
+    }, [fetchTree, fetchMessages]);
+
+    // A new branch or a branch's verdict changes the tree
+    useEffect(() => {
+        const handleTreeChanged = (event) => {
+            if (['debate_forked', 'debate_verdict'].includes(event.detail?.type)) {
+                fetchTree();
+            }
+        };
+
+        window.addEventListener('websocket-message', handleTreeChanged);
+        return () => window.removeEventListener('websocket-message', handleTreeChanged);
+    }, [fetchTree]);
+
+    useEffect(() => {
+        if (compareIds.length !== 2) {
+            setComparison(null);
+            return;
+        }
+        let cancelled = false;
+        api.compareDebates(compareIds[0], compareIds[1])
+            .then(result => {
+                if (!cancelled) setComparison(result);
+            })
+            .catch(compareError => console.error('Error comparing branches:', compareError));
+        return () => {
+            cancelled = true;
+        };
+    }, [compareIds]);
+
+    const agents = [...new Set(messages.map(message => message.agentId))];
+
+    const toggleCompare = (id) => {
+        setCompareIds(prev => prev.includes(id)
+            ? prev.filter(other => other !== id)
+            : [...prev, id].slice(-2));
+    };
+
+    const handleFork = async () => {
+        const fork = { messageId: forkPoint };
+        if (injectAgentId && injectText.trim()) {
+            fork.injectMessage = { agentId: injectAgentId, message: injectText.trim() };
+        }
+        if (toneAgentId) {
+            fork.agentOverrides = { [toneAgentId]: { tone } };
+        }
+
+        try {
+            setForking(true);
+            setError(null);
+            const result = await api.forkDebate(debateId, fork);
+            setForkPoint(null);
+            setInjectText('');
+            setCompareIds([debateId, result.debateId]);
+            fetchTree();
+        } catch (forkError) {
+            setError(forkError.message);
+        } finally {
+            setForking(false);
+        }
+    };
+
+    const rows = flattenTree(forkTree?.tree);
+
+    return (
+        <div className="h-full flex flex-col">
+            <div className="flex items-center justify-between mb-3">
+                <div className="flex items-center gap-2">
+                    <Icon name="git-branch" size={16} className="text-green-400" />
+                    <h3 className="text-sm font-bold text-green-300 font-mono tracking-wide">DEBATE FORKS</h3>
+                </div>
+                <button onClick={fetchMessages} className="text-xs font-mono text-green-400/70 hover:text-green-300 flex items-center gap-1">
+                    <Icon name="refresh" size={12} />
+                    MESSAGES
+                </button>
+            </div>
+
+            {!debateId ? (
+                <div className="flex-1 flex items-center justify-center text-xs text-green-400/60 font-mono tracking-wide">
+                    START A DEBATE TO FORK IT
+                </div>
+            ) : (
+                <div className="flex-1 min-h-0 overflow-y-auto space-y-4">
+                    <div>
+                        <div className="text-xs text-green-400/60 font-mono mb-1">FORK AFTER A MESSAGE</div>
+                        <div className="max-h-40 overflow-y-auto space-y-1">
+                            {messages.length === 0 ? (
+                                <div className="text-xs text-green-400/60 font-mono">NO MESSAGES YET</div>
+                            ) : messages.map(message => (
+                                <button
+                                    key={message.id}
+                                    onClick={() => setForkPoint(message.id === forkPoint ? null : message.id)}
+                                    className={`w-full text-left text-xs font-mono px-2 py-1 rounded border ${message.id === forkPoint ? 'border-green-400 bg-green-500/10' : 'border-transparent hover:border-green-500/30'}`}
+                                >
+                                    <span className="text-green-400">{message.agentId.toUpperCase()}:</span>
+                                    <span className="text-green-200"> {message.message.length > 90 ? `${message.message.slice(0, 89)}…` : message.message}</span>
+                                </button>
+                            ))}
+                        </div>
+
+                        {forkPoint && (
+                            <div className="mt-2 p-2 bg-black/40 rounded border border-green-500/20 space-y-2 text-xs font-mono">
+                                <div className="flex gap-2">
+                                    <select value={injectAgentId} onChange={event => setInjectAgentId(event.target.value)} className="bg-black border border-green-500/30 text-green-300 rounded px-1">
+                                        <option value="">NO INJECTED MESSAGE</option>
+                                        {agents.map(agentId => <option key={agentId} value={agentId}>{agentId.toUpperCase()} SAYS</option>)}
+                                    </select>
+                                    <input
+                                        value={injectText}
+                                        onChange={event => setInjectText(event.target.value)}
+                                        disabled={!injectAgentId}
+                                        placeholder="Injected message"
+                                        className="flex-1 bg-black border border-green-500/30 text-green-200 rounded px-2 disabled:opacity-40"
+                                    />
+                                </div>
+                                <div className="flex gap-2 items-center">
+                                    <select value={toneAgentId} onChange={event => setToneAgentId(event.target.value)} className="bg-black border border-green-500/30 text-green-300 rounded px-1">
+                                        <option value="">KEEP PROFILES</option>
+                                        {agents.map(agentId => <option key={agentId} value={agentId}>{agentId.toUpperCase()} TONE</option>)}
+                                    </select>
+                                    <select value={tone} onChange={event => setTone(event.target.value)} disabled={!toneAgentId} className="bg-black border border-green-500/30 text-green-300 rounded px-1 disabled:opacity-40">
+                                        {TONES.map(option => <option key={option} value={option}>{option.toUpperCase()}</option>)}
+                                    </select>
+                                    <button onClick={handleFork} disabled={forking} className="ml-auto px-3 py-1 rounded bg-green-600/30 border border-green-500/50 text-green-200 hover:bg-green-600/50 disabled:opacity-40">
+                                        {forking ? 'FORKING...' : 'FORK HERE'}
+                                    </button>
+                                </div>
+                                {error && <div className="text-red-400">{error}</div>}
+                            </div>
+                        )}
+                    </div>
+
+                    <div>
+                        <div className="text-xs text-green-400/60 font-mono mb-1">FORK TREE • PICK TWO BRANCHES TO COMPARE</div>
+                        {rows.map(node => (
+                            <label key={node.debateId} className="flex items-center gap-2 text-xs font-mono py-0.5 cursor-pointer" style={{ paddingLeft: node.depth * 16 }}>
+                                <input type="checkbox" checked={compareIds.includes(node.debateId)} onChange={() => toggleCompare(node.debateId)} />
+                                <span className={node.debateId === debateId ? 'text-green-300 font-bold' : 'text-green-400'}>{node.debateId}</span>
+                                <span className="text-green-400/60">{node.status ? node.status.toUpperCase() : ''}</span>
+                                {node.winner && <span className="text-green-300">• {node.winner.toUpperCase()}</span>}
+                                <span className="text-green-400/50 truncate">{describeChanges(node)}</span>
+                            </label>
+                        ))}
+                    </div>
+
+                    {comparison && (
+                        <div>
+                            <div className="text-xs text-green-400/60 font-mono mb-1">
+                                {comparison.sharedMessages} SHARED MESSAGES{comparison.divergedAfter ? ` • SPLIT AFTER ${comparison.divergedAfter}` : ''}
+                            </div>
+                            <div className="flex gap-2">
+                                {comparison.branches.map(branch => <BranchColumn key={branch.debateId} branch={branch} />)}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DebateForkPanel;
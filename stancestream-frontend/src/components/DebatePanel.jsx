@@ -1,7 +1,9 @@
-import React, { useEffect, useMemo, useRef } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import Icon from './Icon';
+import api from '../services/api';
 import SentimentBadge from './SentimentBadge';
 import TranscriptTicker from './TranscriptTicker';
+import ReplayScrubber from './ReplayScrubber';
 
 /**
  * DebatePanel — Broadcast Versus-Arena
@@ -11,6 +13,9 @@ import TranscriptTicker from './TranscriptTicker';
  * stage, with a center spine carrying the VS badge and a live sentiment-lean
  * readout. The active speaker's column glows/pulses; new arguments reveal
  * word-by-word; a broadcast chyron scrolls the transcript along the bottom.
+ * A composer under the stage lets a viewer take over an agent's seat and post
+ * turns when the debate asks for them. Given a `replay` (see useDebateReplay)
+ * the same stage plays back a stored debate with a scrubber instead.
  */
 
 // --- Agent / side configuration -------------------------------------------
@@ -150,6 +155,11 @@ const AgentColumn = ({ sideKey, name, messages, isActive, newestId, align }) =>
                                 <span className="font-mono text-[10px] text-slate-500">
                                     {formatTimestamp(msg.timestamp)}
                                 </span>
+                                {msg.authorType === 'human' && (
+                                    <span className="font-mono text-[9px] font-bold tracking-widest text-amber-300 bg-amber-400/10 border border-amber-400/30 rounded px-1.5 py-0.5">
+                                        HUMAN{msg.humanName ? ` · ${msg.humanName.toUpperCase()}` : ''}
+                                    </span>
+                                )}
                                 {msg.sentiment && (
                                     <SentimentBadge
                                         sentiment={msg.sentiment.sentiment || msg.sentiment}
@@ -225,9 +235,151 @@ const CenterSpine = ({ scoreA, scoreB, hasData }) => {
     );
 };
 
+// --- Human seat composer ---------------------------------------------------
+
+const secondsUntil = (deadline) =>
+    Math.max(0, Math.round((new Date(deadline).getTime() - Date.now()) / 1000));
+
+const HumanComposer = ({ debateId, agents = [], humanTurn }) => {
+    const [seat, setSeat] = useState(null);
+    const [name, setName] = useState('');
+    const [seatAgent, setSeatAgent] = useState('');
+    const [draft, setDraft] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const [secondsLeft, setSecondsLeft] = useState(null);
+
+    // A new debate starts with no seat taken
+    useEffect(() => {
+        setSeat(null);
+        setDraft('');
+        setError(null);
+    }, [debateId]);
+
+    const myTurn = Boolean(
+        seat && humanTurn && humanTurn.debateId === debateId && humanTurn.agentId === seat.agentId
+    );
+
+    useEffect(() => {
+        if (!myTurn) {
+            setSecondsLeft(null);
+            return undefined;
+        }
+        setSecondsLeft(secondsUntil(humanTurn.deadline));
+        const timer = setInterval(() => setSecondsLeft(secondsUntil(humanTurn.deadline)), 1000);
+        return () => clearInterval(timer);
+    }, [myTurn, humanTurn]);
+
+    if (!debateId || agents.length === 0) return null;
+
+    const run = async (action) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await action();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleJoin = () => run(async () => {
+        const agentId = seatAgent || agents[0];
+        const result = await api.joinDebate(debateId, agentId, name.trim() || 'Guest');
+        setSeat(result.seat);
+    });
+
+    const handleLeave = () => run(async () => {
+        await api.leaveDebate(debateId, seat.agentId);
+        setSeat(null);
+    });
+
+    const handleSend = () => run(async () => {
+        await api.submitHumanTurn(debateId, seat.agentId, draft.trim());
+        setDraft('');
+    });
+
+    if (!seat) {
+        return (
+            <div className="flex-shrink-0 flex flex-wrap items-center gap-2 px-4 py-2.5 bg-stage-raised border-t border-stage-line">
+                <Icon name="user" size={14} className="text-slate-400" />
+                <span className="font-mono text-[10px] tracking-[0.18em] text-slate-400">JOIN AS</span>
+                <select
+                    value={seatAgent || agents[0]}
+                    onChange={(e) => setSeatAgent(e.target.value)}
+                    className="bg-stage border border-stage-line rounded-md px-2 py-1 text-xs text-slate-200"
+                    aria-label="Seat to take"
+                >
+                    {agents.map((agentId) => (
+                        <option key={agentId} value={agentId}>{agentId}</option>
+                    ))}
+                </select>
+                <input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="Your name"
+                    maxLength={60}
+                    className="flex-1 min-w-[120px] bg-stage border border-stage-line rounded-md px-2 py-1 text-xs text-slate-200 placeholder-slate-600"
+                />
+                <button
+                    onClick={handleJoin}
+                    disabled={busy}
+                    className="px-3 py-1 rounded-md text-xs font-semibold bg-amber-500/20 text-amber-300 border border-amber-400/30 hover:bg-amber-500/30 disabled:opacity-50"
+                >
+                    Take Seat
+                </button>
+                {error && <span className="font-mono text-[10px] text-red-400">{error}</span>}
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex-shrink-0 px-4 py-2.5 bg-stage-raised border-t border-stage-line space-y-2">
+            <div className="flex items-center justify-between">
+                <span className="font-mono text-[10px] tracking-[0.18em] text-amber-300">
+                    {seat.name.toUpperCase()} AS {seat.agentId.toUpperCase()}
+                    {myTurn ? ` · YOUR TURN · ${secondsLeft ?? ''}s` : ' · WAITING FOR YOUR TURN'}
+                </span>
+                <button
+                    onClick={handleLeave}
+                    disabled={busy}
+                    className="font-mono text-[10px] tracking-widest text-slate-500 hover:text-slate-300 disabled:opacity-50"
+                >
+                    LEAVE SEAT
+                </button>
+            </div>
+            <div className="flex items-end gap-2">
+                <textarea
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter' && !e.shiftKey && myTurn && draft.trim()) {
+                            e.preventDefault();
+                            handleSend();
+                        }
+                    }}
+                    rows={2}
+                    maxLength={1000}
+                    placeholder={myTurn ? 'Make your argument…' : 'Draft your next argument…'}
+                    className="flex-1 resize-none bg-stage border border-stage-line rounded-md px-2.5 py-1.5 text-sm text-slate-100 placeholder-slate-600"
+                />
+                <button
+                    onClick={handleSend}
+                    disabled={busy || !myTurn || draft.trim().length < 2}
+                    className="px-3 py-2 rounded-md text-xs font-semibold bg-amber-500/20 text-amber-300 border border-amber-400/30 hover:bg-amber-500/30 disabled:opacity-40"
+                >
+                    Send
+                </button>
+            </div>
+            {error && <div className="font-mono text-[10px] text-red-400">{error}</div>}
+        </div>
+    );
+};
+
 // --- Panel -----------------------------------------------------------------
 
-const DebatePanel = ({ messages = [] }) => {
+const DebatePanel = ({ messages = [], debateId = null, agents = [], humanTurn = null, replay = null }) => {
     const activeAgentId = messages[messages.length - 1]?.agentId;
     const activeSide = messages.length ? sideKeyOf(activeAgentId) : null;
     const newestId = messages[messages.length - 1]?.id;
@@ -259,12 +411,21 @@ const DebatePanel = ({ messages = [] }) => {
             {/* Broadcast header */}
             <div className="flex-shrink-0 flex items-center justify-between px-5 py-3 bg-stage-raised border-b border-stage-line">
                 <div className="flex items-center gap-3">
-                    <div className="flex items-center gap-1.5">
-                        <span className="w-2.5 h-2.5 rounded-full bg-arena-b animate-pulse" aria-hidden="true" />
-                        <span className="font-mono text-[10px] font-bold tracking-[0.22em] text-arena-b">
-                            LIVE
-                        </span>
-                    </div>
+                    {replay ? (
+                        <div className="flex items-center gap-1.5">
+                            <span className="w-2.5 h-2.5 rounded-full bg-arena-a" aria-hidden="true" />
+                            <span className="font-mono text-[10px] font-bold tracking-[0.22em] text-arena-a">
+                                REPLAY
+                            </span>
+                        </div>
+                    ) : (
+                        <div className="flex items-center gap-1.5">
+                            <span className="w-2.5 h-2.5 rounded-full bg-arena-b animate-pulse" aria-hidden="true" />
+                            <span className="font-mono text-[10px] font-bold tracking-[0.22em] text-arena-b">
+                                LIVE
+                            </span>
+                        </div>
+                    )}
                     <div className="h-4 w-px bg-stage-line" aria-hidden="true" />
                     <h2 className="font-display text-lg font-bold tracking-wide text-slate-100">
                         Debate Arena
@@ -295,10 +456,13 @@ const DebatePanel = ({ messages = [] }) => {
                             <Icon name="zap" size={28} className="text-stage" />
                         </div>
                     </div>
-                    <h3 className="font-display text-xl font-bold text-slate-200">Ready for the Arena</h3>
+                    <h3 className="font-display text-xl font-bold text-slate-200">
+                        {replay ? 'Replay Ready' : 'Ready for the Arena'}
+                    </h3>
                     <p className="font-sans text-slate-400 max-w-md leading-relaxed">
-                        Select a topic and start a debate. Two AI agents take opposite corners with
-                        live fact-checking, memory, and stance evolution.
+                        {replay
+                            ? 'Press play or drag the scrubber to review the debate as it happened.'
+                            : 'Select a topic and start a debate. Two AI agents take opposite corners with live fact-checking, memory, and stance evolution.'}
                     </p>
                 </div>
             ) : (
@@ -323,6 +487,12 @@ const DebatePanel = ({ messages = [] }) => {
                 </div>
             )}
 
+            {replay ? (
+                <ReplayScrubber replay={replay} />
+            ) : (
+                <HumanComposer debateId={debateId} agents={agents} humanTurn={humanTurn} />
+            )}
+
             {/* Broadcast chyron */}
             <TranscriptTicker messages={messages} />
         </div>
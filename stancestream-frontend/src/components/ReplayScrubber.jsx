@@ -0,0 +1,82 @@
+import React from 'react';
+import Icon from './Icon';
+import { REPLAY_SPEEDS, formatReplayClock } from '../utils/replay.js';
+
+/**
+ * ReplayScrubber — transport bar for a stored debate
+ *
+ * Play/pause, a seek track with key-moment markers and a speed picker, driven
+ * by the state returned from useDebateReplay.
+ */
+const ReplayScrubber = ({ replay, compact = false }) => {
+    const {
+        status, speed, offsetMs, durationMs, timelineMoments = [], error,
+        play, pause, seek, setSpeed
+    } = replay;
+    const isPlaying = status === 'playing';
+    const ready = durationMs > 0 && status !== 'loading' && status !== 'error';
+
+    return (
+        <div className={`flex-shrink-0 border-t border-stage-line bg-stage-raised ${compact ? 'px-2 py-1.5' : 'px-5 py-3'}`}>
+            {status === 'error' ? (
+                <div className="font-mono text-[11px] text-red-400">REPLAY UNAVAILABLE: {error}</div>
+            ) : (
+                <div className="flex items-center gap-3">
+                    <button
+                        onClick={isPlaying ? pause : play}
+                        disabled={!ready}
+                        aria-label={isPlaying ? 'Pause replay' : 'Play replay'}
+                        className="flex items-center justify-center w-7 h-7 rounded-md border border-arena-a/30 text-arena-a hover:bg-arena-a/10 disabled:opacity-40 transition-colors"
+                    >
+                        <Icon name={isPlaying ? 'pause' : 'play'} size={14} />
+                    </button>
+
+                    <span className="font-mono text-[11px] text-slate-400 tabular-nums">
+                        {formatReplayClock(offsetMs)}
+                    </span>
+
+                    <div className="relative flex-1 h-5 flex items-center">
+                        <input
+                            type="range"
+                            min={0}
+                            max={durationMs || 0}
+                            step={100}
+                            value={Math.min(offsetMs, durationMs)}
+                            disabled={!ready}
+                            onChange={(e) => seek(Number(e.target.value))}
+                            aria-label="Replay position"
+                            className="w-full accent-arena-a"
+                        />
+                        {durationMs > 0 && timelineMoments.map(event => (
+                            <button
+                                key={event.moment.id || event.offsetMs}
+                                onClick={() => seek(event.offsetMs)}
+                                title={event.moment.summary || event.moment.type}
+                                aria-label={`Jump to ${event.moment.type}`}
+                                className="absolute -top-0.5 w-1.5 h-1.5 rounded-full bg-arena-b hover:scale-150 transition-transform"
+                                style={{ left: `${(event.offsetMs / durationMs) * 100}%` }}
+                            />
+                        ))}
+                    </div>
+
+                    <span className="font-mono text-[11px] text-slate-500 tabular-nums">
+                        {formatReplayClock(durationMs)}
+                    </span>
+
+                    <select
+                        value={speed}
+                        onChange={(e) => setSpeed(Number(e.target.value))}
+                        aria-label="Replay speed"
+                        className="bg-stage border border-stage-line rounded px-1 py-0.5 font-mono text-[11px] text-slate-300"
+                    >
+                        {REPLAY_SPEEDS.map(option => (
+                            <option key={option} value={option}>{option}×</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ReplayScrubber;
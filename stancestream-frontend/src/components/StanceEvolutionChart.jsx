@@ -3,7 +3,24 @@ import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Responsi
 import { useState, useEffect } from 'react';
 import Icon from './Icon';
 
-export default function StanceEvolutionChart({ stanceData = [] }) {
+const AUDIENCE_CHOICES = [
+    { stance: 'for', label: 'FOR' },
+    { stance: 'neutral', label: 'NEUTRAL' },
+    { stance: 'against', label: 'AGAINST' },
+];
+
+// Audience stance at a moment: the latest poll point at or before it
+const audienceAt = (audienceData, timestamp) => {
+    if (!timestamp) return undefined;
+    const time = new Date(timestamp).getTime();
+    let value;
+    for (const point of audienceData) {
+        if (new Date(point.timestamp).getTime() <= time) value = point.value;
+    }
+    return value;
+};
+
+export default function StanceEvolutionChart({ stanceData = [], audienceData = [], onAudienceVote = null, audienceVote = null }) {
     const [isExpanded, setIsExpanded] = useState(false);
 
     // Debug logging
@@ -29,9 +46,12 @@ export default function StanceEvolutionChart({ stanceData = [] }) {
             timestamp: entry.timestamp,
             senatorbot: entry.senatorbot || 0,
             reformerbot: entry.reformerbot || 0,
+            audience: audienceAt(audienceData, entry.timestamp),
             timeLabel: timeLabel
         };
     });
+    const latestAudience = audienceData[audienceData.length - 1];
+    const hasAudience = chartData.some(entry => entry.audience !== undefined);
 
     // Custom tooltip to show actual values and time
     const CustomTooltip = ({ active, payload, label }) => {
@@ -43,7 +63,7 @@ export default function StanceEvolutionChart({ stanceData = [] }) {
                     <p className="text-xs text-gray-400 mb-2 font-mono">TURN {data.turn}</p>
                     {payload.map((entry, index) => (
                         <p key={index} className="text-sm font-mono" style={{ color: entry.color }}>
-                            <span className="font-medium">{entry.dataKey === 'senatorbot' ? 'SENATORBOT' : 'REFORMERBOT'}:</span> {entry.value.toFixed(2)}
+                            <span className="font-medium">{entry.name}:</span> {entry.value?.toFixed(2) ?? '—'}
                         </p>
                     ))}
                 </div>
@@ -134,6 +154,15 @@ export default function StanceEvolutionChart({ stanceData = [] }) {
                                 </span>
                             )}
                         </div>
+                        {latestAudience && (
+                            <div className="flex items-center space-x-2">
+                                <div className="w-3 h-0.5 bg-amber-400"></div>
+                                <span className="text-sm text-amber-300 font-medium font-mono">AUDIENCE</span>
+                                <span className="text-sm font-bold text-amber-400 font-mono">
+                                    {latestAudience.value.toFixed(2)}
+                                </span>
+                            </div>
+                        )}
                     </div>
                     <div className="text-xs text-neutral-500 font-mono">
                         <span className="text-neutral-400 font-medium">{chartData.length}</span> TURNS
@@ -186,6 +215,18 @@ export default function StanceEvolutionChart({ stanceData = [] }) {
                             activeDot={{ r: 6, stroke: '#4ade80', strokeWidth: 2, fill: '#22c55e' }}
                             name="REFORMERBOT"
                         />
+                        {hasAudience && (
+                            <Line
+                                type="stepAfter"
+                                dataKey="audience"
+                                stroke="#fbbf24"
+                                strokeWidth={2}
+                                strokeDasharray="6 4"
+                                dot={false}
+                                connectNulls
+                                name="AUDIENCE"
+                            />
+                        )}
                     </LineChart>
                 </ResponsiveContainer>
             </div>
@@ -197,10 +238,31 @@ export default function StanceEvolutionChart({ stanceData = [] }) {
                         <Icon name="Activity" className="w-3 h-3 inline mr-1" />
                         REAL-TIME STANCE TRACKING
                     </span>
-                    <span className="flex items-center space-x-1 text-green-400">
-                        <div className="w-2 h-2 bg-green-500 rounded-full animate-ping"></div>
-                        <span className="font-medium">UPDATING</span>
-                    </span>
+                    {onAudienceVote ? (
+                        <span className="flex items-center space-x-2">
+                            <span className="text-amber-300">
+                                {audienceVote
+                                    ? audienceVote.accepted
+                                        ? `VOTED ${audienceVote.stance.toUpperCase()} · R${audienceVote.round}`
+                                        : audienceVote.reason?.toUpperCase()
+                                    : 'AUDIENCE VOTE'}
+                            </span>
+                            {AUDIENCE_CHOICES.map(({ stance, label }) => (
+                                <button
+                                    key={stance}
+                                    onClick={() => onAudienceVote(stance)}
+                                    className="px-2 py-0.5 rounded border border-amber-400/30 text-amber-300 hover:bg-amber-500/20 transition-colors"
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </span>
+                    ) : (
+                        <span className="flex items-center space-x-1 text-green-400">
+                            <div className="w-2 h-2 bg-green-500 rounded-full animate-ping"></div>
+                            <span className="font-medium">UPDATING</span>
+                        </span>
+                    )}
                 </div>
             </div>
         </div>
@@ -0,0 +1,97 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Icon from './Icon';
+import api from '../services/api';
+
+const TournamentLeaderboard = () => {
+    const [leaderboard, setLeaderboard] = useState([]);
+    const [tournaments, setTournaments] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    const fetchStandings = useCallback(async () => {
+        try {
+            setLoading(true);
+            const [ratings, list] = await Promise.all([api.getLeaderboard(), api.getTournaments()]);
+            setLeaderboard(ratings.leaderboard || []);
+            setTournaments(list.tournaments || []);
+        } catch (error) {
+            console.error('Error fetching leaderboard:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchStandings();
+    }, [fetchStandings]);
+
+    // Ratings only change when a match is recorded
+    useEffect(() => {
+        const handleTournamentUpdated = (event) => {
+            if (event.detail?.type === 'tournament_updated') {
+                fetchStandings();
+            }
+        };
+
+        window.addEventListener('websocket-message', handleTournamentUpdated);
+        return () => window.removeEventListener('websocket-message', handleTournamentUpdated);
+    }, [fetchStandings]);
+
+    const running = tournaments.filter(tournament => tournament.status === 'running');
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-green-300 flex items-center gap-2 font-mono">
+                    <Icon name="award" size={20} className="text-green-400" />
+                    AGENT LEADERBOARD
+                </h3>
+                <span className="text-xs text-green-400/60 font-mono">
+                    {loading ? 'UPDATING...' : `${running.length} TOURNAMENT${running.length === 1 ? '' : 'S'} RUNNING`}
+                </span>
+            </div>
+
+            {leaderboard.length === 0 ? (
+                <div className="text-center text-xs text-green-400/60 font-mono py-6">
+                    NO RATED MATCHES YET • START A TOURNAMENT TO RANK AGENTS
+                </div>
+            ) : (
+                <table className="w-full text-sm font-mono">
+                    <thead>
+                        <tr className="text-xs text-green-400/60 border-b border-green-500/20">
+                            <th className="text-left py-2 w-10">#</th>
+                            <th className="text-left py-2">AGENT</th>
+                            <th className="text-right py-2">ELO</th>
+                            <th className="text-right py-2">W-D-L</th>
+                            <th className="text-right py-2">GAMES</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {leaderboard.map(entry => (
+                            <tr key={entry.agentId} className="border-b border-green-500/10 text-green-300">
+                                <td className="py-2 text-green-400/60">{entry.rank}</td>
+                                <td className="py-2">{entry.agentId.toUpperCase()}</td>
+                                <td className="py-2 text-right font-bold text-green-400">{Math.round(entry.rating)}</td>
+                                <td className="py-2 text-right">{entry.wins}-{entry.draws}-{entry.losses}</td>
+                                <td className="py-2 text-right text-green-400/60">{entry.games}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {running.map(tournament => {
+                const decided = tournament.matches.filter(match => !['pending', 'running'].includes(match.status)).length;
+                return (
+                    <div key={tournament.id} className="mt-3 text-xs font-mono text-green-400/80 flex items-center justify-between">
+                        <span className="truncate pr-2">{tournament.name.toUpperCase()} • {tournament.format.toUpperCase()}</span>
+                        <span className="flex-shrink-0">
+                            {tournament.format === 'single-elimination' ? `STAGE ${tournament.stage} • ` : ''}{decided}/{tournament.matches.length} MATCHES
+                        </span>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default TournamentLeaderboard;
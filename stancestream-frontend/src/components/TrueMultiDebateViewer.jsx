@@ -3,6 +3,8 @@ import { useState, useMemo } from 'react';
 import { formatDistanceToNow } from 'date-fns';
 import api from '../services/api';
 import Icon from './Icon';
+import DebatePanel from './DebatePanel';
+import useDebateReplay from '../hooks/useDebateReplay';
 
 const DEBATE_TOPICS = [
     { id: 'climate', name: 'Climate Policy', description: 'Environmental regulations and green energy', icon: 'climate' },
@@ -15,7 +17,75 @@ const DEBATE_TOPICS = [
     { id: 'space', name: 'Space Exploration', description: 'Space colonization and research funding', icon: 'space' }
 ];
 
-function DebateColumn({ debate, messages, onTopicChange, onStop, index }) {
+const COALITION_COLORS = ['#4ade80', '#facc15', '#38bdf8', '#f472b6', '#a78bfa'];
+
+// Agents on a circle; edges fade with affinity, coalition members share a colour
+function CoalitionGraph({ graph }) {
+    const size = 120;
+    const radius = 42;
+    const center = size / 2;
+
+    const colorOf = (coalitionId) => {
+        const position = graph.coalitions.findIndex(coalition => coalition.id === coalitionId);
+        return position === -1 ? '#6b7280' : COALITION_COLORS[position % COALITION_COLORS.length];
+    };
+    const positions = new Map(graph.nodes.map((node, i) => {
+        const angle = (2 * Math.PI * i) / graph.nodes.length - Math.PI / 2;
+        return [node.agentId, { x: center + radius * Math.cos(angle), y: center + radius * Math.sin(angle) }];
+    }));
+    const coalitionOf = new Map(graph.nodes.map(node => [node.agentId, node.coalitionId]));
+
+    return (
+        <div className="mb-2 p-2 bg-black/60 rounded border border-green-500/30 flex-shrink-0 flex items-center gap-2">
+            <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} className="flex-shrink-0" role="img" aria-label="Coalition graph">
+                {graph.edges.map(edge => {
+                    const from = positions.get(edge.source);
+                    const to = positions.get(edge.target);
+                    const allied = coalitionOf.get(edge.source) && coalitionOf.get(edge.source) === coalitionOf.get(edge.target);
+                    return (
+                        <line
+                            key={`${edge.source}-${edge.target}`}
+                            x1={from.x} y1={from.y} x2={to.x} y2={to.y}
+                            stroke={allied ? colorOf(coalitionOf.get(edge.source)) : '#22c55e'}
+                            strokeOpacity={Math.max(0.1, edge.affinity)}
+                            strokeWidth={allied ? 3 : 1}
+                            strokeDasharray={allied ? undefined : '3 3'}
+                        >
+                            <title>{`${edge.source} ↔ ${edge.target}: affinity ${edge.affinity.toFixed(2)}`}</title>
+                        </line>
+                    );
+                })}
+                {graph.nodes.map(node => {
+                    const { x, y } = positions.get(node.agentId);
+                    return (
+                        <g key={node.agentId}>
+                            <circle cx={x} cy={y} r={9} fill={colorOf(node.coalitionId)} fillOpacity={0.85} />
+                            <text x={x} y={y + 3} textAnchor="middle" fontSize="8" fill="#000" fontFamily="monospace">
+                                {node.name.slice(0, 2).toUpperCase()}
+                            </text>
+                            <title>{node.name}</title>
+                        </g>
+                    );
+                })}
+            </svg>
+            <div className="min-w-0 flex-1 space-y-1">
+                <div className="text-xs text-green-300 font-mono tracking-wide">COALITIONS • TURN {graph.turn}</div>
+                {graph.coalitions.length === 0 ? (
+                    <div className="text-xs text-green-400/60 font-mono">ALL INDEPENDENT</div>
+                ) : (
+                    graph.coalitions.map(coalition => (
+                        <div key={coalition.id} className="text-xs font-mono truncate" style={{ color: colorOf(coalition.id) }}>
+                            {coalition.members.map(id => graph.nodes.find(node => node.agentId === id)?.name || id).join(' + ').toUpperCase()}
+                            <span className="text-green-400/60"> • {coalition.side.toUpperCase()} • {Math.round(coalition.cohesion * 100)}%</span>
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+}
+
+function DebateColumn({ debate, messages, coalitionGraph, onTopicChange, onStop, index }) {
     const [isChangingTopic, setIsChangingTopic] = useState(false);
     const [selectedTopic, setSelectedTopic] = useState('climate');
 
@@ -104,6 +174,8 @@ function DebateColumn({ debate, messages, onTopicChange, onStop, index }) {
                 </div>
             )}
 
+            {coalitionGraph?.nodes?.length > 1 && <CoalitionGraph graph={coalitionGraph} />}
+
             {/* Messages Area */}
             <div className="flex-1 overflow-y-auto space-y-1 sm:space-y-2 min-h-0">
                 {recentMessages.length === 0 ? (
@@ -165,8 +237,16 @@ function DebateColumn({ debate, messages, onTopicChange, onStop, index }) {
     );
 }
 
-export default function TrueMultiDebateViewer({ messages, activeDebates, onMetricsUpdate }) {
+export default function TrueMultiDebateViewer({ messages, activeDebates, coalitions = new Map(), onMetricsUpdate }) {
     const [maxDebates, setMaxDebates] = useState(4);
+    const [replayDebateId, setReplayDebateId] = useState(null);
+    const replay = useDebateReplay(replayDebateId);
+
+    // Debates we saw messages from that are no longer running can be replayed
+    const finishedDebateIds = useMemo(() => {
+        const ids = new Set(messages.map(msg => msg.debateId).filter(Boolean));
+        return [...ids].filter(id => !activeDebates.has(id));
+    }, [messages, activeDebates]);
 
     // Convert activeDebates Map to array
     const activeDebatesArray = useMemo(() => {
@@ -240,6 +320,27 @@ export default function TrueMultiDebateViewer({ messages, activeDebates, onMetri
                     </span>
                 </h2>
                 <div className="flex items-center gap-2 w-full sm:w-auto">
+                    {replayDebateId ? (
+                        <button
+                            onClick={() => setReplayDebateId(null)}
+                            className="px-2 sm:px-3 py-1 bg-green-600/20 border border-green-500/30 rounded text-green-300 text-xs hover:bg-green-600/30 transition-colors flex items-center gap-1 flex-shrink-0 font-mono font-bold tracking-wide"
+                        >
+                            <Icon name="x-circle" size={14} />
+                            EXIT REPLAY
+                        </button>
+                    ) : finishedDebateIds.length > 0 && (
+                        <select
+                            value=""
+                            onChange={(e) => setReplayDebateId(e.target.value || null)}
+                            aria-label="Replay a finished debate"
+                            className="px-2 py-1 bg-black/80 border border-green-500/30 rounded text-xs text-green-300 flex-1 sm:flex-none font-mono focus:outline-none focus:ring-2 focus:ring-green-500"
+                        >
+                            <option value="">REPLAY…</option>
+                            {finishedDebateIds.map(id => (
+                                <option key={id} value={id}>{id}</option>
+                            ))}
+                        </select>
+                    )}
                     <select
                         value={maxDebates}
                         onChange={(e) => setMaxDebates(Number(e.target.value))}
@@ -263,7 +364,9 @@ export default function TrueMultiDebateViewer({ messages, activeDebates, onMetri
 
             {/* Multi-Debate Grid */}
             <div className="flex-1 min-h-0 overflow-hidden">
-                {activeDebatesArray.length === 0 ? (
+                {replayDebateId ? (
+                    <DebatePanel messages={replay.messages} replay={replay} />
+                ) : activeDebatesArray.length === 0 ? (
                     <div className="h-full flex items-center justify-center text-green-400">
                         <div className="text-center max-w-md mx-auto">
                             <div className="w-16 h-16 bg-green-500/20 border border-green-500/30 rounded-full flex items-center justify-center mb-4 mx-auto shadow-lg">
@@ -293,6 +396,7 @@ export default function TrueMultiDebateViewer({ messages, activeDebates, onMetri
                                 key={debate.id}
                                 debate={debate}
                                 messages={messages}
+                                coalitionGraph={coalitions.get(debate.id)}
                                 onTopicChange={handleTopicChange}
                                 onStop={handleStopDebate}
                                 index={index}
@@ -0,0 +1,137 @@
+// Debate replay hook - loads a stored debate's timeline for the scrubber and
+// plays it back through the server's SSE replay stream
+import { useState, useEffect, useCallback, useRef } from 'react';
+import api from '../services/api';
+import { applyReplayEvent, emptyReplayState, replayStateAt } from '../utils/replay.js';
+
+const REPLAY_EVENT_TYPES = ['message', 'stance', 'key_moment'];
+
+export const useDebateReplay = (debateId) => {
+    const [timeline, setTimeline] = useState(null);
+    const [state, setState] = useState(emptyReplayState);
+    const [status, setStatus] = useState('idle'); // idle, loading, paused, playing, ended, error
+    const [speed, setSpeed] = useState(1);
+    const [error, setError] = useState(null);
+    const sourceRef = useRef(null);
+    const offsetRef = useRef(0);
+
+    const closeStream = useCallback(() => {
+        sourceRef.current?.close();
+        sourceRef.current = null;
+    }, []);
+
+    // Load the full timeline whenever the debate changes; playback starts paused
+    useEffect(() => {
+        closeStream();
+        setTimeline(null);
+        setState(emptyReplayState());
+        offsetRef.current = 0;
+        if (!debateId) {
+            setStatus('idle');
+            return;
+        }
+
+        let cancelled = false;
+        setStatus('loading');
+        setError(null);
+        api.getDebateReplay(debateId)
+            .then(data => {
+                if (cancelled) return;
+                setTimeline(data);
+                setStatus('paused');
+            })
+            .catch(err => {
+                if (cancelled) return;
+                setError(err.message);
+                setStatus('error');
+            });
+
+        return () => {
+            cancelled = true;
+            closeStream();
+        };
+    }, [debateId, closeStream]);
+
+    const openStream = useCallback((fromMs, playbackSpeed) => {
+        closeStream();
+        if (typeof EventSource === 'undefined') {
+            setError('Replay needs EventSource support');
+            setStatus('error');
+            return;
+        }
+
+        // The server flushes everything before fromMs as catch-up, so start clean
+        let replayed = { ...emptyReplayState(), offsetMs: fromMs };
+        setState(replayed);
+        offsetRef.current = fromMs;
+
+        const source = new EventSource(api.getDebateReplayStreamUrl(debateId, { speed: playbackSpeed, fromMs }));
+        sourceRef.current = source;
+
+        const handleEvent = (message) => {
+            const event = JSON.parse(message.data);
+            replayed = applyReplayEvent(replayed, event, debateId);
+            offsetRef.current = replayed.offsetMs;
+            setState(replayed);
+        };
+        REPLAY_EVENT_TYPES.forEach(type => source.addEventListener(type, handleEvent));
+
+        source.addEventListener('end', () => {
+            closeStream();
+            setStatus('ended');
+        });
+        source.onerror = () => {
+            // EventSource would reconnect and restart from `from`; treat it as a pause instead
+            closeStream();
+            setStatus(prev => (prev === 'playing' ? 'paused' : prev));
+        };
+
+        setStatus('playing');
+    }, [debateId, closeStream]);
+
+    const play = useCallback(() => {
+        if (!timeline) return;
+        const from = status === 'ended' ? 0 : offsetRef.current;
+        openStream(from, speed);
+    }, [timeline, status, speed, openStream]);
+
+    const pause = useCallback(() => {
+        closeStream();
+        setStatus('paused');
+    }, [closeStream]);
+
+    const seek = useCallback((offsetMs) => {
+        if (!timeline) return;
+        if (status === 'playing') {
+            openStream(offsetMs, speed);
+            return;
+        }
+        const snapshot = replayStateAt(timeline.events, offsetMs, debateId);
+        offsetRef.current = offsetMs;
+        setState(snapshot);
+        setStatus('paused');
+    }, [timeline, status, speed, openStream, debateId]);
+
+    const changeSpeed = useCallback((nextSpeed) => {
+        setSpeed(nextSpeed);
+        if (status === 'playing') {
+            openStream(offsetRef.current, nextSpeed);
+        }
+    }, [status, openStream]);
+
+    return {
+        timeline,
+        ...state,
+        durationMs: timeline?.durationMs || 0,
+        timelineMoments: (timeline?.events || []).filter(event => event.type === 'key_moment'),
+        status,
+        speed,
+        error,
+        play,
+        pause,
+        seek,
+        setSpeed: changeSpeed
+    };
+};
+
+export default useDebateReplay;
@@ -82,20 +82,32 @@ export class StanceStreamAPI {
     }
 
     async post(endpoint, data, options = {}) {
+        return this.send('POST', endpoint, data, options);
+    }
+
+    async put(endpoint, data, options = {}) {
+        return this.send('PUT', endpoint, data, options);
+    }
+
+    async delete(endpoint, options = {}) {
+        return this.send('DELETE', endpoint, undefined, options);
+    }
+
+    async send(method, endpoint, data, options = {}) {
         const {
             timeout = REQUEST_TIMEOUT,
             retry = false,
             maxRetries = 2,
             retryDelay = 1000
-        } = options; // POST usually shouldn't retry by default
+        } = options; // Writes usually shouldn't retry by default
         
         const makeRequest = () => {
             const response = this.fetchImpl(buildApiUrl(endpoint), {
-                method: 'POST',
+                method,
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify(data),
+                body: data === undefined ? undefined : JSON.stringify(data),
                 signal: this.createTimeoutSignal(timeout)
             });
             
@@ -116,7 +128,7 @@ export class StanceStreamAPI {
                 console.error(`⏰ API request timeout: ${endpoint}`);
                 throw new Error(`Request timeout - please check your connection`);
             }
-            console.error(`❌ API POST error for ${endpoint}:`, error);
+            console.error(`❌ API ${method} error for ${endpoint}:`, error);
             throw error;
         }
     }
@@ -130,14 +142,70 @@ export class StanceStreamAPI {
         return this.post(`/agent/${agentId}/update`, updates);
     }
 
+    // Agent persona library
+    async getAgents() {
+        return this.get('/agents');
+    }
+
+    async getAgent(agentId) {
+        return this.get(`/agents/${agentId}`);
+    }
+
+    async createAgent(profile) {
+        return this.post(`/agents/${profile.id}`, profile);
+    }
+
+    async saveAgent(profile) {
+        return this.put(`/agents/${profile.id}`, profile);
+    }
+
+    async deleteAgent(agentId) {
+        return this.delete(`/agents/${agentId}`);
+    }
+
+    async getAgentVersions(agentId) {
+        return this.get(`/agents/${agentId}/versions`);
+    }
+
+    async rollbackAgent(agentId, version) {
+        return this.post(`/agents/${agentId}/rollback`, { version });
+    }
+
+    getPersonaPackUrl(format = 'json') {
+        return buildApiUrl(`/persona-packs/export?format=${format}`);
+    }
+
+    async importPersonaPack(content, format = 'json', overwrite = false) {
+        return this.post('/persona-packs/import', { content, format, overwrite });
+    }
+
     async getAgentMemory(agentId, debateId, limit = 5) {
         return this.get(`/agent/${agentId}/memory/${debateId}?limit=${limit}`);
     }
 
+    async getAgentMemories(agentId, query = '', limit = 10) {
+        const params = new URLSearchParams({ limit });
+        if (query) params.set('query', query);
+        return this.get(`/agent/${agentId}/memories?${params}`);
+    }
+
+    async forgetAgentMemories(agentId) {
+        return this.delete(`/agent/${agentId}/memories`);
+    }
+
     async getAgentStance(agentId, debateId, topic) {
         return this.get(`/agent/${agentId}/stance/${debateId}/${topic}`);
     }
 
+    // Stance dimensions
+    async getStanceDimensions() {
+        return this.get('/stance-dimensions');
+    }
+
+    async mergeStanceDimensions(source, target) {
+        return this.post('/stance-dimensions/merge', { source, target });
+    }
+
     // Debate methods
     async startDebate(config = {}) {
         return this.post('/debate/start', config);
@@ -147,6 +215,43 @@ export class StanceStreamAPI {
         return this.post(`/debate/${debateId}/stop`, {});
     }
 
+    async pauseDebate(debateId) {
+        return this.post(`/debate/${debateId}/pause`, {});
+    }
+
+    async resumeDebate(debateId) {
+        return this.post(`/debate/${debateId}/resume`, {});
+    }
+
+    async stepDebate(debateId) {
+        return this.post(`/debate/${debateId}/step`, {});
+    }
+
+    // Human participant seats
+    async joinDebate(debateId, agentId, name) {
+        return this.post(`/debate/${debateId}/join`, { agentId, name });
+    }
+
+    async leaveDebate(debateId, agentId) {
+        return this.post(`/debate/${debateId}/leave`, { agentId });
+    }
+
+    async submitHumanTurn(debateId, agentId, message) {
+        return this.post(`/debate/${debateId}/human-turn`, { agentId, message });
+    }
+
+    // News-seeded debates
+    async getNewsArticles({ query, category, max = 10 } = {}) {
+        const params = new URLSearchParams({ max: String(max) });
+        if (query) params.set('query', query);
+        if (category) params.set('category', category);
+        return this.get(`/news?${params}`);
+    }
+
+    async startDebateFromNews(config = {}) {
+        return this.post('/debate/from-news', config);
+    }
+
     async stopAllDebates() {
         return this.post('/debates/stop-all', {});
     }
@@ -155,6 +260,67 @@ export class StanceStreamAPI {
         return this.get(`/debate/${debateId}/messages?limit=${limit}`);
     }
 
+    async getStanceReasons(debateId, agentId) {
+        const query = agentId ? `?agentId=${encodeURIComponent(agentId)}` : '';
+        return this.get(`/debate/${debateId}/stance-reasons${query}`);
+    }
+
+    async getCoalitions(debateId) {
+        return this.get(`/debate/${debateId}/coalitions`);
+    }
+
+    // ?rebuild=true re-extracts the map from the first message
+    async getArgumentMap(debateId, { rebuild = false } = {}) {
+        return this.get(`/debate/${debateId}/argument-map${rebuild ? '?rebuild=true' : ''}`);
+    }
+
+    async getDebateVerdict(debateId) {
+        return this.get(`/debate/${debateId}/verdict`);
+    }
+
+    // Debate forks: branch at a message, walk the fork tree, compare branches
+    async forkDebate(debateId, fork) {
+        return this.post(`/debate/${debateId}/fork`, fork);
+    }
+
+    async getDebateForks(debateId) {
+        return this.get(`/debate/${debateId}/forks`);
+    }
+
+    async compareDebates(debateId, otherId) {
+        return this.get(`/debate/${debateId}/compare/${otherId}`);
+    }
+
+    // Tournaments and the Elo leaderboard
+    async createTournament(tournament) {
+        return this.post('/tournaments', tournament);
+    }
+
+    async getTournaments() {
+        return this.get('/tournaments');
+    }
+
+    async getTournament(id) {
+        return this.get(`/tournaments/${id}`);
+    }
+
+    async getLeaderboard(limit = 20) {
+        return this.get(`/leaderboard?limit=${limit}`);
+    }
+
+    async getDebateAudience(debateId) {
+        return this.get(`/debate/${debateId}/audience`);
+    }
+
+    // Debate replay: the whole stored timeline, or an SSE URL that plays it back
+    async getDebateReplay(debateId) {
+        return this.get(`/debate/${debateId}/replay?format=json`);
+    }
+
+    getDebateReplayStreamUrl(debateId, { speed = 1, fromMs = 0 } = {}) {
+        return buildApiUrl(`/debate/${debateId}/replay?speed=${speed}&from=${Math.floor(fromMs)}`);
+    }
+
     // Health check with retry for critical connectivity
     async getHealth() {
         return this.get('/health', { retry: true });
@@ -207,6 +373,56 @@ export class StanceStreamAPI {
         return this.get('/cache/metrics');
     }
 
+    // Cache browser: filters are topic, agentId, debateId, minHits, maxHits,
+    // minAgeSeconds, maxAgeSeconds and pinned
+    async getCacheEntries({ offset = 0, limit = 20, sort = 'newest', ...filters } = {}) {
+        const params = new URLSearchParams({ offset, limit, sort });
+        for (const [name, value] of Object.entries(filters)) {
+            if (value !== undefined && value !== '') params.set(name, value);
+        }
+        return this.get(`/cache/entries?${params}`);
+    }
+
+    async searchCacheEntries(prompt, { topic, limit = 10 } = {}) {
+        return this.post('/cache/entries/search', { prompt, limit, ...(topic && { topic }) });
+    }
+
+    async deleteCacheEntry(id) {
+        return this.delete(`/cache/entries/${id}`);
+    }
+
+    async deleteCacheEntries(filters, { includePinned = false } = {}) {
+        const params = new URLSearchParams(filters);
+        if (includePinned) params.set('includePinned', 'true');
+        return this.delete(`/cache/entries?${params}`);
+    }
+
+    async setCacheEntryPinned(id, pinned) {
+        return pinned
+            ? this.post(`/cache/entries/${id}/pin`, {})
+            : this.delete(`/cache/entries/${id}/pin`);
+    }
+
+    async reportBadCacheHit(id) {
+        return this.post(`/cache/entries/${id}/bad-hit`, {});
+    }
+
+    async warmCache({ topics, agents, withinHours, turns, maxTokens } = {}) {
+        return this.post('/cache/warm', { topics, agents, withinHours, turns, maxTokens });
+    }
+
+    async getCacheWarmJob() {
+        return this.get('/cache/warm');
+    }
+
+    async getCacheThresholds() {
+        return this.get('/cache/thresholds');
+    }
+
+    async setCacheThreshold({ topic, agentId, threshold, locked = true }) {
+        return this.put('/cache/thresholds', { topic, agentId, threshold, locked });
+    }
+
     // Get business intelligence summary and ROI analysis
     async getBusinessSummary() {
         return this.get('/business/summary');
@@ -0,0 +1,56 @@
+// Debate replay helpers - turn /debate/:id/replay events into the shapes the
+// live views already render (DebatePanel messages, StanceEvolutionChart rows)
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+export const emptyReplayState = () => ({
+    messages: [],
+    stanceData: [],
+    keyMoments: [],
+    stances: {},
+    offsetMs: 0
+});
+
+// Fold one replay event into the accumulated state (returns a new object)
+export const applyReplayEvent = (state, event, debateId) => {
+    const next = { ...state, offsetMs: Math.max(state.offsetMs, event.offsetMs || 0) };
+
+    if (event.type === 'message') {
+        next.messages = [...state.messages, {
+            id: event.id,
+            sender: event.agentId,
+            agentId: event.agentId,
+            text: event.message,
+            timestamp: event.timestamp,
+            debateId,
+            authorType: event.authorType
+        }];
+    } else if (event.type === 'stance') {
+        const stances = { ...state.stances, [event.agentId]: event.value };
+        next.stances = stances;
+        // One column per agent seen so far, keyed by agent id
+        next.stanceData = [...state.stanceData, {
+            timestamp: event.timestamp,
+            turn: event.offsetMs,
+            debateId,
+            ...stances
+        }];
+    } else if (event.type === 'key_moment') {
+        next.keyMoments = [...state.keyMoments, { ...event.moment, offsetMs: event.offsetMs }];
+    }
+
+    return next;
+};
+
+// State of the debate as it stood at offsetMs into the timeline
+export const replayStateAt = (events = [], offsetMs, debateId) =>
+    events
+        .filter(event => event.offsetMs <= offsetMs)
+        .reduce((state, event) => applyReplayEvent(state, event, debateId), { ...emptyReplayState(), offsetMs });
+
+export const formatReplayClock = (ms = 0) => {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+};
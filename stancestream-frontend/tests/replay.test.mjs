@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyReplayEvent, emptyReplayState, formatReplayClock, replayStateAt } from '../src/utils/replay.js';
+
+const events = [
+  { type: 'message', offsetMs: 0, id: '1-0', agentId: 'senatorbot', message: 'Opening.', timestamp: '2026-01-01T12:00:00.000Z' },
+  { type: 'stance', offsetMs: 1000, agentId: 'senatorbot', value: 0.4, timestamp: '2026-01-01T12:00:01.000Z' },
+  { type: 'stance', offsetMs: 3000, agentId: 'reformerbot', value: -0.2, timestamp: '2026-01-01T12:00:03.000Z' },
+  { type: 'key_moment', offsetMs: 4000, moment: { id: 'km1', type: 'stance_flip' }, timestamp: '2026-01-01T12:00:04.000Z' }
+];
+
+test('applyReplayEvent maps messages and carries stance values forward', () => {
+  let state = emptyReplayState();
+  for (const event of events) state = applyReplayEvent(state, event, 'd1');
+
+  assert.equal(state.messages[0].text, 'Opening.');
+  assert.equal(state.messages[0].debateId, 'd1');
+  assert.deepEqual(state.stanceData.at(-1), {
+    timestamp: '2026-01-01T12:00:03.000Z', turn: 3000, debateId: 'd1', senatorbot: 0.4, reformerbot: -0.2
+  });
+  assert.equal(state.keyMoments[0].offsetMs, 4000);
+  assert.equal(state.offsetMs, 4000);
+});
+
+test('applyReplayEvent keys stance rows by the debating agents', () => {
+  const state = [
+    { type: 'stance', offsetMs: 0, agentId: 'economistbot', value: 0.1, timestamp: '2026-01-01T12:00:00.000Z' },
+    { type: 'stance', offsetMs: 500, agentId: 'ethicistbot', value: -0.3, timestamp: '2026-01-01T12:00:00.500Z' }
+  ].reduce((acc, event) => applyReplayEvent(acc, event, 'd2'), emptyReplayState());
+
+  assert.deepEqual(state.stanceData.at(-1), {
+    timestamp: '2026-01-01T12:00:00.500Z', turn: 500, debateId: 'd2', economistbot: 0.1, ethicistbot: -0.3
+  });
+});
+
+test('replayStateAt rebuilds the debate as it stood at a scrubber position', () => {
+  const state = replayStateAt(events, 2000, 'd1');
+
+  assert.equal(state.messages.length, 1);
+  assert.equal(state.stanceData.length, 1);
+  assert.equal(state.keyMoments.length, 0);
+  assert.equal(state.offsetMs, 2000);
+  assert.equal(formatReplayClock(65000), '1:05');
+});
@@ -1,8 +1,7 @@
 import 'dotenv/config';
 import { createClient } from 'redis';
-import OpenAI from 'openai';
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+import { generateCompletion } from './llmProvider.js';
+import { argumentMapKey, formatArgumentMap } from './argumentMap.js';
 
 export async function summarizeDebate(debateId, maxMessages = 20) {
     const client = createClient({ url: process.env.REDIS_URL });
@@ -51,6 +50,10 @@ export async function summarizeDebate(debateId, maxMessages = 20) {
             .map(([id, profile]) => `${id} (${profile.name}): ${profile.role}, stance on climate policy: ${(profile.stance?.climate_policy * 100 || 50).toFixed(0)}%`)
             .join('\n');
 
+        // The background analyzer's argument map, when there is one, shows
+        // which claims were backed, rebutted or conceded across the whole debate
+        const argumentOutline = formatArgumentMap(await client.json.get(argumentMapKey(debateId)));
+
         // Generate summary using OpenAI
         const summaryPrompt = `
 You are analyzing a political debate between AI agents. Please provide a concise summary of the key points, arguments, and any notable shifts in positions.
@@ -60,27 +63,29 @@ ${agentContext}
 
 DEBATE TRANSCRIPT:
 ${formattedMessages}
-
+${argumentOutline ? `
+ARGUMENT MAP (claims with the premises, rebuttals and concessions aimed at them):
+${argumentOutline}
+` : ''}
 Please provide a structured summary including:
-1. Key Arguments from each side
-2. Main topics of disagreement
+1. Key Arguments from each side, and which of them went unanswered
+2. Main topics of disagreement, and any points conceded
 3. Any notable rhetorical strategies
 4. Overall debate quality and progression
 
 Keep the summary concise but informative (200-400 words).
 `;
 
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-4',
+        const completion = await generateCompletion({
             messages: [
                 { role: 'system', content: 'You are an expert political analyst specializing in debate analysis and summarization.' },
                 { role: 'user', content: summaryPrompt }
             ],
-            max_tokens: 600,
+            maxTokens: 600,
             temperature: 0.3
         });
 
-        const summary = completion.choices[0].message.content;
+        const summary = completion.text;
 
         // Store summary in Redis for future reference
         const summaryKey = `debate:${debateId}:summary:${Date.now()}`;
@@ -90,7 +95,7 @@ Keep the summary concise but informative (200-400 words).
             messageCount: messages.length,
             agents: uniqueAgents,
             generatedAt: new Date().toISOString(),
-            model: 'gpt-4'
+            model: completion.model
         });
 
         console.log(`✅ Summary generated and stored at: ${summaryKey}`);
@@ -0,0 +1,482 @@
+/**
+ * In-memory Redis client for unit tests
+ *
+ * Implements the node-redis commands the modules under test call, with the
+ * replies real Redis gives: hash values come back as strings, missing keys
+ * as null or empty collections, TTL as -2 / -1 / seconds, and commands on a
+ * key of the wrong type throw WRONGTYPE. RediSearch queries and Lua scripts
+ * are not emulated - stub `client.ft.search` or `client.eval` in the tests
+ * that need them.
+ *
+ * Usage:
+ *     const client = stubRedisManager();            // redisManager.execute runs against it
+ *     await client.json.set('debate:d1:state', '$', { round: 2 });
+ *     afterEach(() => sinon.restore());
+ */
+
+import sinon from 'sinon';
+import redisManager from '../../redisManager.js';
+
+const WRONGTYPE = 'WRONGTYPE Operation against a key holding the wrong kind of value';
+
+const toArray = (value) => (Array.isArray(value) ? value : [value]);
+const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+const toHashValue = (value) => (Buffer.isBuffer(value) ? value : String(value));
+
+function globToRegExp(pattern) {
+    const source = pattern.replace(/[.+^${}()|\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
+
+function parseStreamId(id, fallbackSeq) {
+    const [ms, seq] = String(id).split('-');
+    return [Number(ms), seq === undefined ? fallbackSeq : Number(seq)];
+}
+
+const compareIds = (a, b) => a[0] - b[0] || a[1] - b[1];
+
+// ZRANGE score bounds: numbers, -inf / +inf, or (exclusive
+function parseScore(bound) {
+    const text = String(bound);
+    const exclusive = text.startsWith('(');
+    const number = text.replace(/^\(/, '');
+    const value = number === '-inf' ? -Infinity : number === '+inf' || number === 'inf' ? Infinity : Number(number);
+    return { value, exclusive };
+}
+
+function inScoreRange(score, min, max) {
+    const low = parseScore(min);
+    const high = parseScore(max);
+    return (low.exclusive ? score > low.value : score >= low.value)
+        && (high.exclusive ? score < high.value : score <= high.value);
+}
+
+function parseJsonPath(path = '$') {
+    const trimmed = path.replace(/^\$/, '').replace(/^\./, '');
+    return trimmed === '' ? [] : trimmed.split('.');
+}
+
+/**
+ * @returns {Object} A fresh client with an empty keyspace
+ */
+export function createFakeRedis() {
+    // key -> { type, value, expiresAt }
+    const keyspace = new Map();
+
+    const entry = (key) => {
+        const found = keyspace.get(key);
+        if (found && found.expiresAt !== null && found.expiresAt <= Date.now()) {
+            keyspace.delete(key);
+            return undefined;
+        }
+        return found;
+    };
+
+    const read = (key, type) => {
+        const found = entry(key);
+        if (!found) return undefined;
+        if (found.type !== type) throw new Error(WRONGTYPE);
+        return found.value;
+    };
+
+    const write = (key, type, create) => {
+        const found = entry(key);
+        if (found) {
+            if (found.type !== type) throw new Error(WRONGTYPE);
+            return found.value;
+        }
+        const value = create();
+        keyspace.set(key, { type, value, expiresAt: null });
+        return value;
+    };
+
+    // Collections that become empty are removed, as in Redis
+    const dropIfEmpty = (key, size) => {
+        if (size === 0) keyspace.delete(key);
+    };
+
+    const liveKeys = () => [...keyspace.keys()].filter((key) => entry(key));
+
+    const client = {
+        keyspace,
+
+        ping: async () => 'PONG',
+        publish: async () => 0,
+
+        // Keys
+
+        exists: async (keys) => toArray(keys).filter((key) => entry(key)).length,
+        del: async (keys) => toArray(keys).filter((key) => entry(key) && keyspace.delete(key)).length,
+        type: async (key) => entry(key)?.type ?? 'none',
+        keys: async (pattern) => liveKeys().filter((key) => globToRegExp(pattern).test(key)),
+        // COUNT keys are visited per call, before MATCH filters them, as in Redis
+        scan: async (cursor, { MATCH = '*', TYPE, COUNT = 10 } = {}) => {
+            const all = liveKeys();
+            const start = Number(cursor);
+            const next = start + COUNT >= all.length ? '0' : String(start + COUNT);
+            return {
+                cursor: next,
+                keys: all.slice(start, start + COUNT)
+                    .filter((key) => globToRegExp(MATCH).test(key) && (!TYPE || keyspace.get(key).type === TYPE))
+            };
+        },
+        expire: async (key, seconds) => {
+            const found = entry(key);
+            if (!found) return 0;
+            found.expiresAt = Date.now() + seconds * 1000;
+            return 1;
+        },
+        persist: async (key) => {
+            const found = entry(key);
+            if (!found || found.expiresAt === null) return 0;
+            found.expiresAt = null;
+            return 1;
+        },
+        ttl: async (key) => {
+            const found = entry(key);
+            if (!found) return -2;
+            if (found.expiresAt === null) return -1;
+            return Math.ceil((found.expiresAt - Date.now()) / 1000);
+        },
+        memoryUsage: async (key) => {
+            const found = entry(key);
+            if (!found) return null;
+            const value = found.value instanceof Map ? [...found.value] : found.value instanceof Set ? [...found.value] : found.value;
+            return 64 + Buffer.byteLength(JSON.stringify(value) ?? '');
+        },
+
+        // Strings
+
+        get: async (key) => read(key, 'string') ?? null,
+        set: async (key, value, { NX, XX, EX, PX } = {}) => {
+            const exists = Boolean(entry(key));
+            if ((NX && exists) || (XX && !exists)) return null;
+            const ttlMs = EX ? EX * 1000 : PX ?? null;
+            keyspace.set(key, { type: 'string', value: String(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+            return 'OK';
+        },
+        incrBy: async (key, by) => {
+            const next = (parseInt(read(key, 'string'), 10) || 0) + by;
+            const found = entry(key);
+            keyspace.set(key, { type: 'string', value: String(next), expiresAt: found?.expiresAt ?? null });
+            return next;
+        },
+        incr: async (key) => client.incrBy(key, 1),
+
+        // Hashes
+
+        hSet: async (key, field, value) => {
+            const hash = write(key, 'hash', () => ({}));
+            const update = typeof field === 'object' ? field : { [field]: value };
+            let added = 0;
+            for (const [name, fieldValue] of Object.entries(update)) {
+                if (!(name in hash)) added++;
+                hash[name] = toHashValue(fieldValue);
+            }
+            return added;
+        },
+        hSetNX: async (key, field, value) => {
+            const hash = write(key, 'hash', () => ({}));
+            if (field in hash) return 0;
+            hash[field] = toHashValue(value);
+            return 1;
+        },
+        hGet: async (key, field) => read(key, 'hash')?.[field] ?? null,
+        hmGet: async (key, fields) => {
+            const hash = read(key, 'hash') ?? {};
+            return fields.map((field) => hash[field] ?? null);
+        },
+        hGetAll: async (key) => ({ ...read(key, 'hash') }),
+        hKeys: async (key) => Object.keys(read(key, 'hash') ?? {}),
+        hLen: async (key) => Object.keys(read(key, 'hash') ?? {}).length,
+        hExists: async (key, field) => (field in (read(key, 'hash') ?? {}) ? 1 : 0),
+        hDel: async (key, fields) => {
+            const hash = read(key, 'hash');
+            if (!hash) return 0;
+            const removed = toArray(fields).filter((field) => field in hash && delete hash[field]).length;
+            dropIfEmpty(key, Object.keys(hash).length);
+            return removed;
+        },
+        hIncrBy: async (key, field, by) => {
+            const hash = write(key, 'hash', () => ({}));
+            const next = (parseInt(hash[field], 10) || 0) + by;
+            hash[field] = String(next);
+            return next;
+        },
+        hIncrByFloat: async (key, field, by) => {
+            const hash = write(key, 'hash', () => ({}));
+            const next = (parseFloat(hash[field]) || 0) + by;
+            hash[field] = String(next);
+            return String(next);
+        },
+
+        // Sets
+
+        sAdd: async (key, members) => {
+            const set = write(key, 'set', () => new Set());
+            return toArray(members).map(String).filter((member) => !set.has(member) && set.add(member)).length;
+        },
+        sRem: async (key, members) => {
+            const set = read(key, 'set');
+            if (!set) return 0;
+            const removed = toArray(members).map(String).filter((member) => set.delete(member)).length;
+            dropIfEmpty(key, set.size);
+            return removed;
+        },
+        sMembers: async (key) => [...(read(key, 'set') ?? [])],
+        sIsMember: async (key, member) => (read(key, 'set')?.has(String(member)) ? 1 : 0),
+        sCard: async (key) => read(key, 'set')?.size ?? 0,
+
+        // Sorted sets
+
+        zAdd: async (key, members) => {
+            const zset = write(key, 'zset', () => new Map());
+            let added = 0;
+            for (const { score, value } of toArray(members)) {
+                if (!zset.has(String(value))) added++;
+                zset.set(String(value), Number(score));
+            }
+            return added;
+        },
+        zRem: async (key, members) => {
+            const zset = read(key, 'zset');
+            if (!zset) return 0;
+            const removed = toArray(members).map(String).filter((member) => zset.delete(member)).length;
+            dropIfEmpty(key, zset.size);
+            return removed;
+        },
+        zScore: async (key, member) => read(key, 'zset')?.get(String(member)) ?? null,
+        zCard: async (key) => read(key, 'zset')?.size ?? 0,
+        zRangeWithScores: async (key, start, stop, { BY, REV } = {}) => {
+            const sorted = [...(read(key, 'zset') ?? new Map())]
+                .map(([value, score]) => ({ value, score }))
+                .sort((a, b) => a.score - b.score || a.value.localeCompare(b.value));
+            if (BY === 'SCORE') {
+                const [min, max] = REV ? [stop, start] : [start, stop];
+                const inRange = sorted.filter(({ score }) => inScoreRange(score, min, max));
+                return REV ? inRange.reverse() : inRange;
+            }
+            const ordered = REV ? sorted.reverse() : sorted;
+            const last = stop < 0 ? ordered.length + stop : stop;
+            return ordered.slice(start < 0 ? Math.max(ordered.length + start, 0) : start, last + 1);
+        },
+        zRange: async (key, start, stop, options) =>
+            (await client.zRangeWithScores(key, start, stop, options)).map(({ value }) => value),
+        zRangeByScore: async (key, min, max) => client.zRange(key, min, max, { BY: 'SCORE' }),
+
+        // Lists
+
+        rPush: async (key, values) => {
+            const list = write(key, 'list', () => []);
+            list.push(...toArray(values).map(String));
+            return list.length;
+        },
+        lPush: async (key, values) => {
+            const list = write(key, 'list', () => []);
+            list.unshift(...toArray(values).map(String).reverse());
+            return list.length;
+        },
+        lLen: async (key) => read(key, 'list')?.length ?? 0,
+        lRange: async (key, start, stop) => {
+            const list = read(key, 'list') ?? [];
+            const last = stop < 0 ? list.length + stop : stop;
+            return list.slice(start < 0 ? Math.max(list.length + start, 0) : start, last + 1);
+        },
+        lTrim: async (key, start, stop) => {
+            const list = read(key, 'list');
+            if (!list) return 'OK';
+            const kept = await client.lRange(key, start, stop);
+            list.splice(0, list.length, ...kept);
+            dropIfEmpty(key, list.length);
+            return 'OK';
+        },
+
+        // Streams
+
+        xAdd: async (key, id, message) => {
+            const stream = write(key, 'stream', () => ({ entries: [], last: [0, 0] }));
+            let next;
+            if (id === '*') {
+                const now = Date.now();
+                next = now > stream.last[0] ? [now, 0] : [stream.last[0], stream.last[1] + 1];
+            } else {
+                next = parseStreamId(id, 0);
+                if (compareIds(next, stream.last) <= 0) {
+                    throw new Error('ERR The ID specified in XADD is equal or smaller than the target stream top item');
+                }
+            }
+            stream.last = next;
+            const entryId = next.join('-');
+            stream.entries.push({ id: entryId, message: Object.fromEntries(
+                Object.entries(message).map(([field, value]) => [field, String(value)])
+            ) });
+            return entryId;
+        },
+        xLen: async (key) => read(key, 'stream')?.entries.length ?? 0,
+        xRange: async (key, start, end, { COUNT } = {}) => {
+            const stream = read(key, 'stream');
+            if (!stream) return [];
+            const low = start === '-' ? [-Infinity, 0] : parseStreamId(String(start).replace(/^\(/, ''), 0);
+            const high = end === '+' ? [Infinity, 0] : parseStreamId(String(end).replace(/^\(/, ''), Infinity);
+            const lowExclusive = String(start).startsWith('(');
+            const highExclusive = String(end).startsWith('(');
+            const matches = stream.entries.filter(({ id }) => {
+                const parsed = parseStreamId(id, 0);
+                const aboveLow = lowExclusive ? compareIds(parsed, low) > 0 : compareIds(parsed, low) >= 0;
+                const belowHigh = highExclusive ? compareIds(parsed, high) < 0 : compareIds(parsed, high) <= 0;
+                return aboveLow && belowHigh;
+            });
+            return clone(COUNT === undefined ? matches : matches.slice(0, COUNT));
+        },
+        xRevRange: async (key, end, start, { COUNT } = {}) => {
+            const matches = (await client.xRange(key, start, end)).reverse();
+            return COUNT === undefined ? matches : matches.slice(0, COUNT);
+        },
+
+        // RedisJSON
+
+        json: {
+            get: async (key, { path } = {}) => {
+                const document = read(key, 'json');
+                if (document === undefined) return null;
+                let value = document;
+                for (const segment of parseJsonPath(path)) {
+                    value = value?.[segment];
+                }
+                if (path?.startsWith('$')) return value === undefined ? [] : [clone(value)];
+                return value === undefined ? null : clone(value);
+            },
+            set: async (key, path, value, { NX, XX } = {}) => {
+                const segments = parseJsonPath(path);
+                const found = entry(key);
+                if (found && found.type !== 'json') throw new Error(WRONGTYPE);
+                if (segments.length === 0) {
+                    if ((NX && found) || (XX && !found)) return null;
+                    keyspace.set(key, { type: 'json', value: clone(value), expiresAt: found?.expiresAt ?? null });
+                    return 'OK';
+                }
+                if (!found) throw new Error('ERR new objects must be created at the root');
+                const parent = segments.slice(0, -1).reduce((node, segment) => node?.[segment], found.value);
+                if (parent === null || typeof parent !== 'object') return null;
+                parent[segments.at(-1)] = clone(value);
+                return 'OK';
+            },
+            del: async (key, { path } = {}) => {
+                const segments = parseJsonPath(path);
+                if (segments.length === 0) return client.del(key);
+                const document = read(key, 'json');
+                const parent = segments.slice(0, -1).reduce((node, segment) => node?.[segment], document);
+                if (!parent || !(segments.at(-1) in parent)) return 0;
+                delete parent[segments.at(-1)];
+                return 1;
+            },
+            arrAppend: async (key, path, ...values) => {
+                const document = read(key, 'json');
+                if (document === undefined) throw new Error('ERR could not perform this operation on a key that doesn\'t exist');
+                const array = parseJsonPath(path).reduce((node, segment) => node?.[segment], document);
+                if (!Array.isArray(array)) return path.startsWith('$') ? [null] : null;
+                array.push(...values.map(clone));
+                return path.startsWith('$') ? [array.length] : array.length;
+            }
+        },
+
+        // RedisTimeSeries
+
+        ts: {
+            create: async (key) => {
+                if (entry(key)) throw new Error('ERR TSDB: key already exists');
+                write(key, 'TSDB-TYPE', () => []);
+                return 'OK';
+            },
+            add: async (key, timestamp, value) => {
+                const series = write(key, 'TSDB-TYPE', () => []);
+                const at = timestamp === '*' ? Date.now() : Number(timestamp);
+                // Default DUPLICATE_POLICY is BLOCK
+                if (series.some((sample) => sample.timestamp === at)) {
+                    throw new Error('ERR TSDB: Error at upsert, update is not supported when DUPLICATE_POLICY is set to BLOCK mode');
+                }
+                series.push({ timestamp: at, value: Number(value) });
+                series.sort((a, b) => a.timestamp - b.timestamp);
+                return at;
+            },
+            range: async (key, from, to) => {
+                const series = read(key, 'TSDB-TYPE');
+                if (!series) throw new Error('ERR TSDB: the key does not exist');
+                const low = from === '-' ? -Infinity : Number(from);
+                const high = to === '+' ? Infinity : Number(to);
+                return series.filter(({ timestamp }) => timestamp >= low && timestamp <= high).map((sample) => ({ ...sample }));
+            }
+        },
+
+        // RediSearch: indexes are tracked, queries must be stubbed
+
+        indexes: new Map(),
+        ft: {
+            create: async (name, schema, options) => {
+                if (client.indexes.has(name)) throw new Error('Index already exists');
+                client.indexes.set(name, { schema, options });
+                return 'OK';
+            },
+            dropIndex: async (name) => {
+                if (!client.indexes.delete(name)) throw new Error('Unknown Index name');
+                return 'OK';
+            },
+            info: async (name) => {
+                if (!client.indexes.has(name)) throw new Error('Unknown Index name');
+                return { indexName: name, ...client.indexes.get(name) };
+            },
+            search: async () => {
+                throw new Error('FT.SEARCH is not emulated by the fake client - stub client.ft.search');
+            }
+        },
+
+        // Lua scripts are not emulated either - stub client.eval
+
+        eval: async () => {
+            throw new Error('EVAL is not emulated by the fake client - stub client.eval');
+        },
+
+        // Transactions run their queued commands in order on exec
+
+        multi: () => {
+            const queued = [];
+            const transaction = new Proxy({}, {
+                get: (target, command) => {
+                    if (command === 'exec' || command === 'execAsPipeline') {
+                        return async () => {
+                            const replies = [];
+                            for (const run of queued) replies.push(await run());
+                            return replies;
+                        };
+                    }
+                    const namespace = client[command];
+                    if (namespace && typeof namespace === 'object') {
+                        return new Proxy({}, {
+                            get: (_, subcommand) => (...args) => {
+                                queued.push(() => namespace[subcommand](...args));
+                                return transaction;
+                            }
+                        });
+                    }
+                    return (...args) => {
+                        queued.push(() => client[command](...args));
+                        return transaction;
+                    };
+                }
+            });
+            return transaction;
+        }
+    };
+
+    return client;
+}
+
+/**
+ * Run redisManager.execute() against a fake client. Undo with sinon.restore().
+ * @param {Object} [client] - Defaults to a fresh createFakeRedis()
+ * @returns {Object} The client
+ */
+export function stubRedisManager(client = createFakeRedis()) {
+    sinon.stub(redisManager, 'execute').callsFake(async (operation) => operation(client));
+    return client;
+}
@@ -0,0 +1,188 @@
+/**
+ * Unit tests for long-term cross-debate agent memory
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { generateEnhancedPrompt } from '../../messageGenerationCore.js';
+import {
+    agentMemoriesKey,
+    decayedScore,
+    forgetMemories,
+    formatRecalledMemories,
+    listMemories,
+    recallMemories,
+    rememberDebateTurn
+} from '../../agentMemory.js';
+import { createFakeRedis, stubRedisManager } from '../helpers/fakeRedis.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shared fake with a brute-force KNN over the stored memories, returning
+// RediSearch's default 10 rows unless LIMIT asks for more
+function createMemoryClient() {
+    const client = createFakeRedis();
+    client.searches = [];
+    client.searchOptions = [];
+    client.ft.search = async (index, query, options) => {
+        client.searches.push(query);
+        client.searchOptions.push(options);
+        const agentId = query.match(/@agentId:\{([^}]*)\}/)[1].replace(/\\/g, '');
+        const excluded = query.match(/-@debateId:\{([^}]*)\}/)?.[1].replace(/\\/g, '');
+        const queryVector = [...new Float32Array(options.PARAMS.query_vector.buffer.slice(
+            options.PARAMS.query_vector.byteOffset,
+            options.PARAMS.query_vector.byteOffset + options.PARAMS.query_vector.byteLength
+        ))];
+        const documents = [];
+        for (const id of await client.keys('agent_memory:*')) {
+            const memory = await client.json.get(id);
+            if (memory.agentId !== agentId || memory.debateId === excluded) continue;
+            const dot = memory.vector.reduce((sum, value, i) => sum + value * queryVector[i], 0);
+            const norm = Math.hypot(...memory.vector) * Math.hypot(...queryVector);
+            documents.push({ id, value: { score: String(1 - dot / norm) } });
+        }
+        const { from, size } = options.LIMIT ?? { from: 0, size: 10 };
+        documents.sort((a, b) => a.value.score - b.value.score);
+        return { total: documents.length, documents: documents.slice(from, from + size) };
+    };
+    return client;
+}
+
+const vectors = {
+    'Carbon taxes fund the transition': [1, 0, 0],
+    'Markets beat mandates': [0, 1, 0],
+    'Nuclear power is clean': [0.8, 0.6, 0],
+    'Climate policy': [1, 0, 0]
+};
+const embed = async (text) => vectors[text];
+
+describe('Agent Memory', () => {
+    let fakeClient;
+    const now = new Date('2026-06-01T00:00:00.000Z');
+
+    beforeEach(() => {
+        fakeClient = stubRedisManager(createMemoryClient());
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        delete process.env.AGENT_MEMORY_MAX_ENTRIES;
+        delete process.env.AGENT_MEMORY_RETENTION_DAYS;
+    });
+
+    const turn = (debateId, speakerId, text, participantIds = ['senatorbot', 'reformerbot']) =>
+        ({ debateId, topic: 'Climate policy', speakerId, text, participantIds });
+
+    it('should remember a turn as a statement for the speaker and an argument for the others', async () => {
+        const memories = await rememberDebateTurn(turn('d1', 'reformerbot', 'Carbon taxes fund the transition'), { embed, now });
+
+        expect(memories.map(memory => [memory.agentId, memory.kind])).to.deep.equal([
+            ['senatorbot', 'opponent'],
+            ['reformerbot', 'statement']
+        ]);
+        const stored = await fakeClient.json.get(`agent_memory:${memories[0].id}`);
+        expect(stored.vector).to.deep.equal([1, 0, 0]);
+        expect(stored.speakerId).to.equal('reformerbot');
+    });
+
+    it('should not credit a human-held seat with its words', async () => {
+        const memories = await rememberDebateTurn(
+            { ...turn('d1', 'senatorbot', 'Markets beat mandates'), spokenByAgent: false },
+            { embed, now }
+        );
+        expect(memories.map(memory => memory.agentId)).to.deep.equal(['reformerbot']);
+    });
+
+    it('should recall the most relevant memories from other debates', async () => {
+        await rememberDebateTurn(turn('d1', 'senatorbot', 'Markets beat mandates'), { embed, now });
+        await rememberDebateTurn(turn('d1', 'reformerbot', 'Carbon taxes fund the transition'), { embed, now });
+        await rememberDebateTurn(turn('d2', 'senatorbot', 'Nuclear power is clean'), { embed, now });
+
+        const recalled = await recallMemories('senatorbot', 'Climate policy', {
+            k: 2, minScore: 0.1, excludeDebateId: 'd2', embed, now
+        });
+
+        expect(recalled.map(memory => memory.text)).to.deep.equal(['Carbon taxes fund the transition']);
+        expect(recalled[0]).to.include({ kind: 'opponent', similarity: 1, score: 1 });
+        expect(recalled[0]).to.not.have.property('vector');
+        expect(fakeClient.searches[0]).to.equal(
+            '(@agentId:{senatorbot} -@debateId:{d2})=>[KNN 6 @vector $query_vector AS score]'
+        );
+    });
+
+    it('should ask RediSearch for every KNN candidate, not its default 10 rows', async () => {
+        for (let index = 0; index < 12; index++) {
+            await rememberDebateTurn(turn(`d${index}`, 'senatorbot', 'Carbon taxes fund the transition'), { embed, now });
+        }
+
+        const recalled = await recallMemories('senatorbot', 'Climate policy', { k: 12, minScore: 0.1, embed, now });
+
+        expect(fakeClient.searchOptions[0].LIMIT).to.deep.equal({ from: 0, size: 36 });
+        expect(recalled).to.have.length(12);
+    });
+
+    it('should let a close old memory rank below a slightly weaker recent one', async () => {
+        await rememberDebateTurn(turn('d1', 'senatorbot', 'Carbon taxes fund the transition'),
+            { embed, now: new Date(now.getTime() - 60 * DAY_MS) });
+        await rememberDebateTurn(turn('d2', 'senatorbot', 'Nuclear power is clean'), { embed, now });
+
+        const recalled = await recallMemories('senatorbot', 'Climate policy', { minScore: 0, embed, now });
+        expect(recalled.map(memory => memory.text)).to.deep.equal([
+            'Nuclear power is clean',
+            'Carbon taxes fund the transition'
+        ]);
+        expect(recalled[1].score).to.equal(0.25);
+    });
+
+    it('should apply the retention window and entry cap', async () => {
+        process.env.AGENT_MEMORY_RETENTION_DAYS = '30';
+        process.env.AGENT_MEMORY_MAX_ENTRIES = '2';
+        const solo = (text, at) => rememberDebateTurn(
+            turn('d1', 'senatorbot', text, ['senatorbot']), { embed, now: at }
+        );
+
+        await solo('Markets beat mandates', new Date(now.getTime() - 45 * DAY_MS));
+        // Distinct times, since ties fall back to ordering by random memory id
+        await solo('Carbon taxes fund the transition', new Date(now.getTime() - 2 * DAY_MS));
+        expect(await fakeClient.keys('agent_memory:*')).to.have.length(1);
+
+        await solo('Nuclear power is clean', new Date(now.getTime() - DAY_MS));
+        await solo('Markets beat mandates', now);
+        const remaining = await listMemories('senatorbot');
+        expect(remaining.map(memory => memory.text)).to.deep.equal(['Markets beat mandates', 'Nuclear power is clean']);
+
+        expect(await forgetMemories('senatorbot')).to.equal(2);
+        expect(await fakeClient.zCard(agentMemoriesKey('senatorbot'))).to.equal(0);
+    });
+
+    it('should degrade to no memories when vector search fails', async () => {
+        fakeClient.ft.search = async () => {
+            throw new Error('unknown command FT.SEARCH');
+        };
+        expect(await recallMemories('senatorbot', 'Climate policy', { embed })).to.deep.equal([]);
+    });
+
+    it('should halve scores every half-life', () => {
+        expect(decayedScore(0.8, 30 * DAY_MS, 30)).to.be.closeTo(0.4, 1e-9);
+        expect(decayedScore(0.8, 30 * DAY_MS, 0)).to.equal(0.8);
+    });
+
+    it('should put recalled memories into the prompt', () => {
+        const longTermMemory = formatRecalledMemories([
+            { kind: 'statement', topic: 'Energy', speakerId: 'senatorbot', text: 'Markets beat mandates' },
+            { kind: 'opponent', topic: 'Energy', speakerId: 'reformerbot', text: 'Carbon taxes fund the transition' }
+        ]);
+        expect(longTermMemory).to.equal([
+            'FROM EARLIER DEBATES:',
+            '- You said (on "Energy"): Markets beat mandates',
+            '- reformerbot argued (on "Energy"): Carbon taxes fund the transition'
+        ].join('\n'));
+        expect(formatRecalledMemories([])).to.equal('');
+
+        const profile = { name: 'SenatorBot', role: 'Senator', tone: 'measured', biases: ['fiscal responsibility'] };
+        const prompt = generateEnhancedPrompt(profile, '', 'Climate policy', 1, { longTermMemory });
+        expect(prompt).to.include(longTermMemory);
+        expect(prompt).to.include('Stay consistent with what you argued in earlier debates');
+    });
+});
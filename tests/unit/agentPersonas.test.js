@@ -0,0 +1,123 @@
+/**
+ * Unit tests for the agent persona library
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+    createAgent,
+    exportPersonaPack,
+    getAgentVersions,
+    importPersonas,
+    listAgents,
+    parsePersonaPack,
+    rollbackAgent,
+    updateAgent
+} from '../../agentPersonas.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+const economist = {
+    id: 'economistbot',
+    name: 'EconomistBot',
+    role: 'Labour economist',
+    tone: 'analytical',
+    stance: { economic_risk: 0.6 },
+    biases: ['empirical evidence'],
+    persuadability: 0.6
+};
+
+const now = new Date('2026-01-01T00:00:00.000Z');
+
+describe('Agent Personas', () => {
+    let fakeClient;
+
+    beforeEach(() => {
+        fakeClient = stubRedisManager();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('CRUD and versions', () => {
+        it('should create a persona once', async () => {
+            const { profile } = await createAgent(economist, now);
+            expect(profile).to.deep.equal({ ...economist, version: 1, updatedAt: now.toISOString() });
+            expect(await fakeClient.json.get('agent:economistbot:profile')).to.deep.equal(profile);
+
+            const again = await createAgent(economist, now);
+            expect(again.error).to.equal('Agent "economistbot" already exists');
+        });
+
+        it('should list seeded agents without an id field', async () => {
+            await fakeClient.json.set('agent:senatorbot:profile', '$', { name: 'SenatorBot' });
+            await createAgent(economist, now);
+
+            const agents = await listAgents();
+            expect(agents.map(agent => agent.id)).to.deep.equal(['economistbot', 'senatorbot']);
+        });
+
+        it('should version every save and leave unknown agents alone', async () => {
+            await createAgent(economist, now);
+            const updated = await updateAgent('economistbot', { ...economist, tone: 'cautious', version: 7 });
+
+            expect(updated.version).to.equal(2);
+            expect(updated.tone).to.equal('cautious');
+            expect(await updateAgent('nobody', economist)).to.equal(null);
+
+            const versions = await getAgentVersions('economistbot');
+            expect(versions.map(entry => [entry.version, entry.note])).to.deep.equal([[2, 'update'], [1, 'create']]);
+        });
+
+        it('should roll back by saving the old profile as a new version', async () => {
+            await createAgent(economist, now);
+            await updateAgent('economistbot', { ...economist, persuadability: 0.1 });
+
+            const { profile } = await rollbackAgent('economistbot', 1);
+            expect(profile.version).to.equal(3);
+            expect(profile.persuadability).to.equal(0.6);
+            expect((await getAgentVersions('economistbot'))[0].note).to.equal('rollback to v1');
+
+            const missing = await rollbackAgent('economistbot', 9);
+            expect(missing.error).to.equal('Agent "economistbot" has no version 9');
+        });
+    });
+
+    describe('persona packs', () => {
+        it('should round-trip through YAML and JSON without version bookkeeping', () => {
+            const stored = { ...economist, version: 4, updatedAt: now.toISOString() };
+
+            for (const format of ['yaml', 'json']) {
+                const text = exportPersonaPack([stored], format, now);
+                const { agents, errors } = parsePersonaPack(text, format);
+                expect(errors).to.deep.equal([]);
+                expect(agents).to.deep.equal([economist]);
+            }
+            expect(exportPersonaPack([stored], 'yaml', now)).to.include('kind: stancestream-persona-pack');
+        });
+
+        it('should report invalid personas and keep the valid ones', () => {
+            const { agents, errors } = parsePersonaPack([economist, { id: 'broken', name: 'Broken' }]);
+            expect(agents).to.have.length(1);
+            expect(errors).to.have.length(1);
+            expect(errors[0]).to.include({ index: 1, id: 'broken' });
+            expect(errors[0].error).to.include('role');
+
+            expect(parsePersonaPack('agents: [', 'yaml').errors[0].error).to.match(/^Invalid yaml/);
+        });
+
+        it('should skip existing agents unless asked to overwrite', async () => {
+            await createAgent(economist, now);
+            const newcomer = { ...economist, id: 'historianbot', name: 'HistorianBot' };
+
+            expect(await importPersonas([economist, newcomer]))
+                .to.deep.equal({ created: ['historianbot'], updated: [], skipped: ['economistbot'] });
+
+            const result = await importPersonas([{ ...economist, tone: 'passionate' }], { overwrite: true });
+            expect(result.updated).to.deep.equal(['economistbot']);
+            expect((await fakeClient.json.get('agent:economistbot:profile')).tone).to.equal('passionate');
+            expect((await getAgentVersions('economistbot'))[0].note).to.equal('import');
+        });
+    });
+});
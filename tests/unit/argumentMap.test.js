@@ -0,0 +1,179 @@
+/**
+ * Unit tests for argument map extraction
+ */
+
+import { describe, it, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { extractReferences } from '../../enhancedAI.js';
+import {
+    addMessageToMap,
+    findRespondedUnit,
+    formatArgumentMap,
+    heuristicUnits,
+    scheduleArgumentMapUpdate,
+    updateArgumentMap
+} from '../../argumentMap.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+// An extractor that never answers, so the cue-word fallback runs
+const offline = async () => {
+    throw new Error('offline');
+};
+
+const emptyMap = () => ({ debateId: 'd1', nodes: [], edges: [], lastMessageId: null, messageCount: 0 });
+
+// Shared fake with the debate's messages, recording where each read starts
+async function createStreamClient(entries) {
+    const client = stubRedisManager();
+    for (const { id, message } of entries) await client.xAdd('debate:d1:messages', id, message);
+    sinon.spy(client, 'xRange');
+    client.ranges = () => client.xRange.args.map(args => args[1]);
+    return client;
+}
+
+const entry = (id, agentId, message) => ({ id, message: { agent_id: agentId, message } });
+
+describe('Argument Map', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('extractReferences', () => {
+        it('should find any earlier speaker named in the message', () => {
+            const context = 'senatorbot: Costs matter.\nreformerbot: Act now.\neconomistbot: Markets adapt.';
+            expect(extractReferences('As EconomistBot and senatorbot said...', context)).to.equal('senatorbot, economistbot');
+            expect(extractReferences('No names here.', context)).to.equal('');
+        });
+
+        it('should only count a speaker named as a whole word', () => {
+            const context = 'pro: Tax carbon.\ncon: Markets adapt.';
+            expect(extractReferences('This proposal hurts the economy.', context)).to.equal('');
+            expect(extractReferences('Con has it backwards.', context)).to.equal('con');
+        });
+    });
+
+    describe('heuristicUnits', () => {
+        it('should split a reply into claim, premises, rebuttals and concessions', () => {
+            const units = heuristicUnits(
+                'Carbon pricing works. Admittedly, costs rise at first. But the critics ignore the dividend. Revenue returns to households.',
+                { id: '1-0#0' }
+            );
+            expect(units).to.deep.equal([
+                { type: 'claim', text: 'Carbon pricing works.', target: null },
+                { type: 'concession', text: 'Admittedly, costs rise at first.', target: '1-0#0' },
+                { type: 'rebuttal', text: 'But the critics ignore the dividend.', target: '1-0#0' },
+                { type: 'premise', text: 'Revenue returns to households.', target: null }
+            ]);
+        });
+
+        it('should not read a bare "but" or "yet" as a rebuttal', () => {
+            expect(heuristicUnits('Costs rise at first. But savings follow, yet slowly.', { id: '1-0#0' }).map(unit => unit.type))
+                .to.deep.equal(['claim', 'premise']);
+        });
+
+        it('should only rebut or concede when there is something to answer', () => {
+            expect(heuristicUnits('However we start, costs matter.', null).map(unit => unit.type)).to.deep.equal(['claim']);
+        });
+    });
+
+    describe('addMessageToMap', () => {
+        it('should link units to the claim of the named or previous speaker', async () => {
+            const map = emptyMap();
+            await addMessageToMap(map, { id: '1-0', speakerId: 'senatorbot', text: 'Costs come first. Families are stretched.' }, { complete: offline });
+            await addMessageToMap(map, { id: '2-0', speakerId: 'economistbot', text: 'Markets adapt quickly.' }, { complete: offline });
+            await addMessageToMap(map, { id: '3-0', speakerId: 'reformerbot', text: 'SenatorBot is wrong about costs. Inaction costs more.' }, { complete: offline });
+
+            expect(map.nodes.map(node => node.id)).to.deep.equal(['1-0#0', '1-0#1', '2-0#0', '3-0#0', '3-0#1']);
+            expect(map.nodes[3]).to.include({ type: 'rebuttal', messageId: '3-0', speakerId: 'reformerbot' });
+            expect(map.edges).to.deep.equal([
+                { from: '1-0#1', to: '1-0#0', relation: 'supports' },
+                { from: '3-0#0', to: '1-0#0', relation: 'rebuts' }
+            ]);
+            expect(map.messageCount).to.equal(3);
+            expect(findRespondedUnit(map, 'senatorbot', 'That is not so.').id).to.equal('3-0#1');
+        });
+
+        it('should use the model\'s units and fall back to the responded unit for unknown targets', async () => {
+            const map = emptyMap();
+            await addMessageToMap(map, { id: '1-0', speakerId: 'senatorbot', text: 'Costs come first.' }, { complete: offline });
+
+            const complete = sinon.stub().resolves({
+                text: 'Here you go: {"units": [' +
+                    '{"type": "concession", "text": "Costs matter", "target": "1-0#0"},' +
+                    '{"type": "rebuttal", "text": "Delay costs more", "target": "made-up"},' +
+                    '{"type": "opinion", "text": "dropped", "target": null}]}'
+            });
+            await addMessageToMap(map, { id: '2-0', speakerId: 'reformerbot', text: 'Costs matter, yet delay costs more.' }, { complete });
+
+            expect(complete.firstCall.args[0].messages[1].content).to.include('[1-0#0] senatorbot (claim): Costs come first.');
+            expect(map.nodes.slice(1).map(node => node.type)).to.deep.equal(['concession', 'rebuttal']);
+            expect(map.edges).to.deep.equal([
+                { from: '2-0#0', to: '1-0#0', relation: 'concedes' },
+                { from: '2-0#1', to: '1-0#0', relation: 'rebuts' }
+            ]);
+        });
+    });
+
+    describe('updateArgumentMap', () => {
+        it('should only process messages after the last one mapped', async () => {
+            const entries = [
+                entry('1-0', 'senatorbot', 'Costs come first.'),
+                entry('2-0', 'reformerbot', 'However, inaction costs more.')
+            ];
+            const fakeClient = await createStreamClient(entries);
+
+            const first = await updateArgumentMap('d1', { complete: offline });
+            expect(first.messageCount).to.equal(2);
+
+            await fakeClient.xAdd('debate:d1:messages', '3-0', { agent_id: 'senatorbot', message: 'Fair point, but families are stretched.' });
+            const second = await scheduleArgumentMapUpdate('d1', { complete: offline });
+
+            expect(fakeClient.ranges()).to.deep.equal(['-', '(2-0']);
+            expect(second.lastMessageId).to.equal('3-0');
+            expect((await fakeClient.json.get('debate:d1:argmap')).nodes.map(node => node.type))
+                .to.deep.equal(['claim', 'rebuttal', 'concession']);
+
+            const rebuilt = await updateArgumentMap('d1', { complete: offline, rebuild: true });
+            expect(rebuilt.messageCount).to.equal(3);
+            expect(fakeClient.ranges()[2]).to.equal('-');
+        });
+
+        it('should run queued updates for a debate one after another', async () => {
+            const fakeClient = await createStreamClient([entry('1-0', 'senatorbot', 'Costs come first.')]);
+
+            const [first, second] = await Promise.all([
+                scheduleArgumentMapUpdate('d1', { complete: offline }),
+                scheduleArgumentMapUpdate('d1', { complete: offline })
+            ]);
+            expect(first.nodes).to.have.length(1);
+            expect(second.nodes).to.have.length(1);
+            expect(fakeClient.ranges()).to.deep.equal(['-', '(1-0']);
+        });
+    });
+
+    describe('formatArgumentMap', () => {
+        it('should outline each claim with what answered it', () => {
+            const map = {
+                nodes: [
+                    { id: 'a#0', type: 'claim', text: 'Costs come first.', speakerId: 'senatorbot' },
+                    { id: 'a#1', type: 'premise', text: 'Families are stretched.', speakerId: 'senatorbot' },
+                    { id: 'b#0', type: 'rebuttal', text: 'Inaction costs more.', speakerId: 'reformerbot' },
+                    { id: 'c#0', type: 'concession', text: 'Fair point.', speakerId: 'senatorbot' }
+                ],
+                edges: [
+                    { from: 'a#1', to: 'a#0', relation: 'supports' },
+                    { from: 'b#0', to: 'a#0', relation: 'rebuts' },
+                    { from: 'c#0', to: 'b#0', relation: 'concedes' }
+                ]
+            };
+            expect(formatArgumentMap(map)).to.equal([
+                '[claim] senatorbot: Costs come first.',
+                '  supports: [premise] senatorbot: Families are stretched.',
+                '  rebuts: [rebuttal] reformerbot: Inaction costs more.',
+                '    concedes: [concession] senatorbot: Fair point.'
+            ].join('\n'));
+            expect(formatArgumentMap(null)).to.equal('');
+        });
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for audience stance polling
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+    castAudienceVote,
+    getAudienceSummary,
+    summarizeTally
+} from '../../audiencePoll.js';
+import { debateStateKey } from '../../debateState.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+describe('Audience Poll', () => {
+    let fakeClient;
+    let clock;
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({ now: Date.parse('2026-10-19T12:00:00Z'), toFake: ['Date'] });
+        fakeClient = stubRedisManager();
+        sinon.spy(fakeClient, 'publish');
+        await fakeClient.json.set(debateStateKey('d1'), '$', { debateId: 'd1', status: 'running', round: 2 });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should score tallies on the -1..1 stance scale', () => {
+        expect(summarizeTally({ for: '3', against: '1' })).to.deep.equal({
+            for: 3, against: 1, neutral: 0, total: 4, score: 0.5
+        });
+        expect(summarizeTally({}).score).to.equal(0);
+    });
+
+    it('should accept one vote per client per round', async () => {
+        const first = await castAudienceVote({ debateId: 'd1', clientId: 'viewer-1', stance: 'for' });
+        const again = await castAudienceVote({ debateId: 'd1', clientId: 'viewer-1', stance: 'against' });
+
+        expect(first.accepted).to.equal(true);
+        expect(first.round).to.equal(2);
+        expect(again).to.include({ accepted: false, reason: 'Already voted this round' });
+        expect(fakeClient.publish.calledOnceWith('stance:d1')).to.equal(true);
+    });
+
+    it('should count the same client again in a later round', async () => {
+        await castAudienceVote({ debateId: 'd1', clientId: 'viewer-1', stance: 'for' });
+        await fakeClient.json.set(debateStateKey('d1'), '$', { debateId: 'd1', status: 'running', round: 3 });
+        const next = await castAudienceVote({ debateId: 'd1', clientId: 'viewer-1', stance: 'against' });
+
+        expect(next.accepted).to.equal(true);
+        expect(next.overall).to.include({ for: 1, against: 1, score: 0 });
+    });
+
+    it('should reject votes on debates that are not live or with bad stances', async () => {
+        await fakeClient.json.set(debateStateKey('d2'), '$', { debateId: 'd2', status: 'completed', round: 5 });
+        expect((await castAudienceVote({ debateId: 'd2', clientId: 'viewer-1', stance: 'for' })).accepted).to.equal(false);
+        expect((await castAudienceVote({ debateId: 'd1', clientId: 'viewer-1', stance: 'maybe' })).accepted).to.equal(false);
+    });
+
+    it('should summarize rounds and the audience series', async () => {
+        await castAudienceVote({ debateId: 'd1', clientId: 'viewer-1', stance: 'for' });
+        // Series samples need distinct timestamps
+        clock.tick(1000);
+        await castAudienceVote({ debateId: 'd1', clientId: 'viewer-2', stance: 'neutral' });
+
+        const summary = await getAudienceSummary('d1');
+        expect(summary.rounds).to.have.length(1);
+        expect(summary.rounds[0]).to.include({ round: 2, total: 2, score: 0.5 });
+        expect(summary.series.map(point => point.value)).to.deep.equal([1, 0.5]);
+    });
+});
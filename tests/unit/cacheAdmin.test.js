@@ -0,0 +1,150 @@
+/**
+ * Unit tests for semantic cache administration
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+    deleteCacheEntries,
+    getCacheEntry,
+    listCacheEntries,
+    matchesCacheFilters,
+    searchCache,
+    setCacheEntryPinned
+} from '../../cacheAdmin.js';
+import { setThreshold } from '../../cacheThresholds.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+async function addEntry(client, id, { topic, agentId, debateId, debateTopic, hits = 0, ageHours = 1, pinned = false }) {
+    const key = `cache:prompt:${id}`;
+    await client.hSet(key, {
+        original_prompt: `prompt ${id}`,
+        topic,
+        response: `response ${id}`,
+        created_at: new Date(now.getTime() - ageHours * 3600 * 1000).toISOString(),
+        metadata: JSON.stringify({ agentId, debateId, topic, debateTopic }),
+        tokens_saved: '25',
+        hit_count: String(hits),
+        ...(pinned && { pinned: '1' })
+    });
+    if (!pinned) await client.expire(key, 3600);
+}
+
+describe('Cache Administration', () => {
+    let fakeClient;
+
+    beforeEach(async () => {
+        fakeClient = stubRedisManager();
+        fakeClient.ft.search = sinon.stub();
+        // Two pages, to exercise the cursor loop
+        const scan = fakeClient.scan;
+        fakeClient.scan = (cursor, options) => scan(cursor, { ...options, COUNT: 2 });
+        await addEntry(fakeClient, 'a1', { topic: 'senatorbot:Senator:climate policy:turn1', agentId: 'senatorbot', debateId: 'd1', debateTopic: 'climate policy', hits: 4, ageHours: 30 });
+        await addEntry(fakeClient, 'a2', { topic: 'reformerbot:Reformer:climate policy:turn1', agentId: 'reformerbot', debateId: 'd1', debateTopic: 'climate policy', hits: 1, ageHours: 2 });
+        await addEntry(fakeClient, 'a3', { topic: 'senatorbot:Senator:space exploration:turn2', agentId: 'senatorbot', debateId: 'd2', hits: 9, ageHours: 5, pinned: true });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('listCacheEntries', () => {
+        it('should filter by topic, agent, hits and age, then page the results', async () => {
+            const byTopic = await listCacheEntries({ topic: 'CLIMATE', now });
+            expect(byTopic.total).to.equal(2);
+            expect(byTopic.entries.map(entry => entry.id)).to.deep.equal(['a2', 'a1']);
+
+            const busy = await listCacheEntries({ agentId: 'senatorbot', minHits: 5, now });
+            expect(busy.entries.map(entry => entry.id)).to.deep.equal(['a3']);
+            expect(busy.entries[0]).to.include({ pinned: true, ttl: null, hits: 9, debateId: 'd2' });
+
+            const stale = await listCacheEntries({ minAgeSeconds: 24 * 3600, now });
+            expect(stale.entries.map(entry => entry.id)).to.deep.equal(['a1']);
+
+            const page = await listCacheEntries({ sort: 'hits', offset: 1, limit: 1, now });
+            expect(page).to.include({ total: 3, offset: 1, limit: 1 });
+            expect(page.entries.map(entry => entry.id)).to.deep.equal(['a1']);
+        });
+
+        it('should treat entries without a creation time as failing age filters', () => {
+            const entry = { topic: 'general', hits: 0, pinned: false, createdAt: null };
+            expect(matchesCacheFilters(entry, {}, now)).to.equal(true);
+            expect(matchesCacheFilters(entry, { maxAgeSeconds: 60 }, now)).to.equal(false);
+        });
+    });
+
+    describe('deleteCacheEntries', () => {
+        it('should spare pinned entries in bulk deletes unless asked', async () => {
+            const bySenator = await deleteCacheEntries({ agentId: 'senatorbot' });
+            expect(bySenator).to.deep.equal({ deleted: ['a1'], skippedPinned: 1 });
+
+            const withPinned = await deleteCacheEntries({ agentId: 'senatorbot', includePinned: true });
+            expect(withPinned.deleted).to.deep.equal(['a3']);
+
+            expect(await deleteCacheEntries({ ids: ['a2', 'missing'] })).to.deep.equal({ deleted: ['a2'], skippedPinned: 0 });
+            expect(await fakeClient.keys('cache:prompt:*')).to.deep.equal([]);
+        });
+    });
+
+    describe('setCacheEntryPinned', () => {
+        it('should drop the TTL when pinned and restart it when unpinned', async () => {
+            const pinned = await setCacheEntryPinned('a2', true);
+            expect(pinned).to.include({ pinned: true, ttl: null });
+
+            const unpinned = await setCacheEntryPinned('a2', false);
+            expect(unpinned.pinned).to.equal(false);
+            expect(unpinned.ttl).to.be.above(0);
+
+            expect(await setCacheEntryPinned('missing', true)).to.equal(null);
+            expect(await getCacheEntry('missing')).to.equal(null);
+        });
+    });
+
+    describe('searchCache', () => {
+        it('should return the nearest entries with whether each would be served', async () => {
+            fakeClient.ft.search.resolves({
+                total: 3,
+                documents: [
+                    { id: 'cache:prompt:a1', value: { score: '0.1' } },
+                    { id: 'cache:prompt:a3', value: { score: '0.2' } },
+                    { id: 'cache:prompt:a2', value: { score: '0.5' } }
+                ]
+            });
+            const embed = sinon.stub().resolves([0.1, 0.2]);
+
+            const { threshold, results } = await searchCache('carbon tax costs', { topic: 'climate', limit: 2, embed });
+
+            expect(embed.firstCall.args[0]).to.equal('Topic: climate. carbon tax costs');
+            expect(fakeClient.ft.search.firstCall.args[1]).to.equal('*=>[KNN 10 @vector $query_vector AS score]');
+            expect(fakeClient.ft.search.firstCall.args[2].LIMIT).to.deep.equal({ from: 0, size: 10 });
+            expect(results.map(entry => [entry.id, entry.similarity, entry.wouldHit])).to.deep.equal([
+                ['a1', 0.9, true],
+                ['a2', 0.5, false]
+            ]);
+            expect(threshold).to.equal(0.65);
+        });
+
+        it('should judge each entry against its own debate topic and agent threshold', async () => {
+            fakeClient.ft.search.resolves({
+                total: 2,
+                documents: [
+                    { id: 'cache:prompt:a1', value: { score: '0.1' } },
+                    { id: 'cache:prompt:a2', value: { score: '0.5' } }
+                ]
+            });
+            await setThreshold({ topic: 'climate policy', agentId: 'senatorbot' }, { threshold: 0.95 });
+            await setThreshold({ topic: 'climate policy' }, { threshold: 0.45 });
+
+            const { results } = await searchCache('carbon tax costs', { topic: 'climate', embed: async () => [0.1, 0.2] });
+
+            expect(results.map(entry => [entry.id, entry.threshold, entry.wouldHit])).to.deep.equal([
+                ['a1', 0.95, false],
+                ['a2', 0.45, true]
+            ]);
+            expect(fakeClient.ft.search.firstCall.args[2].LIMIT).to.deep.equal({ from: 0, size: 50 });
+        });
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit tests for semantic cache eviction
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { EVICTION_STATS_KEY, evictCache, evictIfOverBudget, getEvictionStats, selectEvictions } from '../../cacheEviction.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+const entry = (id, { hits = 0, tokensSaved = 50, createdAt, lastHitAt = null, pinned = false, bytes } = {}) => ({
+    id, hits, tokensSaved, createdAt, lastHitAt, pinned, bytes
+});
+
+async function addEntry(client, id, { hits, tokensSaved, createdAt, lastHitAt, pinned = false }) {
+    const key = `cache:prompt:${id}`;
+    await client.hSet(key, {
+        original_prompt: `prompt ${id}`,
+        topic: 'general',
+        response: `response ${id}`,
+        created_at: createdAt,
+        metadata: '{}',
+        tokens_saved: String(tokensSaved),
+        hit_count: String(hits),
+        ...(lastHitAt && { last_hit_at: lastHitAt }),
+        ...(pinned && { pinned: '1' })
+    });
+    if (!pinned) await client.expire(key, 3600);
+}
+
+describe('Cache Eviction', () => {
+    describe('selectEvictions', () => {
+        const entries = [
+            entry('stale', { hits: 9, tokensSaved: 10, createdAt: '2026-10-01T00:00:00Z', lastHitAt: '2026-10-02T00:00:00Z' }),
+            entry('fresh', { hits: 1, tokensSaved: 200, createdAt: '2026-10-18T00:00:00Z' }),
+            entry('busy', { hits: 20, tokensSaved: 80, createdAt: '2026-10-05T00:00:00Z', lastHitAt: '2026-10-19T00:00:00Z' }),
+            entry('pinned', { hits: 0, createdAt: '2026-09-01T00:00:00Z', pinned: true })
+        ];
+        const ids = (policy, budget) => selectEvictions(entries, { policy, maxBytes: 0, ...budget }).map(choice => choice.id);
+
+        it('should order evictions by policy and never pick pinned entries', () => {
+            expect(ids('lru', { maxEntries: 2 })).to.deep.equal(['stale', 'fresh']);
+            expect(ids('lfu', { maxEntries: 2 })).to.deep.equal(['fresh', 'stale']);
+            // stale saved 90 tokens, fresh 200, busy 1600
+            expect(ids('cost', { maxEntries: 1 })).to.deep.equal(['stale', 'fresh', 'busy']);
+            expect(ids('lru', { maxEntries: 10 })).to.deep.equal([]);
+        });
+
+        it('should keep evicting for the memory budget once the count fits', () => {
+            const sized = entries.map(item => ({ ...item, bytes: 1000 }));
+            const chosen = selectEvictions(sized, { policy: 'lru', maxEntries: 3, maxBytes: 2500 });
+            expect(chosen).to.deep.equal([
+                { id: 'stale', reason: 'entries', bytes: 1000 },
+                { id: 'fresh', reason: 'memory', bytes: 1000 }
+            ]);
+        });
+    });
+
+    describe('evictCache', () => {
+        let fakeClient;
+
+        beforeEach(async () => {
+            fakeClient = stubRedisManager();
+            // Every entry measures 1 KB
+            fakeClient.memoryUsage = async () => 1024;
+            await addEntry(fakeClient, 'a1', { hits: 0, tokensSaved: 40, createdAt: '2026-10-10T00:00:00Z' });
+            await addEntry(fakeClient, 'a2', { hits: 5, tokensSaved: 40, createdAt: '2026-10-11T00:00:00Z', lastHitAt: '2026-10-19T00:00:00Z' });
+            await addEntry(fakeClient, 'a3', { hits: 2, tokensSaved: 40, createdAt: '2026-10-12T00:00:00Z', pinned: true });
+        });
+
+        afterEach(() => {
+            sinon.restore();
+            delete process.env.MAX_CACHE_ENTRIES;
+        });
+
+        it('should delete chosen entries and add the run to the eviction stats', async () => {
+            const result = await evictCache({ policy: 'lru', maxEntries: 2, maxMemoryMb: 1 / 1024 });
+
+            expect(result).to.include({ policy: 'lru', scanned: 3, evicted: 2, freedBytes: 2048, entriesRemaining: 1 });
+            expect(result.byReason).to.deep.equal({ entries: 1, memory: 1 });
+            expect(await fakeClient.exists('cache:prompt:a3')).to.equal(1);
+
+            await evictCache({ policy: 'lfu', maxEntries: 10, maxMemoryMb: 0 });
+            const stats = await getEvictionStats();
+            expect(stats).to.include({ runs: 2, totalEvicted: 2, freedBytes: 2048 });
+            expect(stats.lastRun).to.include({ policy: 'lfu', evicted: 0, entriesRemaining: 1 });
+        });
+
+        it('should evict on insert once the counted entries pass the budget, with headroom', async () => {
+            process.env.MAX_CACHE_ENTRIES = '4';
+            await evictCache();
+            expect(await fakeClient.hGet(EVICTION_STATS_KEY, 'entry_count')).to.equal('3');
+
+            await addEntry(fakeClient, 'a4', { hits: 0, tokensSaved: 40, createdAt: '2026-10-13T00:00:00Z' });
+            const scan = sinon.spy(fakeClient, 'scan');
+            expect(await evictIfOverBudget()).to.equal(null);
+            expect(scan.called).to.equal(false);
+
+            await addEntry(fakeClient, 'a5', { hits: 0, tokensSaved: 40, createdAt: '2026-10-14T00:00:00Z' });
+            const result = await evictIfOverBudget();
+            // 5% headroom below a budget of 4 leaves 3
+            expect(result).to.include({ evicted: 2, entriesRemaining: 3 });
+            expect((await fakeClient.keys('cache:prompt:*')).sort()).to.deep.equal([
+                'cache:prompt:a2', 'cache:prompt:a3', 'cache:prompt:a5'
+            ]);
+            expect(await fakeClient.hGet(EVICTION_STATS_KEY, 'entry_count')).to.equal('3');
+        });
+
+        it('should reject unknown policies', async () => {
+            expect(await evictCache({ policy: 'random' })).to.have.property('error');
+            expect(await fakeClient.keys('cache:prompt:*')).to.have.length(3);
+        });
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for adaptive semantic cache thresholds
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+    THRESHOLDS_KEY,
+    adjustThreshold,
+    getSimilarityThreshold,
+    getThresholdConfig,
+    listThresholds,
+    recordHitFeedback,
+    setThreshold,
+    thresholdScope
+} from '../../cacheThresholds.js';
+import { maxContextSimilarity } from '../../messageGenerationCore.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+describe('Cache Thresholds', () => {
+    beforeEach(() => {
+        stubRedisManager();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('adjustThreshold', () => {
+        it('should raise past a bad hit, relax after a good one and stay in bounds', () => {
+            const config = { base: 0.6, min: 0.5, max: 0.99, margin: 0.02, relax: 0.005 };
+            expect(adjustThreshold(0.65, 0.7, false, config)).to.equal(0.72);
+            expect(adjustThreshold(0.8, 0.7, false, config)).to.equal(0.8);
+            expect(adjustThreshold(0.65, 0.7, true, config)).to.equal(0.645);
+            expect(adjustThreshold(0.98, 0.995, false, config)).to.equal(0.99);
+        });
+
+        it('should let good hits decay a raised threshold to the base and no further', () => {
+            const config = { base: 0.6, min: 0.5, max: 0.99, margin: 0.02, relax: 0.005 };
+            expect(adjustThreshold(0.603, 0.9, true, config)).to.equal(0.6);
+            expect(adjustThreshold(0.6, 0.9, true, config)).to.equal(0.6);
+            expect(adjustThreshold(0.55, 0.9, true, config)).to.equal(0.55);
+
+            let threshold = 0.62;
+            for (let hit = 0; hit < 100; hit++) threshold = adjustThreshold(threshold, 0.9, true, config);
+            expect(threshold).to.equal(0.6);
+        });
+    });
+
+    describe('getSimilarityThreshold', () => {
+        it('should fall back from agent to topic to the global threshold', async () => {
+            const base = getThresholdConfig().base;
+            expect(await getSimilarityThreshold({ topic: 'Climate Policy', agentId: 'senatorbot' }))
+                .to.deep.equal({ threshold: base, scope: null });
+
+            await setThreshold({ topic: 'climate policy' }, { threshold: 0.7 });
+            expect(await getSimilarityThreshold({ topic: 'Climate Policy', agentId: 'senatorbot' }))
+                .to.deep.equal({ threshold: 0.7, scope: 'climate_policy|*' });
+
+            await setThreshold({ topic: 'climate policy', agentId: 'senatorbot' }, { threshold: 0.8 });
+            expect((await getSimilarityThreshold({ topic: 'climate-policy', agentId: 'senatorbot' })).threshold).to.equal(0.8);
+            expect((await getSimilarityThreshold({ topic: 'climate policy', agentId: 'reformerbot' })).threshold).to.equal(0.7);
+            expect((await getSimilarityThreshold({})).threshold).to.equal(base);
+        });
+    });
+
+    describe('recordHitFeedback', () => {
+        it('should teach both the agent and the topic-wide threshold', async () => {
+            const [agent, topic] = await recordHitFeedback({
+                topic: 'Climate Policy', agentId: 'senatorbot', similarity: 0.75, good: false, source: 'near_duplicate'
+            });
+            expect(agent).to.include({ scope: 'climate_policy|senatorbot', threshold: 0.77, badHits: 1, lastBadSimilarity: 0.75 });
+            expect(topic).to.include({ scope: 'climate_policy|*', threshold: 0.77, badHits: 1 });
+
+            const [relaxed] = await recordHitFeedback({
+                topic: 'Climate Policy', agentId: 'senatorbot', similarity: 0.9, good: true, source: 'near_duplicate'
+            });
+            expect(relaxed).to.include({ threshold: 0.765, goodHits: 1, badHits: 1 });
+        });
+
+        it('should apply concurrent feedback in order and leave locked thresholds alone', async () => {
+            await setThreshold({ topic: 'space', agentId: 'senatorbot' }, { threshold: 0.9 });
+            await Promise.all([0.7, 0.8, 0.75].map(similarity => recordHitFeedback({
+                topic: 'space', agentId: 'senatorbot', similarity, good: false, source: 'manual'
+            })));
+
+            const records = await listThresholds();
+            expect(records.map(record => record.scope)).to.deep.equal(['space|senatorbot', 'space|*']);
+            expect(records[0]).to.include({ threshold: 0.9, locked: true, badHits: 3 });
+            expect(records[1]).to.include({ threshold: 0.82, locked: false, badHits: 3 });
+            expect(thresholdScope({ topic: '  Space!! ' })).to.equal('space|*');
+        });
+    });
+
+    describe('maxContextSimilarity', () => {
+        it('should score a reply against each context line without its speaker', () => {
+            const context = [
+                'senatorbot: Carbon taxes would devastate working families across rural districts',
+                'reformerbot: We need bold action now'
+            ].join('\n');
+            const repeat = 'Carbon taxes would devastate working families across rural districts';
+            expect(maxContextSimilarity(repeat, context)).to.be.at.least(getThresholdConfig().nearDuplicate);
+            expect(maxContextSimilarity('Markets can price emissions efficiently', context)).to.equal(0);
+            expect(maxContextSimilarity('anything', '')).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,40 @@
+/**
+ * Unit tests for semantic cache topic tags
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import semanticCache, { cacheNewResponse, cacheTopicTag, getCachedResponse } from '../../semanticCache.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+const topic = 'senatorbot:Senator:Taxes, spending and growth:turn1';
+
+describe('Cache Topics', () => {
+    let fakeClient;
+
+    beforeEach(() => {
+        fakeClient = stubRedisManager();
+        fakeClient.ft.search = sinon.stub().resolves({ total: 0, documents: [] });
+        sinon.stub(semanticCache, 'generateEmbedding').resolves([0.1, 0.2]);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should keep commas out of the topic tag', () => {
+        expect(cacheTopicTag('Taxes, spending, growth')).to.equal('Taxes; spending; growth');
+        expect(cacheTopicTag('climate policy')).to.equal('climate policy');
+    });
+
+    it('should store and look up a comma topic as one tag', async () => {
+        const key = await cacheNewResponse('Opening statement', 'Cut taxes.', { topic });
+        expect(await fakeClient.hGet(key, 'topic')).to.equal('senatorbot:Senator:Taxes; spending and growth:turn1');
+
+        await getCachedResponse('Opening statement', topic);
+        const query = fakeClient.ft.search.firstCall.args[1];
+        expect(query).to.include('@topic:{senatorbot\\:Senator\\:Taxes\\;\\ spending\\ and\\ growth\\:turn1}');
+        expect(query.replace(/\\./g, '')).not.to.include(',');
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for semantic cache warming
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { scheduledWarmTargets, warmCache } from '../../cacheWarming.js';
+import { agentCacheTopic } from '../../messageGenerationCore.js';
+import { debateScheduleKey } from '../../debateSchedules.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const profiles = {
+    senatorbot: { name: 'SenatorBot', role: 'Senator', tone: 'measured', stance: { climate_policy: 0.4 } },
+    reformerbot: { name: 'ReformerBot', role: 'Reformer', tone: 'passionate', stance: { climate_policy: 0.8 } }
+};
+
+function fakeGenerate({ cachedTurns = [], tokens = 100 } = {}) {
+    return sinon.stub().callsFake(async ({ agentId, turnNumber, memoryContext }) => {
+        const turn = memoryContext ? memoryContext.split('\n').length + 1 : 1;
+        const cacheHit = cachedTurns.includes(turn);
+        return {
+            message: `${agentId} turn ${turnNumber}`,
+            cacheHit,
+            ...(!cacheHit && { tokensUsed: tokens })
+        };
+    });
+}
+
+describe('Cache Warming', () => {
+    const loadProfile = async (agentId) => profiles[agentId] ?? null;
+
+    describe('warmCache', () => {
+        it('should play each topic in turn order with earlier replies as context', async () => {
+            const generate = fakeGenerate({ cachedTurns: [1] });
+            const progress = [];
+
+            const summary = await warmCache({
+                targets: [{ topic: 'Climate policy', agents: ['senatorbot', 'reformerbot'] }],
+                turns: 3,
+                maxTokens: 1000,
+                jobId: 'warm_test',
+                generate,
+                loadProfile,
+                onProgress: update => progress.push(update)
+            });
+
+            expect(summary).to.include({ status: 'completed', generated: 2, cached: 1, failed: 0, skipped: 0, tokensUsed: 200 });
+            expect(generate.callCount).to.equal(3);
+            const third = generate.thirdCall.args[0];
+            expect(third).to.include({ agentId: 'senatorbot', debateId: 'warm_test', topic: 'Climate policy', turnNumber: 2 });
+            expect(third.memoryContext).to.equal('senatorbot: senatorbot turn 1\nreformerbot: reformerbot turn 1');
+            expect(progress.map(update => [update.agentId, update.outcome, update.completed, update.total])).to.deep.equal([
+                ['senatorbot', 'cached', 1, 3],
+                ['reformerbot', 'generated', 2, 3],
+                ['senatorbot', 'generated', 3, 3]
+            ]);
+        });
+
+        it('should stop generating once the token budget is spent', async () => {
+            const generate = fakeGenerate({ tokens: 150 });
+
+            const summary = await warmCache({
+                targets: [
+                    { topic: 'Climate policy', agents: ['senatorbot', 'reformerbot'] },
+                    { topic: 'Space exploration', agents: ['reformerbot'] }
+                ],
+                turns: 2,
+                maxTokens: 250,
+                generate,
+                loadProfile
+            });
+
+            expect(generate.callCount).to.equal(2);
+            expect(summary).to.include({ status: 'budget_exhausted', generated: 2, skipped: 2, tokensUsed: 300 });
+        });
+
+        it('should skip unknown agents and abandon a topic after a failed turn', async () => {
+            const generate = sinon.stub().resolves({ message: 'apology', cacheHit: false, failed: true });
+
+            const summary = await warmCache({
+                targets: [
+                    { topic: 'Climate policy', agents: ['ghostbot'] },
+                    { topic: 'Space exploration', agents: ['senatorbot'] }
+                ],
+                turns: 3,
+                maxTokens: 1000,
+                generate,
+                loadProfile
+            });
+
+            expect(generate.callCount).to.equal(1);
+            expect(summary).to.include({ failed: 1, skipped: 5, generated: 0 });
+        });
+    });
+
+    describe('scheduledWarmTargets', () => {
+        beforeEach(async () => {
+            const schedules = [
+                { id: 'soon', topic: 'Climate policy', agents: ['senatorbot', 'reformerbot'], enabled: true, nextRunAt: '2026-10-19T18:00:00Z' },
+                { id: 'again', topic: 'Climate policy', agents: ['senatorbot', 'reformerbot'], enabled: true, nextRunAt: '2026-10-20T06:00:00Z' },
+                { id: 'later', topic: 'Space exploration', agents: ['senatorbot'], enabled: true, nextRunAt: '2026-10-25T12:00:00Z' },
+                { id: 'off', topic: 'AI regulation', agents: ['senatorbot'], enabled: false, nextRunAt: null }
+            ];
+            const fakeClient = stubRedisManager();
+            for (const schedule of schedules) {
+                await fakeClient.json.set(debateScheduleKey(schedule.id), '$', schedule);
+                await fakeClient.sAdd('debate_schedules', schedule.id);
+            }
+        });
+
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it('should warm each distinct topic due within the window once', async () => {
+            expect(await scheduledWarmTargets({ withinHours: 24, now })).to.deep.equal([
+                { topic: 'Climate policy', agents: ['senatorbot', 'reformerbot'] }
+            ]);
+            expect((await scheduledWarmTargets({ withinHours: 24 * 7, now })).map(target => target.topic))
+                .to.deep.equal(['Climate policy', 'Space exploration']);
+        });
+    });
+
+    describe('agentCacheTopic', () => {
+        it('should give a live turn the same cache topic warming filled', () => {
+            const topic = agentCacheTopic('senatorbot', profiles.senatorbot, 'Climate policy', 2);
+            expect(topic).to.equal('senatorbot:SenatorBot:Senator:Climate policy:climate_policy:0.4:turn2');
+            expect(agentCacheTopic('senatorbot', profiles.senatorbot, 'Climate policy', 2)).to.equal(topic);
+        });
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for coalition detection
+ */
+
+import { describe, it, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+    buildCoalitionGraph,
+    clusterAgents,
+    coalitionStatusFor,
+    findCoalitionAllies,
+    stanceSimilarity,
+    tallyAgreements,
+    updateCoalitions
+} from '../../coalitions.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+const agents = [
+    { id: 'senatorbot', name: 'SenatorBot', stance: { climate_policy: 0.4, economic_risk: 0.8 } },
+    { id: 'reformerbot', name: 'ReformerBot', stance: { climate_policy: 0.9, economic_risk: 0.3 } },
+    { id: 'economistbot', name: 'EconomistBot', stance: { climate_policy: 0.35, economic_risk: 0.7 } },
+    { id: 'activistbot', name: 'ActivistBot', stance: { climate_policy: 0.95 } }
+];
+
+describe('Coalitions', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('stanceSimilarity', () => {
+        it('should compare every shared dimension', () => {
+            expect(stanceSimilarity(agents[0].stance, agents[2].stance)).to.equal(0.925);
+            expect(stanceSimilarity(agents[1].stance, agents[3].stance)).to.equal(0.95);
+            expect(stanceSimilarity({ a: 0.1 }, { b: 0.2 })).to.equal(null);
+        });
+    });
+
+    describe('tallyAgreements', () => {
+        it('should aim replies at named agents, or else the previous speaker', () => {
+            const tallies = tallyAgreements([
+                { agentId: 'senatorbot', message: 'We need a measured approach.' },
+                { agentId: 'reformerbot', message: 'That is simply wrong, the science is clear.' },
+                { agentId: 'economistbot', message: 'I agree with SenatorBot on the costs.' },
+                { agentId: 'senatorbot', message: 'Meanwhile ReformerBot ignores the budget.' }
+            ], agents);
+
+            expect(tallies.get('reformerbot|senatorbot')).to.deep.equal({ agree: 0, disagree: 2 });
+            expect(tallies.get('economistbot|senatorbot')).to.deep.equal({ agree: 1, disagree: 0 });
+        });
+    });
+
+    describe('clusterAgents', () => {
+        it('should merge groups while their average affinity reaches the threshold', () => {
+            const affinities = { 'a|b': 0.9, 'a|c': 0.8, 'b|c': 0.6, 'a|d': 0.1, 'b|d': 0.1, 'c|d': 0.2 };
+            const affinity = (x, y) => affinities[[x, y].sort().join('|')];
+
+            expect(clusterAgents(['a', 'b', 'c', 'd'], affinity, 0.7)).to.deep.equal([['a', 'b', 'c'], ['d']]);
+            expect(clusterAgents(['a', 'b', 'c', 'd'], affinity, 0.85)).to.deep.equal([['a', 'b'], ['c'], ['d']]);
+        });
+    });
+
+    describe('buildCoalitionGraph', () => {
+        it('should group agents by stance and transcript agreement', () => {
+            const graph = buildCoalitionGraph({
+                agents,
+                messages: [
+                    { agentId: 'reformerbot', message: 'We must act now.' },
+                    { agentId: 'activistbot', message: 'ReformerBot is right, and I agree completely.' }
+                ],
+                stanceKey: 'climate_policy',
+                turn: 2,
+                threshold: 0.75,
+                now: new Date('2026-01-01T00:00:00.000Z')
+            });
+
+            expect(graph.coalitions).to.deep.equal([
+                { id: 'economistbot+senatorbot', members: ['economistbot', 'senatorbot'], side: 'against', cohesion: 0.925 },
+                { id: 'activistbot+reformerbot', members: ['activistbot', 'reformerbot'], side: 'for', cohesion: 0.959 }
+            ]);
+            expect(graph.nodes.find(node => node.agentId === 'activistbot'))
+                .to.deep.equal({ agentId: 'activistbot', name: 'ActivistBot', stance: 0.95, coalitionId: 'activistbot+reformerbot' });
+
+            const edge = graph.edges.find(e => e.source === 'reformerbot' && e.target === 'activistbot');
+            expect(edge).to.include({ stanceSimilarity: 0.95, agreement: 1, interactions: 1 });
+
+            expect(coalitionStatusFor(graph, 'senatorbot')).to.deep.equal({
+                status: 'economistbot+senatorbot', confidence: 0.925, potential_allies: ['EconomistBot']
+            });
+        });
+
+        it('should let persistent arguing break up stance-aligned agents', () => {
+            const pair = [agents[0], agents[2]];
+            const arguing = Array.from({ length: 3 }, () => [
+                { agentId: 'senatorbot', message: 'EconomistBot is mistaken about the deficit.' },
+                { agentId: 'economistbot', message: 'I disagree, SenatorBot ignores the data.' }
+            ]).flat();
+
+            const graph = buildCoalitionGraph({ agents: pair, messages: arguing, threshold: 0.75 });
+            expect(graph.coalitions).to.deep.equal([]);
+            expect(coalitionStatusFor(graph, 'senatorbot').status).to.equal('independent');
+        });
+    });
+
+    describe('storage', () => {
+        async function seedClient() {
+            const fakeClient = stubRedisManager();
+            await fakeClient.json.set('agent:senatorbot:profile', '$', { name: 'SenatorBot', stance: { climate_policy: 0.4 } });
+            await fakeClient.json.set('agent:economistbot:profile', '$', { name: 'EconomistBot', stance: { climate_policy: 0.45 } });
+            await fakeClient.json.set('agent:reformerbot:profile', '$', { name: 'ReformerBot', stance: { climate_policy: 0.9 } });
+            await fakeClient.json.set('debate:d1:state', '$', { agents: ['senatorbot', 'economistbot', 'reformerbot'] });
+            return fakeClient;
+        }
+
+        it('should store graph history and report only changes from a stored partition', async () => {
+            const fakeClient = await seedClient();
+            const ids = ['senatorbot', 'economistbot', 'reformerbot'];
+
+            const first = await updateCoalitions('d1', ids, { stanceKey: 'climate_policy', turn: 1 });
+            expect(first.changed).to.equal(false);
+            expect(first.graph.coalitions.map(c => c.id)).to.deep.equal(['economistbot+senatorbot']);
+
+            const second = await updateCoalitions('d1', ids, { stanceKey: 'climate_policy', turn: 2 });
+            expect(second.changed).to.equal(false);
+
+            await fakeClient.json.set('agent:economistbot:profile', '$.stance.climate_policy', 0.95);
+            const third = await updateCoalitions('d1', ids, { stanceKey: 'climate_policy', turn: 3 });
+            expect(third.changed).to.equal(true);
+            expect(third.previous.map(c => c.id)).to.deep.equal(['economistbot+senatorbot']);
+            expect(third.graph.coalitions.map(c => c.id)).to.deep.equal(['economistbot+reformerbot']);
+
+            const stored = await fakeClient.json.get('debate:d1:coalitions');
+            expect(stored.history.map(graph => graph.turn)).to.deep.equal([1, 2, 3]);
+            expect(await findCoalitionAllies('reformerbot', 'd1')).to.deep.equal(['EconomistBot']);
+        });
+
+        it('should guess allies from stances before the first graph', async () => {
+            await seedClient();
+
+            expect(await findCoalitionAllies('senatorbot', 'd1')).to.deep.equal(['EconomistBot']);
+            expect(await findCoalitionAllies('senatorbot', 'unknown')).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Unit tests for debate pause / resume / step control
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+    createDebateProcess,
+    pauseDebateProcess,
+    resumeDebateProcess,
+    stepDebateProcess,
+    canTakeTurn,
+    waitForTurnPermit,
+    consumeTurnPermit
+} from '../../debateControl.js';
+
+describe('Debate Control', () => {
+    it('should allow turns on a fresh process', () => {
+        const debateProcess = createDebateProcess();
+        expect(canTakeTurn(debateProcess)).to.equal(true);
+    });
+
+    it('should hold turns while paused and release on resume', async () => {
+        const debateProcess = createDebateProcess();
+        pauseDebateProcess(debateProcess);
+        expect(canTakeTurn(debateProcess)).to.equal(false);
+
+        let released = false;
+        const waiting = waitForTurnPermit(debateProcess).then(() => { released = true; });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(released).to.equal(false);
+
+        resumeDebateProcess(debateProcess);
+        await waiting;
+        expect(released).to.equal(true);
+    });
+
+    it('should let exactly one turn through per step', () => {
+        const debateProcess = createDebateProcess();
+        stepDebateProcess(debateProcess);
+        expect(debateProcess.paused).to.equal(true);
+        expect(canTakeTurn(debateProcess)).to.equal(true);
+
+        consumeTurnPermit(debateProcess);
+        expect(canTakeTurn(debateProcess)).to.equal(false);
+    });
+
+    it('should stop waiting once cancelled', async () => {
+        const debateProcess = createDebateProcess({ paused: true });
+        const waiting = waitForTurnPermit(debateProcess);
+        debateProcess.cancelled = true;
+        await waiting;
+        expect(canTakeTurn(debateProcess)).to.equal(false);
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for debate transcript export
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+    annotationsKey,
+    loadDebateTranscript,
+    recordMessageAnnotations,
+    renderHtml,
+    renderMarkdown,
+    renderSrt
+} from '../../debateExport.js';
+import { debateStateKey } from '../../debateState.js';
+import { topicToStanceKey } from '../../messageGenerationCore.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+const T0 = Date.parse('2026-01-01T12:00:00Z');
+
+describe('Debate Export', () => {
+    let fakeClient;
+
+    beforeEach(async () => {
+        fakeClient = stubRedisManager();
+        await fakeClient.json.set(debateStateKey('d1'), '$', {
+            debateId: 'd1', topic: 'Climate policy', agents: ['senatorbot', 'reformerbot'], status: 'completed'
+        });
+        await fakeClient.json.set('agent:senatorbot:profile', '$', {
+            name: 'SenatorBot', role: 'Moderate US Senator', biases: ['fiscal responsibility']
+        });
+        await fakeClient.json.set('agent:reformerbot:profile', '$', { name: 'ReformerBot', role: 'Policy Reformer' });
+        await fakeClient.json.set('debate:d1:key_moments', '$', {
+            moments: [{ id: 'km1', type: 'stance_flip', summary: 'ReformerBot shifts', timestamp: new Date(T0 + 70000).toISOString() }]
+        });
+        await fakeClient.xAdd('debate:d1:messages', `${T0}-0`, { agent_id: 'senatorbot', message: 'We must balance growth <and> protection.' });
+        await fakeClient.xAdd('debate:d1:messages', `${T0 + 65000}-0`, { agent_id: 'reformerbot', message: 'Act now & pay less.', author_type: 'human', sentiment: 'positive' });
+        const stanceKey = `debate:d1:agent:reformerbot:stance:${topicToStanceKey('Climate policy')}`;
+        await fakeClient.ts.add(stanceKey, T0 - 1000, 0.6);
+        await fakeClient.ts.add(stanceKey, T0 + 66000, 0.75);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should join messages with annotations, profiles and key moments', async () => {
+        await recordMessageAnnotations('d1', `${T0}-0`, {
+            factCheck: { fact: 'Carbon emissions rose 1%', confidence: 82 },
+            sentiment: { sentiment: 'neutral', confidence: 0.5 },
+            stance: { previous: 0.4, value: 0.45, change: 0.05 }
+        });
+        expect(annotationsKey('d1')).to.equal('debate:d1:annotations');
+
+        const transcript = await loadDebateTranscript('d1');
+        const [first, second] = transcript.messages;
+
+        expect(transcript.topic).to.equal('Climate policy');
+        expect(transcript.agents.map(agent => agent.name)).to.deep.equal(['SenatorBot', 'ReformerBot']);
+        expect(first).to.include({ agentName: 'SenatorBot', offsetMs: 0, timestamp: new Date(T0).toISOString() });
+        expect(first.factCheck.fact).to.equal('Carbon emissions rose 1%');
+        expect(second).to.include({ authorType: 'human', offsetMs: 65000 });
+        expect(second.sentiment).to.deep.equal({ sentiment: 'positive' });
+        expect(second.stance.change).to.be.closeTo(0.15, 1e-9);
+        expect(transcript.keyMoments[0].offsetMs).to.equal(70000);
+    });
+
+    it('should render markdown and escaped html', async () => {
+        const transcript = await loadDebateTranscript('d1');
+
+        const markdown = renderMarkdown(transcript);
+        expect(markdown).to.include('# Climate policy');
+        expect(markdown).to.include('### [1:05] ReformerBot (human)');
+        expect(markdown).to.include('- [1:10] **stance_flip** — ReformerBot shifts');
+
+        const html = renderHtml(transcript);
+        expect(html).to.include('growth &lt;and&gt; protection');
+        expect(html).to.not.include('<and>');
+
+        // Human turns are stored as typed and escaped only here
+        expect(markdown).to.include('Act now & pay less.');
+        expect(html).to.include('<p>Act now &amp; pay less.</p>');
+    });
+
+    it('should render SRT cues that end before the next speaker', async () => {
+        const srt = renderSrt(await loadDebateTranscript('d1'));
+        const cues = srt.trim().split('\n\n');
+
+        expect(cues).to.have.length(2);
+        expect(cues[0]).to.equal('1\n00:00:00,000 --> 00:00:02,400\nSenatorBot: We must balance growth <and> protection.');
+        expect(cues[1].split('\n')[1]).to.equal('00:01:05,000 --> 00:01:07,000');
+    });
+});
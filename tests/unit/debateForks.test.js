@@ -0,0 +1,165 @@
+/**
+ * Unit tests for debate forks
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+    applyProfileOverride,
+    compareBranches,
+    forkDebate,
+    getForkTree,
+    getProfileOverride,
+    inheritVerdictRounds,
+    mergeAgentOverrides,
+    setForkStance
+} from '../../debateForks.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+const agents = ['senatorbot', 'reformerbot'];
+
+async function seedDebate(client) {
+    const turns = [
+        ['1000-0', 'senatorbot', 'Costs come first.'],
+        ['2000-0', 'reformerbot', 'Inaction costs more.'],
+        ['3000-0', 'senatorbot', 'Prove it.']
+    ];
+    for (const [id, agentId, message] of turns) {
+        await client.xAdd('debate:d1:messages', id, { agent_id: agentId, message, author_type: 'ai' });
+        // Memory notes land just after the message they belong to
+        const [ms] = id.split('-').map(Number);
+        await client.xAdd(`debate:d1:agent:${agentId}:memory`, `${ms + 1}-0`, { type: 'statement', content: message });
+    }
+}
+
+describe('Debate Forks', () => {
+    let fakeClient;
+
+    beforeEach(async () => {
+        // Messages added with '*' get IDs from 9000 ms
+        sinon.useFakeTimers({ now: 9000, toFake: ['Date'] });
+        fakeClient = stubRedisManager();
+        await seedDebate(fakeClient);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('profile overrides', () => {
+        it('should merge stances per topic and drop fields a fork cannot change', () => {
+            const merged = mergeAgentOverrides(
+                { senatorbot: { tone: 'measured', stance: { climate_policy: 0.2 } } },
+                { senatorbot: { stance: { ai_policy: 0.9 }, id: 'other' }, reformerbot: { tone: 'aggressive' } }
+            );
+            expect(merged).to.deep.equal({
+                senatorbot: { tone: 'measured', stance: { climate_policy: 0.2, ai_policy: 0.9 } },
+                reformerbot: { tone: 'aggressive' }
+            });
+
+            const profile = { id: 'senatorbot', tone: 'cautious', stance: { climate_policy: 0.6, ai_policy: 0.4 } };
+            expect(applyProfileOverride(profile, merged.senatorbot)).to.deep.equal({
+                id: 'senatorbot', tone: 'measured', stance: { climate_policy: 0.2, ai_policy: 0.9 }
+            });
+            expect(applyProfileOverride(profile, null)).to.equal(profile);
+        });
+    });
+
+    describe('forkDebate', () => {
+        it('should copy messages and memory up to the fork point, then the injected message', async () => {
+            const { lineage } = await forkDebate('d1', {
+                debateId: 'f1',
+                messageId: '2000-0',
+                topic: 'Carbon tax',
+                agents,
+                injectMessage: { agentId: 'senatorbot', message: 'I concede the point.' }
+            });
+
+            const messages = await fakeClient.xRange('debate:f1:messages', '-', '+');
+            expect(messages.map(entry => entry.id)).to.deep.equal(['1000-0', '2000-0', '9000-0']);
+            expect(messages[2].message).to.deep.equal({
+                agent_id: 'senatorbot', message: 'I concede the point.', author_type: 'injected'
+            });
+            // reformerbot's note for 2000-0 comes along, senatorbot's 3001-0 does not
+            expect((await fakeClient.xRange('debate:f1:agent:reformerbot:memory', '-', '+')).map(entry => entry.id))
+                .to.deep.equal(['2001-0']);
+            expect((await fakeClient.xRange('debate:f1:agent:senatorbot:memory', '-', '+')).map(entry => entry.id))
+                .to.deep.equal(['1001-0', '9000-0']);
+
+            expect(lineage).to.include({
+                parentId: 'd1', rootId: 'd1', forkedFromMessageId: '2000-0',
+                copiedMessages: 2, turns: 3, lastSpeaker: 'senatorbot'
+            });
+        });
+
+        it('should refuse unknown messages and fork points with no turns left', async () => {
+            expect(await forkDebate('d1', { debateId: 'f1', messageId: '1500-0', topic: 'Carbon tax', agents }))
+                .to.deep.equal({ error: 'message 1500-0 is not in debate d1' });
+            expect((await forkDebate('d1', {
+                debateId: 'f1', messageId: '3000-0', topic: 'Carbon tax', agents, maxTurns: 3
+            })).error).to.match(/no turns/);
+            expect(await fakeClient.exists('debate:f1:messages')).to.equal(0);
+        });
+
+        it('should pass overrides down to forks of forks and keep forked stances local', async () => {
+            await forkDebate('d1', {
+                debateId: 'f1', messageId: '1000-0', topic: 'Carbon tax', agents,
+                agentOverrides: { reformerbot: { tone: 'aggressive', stance: { climate_policy: -0.5 } } }
+            });
+            await setForkStance('f1', 'reformerbot', 'climate_policy', -0.3);
+            await fakeClient.xAdd('debate:f1:messages', '*', { agent_id: 'reformerbot', message: 'No.' });
+
+            const { lineage } = await forkDebate('f1', {
+                debateId: 'f2', messageId: '9000-0', topic: 'Carbon tax', agents,
+                agentOverrides: { senatorbot: { name: 'Senator B' } }
+            });
+            expect(lineage.rootId).to.equal('d1');
+            expect(lineage.agentOverrides).to.deep.equal({
+                reformerbot: { tone: 'aggressive', stance: { climate_policy: -0.3 } },
+                senatorbot: { name: 'Senator B' }
+            });
+            expect(await getProfileOverride('d1', 'reformerbot')).to.equal(null);
+            expect(await getProfileOverride('f2', 'senatorbot')).to.deep.equal({ name: 'Senator B' });
+        });
+    });
+
+    describe('inheritVerdictRounds', () => {
+        it('should copy only the judged rounds the fork replays in full', async () => {
+            await fakeClient.json.set('debate:d1:verdict', '$', {
+                debateId: 'd1', topic: 'Carbon tax', agents,
+                rounds: [{ round: 1, winner: 'senatorbot' }, { round: 2, winner: 'reformerbot' }],
+                final: { winner: 'senatorbot' }
+            });
+
+            expect(await inheritVerdictRounds('d1', 'f1', 1)).to.equal(1);
+            expect(await fakeClient.json.get('debate:f1:verdict')).to.deep.include({
+                debateId: 'f1', rounds: [{ round: 1, winner: 'senatorbot' }], final: null
+            });
+            expect(await inheritVerdictRounds('d1', 'f2', 0)).to.equal(0);
+        });
+    });
+
+    describe('fork trees', () => {
+        it('should build the tree from the root and compare branches past their shared history', async () => {
+            await forkDebate('d1', { debateId: 'f1', messageId: '2000-0', topic: 'Carbon tax', agents });
+            await fakeClient.xAdd('debate:f1:messages', '*', { agent_id: 'senatorbot', message: 'Fair enough.' });
+            await forkDebate('f1', { debateId: 'f2', messageId: '1000-0', topic: 'Carbon tax', agents });
+            await fakeClient.json.set('debate:f1:verdict', '$', { final: { winner: 'reformerbot' } });
+
+            const { rootId, tree } = await getForkTree('f2');
+            expect(rootId).to.equal('d1');
+            expect(tree.children.map(child => child.debateId)).to.deep.equal(['f1']);
+            expect(tree.children[0]).to.include({ parentId: 'd1', winner: 'reformerbot', forkedFromMessageId: '2000-0' });
+            expect(tree.children[0].children.map(child => child.debateId)).to.deep.equal(['f2']);
+
+            const comparison = await compareBranches('d1', 'f1');
+            expect(comparison).to.include({ sharedMessages: 2, divergedAfter: '2000-0' });
+            expect(comparison.branches.map(branch => branch.messages.map(message => message.message))).to.deep.equal([
+                ['Prove it.'],
+                ['Fair enough.']
+            ]);
+            expect(comparison.branches[1].verdict).to.deep.equal({ winner: 'reformerbot' });
+        });
+    });
+});
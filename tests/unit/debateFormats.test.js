@@ -0,0 +1,89 @@
+/**
+ * Unit tests for debate formats
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+    BUILT_IN_FORMATS,
+    buildFormatSchedule,
+    debateFormatKey,
+    formatPhaseGuidance,
+    getDebateFormat,
+    listDebateFormats,
+    saveDebateFormat
+} from '../../debateFormats.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+describe('Debate Formats', () => {
+    describe('buildFormatSchedule', () => {
+        it('should seat the first agent pro and the second con', () => {
+            const schedule = buildFormatSchedule(BUILT_IN_FORMATS.oxford, ['senatorbot', 'reformerbot']);
+
+            expect(schedule.map(turn => turn.agentId)).to.deep.equal([
+                'senatorbot', 'reformerbot',
+                'reformerbot', 'senatorbot',
+                'reformerbot', 'senatorbot'
+            ]);
+            expect(schedule[0]).to.include({ seat: 'pro', phaseId: 'opening', phaseIndex: 0, phaseCount: 3 });
+            expect(schedule[0].guidance).to.match(/^Open for the proposition/);
+            expect(schedule[2].guidance).to.match(/^Rebut/);
+        });
+
+        it('should give every agent a turn for each panel seat', () => {
+            const schedule = buildFormatSchedule(BUILT_IN_FORMATS.panel, ['a', 'b', 'c']);
+
+            expect(schedule).to.have.length(12);
+            expect(schedule.slice(3, 9).map(turn => turn.agentId)).to.deep.equal(['a', 'b', 'c', 'a', 'b', 'c']);
+            expect(schedule[3]).to.include({ seat: 'panel', phaseId: 'discussion', phaseIndex: 1 });
+        });
+    });
+
+    describe('formatPhaseGuidance', () => {
+        it('should describe the phase and its guidance', () => {
+            const [turn] = buildFormatSchedule(BUILT_IN_FORMATS.socratic, ['senatorbot', 'reformerbot']);
+
+            expect(formatPhaseGuidance(turn)).to.equal(
+                'DEBATE PHASE: Inquiry (1 of 2)\nPHASE GUIDANCE: ' + BUILT_IN_FORMATS.socratic.phases[0].guidance.con
+            );
+            expect(formatPhaseGuidance({ ...turn, guidance: null })).to.equal('DEBATE PHASE: Inquiry (1 of 2)');
+            expect(formatPhaseGuidance(null)).to.equal('');
+        });
+    });
+
+    describe('storage', () => {
+        let fakeClient;
+
+        beforeEach(() => {
+            fakeClient = stubRedisManager();
+        });
+
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it('should seed a built-in format on first read', async () => {
+            const format = await getDebateFormat('lincoln-douglas');
+
+            expect(format.title).to.equal('Lincoln-Douglas');
+            expect((await fakeClient.json.get(debateFormatKey('lincoln-douglas'))).phases).to.have.length(7);
+            expect(await getDebateFormat('missing')).to.equal(null);
+        });
+
+        it('should list built-ins alongside stored custom formats', async () => {
+            await saveDebateFormat({
+                name: 'town-hall',
+                title: 'Town hall',
+                phases: [{ id: 'questions', title: 'Questions', speakers: ['panel'] }]
+            });
+
+            const formats = await listDebateFormats();
+
+            expect(formats.map(format => format.name)).to.deep.equal([
+                'lincoln-douglas', 'oxford', 'panel', 'socratic', 'town-hall'
+            ]);
+            expect(formats[4].updatedAt).to.be.a('string');
+        });
+    });
+});
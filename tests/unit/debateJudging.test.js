@@ -0,0 +1,159 @@
+/**
+ * Unit tests for debate judging
+ */
+
+import { describe, it, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+    aggregateScorecards,
+    buildFinalVerdict,
+    finalizeVerdict,
+    getJudgePanel,
+    judgeRound,
+    parseScorecard,
+    scoreRound
+} from '../../debateJudging.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+const agentIds = ['senatorbot', 'reformerbot'];
+
+const scorecardJson = (senator, reformer, reasoning = 'Close round.') => JSON.stringify({
+    scores: [
+        { agentId: 'senatorbot', argumentStrength: senator[0], rebuttal: senator[1], evidenceUse: senator[2], relevance: senator[3] },
+        { agentId: 'reformerbot', argumentStrength: reformer[0], rebuttal: reformer[1], evidenceUse: reformer[2], relevance: reformer[3] }
+    ],
+    reasoning
+});
+
+const card = (judgeId, senatorTotal, reformerTotal) => ({
+    judgeId,
+    reasoning: '',
+    scores: {
+        senatorbot: { argumentStrength: senatorTotal, rebuttal: senatorTotal, evidenceUse: senatorTotal, relevance: senatorTotal, total: senatorTotal },
+        reformerbot: { argumentStrength: reformerTotal, rebuttal: reformerTotal, evidenceUse: reformerTotal, relevance: reformerTotal, total: reformerTotal }
+    }
+});
+
+const round = {
+    topic: 'Carbon tax',
+    round: 1,
+    messages: [
+        { agentId: 'senatorbot', message: 'Costs come first.' },
+        { agentId: 'reformerbot', message: 'Inaction costs more.' }
+    ],
+    agentIds
+};
+
+describe('Debate Judging', () => {
+    afterEach(() => {
+        sinon.restore();
+        delete process.env.JUDGE_PANEL;
+    });
+
+    describe('parseScorecard', () => {
+        it('should accept a valid scorecard wrapped in prose', () => {
+            const { scorecard } = parseScorecard(`Scores:\n${scorecardJson([8, 6, 7, 9], [5, 5, 5, 5])}`, agentIds);
+            expect(scorecard.scores.senatorbot).to.deep.equal({
+                argumentStrength: 8, rebuttal: 6, evidenceUse: 7, relevance: 9, total: 7.5
+            });
+            expect(scorecard.reasoning).to.equal('Close round.');
+        });
+
+        it('should reject replies instead of defaulting scores', () => {
+            expect(parseScorecard('PRO: 7, CON: 6', agentIds)).to.deep.equal({ error: 'reply is not JSON' });
+            expect(parseScorecard(scorecardJson([11, 6, 7, 9], [5, 5, 5, 5]), agentIds).error)
+                .to.match(/^scores\.0\.argumentStrength: /);
+            expect(parseScorecard(scorecardJson([8, 6, 7, 9], [5, 5, 5, 5]), [...agentIds, 'economistbot']))
+                .to.deep.equal({ error: 'no scores for economistbot' });
+        });
+    });
+
+    describe('aggregateScorecards', () => {
+        it('should average the panel and report agreement', () => {
+            const { scores, winner, agreement } = aggregateScorecards(
+                [card('logician', 8, 6), card('evidence_auditor', 7, 7), card('citizen', 9, 5)],
+                agentIds
+            );
+            expect(scores.senatorbot.total).to.equal(8);
+            expect(scores.reformerbot.total).to.equal(6);
+            expect(winner).to.equal('senatorbot');
+            expect(agreement).to.deep.equal({
+                judges: 3,
+                winnerConsensus: 0.67,
+                pairwise: 0.87,
+                spread: 0.82
+            });
+        });
+
+        it('should call close totals a tie and leave an empty panel without a winner', () => {
+            expect(aggregateScorecards([card('logician', 7.2, 7)], agentIds).winner).to.equal('tie');
+            expect(aggregateScorecards([], agentIds)).to.deep.include({
+                scores: {},
+                winner: null,
+                agreement: { judges: 0, winnerConsensus: null, pairwise: null, spread: 0 }
+            });
+        });
+    });
+
+    describe('judgeRound', () => {
+        it('should retry an invalid scorecard once and then let the judge abstain', async () => {
+            process.env.JUDGE_PANEL = 'logician,citizen,unknown';
+            expect(getJudgePanel()).to.deep.equal(['logician', 'citizen']);
+
+            const complete = sinon.stub();
+            complete.onCall(0).resolves({ text: 'PRO wins, 8 to 6.' });
+            complete.onCall(1).resolves({ text: scorecardJson([8, 8, 8, 8], [6, 6, 6, 6]) });
+            complete.onCall(2).resolves({ text: 'not json' });
+            complete.onCall(3).resolves({ text: 'still not json' });
+
+            const verdict = await judgeRound(round, { complete });
+
+            expect(complete.getCall(1).args[0].messages.at(-1).content).to.include('reply is not JSON');
+            expect(verdict.judges.map(judge => judge.judgeId)).to.deep.equal(['logician']);
+            expect(verdict.abstentions).to.deep.equal([
+                { judgeId: 'citizen', reason: 'invalid scorecard: reply is not JSON' }
+            ]);
+            expect(verdict.winner).to.equal('senatorbot');
+            expect(verdict.scores.reformerbot.total).to.equal(6);
+        });
+    });
+
+    describe('verdicts', () => {
+        it('should combine rounds into the final verdict', () => {
+            const rounds = [
+                { round: 1, winner: 'senatorbot', scores: { senatorbot: { total: 8 }, reformerbot: { total: 6 } }, agreement: { winnerConsensus: 1, pairwise: 0.9 } },
+                { round: 2, winner: 'reformerbot', scores: { senatorbot: { total: 6 }, reformerbot: { total: 7 } }, agreement: { winnerConsensus: 0.5, pairwise: 0.8 } },
+                { round: 3, winner: null, scores: {}, agreement: { winnerConsensus: null, pairwise: null } }
+            ];
+            expect(buildFinalVerdict(rounds, agentIds)).to.deep.include({
+                totals: { senatorbot: 7, reformerbot: 6.5 },
+                roundsWon: { senatorbot: 1, reformerbot: 1 },
+                winner: 'senatorbot',
+                roundsScored: 2,
+                agreement: { winnerConsensus: 0.75, pairwise: 0.85 }
+            });
+        });
+
+        it('should store round verdicts and decide the debate from them', async () => {
+            const fakeClient = stubRedisManager();
+            process.env.JUDGE_PANEL = 'logician';
+
+            expect(await finalizeVerdict('d1')).to.equal(null);
+
+            const complete = sinon.stub();
+            complete.onCall(0).resolves({ text: scorecardJson([6, 6, 6, 6], [8, 8, 8, 8]) });
+            complete.onCall(1).resolves({ text: scorecardJson([7, 7, 7, 7], [7, 8, 8, 8]) });
+            await scoreRound('d1', round, { complete });
+            await scoreRound('d1', { ...round, round: 2 }, { complete });
+
+            const final = await finalizeVerdict('d1');
+            expect(final).to.include({ winner: 'reformerbot', roundsScored: 2 });
+
+            const stored = await fakeClient.json.get('debate:d1:verdict');
+            expect(stored.rounds.map(r => r.round)).to.deep.equal([1, 2]);
+            expect(stored.agents).to.deep.equal(agentIds);
+            expect(stored.final.totals).to.deep.equal({ senatorbot: 6.5, reformerbot: 7.88 });
+        });
+    });
+});
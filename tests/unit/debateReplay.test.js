@@ -0,0 +1,114 @@
+/**
+ * Unit tests for debate replay
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { loadReplayTimeline, playReplayTimeline } from '../../debateReplay.js';
+import { debateStateKey } from '../../debateState.js';
+import { topicToStanceKey } from '../../messageGenerationCore.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+const T0 = Date.parse('2026-01-01T12:00:00Z');
+
+describe('Debate Replay', () => {
+    let fakeClient;
+
+    beforeEach(async () => {
+        fakeClient = stubRedisManager();
+        await fakeClient.json.set(debateStateKey('d1'), '$', {
+            debateId: 'd1',
+            topic: 'Climate policy',
+            agents: ['senatorbot', 'reformerbot'],
+            status: 'completed'
+        });
+        await fakeClient.xAdd('debate:d1:messages', `${T0}-0`, { agent_id: 'senatorbot', message: 'Opening.' });
+        await fakeClient.xAdd('debate:d1:messages', `${T0 + 4000}-0`, { agent_id: 'reformerbot', message: 'Rebuttal.', author_type: 'human' });
+        await fakeClient.json.set('debate:d1:key_moments', '$', {
+            moments: [{ id: 'km1', type: 'stance_flip', timestamp: new Date(T0 + 5000).toISOString() }]
+        });
+        await fakeClient.ts.add(`debate:d1:agent:senatorbot:stance:${topicToStanceKey('Climate policy')}`, T0 + 1000, 0.75);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should merge messages, stance points and key moments in time order', async () => {
+        const timeline = await loadReplayTimeline('d1');
+
+        expect(timeline.events.map(event => event.type)).to.deep.equal(['message', 'stance', 'message', 'key_moment']);
+        expect(timeline.events.map(event => event.offsetMs)).to.deep.equal([0, 1000, 4000, 5000]);
+        expect(timeline.events[1].value).to.equal(0.5);
+        expect(timeline.events[2].authorType).to.equal('human');
+        expect(timeline.durationMs).to.equal(5000);
+        expect(timeline.startedAt).to.equal(new Date(T0).toISOString());
+    });
+
+    it('should scale gaps by speed and cap long silences', async () => {
+        const sleeps = [];
+        const delivered = [];
+        const timeline = {
+            events: [{ offsetMs: 0 }, { offsetMs: 2000 }, { offsetMs: 60000 }]
+        };
+
+        const playback = playReplayTimeline(timeline, {
+            speed: 2,
+            maxGapMs: 5000,
+            sleep: async (ms) => { sleeps.push(ms); },
+            onEvent: (event) => delivered.push(event.offsetMs)
+        });
+
+        expect(await playback.done).to.equal(true);
+        expect(sleeps).to.deep.equal([1000, 2500]);
+        expect(delivered).to.deep.equal([0, 2000, 60000]);
+    });
+
+    it('should keep long silences unless a gap cap is given', async () => {
+        const sleeps = [];
+        const playback = playReplayTimeline({ events: [{ offsetMs: 0 }, { offsetMs: 60000 }] }, {
+            sleep: async (ms) => { sleeps.push(ms); },
+            onEvent: () => {}
+        });
+
+        expect(await playback.done).to.equal(true);
+        expect(sleeps).to.deep.equal([60000]);
+    });
+
+    it('should clear a pending wait when stopped', async () => {
+        const clock = sinon.useFakeTimers();
+        const playback = playReplayTimeline({ events: [{ offsetMs: 0 }, { offsetMs: 3600000 }] }, {
+            onEvent: () => {}
+        });
+
+        await clock.tickAsync(0);
+        expect(clock.countTimers()).to.equal(1);
+        playback.stop();
+
+        expect(await playback.done).to.equal(false);
+        expect(clock.countTimers()).to.equal(0);
+    });
+
+    it('should flush events before the seek point as catch-up and honour stop', async () => {
+        const delivered = [];
+        const timeline = {
+            events: [{ offsetMs: 0 }, { offsetMs: 1000 }, { offsetMs: 3000 }, { offsetMs: 4000 }]
+        };
+
+        let playback;
+        playback = playReplayTimeline(timeline, {
+            fromMs: 2000,
+            sleep: async () => {},
+            onEvent: (event) => {
+                delivered.push(event);
+                if (event.offsetMs === 3000) playback.stop();
+            }
+        });
+
+        expect(await playback.done).to.equal(false);
+        expect(delivered.map(event => [event.offsetMs, !!event.catchUp])).to.deep.equal([
+            [0, true], [1000, true], [3000, false]
+        ]);
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for scheduled debates
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+    createSchedule,
+    deleteSchedule,
+    getSchedule,
+    isValidCron,
+    listSchedules,
+    nextCronRun,
+    runDueSchedules
+} from '../../debateSchedules.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+describe('Debate Schedules', () => {
+    describe('nextCronRun', () => {
+        it('should find the next matching minute in UTC', () => {
+            const after = new Date('2026-03-10T09:30:20Z');
+
+            expect(nextCronRun('0 9 * * *', after).toISOString()).to.equal('2026-03-11T09:00:00.000Z');
+            expect(nextCronRun('*/15 * * * *', after).toISOString()).to.equal('2026-03-10T09:45:00.000Z');
+            expect(nextCronRun('0 8 * * 1-5', new Date('2026-03-13T12:00:00Z')).toISOString())
+                .to.equal('2026-03-16T08:00:00.000Z');
+            expect(nextCronRun('30 12 1 */3 *', after).toISOString()).to.equal('2026-04-01T12:30:00.000Z');
+        });
+
+        it('should reject malformed expressions', () => {
+            expect(isValidCron('0 9 * * *')).to.equal(true);
+            expect(isValidCron('0 9 * *')).to.equal(false);
+            expect(isValidCron('61 * * * *')).to.equal(false);
+            expect(isValidCron('0 9 * * mon')).to.equal(false);
+            expect(() => nextCronRun('0 0 31 2 *', new Date('2026-01-01T00:00:00Z'))).to.throw(/never matches/);
+        });
+    });
+
+    describe('storage and runs', () => {
+        let fakeClient;
+        const now = new Date('2026-03-10T09:00:30Z');
+
+        beforeEach(() => {
+            fakeClient = stubRedisManager();
+            // Stands in for the claim script: lease the run if it is still due
+            sinon.stub(fakeClient, 'eval').callsFake(async (script, { keys: [key], arguments: [id, at, leaseUntil] }) => {
+                const score = await fakeClient.zScore(key, id);
+                if (score === null || score > Number(at)) return 0;
+                await fakeClient.zAdd(key, { score: Number(leaseUntil), value: id });
+                return 1;
+            });
+        });
+
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it('should launch a due one-shot once and then disable it', async () => {
+            const schedule = await createSchedule({
+                topic: 'Carbon tax', agents: ['senatorbot', 'reformerbot'], runAt: '2026-03-10T09:00:00Z'
+            }, now);
+            const launch = sinon.stub().resolves({ debateId: 'scheduled_1' });
+
+            const results = await runDueSchedules(launch, now);
+            await runDueSchedules(launch, now);
+
+            expect(launch.calledOnce).to.equal(true);
+            expect(launch.firstCall.args[0].topic).to.equal('Carbon tax');
+            expect(results).to.deep.equal([{ scheduleId: schedule.id, debateId: 'scheduled_1' }]);
+            expect(await getSchedule(schedule.id)).to.include({
+                enabled: false, nextRunAt: null, lastDebateId: 'scheduled_1', lastRunAt: now.toISOString()
+            });
+        });
+
+        it('should move a cron schedule to its next run and record failures', async () => {
+            const schedule = await createSchedule({
+                topic: 'News of the day', agents: ['senatorbot', 'reformerbot'], cron: '0 9 * * *'
+            }, new Date('2026-03-09T10:00:00Z'));
+            expect(schedule.nextRunAt).to.equal('2026-03-10T09:00:00.000Z');
+
+            await runDueSchedules(async () => ({ error: 'Unknown debate format "gone"' }), now);
+
+            expect(await getSchedule(schedule.id)).to.include({
+                enabled: true,
+                nextRunAt: '2026-03-11T09:00:00.000Z',
+                lastError: 'Unknown debate format "gone"'
+            });
+        });
+
+        it('should keep a schedule due when the launch asks for a retry', async () => {
+            const schedule = await createSchedule({
+                topic: 'Carbon tax', agents: ['senatorbot', 'reformerbot'], runAt: '2026-03-10T09:00:00Z'
+            }, now);
+
+            await runDueSchedules(async () => ({ retry: true }), now);
+            const launch = sinon.stub().resolves({ debateId: 'scheduled_2' });
+            await runDueSchedules(launch, now);
+
+            expect(launch.calledOnce).to.equal(true);
+            expect((await getSchedule(schedule.id)).lastDebateId).to.equal('scheduled_2');
+        });
+
+        it('should run a claim lost to a crash again once its lease ends', async () => {
+            const schedule = await createSchedule({
+                topic: 'Carbon tax', agents: ['senatorbot', 'reformerbot'], runAt: '2026-03-10T09:00:00Z'
+            }, now);
+
+            // The process dies while the debate is launching
+            const launching = new Promise(resolve => {
+                runDueSchedules(() => {
+                    resolve();
+                    return new Promise(() => {});
+                }, now);
+            });
+            await launching;
+            const launch = sinon.stub().resolves({ debateId: 'scheduled_3' });
+            await runDueSchedules(launch, new Date(now.getTime() + 60 * 1000));
+            expect(launch.called).to.equal(false);
+            expect(await fakeClient.zScore('debate_schedules:due', schedule.id)).to.equal(now.getTime() + 10 * 60 * 1000);
+
+            await runDueSchedules(launch, new Date(now.getTime() + 10 * 60 * 1000));
+            expect(launch.calledOnce).to.equal(true);
+            expect(await fakeClient.zScore('debate_schedules:due', schedule.id)).to.equal(null);
+        });
+
+        it('should list soonest first and delete schedules', async () => {
+            const later = await createSchedule({ topic: 'Later', agents: ['a', 'b'], cron: '0 18 * * *' }, now);
+            const sooner = await createSchedule({ topic: 'Sooner', agents: ['a', 'b'], cron: '0 12 * * *' }, now);
+
+            expect((await listSchedules()).map(schedule => schedule.id)).to.deep.equal([sooner.id, later.id]);
+            expect(await deleteSchedule(later.id)).to.equal(true);
+            expect(await deleteSchedule(later.id)).to.equal(false);
+            expect(await listSchedules()).to.have.length(1);
+        });
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for debate lifecycle checkpoints
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+    DEBATE_STATUS,
+    debateStateKey,
+    saveDebateCheckpoint,
+    listLiveDebateCheckpoints,
+    planDebateRecovery
+} from '../../debateState.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+describe('Debate State', () => {
+    let fakeClient;
+
+    beforeEach(() => {
+        fakeClient = stubRedisManager();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('saveDebateCheckpoint', () => {
+        it('should merge fields into the existing checkpoint', async () => {
+            await saveDebateCheckpoint('d1', {
+                topic: 'climate policy',
+                agents: ['senatorbot', 'reformerbot'],
+                status: DEBATE_STATUS.RUNNING,
+                turnIndex: 0
+            });
+            const checkpoint = await saveDebateCheckpoint('d1', { turnIndex: 3 });
+
+            expect(checkpoint.topic).to.equal('climate policy');
+            expect(checkpoint.turnIndex).to.equal(3);
+            expect((await fakeClient.json.get(debateStateKey('d1'))).turnIndex).to.equal(3);
+        });
+
+        it('should only list running or paused debates as live', async () => {
+            await saveDebateCheckpoint('d1', { status: DEBATE_STATUS.RUNNING });
+            await saveDebateCheckpoint('d2', { status: DEBATE_STATUS.RUNNING });
+            await saveDebateCheckpoint('d2', { status: DEBATE_STATUS.COMPLETED });
+
+            const live = await listLiveDebateCheckpoints();
+            expect(live.map(c => c.debateId)).to.deep.equal(['d1']);
+        });
+    });
+
+    describe('planDebateRecovery', () => {
+        const now = Date.parse('2025-01-01T12:00:00Z');
+        const base = {
+            debateId: 'd1',
+            topic: 'climate policy',
+            agents: ['senatorbot', 'reformerbot'],
+            rounds: 5,
+            turnIndex: 4,
+            orchestration: 'legacy',
+            updatedAt: '2025-01-01T11:59:00Z'
+        };
+
+        it('should resume a fresh legacy checkpoint', () => {
+            const plan = planDebateRecovery(base, { now, mode: 'resume', maxAgeMs: 60000 * 10 });
+            expect(plan.action).to.equal('resume');
+        });
+
+        it('should mark finished debates complete', () => {
+            const plan = planDebateRecovery({ ...base, turnIndex: 10 }, { now, mode: 'resume' });
+            expect(plan.action).to.equal('complete');
+        });
+
+        it('should count a formatted debate by its schedule length', () => {
+            const options = { now, mode: 'resume', maxAgeMs: 60000 * 10 };
+            const formatted = { ...base, rounds: 3, totalTurns: 6 };
+            expect(planDebateRecovery({ ...formatted, turnIndex: 5 }, options).action).to.equal('resume');
+            expect(planDebateRecovery({ ...formatted, turnIndex: 6 }, options).action).to.equal('complete');
+        });
+
+        it('should interrupt langgraph, stale, or disabled recoveries', () => {
+            const options = { now, mode: 'resume', maxAgeMs: 60000 * 10 };
+            expect(planDebateRecovery({ ...base, orchestration: 'langgraph' }, options).action).to.equal('interrupt');
+            expect(planDebateRecovery({ ...base, updatedAt: '2025-01-01T10:00:00Z' }, options).action).to.equal('interrupt');
+            expect(planDebateRecovery(base, { ...options, mode: 'interrupt' }).action).to.equal('interrupt');
+        });
+    });
+});
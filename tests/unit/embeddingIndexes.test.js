@@ -0,0 +1,94 @@
+/**
+ * Unit tests for per-backend vector indexes and embedding migration
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+import { registerLLMProvider, resetLLMProviders } from '../../llmProvider.js';
+import {
+    EMBEDDING_BACKEND_KEY,
+    getRecordedBackend,
+    migrateEmbeddings,
+    vectorIndexName
+} from '../../embeddingIndexes.js';
+
+registerLLMProvider('tiny', () => ({
+    name: 'tiny',
+    chatModel: null,
+    embeddingModel: 'tiny-embed',
+    embeddingDimensions: 4,
+    complete: async () => { throw new Error('not a chat provider'); },
+    embed: async () => [0.5, 0.5, 0.5, 0.5]
+}));
+
+describe('Embedding Indexes', () => {
+    describe('vectorIndexName', () => {
+        it('should keep the original name at 1536 dimensions and suffix other sizes', () => {
+            expect(vectorIndexName('cache-index', 1536)).to.equal('cache-index');
+            expect(vectorIndexName('cache-index', 384)).to.equal('cache-index-384');
+            expect(vectorIndexName('idx:agent_memories', 768)).to.equal('idx:agent_memories-768');
+        });
+    });
+
+    describe('migrateEmbeddings', () => {
+        let fakeClient;
+
+        // Dimensions of every vector index the fake has been asked to create
+        const indexSizes = () => [...fakeClient.indexes].map(([name, { schema }]) => [
+            name,
+            Object.values(schema).find(field => field.type === 'VECTOR').DIM
+        ]);
+
+        beforeEach(async () => {
+            process.env.EMBEDDING_PROVIDER = 'tiny';
+            fakeClient = stubRedisManager();
+            await fakeClient.hSet('cache:prompt:a1', { content: 'climate:carbon tax', vector: 'old' });
+            await fakeClient.hSet('fact:f1', { content: 'CO2 levels are rising', embedding: 'old' });
+            await fakeClient.hSet('fact:f2', { source: 'user' });
+            await fakeClient.hSet('scientific:fact:s1', { content: 'Ice sheets are shrinking', embedding: 'old' });
+        });
+
+        afterEach(() => {
+            sinon.restore();
+            resetLLMProviders();
+            delete process.env.EMBEDDING_PROVIDER;
+        });
+
+        it('should count keys without writing on a dry run', async () => {
+            const result = await migrateEmbeddings({ dryRun: true });
+
+            expect(result.status).to.equal('dry_run');
+            expect(result.from).to.include({ provider: 'openai', dimensions: 1536 });
+            expect(result.collections.cache).to.include({ index: 'cache-index-4', keys: 1 });
+            expect(fakeClient.indexes.has('cache-index-4')).to.equal(false);
+            expect(await fakeClient.hGet('cache:prompt:a1', 'vector')).to.equal('old');
+        });
+
+        it('should re-embed into new indexes and record the backend once nothing fails', async () => {
+            const progress = [];
+            const first = await migrateEmbeddings({ onProgress: update => progress.push(update) });
+
+            expect(first.status).to.equal('migrated');
+            expect(first.collections.facts).to.deep.equal({ index: 'facts-index-4', keys: 2, reembedded: 1, failed: ['fact:f2'] });
+            expect(await fakeClient.hGet('fact:f1', 'embedding')).to.have.length(16);
+            expect(first.collections.scientificFacts).to.deep.equal({ index: 'scientific-facts-index-4', keys: 1, reembedded: 1, failed: [] });
+            expect(indexSizes()).to.deep.equal([
+                ['cache-index-4', 4],
+                ['facts-index-4', 4],
+                ['scientific-facts-index-4', 4],
+                ['political-facts-index-4', 4],
+                ['economic-facts-index-4', 4]
+            ]);
+            expect(progress).to.have.length(4);
+            expect(await fakeClient.exists(EMBEDDING_BACKEND_KEY)).to.equal(0);
+
+            await fakeClient.hSet('fact:f2', 'content', 'Sea levels are rising');
+            const second = await migrateEmbeddings();
+            expect(second.collections.facts.failed).to.deep.equal([]);
+            expect(await getRecordedBackend()).to.include({ provider: 'tiny', model: 'tiny-embed', dimensions: 4 });
+            expect((await migrateEmbeddings()).status).to.equal('up_to_date');
+        });
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit tests for human participant seats
+ */
+
+import { describe, it, afterEach } from 'mocha';
+import { expect } from 'chai';
+import {
+    claimHumanSeat,
+    releaseHumanSeat,
+    clearHumanSeats,
+    getHumanSeat,
+    listHumanSeats,
+    waitForHumanTurn,
+    submitHumanTurn
+} from '../../humanTurns.js';
+import { createDebateProcess } from '../../debateControl.js';
+
+describe('Human Turns', () => {
+    afterEach(() => {
+        clearHumanSeats('d1');
+    });
+
+    it('should let only one human hold a seat', () => {
+        expect(claimHumanSeat('d1', 'reformerbot', 'Alex')).to.include({ agentId: 'reformerbot', name: 'Alex' });
+        expect(claimHumanSeat('d1', 'reformerbot', 'Sam')).to.equal(null);
+        expect(getHumanSeat('d1', 'reformerbot').name).to.equal('Alex');
+    });
+
+    it('should deliver a submitted turn to the waiting runner', async () => {
+        claimHumanSeat('d1', 'reformerbot', 'Alex');
+        let opened;
+        const waiting = waitForHumanTurn('d1', 'reformerbot', {
+            timeoutMs: 2000,
+            onWaiting: (turn) => { opened = turn; }
+        });
+
+        expect(opened.agentId).to.equal('reformerbot');
+        expect(listHumanSeats('d1')[0].awaitingTurn).to.equal(true);
+        expect(submitHumanTurn('d1', 'reformerbot', 'Carbon pricing works.')).to.deep.equal({ accepted: true });
+        expect(await waiting).to.equal('Carbon pricing works.');
+    });
+
+    it('should reject turns that are not owed', () => {
+        claimHumanSeat('d1', 'reformerbot', 'Alex');
+        expect(submitHumanTurn('d1', 'reformerbot', 'Too early').accepted).to.equal(false);
+        expect(submitHumanTurn('d1', 'senatorbot', 'Not my seat').accepted).to.equal(false);
+    });
+
+    it('should resolve null on timeout, cancellation, or release', async () => {
+        claimHumanSeat('d1', 'reformerbot', 'Alex');
+        expect(await waitForHumanTurn('d1', 'reformerbot', { timeoutMs: 50 })).to.equal(null);
+
+        const debateProcess = createDebateProcess();
+        const cancelled = waitForHumanTurn('d1', 'reformerbot', { timeoutMs: 2000, debateProcess });
+        debateProcess.cancelled = true;
+        expect(await cancelled).to.equal(null);
+
+        const released = waitForHumanTurn('d1', 'reformerbot', { timeoutMs: 2000 });
+        releaseHumanSeat('d1', 'reformerbot');
+        expect(await released).to.equal(null);
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for the LLM provider registry
+ */
+
+import { describe, it, afterEach } from 'mocha';
+import { expect } from 'chai';
+import {
+    registerLLMProvider,
+    getLLMProvider,
+    listLLMProviders,
+    resetLLMProviders,
+    generateCompletion,
+    generateEmbedding,
+    createChatModel,
+    createMockProvider,
+    createLocalProvider,
+    getEmbeddingProviderName
+} from '../../llmProvider.js';
+
+const messages = [
+    { role: 'system', content: 'AGENT: SenatorBot\nTOPIC: climate policy' },
+    { role: 'user', content: 'Continue the debate on "climate policy".' }
+];
+
+function cosine(a, b) {
+    return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+describe('LLM Provider Registry', () => {
+    afterEach(() => {
+        resetLLMProviders();
+    });
+
+    it('should register the built-in providers', () => {
+        expect(listLLMProviders()).to.include.members(['openai', 'google', 'mock', 'local']);
+    });
+
+    it('should throw for unknown providers', () => {
+        expect(() => getLLMProvider('nope')).to.throw('Unknown LLM provider "nope"');
+    });
+
+    it('should route completions to a custom provider', async () => {
+        registerLLMProvider('echo', () => ({
+            name: 'echo',
+            chatModel: 'echo-1',
+            embeddingModel: 'echo-embed',
+            embeddingDimensions: 2,
+            complete: async ({ messages: msgs, model }) => ({
+                text: msgs.at(-1).content,
+                model,
+                usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 }
+            }),
+            embed: async () => [1, 0]
+        }));
+
+        const result = await generateCompletion({ provider: 'echo', messages });
+        expect(result.text).to.equal(messages[1].content);
+        expect(result.model).to.equal('echo-1');
+        expect(result.provider).to.equal('echo');
+        expect(await generateEmbedding('x', { provider: 'echo' })).to.deep.equal([1, 0]);
+    });
+
+    describe('Mock Provider', () => {
+        it('should produce identical completions for identical input and seed', async () => {
+            const a = await createMockProvider({ seed: 7 }).complete({ messages });
+            const b = await createMockProvider({ seed: 7 }).complete({ messages });
+            expect(a.text).to.equal(b.text);
+            expect(a.text).to.include('climate policy');
+            expect(a.usage.total_tokens).to.equal(a.usage.prompt_tokens + a.usage.completion_tokens);
+        });
+
+        it('should vary completions with the seed', async () => {
+            const outputs = new Set();
+            for (const seed of [1, 2, 3, 4, 5]) {
+                const { text } = await createMockProvider({ seed }).complete({ messages });
+                outputs.add(text);
+            }
+            expect(outputs.size).to.be.greaterThan(1);
+        });
+
+        it('should return normalized embeddings of the configured dimension', async () => {
+            const provider = createMockProvider({ dimensions: 64 });
+            const vector = await provider.embed('carbon tax policy');
+            expect(vector).to.have.length(64);
+            expect(cosine(vector, vector)).to.be.closeTo(1, 1e-9);
+            expect(await provider.embed('carbon tax policy')).to.deep.equal(vector);
+        });
+
+        it('should place texts with shared vocabulary closer together', async () => {
+            const provider = createMockProvider();
+            const base = await provider.embed('climate policy and carbon emissions');
+            const near = await provider.embed('climate policy and carbon pricing');
+            const far = await provider.embed('space exploration funding');
+            expect(cosine(base, near)).to.be.greaterThan(cosine(base, far));
+        });
+
+        it('should back a LangChain chat model', async () => {
+            const { SystemMessage, HumanMessage } = await import('@langchain/core/messages');
+            const llm = createChatModel({ provider: 'mock' });
+            const response = await llm.invoke([
+                new SystemMessage('TOPIC: healthcare'),
+                new HumanMessage('Opening statement please.')
+            ]);
+            expect(response.content).to.be.a('string').and.include('healthcare');
+        });
+    });
+
+    describe('Local Provider', () => {
+        afterEach(() => {
+            delete process.env.EMBEDDING_PROVIDER;
+        });
+
+        it('should mean-pool and normalize through one loaded pipeline', async () => {
+            const calls = [];
+            const loadPipeline = async (model) => {
+                calls.push(model);
+                return async (text, options) => {
+                    expect(options).to.deep.equal({ pooling: 'mean', normalize: true });
+                    return { data: new Float32Array([0.6, 0.8, text.length]) };
+                };
+            };
+            const provider = createLocalProvider({ model: 'test/minilm', dimensions: 3, loadPipeline });
+
+            const [a, b] = await Promise.all([provider.embed('carbon'), provider.embed('tax')]);
+            expect(a).to.have.length(3);
+            expect(b[2]).to.equal(3);
+            expect(calls).to.deep.equal(['test/minilm']);
+            await provider.complete({ messages }).then(
+                () => expect.fail('local provider should not complete'),
+                error => expect(error.message).to.include('only embeds')
+            );
+        });
+
+        it('should reject vectors of the wrong dimension', async () => {
+            const provider = createLocalProvider({
+                dimensions: 384,
+                loadPipeline: async () => async () => ({ data: new Float32Array(768) })
+            });
+            await provider.embed('x').then(
+                () => expect.fail('dimension mismatch should throw'),
+                error => expect(error.message).to.include('768 dimensions')
+            );
+        });
+
+        it('should load models through transformers.js and retry after a failed load', async () => {
+            const { env } = await import('@huggingface/transformers');
+            const saved = { allowRemoteModels: env.allowRemoteModels, localModelPath: env.localModelPath };
+            env.allowRemoteModels = false;
+            env.localModelPath = '/nonexistent/models/';
+            try {
+                const provider = createLocalProvider({ model: 'stancestream/missing-model' });
+                for (let attempt = 0; attempt < 2; attempt++) {
+                    await provider.embed('x').then(
+                        () => expect.fail('a missing model should not load'),
+                        error => expect(error.message).to.include('stancestream/missing-model/config.json')
+                    );
+                }
+            } finally {
+                Object.assign(env, saved);
+            }
+        });
+
+        // Downloads the default model, so it only runs when asked for
+        it('should embed with the default model end to end', async function () {
+            if (!process.env.LOCAL_EMBEDDING_E2E) this.skip();
+            this.timeout(120000);
+            const provider = createLocalProvider();
+            const [tax, levy] = await Promise.all([provider.embed('carbon tax'), provider.embed('carbon levy')]);
+            expect(tax).to.have.length(384);
+            expect(cosine(tax, tax)).to.be.closeTo(1, 1e-5);
+            expect(cosine(tax, levy)).to.be.above(0.5);
+        });
+
+        it('should embed with EMBEDDING_PROVIDER over LLM_PROVIDER', () => {
+            expect(getEmbeddingProviderName()).to.equal(process.env.LLM_PROVIDER?.toLowerCase() || 'openai');
+            process.env.EMBEDDING_PROVIDER = 'Local';
+            expect(getEmbeddingProviderName()).to.equal('local');
+        });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for news sources and news-seeded debates
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { createFixtureNewsSource, parseRssItems } from '../../newsSources.js';
+import {
+    MAX_EVIDENCE,
+    articlesToEvidence,
+    buildNewsDebateSeed,
+    frameNewsDebate,
+    formatNewsContext
+} from '../../newsDebates.js';
+
+const article = (title, extra = {}) => ({
+    title,
+    description: `${title} description`,
+    content: '',
+    url: `https://example.com/${encodeURIComponent(title)}`,
+    image: '',
+    publishedAt: '2025-03-01T00:00:00Z',
+    source: { name: 'Example News', url: 'https://example.com' },
+    ...extra
+});
+
+describe('News Sources', () => {
+    it('should read RSS items with the channel as source', () => {
+        const items = parseRssItems(`<rss><channel><title>Feed</title><link>https://feed.test</link>
+            <item><title>One &amp; two</title><link>https://feed.test/1</link>
+            <description><![CDATA[<p>Hello</p>]]></description>
+            <pubDate>Tue, 11 Mar 2025 16:00:00 GMT</pubDate></item></channel></rss>`);
+
+        expect(items).to.have.length(1);
+        expect(items[0].title).to.equal('One & two');
+        expect(items[0].description).to.equal('Hello');
+        expect(items[0].publishedAt).to.equal('2025-03-11T16:00:00.000Z');
+        expect(items[0].source.name).to.equal('Feed');
+    });
+
+    it('should serve JSON and RSS fixtures newest first and search them', async () => {
+        const source = createFixtureNewsSource({ dir: 'fixtures/news' });
+
+        const headlines = await source.headlines({ max: 10 });
+        expect(headlines).to.have.length(6);
+        const times = headlines.slice(0, -1).map(a => Date.parse(a.publishedAt));
+        expect(times).to.deep.equal([...times].sort((a, b) => b - a));
+        // The feed item with an unparsable pubDate is kept, undated and last
+        expect(headlines.at(-1)).to.include({ title: 'Cities test curbside sensors for delivery robots', publishedAt: '' });
+
+        const results = await source.search('artificial intelligence', { max: 10 });
+        expect(results.map(a => a.title)).to.include('Artificial intelligence tutors enter public classrooms');
+        expect(results.map(a => a.title)).to.not.include('Schools weigh limits on student phone use - Education Weekly');
+    });
+});
+
+describe('News Debates', () => {
+    it('should number evidence, drop duplicates and cap its length', () => {
+        const articles = [
+            article('A', { description: 'x'.repeat(400) }),
+            article('A'),
+            article('B'),
+            article('C'),
+            article('D'),
+            article('E')
+        ];
+
+        const evidence = articlesToEvidence(articles);
+        expect(evidence).to.have.length(MAX_EVIDENCE);
+        expect(evidence.map(e => e.id)).to.deep.equal(['N1', 'N2', 'N3', 'N4']);
+        expect(evidence.map(e => e.title)).to.deep.equal(['A', 'B', 'C', 'D']);
+        expect(evidence[0].snippet).to.have.length(280);
+    });
+
+    it('should use the model framing when it returns JSON', async () => {
+        const complete = async () => ({
+            text: 'Sure: {"topic": "Should cities add bus lanes?", "proPosition": "Yes", "conPosition": "No"}'
+        });
+
+        const framing = await frameNewsDebate(article('Bus lanes'), { complete });
+        expect(framing).to.deep.equal({
+            topic: 'Should cities add bus lanes?',
+            proPosition: 'Yes',
+            conPosition: 'No',
+            framedBy: 'model'
+        });
+    });
+
+    it('should fall back to the headline when the model reply is unusable', async () => {
+        const complete = async () => ({ text: 'Here is a great debate!' });
+
+        const seed = await buildNewsDebateSeed(
+            article('City votes on bus lanes - Metro Daily'),
+            [article('Related story')],
+            { complete }
+        );
+        expect(seed.framedBy).to.equal('headline');
+        expect(seed.topic).to.equal('City votes on bus lanes');
+        expect(seed.proPosition).to.equal('In favor of: City votes on bus lanes');
+        expect(seed.article.source).to.equal('Example News');
+        expect(seed.evidence.map(e => e.id)).to.deep.equal(['N1', 'N2']);
+    });
+
+    it('should give each seat its side and the citable evidence', async () => {
+        const complete = async () => ({ text: '' });
+        const seed = await buildNewsDebateSeed(article('Phones in schools'), [], { complete });
+
+        const pro = formatNewsContext(seed, 'pro');
+        expect(pro).to.include('YOUR SIDE: In favor of: Phones in schools');
+        expect(pro).to.include('[N1] Phones in schools (Example News)');
+        expect(formatNewsContext(seed, 'con')).to.include('YOUR SIDE: Against: Phones in schools');
+        expect(formatNewsContext(seed, null)).to.not.include('YOUR SIDE');
+        expect(formatNewsContext(null, 'pro')).to.equal('');
+    });
+});
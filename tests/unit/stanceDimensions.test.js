@@ -0,0 +1,172 @@
+/**
+ * Unit tests for dynamic stance dimensions
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { topicToStanceKey } from '../../messageGenerationCore.js';
+import {
+    builtInStanceKey,
+    inferInitialStance,
+    mergeStanceDimensions,
+    normalizeStanceKey,
+    prepareStanceDimension,
+    resolveStanceDimension,
+    stanceDimensionKey
+} from '../../stanceDimensions.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+const embed = async () => [1, 0, 0];
+
+describe('Stance Dimensions', () => {
+    describe('built-in keys', () => {
+        it('should keep the eight policy areas', () => {
+            expect(builtInStanceKey('Climate policy')).to.equal('climate_policy');
+            expect(builtInStanceKey('Should schools ban phones?')).to.equal('education_policy');
+            expect(builtInStanceKey('AI in the workplace')).to.equal('ai_policy');
+        });
+
+        it('should not match keywords inside other words', () => {
+            expect(builtInStanceKey('Should remote work remain the default?')).to.equal(null);
+            expect(builtInStanceKey('Is syntax highlighting essential?')).to.equal(null);
+            expect(topicToStanceKey('A never resolved custom topic')).to.equal('general_policy');
+        });
+
+        it('should derive keys from the significant words', () => {
+            expect(normalizeStanceKey('Should we adopt a four-day work week?')).to.equal('adopt_four_day_work_week');
+            expect(normalizeStanceKey('Pineapple on pizza: yes or no?')).to.equal('pineapple_pizza_yes_no');
+            expect(normalizeStanceKey('Is it &#x27;fair&#x27; play?')).to.equal('fair_play');
+        });
+    });
+
+    describe('resolution', () => {
+        let fakeClient;
+
+        beforeEach(() => {
+            fakeClient = stubRedisManager();
+            fakeClient.ft.search = async () => ({ total: 0, documents: [] });
+        });
+
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it('should create a dimension for a new topic and remember it', async () => {
+            const resolution = await resolveStanceDimension('Should cities ban cars downtown?', { embed });
+
+            expect(resolution).to.deep.equal({ key: 'cities_ban_cars_downtown', matchedBy: 'new' });
+            const stored = await fakeClient.json.get(stanceDimensionKey('cities_ban_cars_downtown'));
+            expect(stored.topics).to.deep.equal(['Should cities ban cars downtown?']);
+            expect(stored.vector).to.deep.equal([1, 0, 0]);
+            expect(topicToStanceKey('should cities ban cars downtown?')).to.equal('cities_ban_cars_downtown');
+
+            const again = await resolveStanceDimension('Should cities ban cars downtown?', { embed });
+            expect(again.matchedBy).to.equal('alias');
+        });
+
+        it('should reuse a similar dimension found by vector search', async () => {
+            await resolveStanceDimension('Four day work week', { embed });
+            fakeClient.ft.search = async () => ({
+                total: 1,
+                documents: [{ id: 'stance_dimension:four_day_work_week', value: { key: 'four_day_work_week', score: '0.05' } }]
+            });
+
+            const resolution = await resolveStanceDimension('Should employers move to 4-day weeks?', { embed });
+            expect(resolution.key).to.equal('four_day_work_week');
+            expect(resolution.matchedBy).to.equal('embedding');
+            expect(resolution.similarity).to.be.closeTo(0.95, 1e-9);
+            expect((await fakeClient.json.get(stanceDimensionKey('four_day_work_week'))).topics)
+                .to.include('Should employers move to 4-day weeks?');
+        });
+
+        it('should fall back to a normalized key when vector search fails', async () => {
+            fakeClient.ft.search = async () => {
+                throw new Error('unknown command FT.SEARCH');
+            };
+
+            const resolution = await resolveStanceDimension('Universal basic income trial', { embed });
+            expect(resolution).to.deep.equal({ key: 'universal_basic_income_trial', matchedBy: 'new' });
+        });
+
+        it('should give agents an inferred stance only where they have none', async () => {
+            await fakeClient.json.set('agent:senatorbot:profile', '$', {
+                name: 'SenatorBot', role: 'Senator', biases: ['fiscal responsibility'], stance: { climate_policy: 0.4 }
+            });
+            await fakeClient.json.set('agent:reformerbot:profile', '$', {
+                name: 'ReformerBot', role: 'Reformer', biases: ['climate justice'], stance: { school_uniforms: 0.2 }
+            });
+            const complete = async () => ({ text: '0.7' });
+
+            const result = await prepareStanceDimension('School uniforms', ['senatorbot', 'reformerbot'], { embed, complete });
+
+            expect(result.key).to.equal('education_policy');
+            expect(result.stances).to.deep.equal({ senatorbot: 0.7, reformerbot: 0.7 });
+            expect((await fakeClient.json.get('agent:senatorbot:profile')).stance)
+                .to.deep.equal({ climate_policy: 0.4, education_policy: 0.7 });
+
+            const again = await prepareStanceDimension('Education reform', ['senatorbot'], {
+                embed,
+                complete: async () => ({ text: '0.1' })
+            });
+            expect(again.stances).to.deep.equal({ senatorbot: 0.7 });
+        });
+
+        it('should merge a dimension into another and move agent stances', async () => {
+            await resolveStanceDimension('Remote work forever', { embed });
+            await resolveStanceDimension('Working from home', { embed });
+            await fakeClient.json.set('agent:senatorbot:profile', '$', {
+                name: 'SenatorBot', stance: { remote_work_forever: 0.3 }
+            });
+
+            const result = await mergeStanceDimensions('remote_work_forever', 'working_home');
+
+            expect(result).to.deep.equal({
+                source: 'remote_work_forever',
+                target: 'working_home',
+                topicsMoved: 1,
+                agentsUpdated: ['senatorbot']
+            });
+            expect((await fakeClient.json.get('agent:senatorbot:profile')).stance).to.deep.equal({ working_home: 0.3 });
+            expect((await fakeClient.json.get(stanceDimensionKey('working_home'))).topics)
+                .to.deep.equal(['Working from home', 'Remote work forever']);
+            expect(await fakeClient.exists(stanceDimensionKey('remote_work_forever'))).to.equal(0);
+            expect(topicToStanceKey('Remote work forever')).to.equal('working_home');
+        });
+
+        it('should refuse to merge away a built-in or unknown dimension', async () => {
+            expect(await mergeStanceDimensions('climate_policy', 'general_policy'))
+                .to.deep.equal({ status: 400, error: 'Built-in dimension "climate_policy" cannot be merged away' });
+            expect((await mergeStanceDimensions('no_such_dimension', 'climate_policy')).status).to.equal(404);
+        });
+    });
+
+    describe('inferInitialStance', () => {
+        const profile = {
+            name: 'SenatorBot', role: 'Senator', biases: ['fiscal responsibility'],
+            stance: { climate_policy: 0.2, economic_risk: 0.8 }
+        };
+
+        it('should use the model estimate when it is a number', async () => {
+            const result = await inferInitialStance(profile, 'Carbon tariffs', { complete: async () => ({ text: ' 0.35 ' }), embed });
+            expect(result).to.deep.equal({ value: 0.35, inferredBy: 'model' });
+        });
+
+        it('should weight related stances by similarity otherwise', async () => {
+            const vectors = { 'Carbon tariffs': [1, 0], 'climate policy': [1, 0], 'economic risk': [0, 1] };
+            const result = await inferInitialStance(profile, 'Carbon tariffs', {
+                complete: async () => ({ text: 'I think it depends.' }),
+                embed: async (text) => vectors[text]
+            });
+            expect(result).to.deep.equal({ value: 0.2, inferredBy: 'related' });
+        });
+
+        it('should start neutral with nothing to go on', async () => {
+            const result = await inferInitialStance({ name: 'New', role: 'Agent' }, 'Anything', {
+                complete: async () => ({ text: 'no idea' }),
+                embed
+            });
+            expect(result).to.deep.equal({ value: 0.5, inferredBy: 'default' });
+        });
+    });
+});
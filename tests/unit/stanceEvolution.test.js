@@ -0,0 +1,181 @@
+/**
+ * Unit tests for model-based stance evolution
+ */
+
+import { describe, it, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+    DEFAULT_PERSUADABILITY,
+    MAX_UPDATE_SHIFT,
+    collectAnsweredArguments,
+    computeStanceShift,
+    evaluateStanceUpdate,
+    getPersuadability,
+    getStanceReasons,
+    recordStanceUpdate,
+    scoreArgument
+} from '../../stanceEvolution.js';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+
+const entry = (id, agentId, message) => ({ id, message: { agent_id: agentId, message } });
+
+const senator = {
+    name: 'SenatorBot',
+    role: 'Moderate US Senator',
+    biases: ['fiscal responsibility', 'bipartisan compromise'],
+    stance: { climate_policy: 0.4 },
+    persuadability: 0.4
+};
+
+describe('Stance Evolution', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('collectAnsweredArguments', () => {
+        it('should take opponent messages since the agent last spoke, oldest first', () => {
+            const entries = [
+                entry('5-0', 'senatorbot', 'my reply'),
+                entry('4-0', 'reformerbot', 'second point'),
+                entry('3-0', 'moderator', 'first point'),
+                entry('2-0', 'senatorbot', 'my opening'),
+                entry('1-0', 'reformerbot', 'already answered')
+            ];
+
+            expect(collectAnsweredArguments('senatorbot', entries)).to.deep.equal([
+                { id: '3-0', speakerId: 'moderator', text: 'first point' },
+                { id: '4-0', speakerId: 'reformerbot', text: 'second point' }
+            ]);
+        });
+    });
+
+    describe('computeStanceShift', () => {
+        it('should scale the pull by persuadability and cap it', () => {
+            const scores = [
+                { direction: 1, persuasiveness: 0.8 },
+                { direction: -1, persuasiveness: 0.2 }
+            ];
+            expect(computeStanceShift(scores, 0.5)).to.equal(0.045);
+            expect(computeStanceShift(scores, 0)).to.equal(0);
+
+            const overwhelming = Array(4).fill({ direction: -1, persuasiveness: 1 });
+            expect(computeStanceShift(overwhelming, 1)).to.equal(-MAX_UPDATE_SHIFT);
+        });
+
+        it('should default and clamp persuadability', () => {
+            expect(getPersuadability({})).to.equal(DEFAULT_PERSUADABILITY);
+            expect(getPersuadability({ persuadability: 3 })).to.equal(1);
+            expect(getPersuadability({ persuadability: 0.2 })).to.equal(0.2);
+        });
+    });
+
+    describe('scoreArgument', () => {
+        const argument = { id: '4-0', speakerId: 'reformerbot', text: 'Carbon pricing balances the budget' };
+
+        it('should use the judge verdict when it is valid JSON', async () => {
+            const complete = async () => ({
+                text: '{"persuasiveness": 0.7, "direction": "for", "reason": "Frames climate action as fiscally responsible."}'
+            });
+
+            const score = await scoreArgument(
+                { profile: senator, topic: 'Climate policy', stance: 0.4, argument, speakerStance: 0.9 },
+                { complete }
+            );
+            expect(score).to.deep.equal({
+                messageId: '4-0',
+                speakerId: 'reformerbot',
+                persuasiveness: 0.7,
+                direction: 1,
+                reason: 'Frames climate action as fiscally responsible.',
+                scoredBy: 'model'
+            });
+        });
+
+        it('should fall back to bias similarity, pulling toward the speaker', async () => {
+            const vectors = {
+                'Carbon pricing balances the budget': [1, 1],
+                'fiscal responsibility': [1, 0],
+                'bipartisan compromise': [0, -1]
+            };
+
+            const score = await scoreArgument(
+                { profile: senator, topic: 'Climate policy', stance: 0.4, argument, speakerStance: 0.1 },
+                { complete: async () => ({ text: 'Great point!' }), embed: async text => vectors[text] }
+            );
+            expect(score.scoredBy).to.equal('embedding');
+            expect(score.direction).to.equal(-1);
+            expect(score.persuasiveness).to.equal(0.707);
+            expect(score.reason).to.include('fiscal responsibility');
+        });
+    });
+
+    describe('evaluateStanceUpdate', () => {
+        it('should move the stance and explain why', async () => {
+            const verdicts = [
+                '{"persuasiveness": 0.9, "direction": "for", "reason": "Strong fiscal case."}',
+                '{"persuasiveness": 0.3, "direction": "against", "reason": "Weak appeal."}'
+            ];
+            const complete = async () => ({ text: verdicts.shift() });
+
+            const update = await evaluateStanceUpdate({
+                agentId: 'senatorbot',
+                profile: senator,
+                topic: 'Climate policy',
+                stanceKey: 'climate_policy',
+                answered: [
+                    { id: '3-0', speakerId: 'reformerbot', text: 'a' },
+                    { id: '4-0', speakerId: 'moderator', text: 'b' }
+                ],
+                speakerStances: { reformerbot: 0.9 }
+            }, { complete });
+
+            expect(update.oldStance).to.equal(0.4);
+            expect(update.shift).to.equal(computeStanceShift(update.arguments, 0.4));
+            expect(update.newStance).to.equal(0.436);
+            expect(update.explanation).to.equal(
+                'SenatorBot moved 0.036 toward for: reformerbot was most persuasive (0.90). Strong fiscal case.'
+            );
+        });
+
+        it('should leave the stance alone with nothing new to weigh', async () => {
+            const update = await evaluateStanceUpdate({
+                agentId: 'senatorbot',
+                profile: senator,
+                topic: 'Climate policy',
+                stanceKey: 'climate_policy',
+                answered: [],
+                speakerStances: {}
+            });
+
+            expect(update.shift).to.equal(0);
+            expect(update.newStance).to.equal(0.4);
+            expect(update.explanation).to.equal('SenatorBot had no new arguments to weigh');
+        });
+    });
+
+    describe('stance reasons log', () => {
+        it('should round-trip updates through the stream', async () => {
+            sinon.useFakeTimers({ now: 1700000000000, toFake: ['Date'] });
+            stubRedisManager();
+
+            const update = {
+                agentId: 'senatorbot',
+                stanceKey: 'climate_policy',
+                oldStance: 0.4,
+                newStance: 0.436,
+                shift: 0.036,
+                persuadability: 0.4,
+                arguments: [{ messageId: '3-0', speakerId: 'reformerbot', persuasiveness: 0.9, direction: 1, reason: 'r', scoredBy: 'model' }],
+                explanation: 'SenatorBot moved'
+            };
+            await recordStanceUpdate('d1', update);
+            await recordStanceUpdate('d1', { ...update, agentId: 'reformerbot' });
+
+            const reasons = await getStanceReasons('d1', { agentId: 'senatorbot' });
+            expect(reasons).to.have.length(1);
+            expect(reasons[0]).to.deep.include(update);
+            expect(reasons[0].timestamp).to.equal(new Date(1700000000000).toISOString());
+        });
+    });
+});
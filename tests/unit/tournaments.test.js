@@ -0,0 +1,162 @@
+/**
+ * Unit tests for tournaments and Elo ratings
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { stubRedisManager } from '../helpers/fakeRedis.js';
+import {
+    advanceTournament,
+    buildEliminationStage,
+    buildRoundRobinMatches,
+    createTournament,
+    getLeaderboard,
+    getTournament,
+    resumeTournaments,
+    tournamentStandings,
+    updateElo
+} from '../../tournaments.js';
+
+// Resolves once `count` results have been recorded
+function waitForUpdates(count) {
+    const updates = [];
+    let done;
+    const finished = new Promise(resolve => {
+        done = resolve;
+    });
+    return {
+        updates,
+        finished,
+        onUpdate: (tournament, match) => {
+            updates.push({ tournament, match });
+            if (updates.length === count) done();
+        }
+    };
+}
+
+describe('Tournaments', () => {
+    beforeEach(() => {
+        stubRedisManager();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('brackets', () => {
+        it('should pair every agent once in a round-robin, cycling topics', () => {
+            const matches = buildRoundRobinMatches(['a', 'b', 'c'], ['t1', 't2']);
+            expect(matches.map(m => [m.id, m.agents.join('v'), m.topic])).to.deep.equal([
+                ['1-1', 'avb', 't1'],
+                ['1-2', 'avc', 't2'],
+                ['1-3', 'bvc', 't1']
+            ]);
+        });
+
+        it('should seed an elimination bracket and give top seeds the byes', () => {
+            const stage = buildEliminationStage(['s1', 's2', 's3', 's4', 's5'], ['t1'], 1);
+            expect(stage.map(m => [m.agents.join('v'), m.status])).to.deep.equal([
+                ['s1', 'bye'],
+                ['s4vs5', 'pending'],
+                ['s2', 'bye'],
+                ['s3', 'bye']
+            ]);
+            expect(stage[0].winner).to.equal('s1');
+        });
+    });
+
+    describe('updateElo', () => {
+        it('should move ratings by the surprise of the result', () => {
+            expect(updateElo(1500, 1500, 1, 32)).to.deep.equal({ a: 1516, b: 1484 });
+            expect(updateElo(1500, 1500, 0.5, 32)).to.deep.equal({ a: 1500, b: 1500 });
+            expect(updateElo(1700, 1500, 1, 32)).to.deep.equal({ a: 1707.7, b: 1492.3 });
+        });
+    });
+
+    describe('advanceTournament', () => {
+        // Matches finish a few milliseconds after launch with the given winners
+        function createLauncher(winners) {
+            const launcher = { running: 0, maxRunning: 0, launched: [] };
+            launcher.launch = async (match) => {
+                launcher.running++;
+                launcher.maxRunning = Math.max(launcher.maxRunning, launcher.running);
+                launcher.launched.push(match.id);
+                const result = new Promise(resolve => setTimeout(() => {
+                    launcher.running--;
+                    resolve({ winner: winners[match.id], totals: null });
+                }, 5));
+                return { debateId: `debate_${match.id}`, result };
+            };
+            return launcher;
+        }
+
+        it('should respect the concurrency cap and rate a round-robin', async () => {
+            const tournament = await createTournament({
+                format: 'round-robin', agents: ['a', 'b', 'c'], topics: ['Taxes'], concurrency: 2
+            });
+            const launcher = createLauncher({ '1-1': 'a', '1-2': 'tie', '1-3': 'c' });
+            const { finished, onUpdate } = waitForUpdates(3);
+
+            await advanceTournament(tournament.id, launcher.launch, onUpdate);
+            await finished;
+
+            expect(launcher.maxRunning).to.equal(2);
+            const stored = await getTournament(tournament.id);
+            expect(stored.status).to.equal('completed');
+            expect(stored.champion).to.equal('a');
+            expect(stored.matches[0]).to.include({ debateId: 'debate_1-1', winner: 'a', status: 'completed' });
+            expect(stored.matches[0].ratingChange).to.deep.equal({ a: 16, b: -16 });
+            expect(tournamentStandings(stored).map(entry => [entry.agentId, entry.points])).to.deep.equal([
+                ['a', 1.5], ['c', 1.5], ['b', 0]
+            ]);
+
+            // c drew a after a had already gained on b, so c is rated higher
+            const leaderboard = await getLeaderboard();
+            expect(leaderboard.map(entry => entry.agentId)).to.deep.equal(['c', 'a', 'b']);
+            expect(leaderboard[1]).to.deep.include({ rank: 2, games: 2, wins: 1, draws: 1, losses: 0 });
+        });
+
+        it('should play elimination stages and send unjudged matches to the better seed', async () => {
+            const tournament = await createTournament({
+                format: 'single-elimination', agents: ['s1', 's2', 's3', 's4'], topics: ['Taxes', 'Energy'], concurrency: 4
+            });
+            // The final has no verdict, so s3 (the better seed) takes it unrated
+            const launcher = createLauncher({ '1-1': 's4', '1-2': 's3', '2-1': null });
+            const { finished, onUpdate } = waitForUpdates(3);
+
+            await advanceTournament(tournament.id, launcher.launch, onUpdate);
+            await finished;
+
+            const stored = await getTournament(tournament.id);
+            expect(stored.matches.map(m => [m.id, m.agents.join('v'), m.topic, m.status])).to.deep.equal([
+                ['1-1', 's1vs4', 'Taxes', 'completed'],
+                ['1-2', 's2vs3', 'Taxes', 'completed'],
+                ['2-1', 's4vs3', 'Energy', 'no_contest']
+            ]);
+            expect(stored.champion).to.equal('s3');
+            expect(stored.status).to.equal('completed');
+            expect((await getLeaderboard()).map(entry => entry.games)).to.deep.equal([1, 1, 1, 1]);
+        });
+
+        it('should replay matches left running by a restart', async () => {
+            const tournament = await createTournament({
+                format: 'round-robin', agents: ['a', 'b', 'c'], topics: ['Taxes'], concurrency: 1
+            });
+            // The old process claimed the first match and died mid-debate
+            await advanceTournament(tournament.id, async () => ({ debateId: 'lost', result: new Promise(() => {}) }));
+            expect((await getTournament(tournament.id)).matches[0]).to.include({ status: 'running', debateId: 'lost' });
+
+            const launcher = createLauncher({ '1-1': 'a', '1-2': 'b', '1-3': 'c' });
+            const { finished, onUpdate } = waitForUpdates(3);
+            expect(await resumeTournaments(launcher.launch, onUpdate)).to.deep.equal([tournament.id]);
+            await finished;
+
+            expect(launcher.launched).to.deep.equal(['1-1', '1-2', '1-3']);
+            const stored = await getTournament(tournament.id);
+            expect(stored.status).to.equal('completed');
+            expect(stored.matches[0]).to.include({ debateId: 'debate_1-1', winner: 'a' });
+            expect(await resumeTournaments(launcher.launch, onUpdate)).to.deep.equal([]);
+        });
+    });
+});
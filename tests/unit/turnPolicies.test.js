@@ -0,0 +1,140 @@
+/**
+ * Unit tests for turn-taking policies
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import {
+    TURN_POLICY_NAMES,
+    isTurnPolicy,
+    selectNextSpeaker,
+    scoreChallenges
+} from '../../turnPolicies.js';
+import { registerLLMProvider, resetLLMProviders } from '../../llmProvider.js';
+
+const panel = ['senatorbot', 'reformerbot', 'economistbot', 'activistbot'];
+
+describe('Turn Policies', () => {
+    it('should expose the four built-in policies', () => {
+        expect(TURN_POLICY_NAMES).to.have.members([
+            'round-robin', 'moderator-selected', 'most-challenged', 'random-weighted'
+        ]);
+        expect(isTurnPolicy('loudest-wins')).to.equal(false);
+    });
+
+    describe('round-robin', () => {
+        it('should follow seat order across an N-agent panel', async () => {
+            const order = [];
+            let lastSpeaker = null;
+            for (let turnIndex = 0; turnIndex < panel.length * 2; turnIndex++) {
+                lastSpeaker = await selectNextSpeaker('round-robin', { agents: panel, lastSpeaker, turnIndex });
+                order.push(lastSpeaker);
+            }
+            expect(order).to.deep.equal([...panel, ...panel]);
+        });
+    });
+
+    describe('most-challenged', () => {
+        it('should pick the agent named in recent attacks', async () => {
+            const next = await selectNextSpeaker('most-challenged', {
+                agents: panel,
+                lastSpeaker: 'reformerbot',
+                turnIndex: 3,
+                history: [
+                    { agentId: 'senatorbot', message: 'We should phase in a carbon tax.' },
+                    { agentId: 'reformerbot', message: 'EconomistBot is wrong and ignores the data on emissions.' }
+                ]
+            });
+            expect(next).to.equal('economistbot');
+        });
+
+        it('should weigh stance distance when nobody is named', () => {
+            const scores = scoreChallenges({
+                agents: ['a', 'b', 'c'],
+                history: [{ agentId: 'a', message: 'I disagree with that approach.' }],
+                stances: { a: 0.9, b: 0.8, c: 0.1 }
+            });
+            expect(scores.c).to.be.greaterThan(scores.b);
+            expect(scores.a).to.equal(0);
+        });
+
+        it('should only count cue words and agent ids as whole words', () => {
+            const scores = scoreChallenges({
+                agents: ['pro', 'con'],
+                history: [{ agentId: 'pro', message: 'Our economy will contribute to progress.' }],
+                names: { pro: 'Carbon tax now', con: 'Markets first' }
+            });
+            expect(scores.con).to.equal(0);
+
+            const named = scoreChallenges({
+                agents: ['pro', 'con'],
+                history: [{ agentId: 'pro', message: 'But Con is wrong.' }]
+            });
+            expect(named.con).to.equal(3);
+        });
+
+        it('should fall back to seat order with no history', async () => {
+            const next = await selectNextSpeaker('most-challenged', {
+                agents: panel, lastSpeaker: 'senatorbot', turnIndex: 1
+            });
+            expect(next).to.equal('reformerbot');
+        });
+    });
+
+    describe('random-weighted', () => {
+        it('should respect weights and never repeat the last speaker', async () => {
+            const context = {
+                agents: ['a', 'b', 'c'],
+                lastSpeaker: 'a',
+                turnIndex: 1,
+                weights: { a: 100, b: 1, c: 3 }
+            };
+            expect(await selectNextSpeaker('random-weighted', { ...context, random: () => 0.1 })).to.equal('b');
+            expect(await selectNextSpeaker('random-weighted', { ...context, random: () => 0.9 })).to.equal('c');
+        });
+    });
+
+    describe('moderator-selected', () => {
+        let previousProvider;
+
+        beforeEach(() => {
+            previousProvider = process.env.LLM_PROVIDER;
+            process.env.LLM_PROVIDER = 'mock';
+            resetLLMProviders();
+        });
+
+        afterEach(() => {
+            if (previousProvider === undefined) delete process.env.LLM_PROVIDER;
+            else process.env.LLM_PROVIDER = previousProvider;
+            resetLLMProviders();
+        });
+
+        it('should return a candidate other than the last speaker', async () => {
+            const next = await selectNextSpeaker('moderator-selected', {
+                agents: panel,
+                lastSpeaker: 'activistbot',
+                turnIndex: 4,
+                topic: 'climate policy',
+                history: [{ agentId: 'activistbot', message: 'We need action now.' }]
+            });
+            expect(panel).to.include(next);
+            expect(next).to.not.equal('activistbot');
+        });
+
+        it('should only take an agent id the reply names as a whole word', async () => {
+            let reply;
+            registerLLMProvider('scripted', () => ({
+                name: 'scripted',
+                complete: async () => ({ text: reply })
+            }));
+            process.env.LLM_PROVIDER = 'scripted';
+            const context = { agents: ['pro', 'con'], lastSpeaker: null, turnIndex: 0 };
+
+            reply = 'The second speaker';
+            expect(await selectNextSpeaker('moderator-selected', context)).to.equal('pro');
+
+            reply = 'Con, please.';
+            expect(await selectNextSpeaker('moderator-selected', context)).to.equal('con');
+        });
+    });
+});
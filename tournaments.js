@@ -0,0 +1,513 @@
+// Tournaments
+// Round-robin and single-elimination brackets across a set of agents and
+// topics. Matches are two-agent debates launched a few at a time (the
+// tournament's concurrency cap); each is decided by the debate's judge panel
+// verdict (see debateJudging.js). Results move an Elo rating per agent,
+// kept in a sorted set that backs the leaderboard.
+//
+// Env: ELO_K_FACTOR - rating change scale per match (default: 32)
+//      ELO_INITIAL_RATING - rating of an agent's first match (default: 1500)
+import { randomUUID } from "crypto";
+import redisManager from "./redisManager.js";
+
+export const TOURNAMENT_FORMATS = ["round-robin", "single-elimination"];
+const TOURNAMENT_INDEX_KEY = "tournaments";
+const RATINGS_KEY = "agent_ratings";
+
+export function tournamentKey(id) {
+  return `tournament:${id}`;
+}
+
+export function agentRecordKey(agentId) {
+  return `agent_rating:${agentId}`;
+}
+
+/**
+ * @typedef {Object} TournamentMatch
+ * @property {string} id - "{stage}-{index}"
+ * @property {number} stage - Elimination round (always 1 for round-robin)
+ * @property {string[]} agents - Two agents, or one for a bye
+ * @property {string} topic
+ * @property {'pending'|'running'|'completed'|'bye'|'no_contest'} status
+ * @property {string|null} debateId
+ * @property {string|null} winner - Agent ID, "tie", or null until decided
+ * @property {Object<string, number>|null} totals - Verdict totals by agent
+ * @property {Object<string, number>|null} ratingChange - Elo change by agent
+ */
+
+/**
+ * @typedef {Object} Tournament
+ * @property {string} id
+ * @property {string} name
+ * @property {'round-robin'|'single-elimination'} format
+ * @property {string[]} agents - In seed order
+ * @property {string[]} topics - Matches cycle through these
+ * @property {number} concurrency - Matches allowed to run at once
+ * @property {number} rounds - Debate rounds per match
+ * @property {'running'|'completed'} status
+ * @property {number} stage
+ * @property {TournamentMatch[]} matches
+ * @property {string|null} champion - Best record (round-robin) or last one standing
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+export function getEloConfig() {
+  return {
+    kFactor: parseFloat(process.env.ELO_K_FACTOR) || 32,
+    initialRating: parseFloat(process.env.ELO_INITIAL_RATING) || 1500,
+  };
+}
+
+/**
+ * Elo update for one game. `score` is A's result: 1 win, 0.5 draw, 0 loss.
+ * @returns {{ a: number, b: number }} New ratings
+ */
+export function updateElo(ratingA, ratingB, score, kFactor = getEloConfig().kFactor) {
+  const expectedA = 1 / (1 + 10 ** ((ratingB - ratingA) / 400));
+  const change = kFactor * (score - expectedA);
+  return {
+    a: Math.round((ratingA + change) * 10) / 10,
+    b: Math.round((ratingB - change) * 10) / 10,
+  };
+}
+
+/**
+ * Every pair of agents once, topics taken in turn.
+ * @param {string[]} agents
+ * @param {string[]} topics
+ * @returns {TournamentMatch[]}
+ */
+export function buildRoundRobinMatches(agents, topics) {
+  const pairs = agents.flatMap((a, i) => agents.slice(i + 1).map((b) => [a, b]));
+  return pairs.map((pair, index) => newMatch(1, index, pair, topics[index % topics.length]));
+}
+
+// Bracket positions of seeds 1..size, so that the top seeds can only meet
+// late: [1, 8, 4, 5, 2, 7, 3, 6] for eight
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const length = order.length * 2;
+    order = order.flatMap((seed) => [seed, length + 1 - seed]);
+  }
+  return order;
+}
+
+/**
+ * One elimination stage from agents in seed (or previous-stage bracket)
+ * order. The first stage seeds a bracket up to the next power of two, the
+ * top seeds getting any byes; later stages pair neighbours.
+ * @param {string[]} agents
+ * @param {string[]} topics
+ * @param {number} stage
+ * @returns {TournamentMatch[]}
+ */
+export function buildEliminationStage(agents, topics, stage) {
+  const topic = topics[(stage - 1) % topics.length];
+  let pairs = [];
+
+  if (stage === 1) {
+    const order = bracketOrder(2 ** Math.ceil(Math.log2(agents.length)));
+    for (let i = 0; i < order.length; i += 2) {
+      pairs.push([agents[order[i] - 1], agents[order[i + 1] - 1]].filter(Boolean));
+    }
+  } else {
+    for (let i = 0; i < agents.length; i += 2) pairs.push(agents.slice(i, i + 2));
+  }
+
+  return pairs.map((pair, index) => {
+    const match = newMatch(stage, index, pair, topic);
+    if (pair.length === 1) {
+      Object.assign(match, { status: "bye", winner: pair[0] });
+    }
+    return match;
+  });
+}
+
+function newMatch(stage, index, agents, topic) {
+  return {
+    id: `${stage}-${index + 1}`,
+    stage,
+    agents,
+    topic,
+    status: "pending",
+    debateId: null,
+    winner: null,
+    totals: null,
+    ratingChange: null,
+  };
+}
+
+/**
+ * Who goes through from a decided elimination match. Ties and debates
+ * without a verdict go to the better seed.
+ */
+function advancingAgent(tournament, match) {
+  if (match.winner && match.winner !== "tie") return match.winner;
+  return [...match.agents].sort(
+    (a, b) => tournament.agents.indexOf(a) - tournament.agents.indexOf(b),
+  )[0];
+}
+
+/**
+ * Round-robin standings: 1 point a win, half a draw.
+ * @param {Tournament} tournament
+ * @returns {Array<{ agentId: string, points: number, played: number }>}
+ */
+export function tournamentStandings(tournament) {
+  const standings = new Map(
+    tournament.agents.map((agentId) => [agentId, { agentId, points: 0, played: 0 }]),
+  );
+  for (const match of tournament.matches.filter((m) => m.status === "completed")) {
+    for (const agentId of match.agents) {
+      const entry = standings.get(agentId);
+      entry.played++;
+      entry.points += match.winner === agentId ? 1 : match.winner === "tie" ? 0.5 : 0;
+    }
+  }
+  return [...standings.values()].sort(
+    (a, b) =>
+      b.points - a.points ||
+      tournament.agents.indexOf(a.agentId) - tournament.agents.indexOf(b.agentId),
+  );
+}
+
+/**
+ * Open the next elimination stage, or finish the tournament, once every
+ * match of the current stage is decided (mutates the tournament).
+ * @param {Tournament} tournament
+ */
+export function progressTournament(tournament) {
+  const current = tournament.matches.filter((m) => m.stage === tournament.stage);
+  if (current.some((m) => m.status === "pending" || m.status === "running")) return;
+
+  if (tournament.format === "round-robin") {
+    tournament.status = "completed";
+    tournament.champion = tournamentStandings(tournament)[0]?.agentId ?? null;
+    return;
+  }
+
+  const advancing = current.map((match) => advancingAgent(tournament, match));
+  if (advancing.length === 1) {
+    tournament.status = "completed";
+    tournament.champion = advancing[0];
+    return;
+  }
+
+  tournament.stage++;
+  tournament.matches.push(
+    ...buildEliminationStage(advancing, tournament.topics, tournament.stage),
+  );
+}
+
+/**
+ * Build a tournament and its first matches.
+ * @param {Object} fields
+ * @param {string} [fields.name]
+ * @param {'round-robin'|'single-elimination'} fields.format
+ * @param {string[]} fields.agents - At least two, in seed order
+ * @param {string[]} fields.topics
+ * @param {number} [fields.concurrency]
+ * @param {number} [fields.rounds]
+ * @param {Date} [now]
+ * @returns {Tournament}
+ */
+export function buildTournament(
+  { name, format, agents, topics, concurrency = 2, rounds = 3 },
+  now = new Date(),
+) {
+  const tournament = {
+    id: randomUUID(),
+    name: name || `${format} tournament`,
+    format,
+    agents,
+    topics,
+    concurrency,
+    rounds,
+    status: "running",
+    stage: 1,
+    matches:
+      format === "round-robin"
+        ? buildRoundRobinMatches(agents, topics)
+        : buildEliminationStage(agents, topics, 1),
+    champion: null,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+  progressTournament(tournament);
+  return tournament;
+}
+
+// Read-modify-write of one tournament at a time, since several of its
+// matches can finish together
+const pendingWrites = new Map();
+
+function updateTournament(id, change) {
+  const previous = pendingWrites.get(id) ?? Promise.resolve();
+  const run = previous
+    .catch(() => {})
+    .then(() =>
+      redisManager.execute(async (client) => {
+        const tournament = await client.json.get(tournamentKey(id));
+        if (!tournament) return null;
+        const result = await change(tournament);
+        tournament.updatedAt = new Date().toISOString();
+        await client.json.set(tournamentKey(id), "$", tournament);
+        return result;
+      }),
+    );
+
+  pendingWrites.set(id, run);
+  run
+    .catch(() => {})
+    .finally(() => {
+      if (pendingWrites.get(id) === run) pendingWrites.delete(id);
+    });
+  return run;
+}
+
+/**
+ * @param {Object} fields - See buildTournament
+ * @returns {Promise<Tournament>}
+ */
+export async function createTournament(fields) {
+  const tournament = buildTournament(fields);
+  await redisManager.execute(async (client) => {
+    await client.json.set(tournamentKey(tournament.id), "$", tournament);
+    await client.sAdd(TOURNAMENT_INDEX_KEY, tournament.id);
+  });
+  return tournament;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Tournament|null>}
+ */
+export async function getTournament(id) {
+  return redisManager.execute(async (client) => client.json.get(tournamentKey(id)));
+}
+
+/**
+ * @returns {Promise<Tournament[]>} Newest first
+ */
+export async function listTournaments() {
+  return redisManager.execute(async (client) => {
+    const ids = await client.sMembers(TOURNAMENT_INDEX_KEY);
+    const tournaments = [];
+    for (const id of ids) {
+      const tournament = await client.json.get(tournamentKey(id));
+      if (tournament) tournaments.push(tournament);
+    }
+    return tournaments.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  });
+}
+
+/**
+ * Mark as many pending matches running as the concurrency cap allows.
+ * @param {string} id
+ * @returns {Promise<TournamentMatch[]>} The matches to launch
+ */
+export async function claimMatches(id) {
+  const claimed = await updateTournament(id, (tournament) => {
+    const running = tournament.matches.filter((m) => m.status === "running").length;
+    const ready = tournament.matches
+      .filter((m) => m.status === "pending")
+      .slice(0, Math.max(0, tournament.concurrency - running));
+    for (const match of ready) match.status = "running";
+    return ready;
+  });
+  return claimed ?? [];
+}
+
+/**
+ * @param {string} id
+ * @param {string} matchId
+ * @param {string} debateId
+ */
+export async function setMatchDebate(id, matchId, debateId) {
+  await updateTournament(id, (tournament) => {
+    const match = tournament.matches.find((m) => m.id === matchId);
+    if (match) match.debateId = debateId;
+  });
+}
+
+/**
+ * Apply one match result to both agents' ratings and records.
+ * @param {string} agentA
+ * @param {string} agentB
+ * @param {number} score - A's result: 1 win, 0.5 draw, 0 loss
+ * @returns {Promise<Object<string, number>>} Rating change by agent
+ */
+export async function recordRatedMatch(agentA, agentB, score) {
+  const { initialRating } = getEloConfig();
+  return redisManager.execute(async (client) => {
+    const before = {
+      a: (await client.zScore(RATINGS_KEY, agentA)) ?? initialRating,
+      b: (await client.zScore(RATINGS_KEY, agentB)) ?? initialRating,
+    };
+    const after = updateElo(before.a, before.b, score);
+
+    await client.zAdd(RATINGS_KEY, [
+      { score: after.a, value: agentA },
+      { score: after.b, value: agentB },
+    ]);
+    const outcome = { 1: ["wins", "losses"], 0.5: ["draws", "draws"], 0: ["losses", "wins"] }[score];
+    for (const [agentId, field] of [[agentA, outcome[0]], [agentB, outcome[1]]]) {
+      await client.hIncrBy(agentRecordKey(agentId), field, 1);
+      await client.hIncrBy(agentRecordKey(agentId), "games", 1);
+    }
+
+    return {
+      [agentA]: Math.round((after.a - before.a) * 10) / 10,
+      [agentB]: Math.round((after.b - before.b) * 10) / 10,
+    };
+  });
+}
+
+/**
+ * Record a finished match: rate it, then open the next stage or finish the
+ * tournament if it was the last one outstanding. A debate without a
+ * verdict is a no contest and leaves ratings alone.
+ * @param {string} id
+ * @param {string} matchId
+ * @param {{ winner: string|null, totals?: Object<string, number>|null }} result
+ * @returns {Promise<Tournament|null>}
+ */
+export async function recordMatchResult(id, matchId, { winner, totals = null }) {
+  return updateTournament(id, async (tournament) => {
+    const match = tournament.matches.find((m) => m.id === matchId);
+    if (!match || match.status !== "running") return tournament;
+
+    const [a, b] = match.agents;
+    if (winner === null) {
+      match.status = "no_contest";
+    } else {
+      match.status = "completed";
+      match.winner = match.agents.includes(winner) ? winner : "tie";
+      match.totals = totals;
+      match.ratingChange = await recordRatedMatch(
+        a,
+        b,
+        match.winner === a ? 1 : match.winner === b ? 0 : 0.5,
+      );
+    }
+
+    progressTournament(tournament);
+    return tournament;
+  });
+}
+
+/**
+ * Agents by Elo rating with their match records.
+ * @param {number} [limit]
+ * @returns {Promise<Array<{ rank: number, agentId: string, rating: number, games: number, wins: number, losses: number, draws: number }>>}
+ */
+export async function getLeaderboard(limit = 20) {
+  return redisManager.execute(async (client) => {
+    const ratings = await client.zRangeWithScores(RATINGS_KEY, 0, limit - 1, { REV: true });
+    const leaderboard = [];
+    for (const [index, { value, score }] of ratings.entries()) {
+      const record = await client.hGetAll(agentRecordKey(value));
+      leaderboard.push({
+        rank: index + 1,
+        agentId: value,
+        rating: score,
+        games: Number(record.games || 0),
+        wins: Number(record.wins || 0),
+        losses: Number(record.losses || 0),
+        draws: Number(record.draws || 0),
+      });
+    }
+    return leaderboard;
+  });
+}
+
+/**
+ * Launch whatever the concurrency cap allows and keep going as matches
+ * finish. `launch` starts a match's debate and resolves to its debate ID and
+ * a promise of the result; `onUpdate` hears about every recorded result.
+ * @param {string} id
+ * @param {(match: TournamentMatch, tournament: Tournament) => Promise<{ debateId: string, result: Promise<{ winner: string|null, totals?: Object<string, number>|null }> }>} launch
+ * @param {(tournament: Tournament, match: TournamentMatch) => void} [onUpdate]
+ */
+export async function advanceTournament(id, launch, onUpdate = () => {}) {
+  const tournament = await getTournament(id);
+  if (!tournament || tournament.status !== "running") return;
+
+  for (const match of await claimMatches(id)) {
+    let result;
+    try {
+      const launched = await launch(match, tournament);
+      await setMatchDebate(id, match.id, launched.debateId);
+      result = launched.result;
+    } catch (error) {
+      console.log(`⚠️ Tournament ${id} match ${match.id} did not start: ${error.message}`);
+      result = Promise.resolve({ winner: null });
+    }
+
+    result
+      .catch((error) => {
+        console.log(`⚠️ Tournament ${id} match ${match.id} has no result: ${error.message}`);
+        return { winner: null };
+      })
+      .then((outcome) => recordMatchResult(id, match.id, outcome))
+      .then((updated) => {
+        if (!updated) return;
+        onUpdate(updated, updated.matches.find((m) => m.id === match.id));
+        return advanceTournament(id, launch, onUpdate);
+      })
+      .catch((error) => {
+        console.log(`⚠️ Tournament ${id} could not advance: ${error.message}`);
+      });
+  }
+}
+
+/**
+ * Pick up tournaments a restart interrupted. A match still marked running
+ * lost its debate with the old process, so it goes back to pending and is
+ * played again; then each tournament advances as if a match had finished.
+ * @param {Parameters<typeof advanceTournament>[1]} launch
+ * @param {Parameters<typeof advanceTournament>[2]} [onUpdate]
+ * @returns {Promise<string[]>} IDs of the tournaments resumed
+ */
+export async function resumeTournaments(launch, onUpdate) {
+  const resumed = [];
+  for (const { id, status } of await listTournaments()) {
+    if (status !== "running") continue;
+
+    await updateTournament(id, (tournament) => {
+      for (const match of tournament.matches) {
+        if (match.status !== "running") continue;
+        match.status = "pending";
+        match.debateId = null;
+      }
+    });
+    await advanceTournament(id, launch, onUpdate);
+    resumed.push(id);
+  }
+  return resumed;
+}
+
+export default {
+  TOURNAMENT_FORMATS,
+  tournamentKey,
+  agentRecordKey,
+  getEloConfig,
+  updateElo,
+  buildRoundRobinMatches,
+  buildEliminationStage,
+  tournamentStandings,
+  progressTournament,
+  buildTournament,
+  createTournament,
+  getTournament,
+  listTournaments,
+  claimMatches,
+  setMatchDebate,
+  recordRatedMatch,
+  recordMatchResult,
+  getLeaderboard,
+  advanceTournament,
+  resumeTournaments,
+};
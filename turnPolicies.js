@@ -0,0 +1,277 @@
+// Turn-Taking Policies
+// Decide who speaks next in an N-agent debate. Shared by the legacy round
+// loop in server.js, the JS LangGraph orchestrator and lib/graph.
+import redisManager from "./redisManager.js";
+import { generateCompletion } from "./llmProvider.js";
+import { topicToStanceKey } from "./messageGenerationCore.js";
+
+export const DEFAULT_TURN_POLICY = "round-robin";
+
+// How many recent messages the heuristics look back over
+const HISTORY_WINDOW = 6;
+
+const CHALLENGE_WORDS = [
+  "disagree",
+  "wrong",
+  "however",
+  "but",
+  "fails",
+  "ignores",
+  "flawed",
+  "misleading",
+  "mistaken",
+  "reckless",
+  "naive",
+  "unrealistic",
+  "dangerous",
+  "false",
+];
+
+/**
+ * Case-insensitive pattern matching `phrase` only as whole words, so "but"
+ * does not match inside "contribute" nor the agent id "con" inside "economy".
+ * @param {string} phrase
+ * @returns {RegExp}
+ */
+function wholeWords(phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, "iu");
+}
+
+const CHALLENGE_PATTERNS = CHALLENGE_WORDS.map(wholeWords);
+
+/**
+ * @typedef {Object} TurnContext
+ * @property {string[]} agents - Speaker ids in seat order
+ * @property {string|null} lastSpeaker
+ * @property {number} turnIndex - Turns already taken
+ * @property {string} [topic]
+ * @property {{ agentId: string, message: string }[]} [history] - Oldest first
+ * @property {Object<string, number>} [stances] - agentId -> 0..1 stance on the topic
+ * @property {Object<string, string>} [names] - agentId -> display name
+ * @property {Object<string, number>} [weights] - agentId -> relative weight (random-weighted)
+ * @property {() => number} [random] - Injectable RNG, defaults to Math.random
+ */
+
+function candidatesFor({ agents, lastSpeaker }) {
+  const others = agents.filter((agentId) => agentId !== lastSpeaker);
+  return others.length > 0 ? others : agents;
+}
+
+function roundRobin({ agents, lastSpeaker, turnIndex = 0 }) {
+  const lastIndex = agents.indexOf(lastSpeaker);
+  if (lastIndex === -1) return agents[turnIndex % agents.length];
+  return agents[(lastIndex + 1) % agents.length];
+}
+
+/**
+ * Score how hard each candidate was pushed back on in recent turns. A message
+ * that names an agent counts fully; otherwise it counts in proportion to the
+ * stance gap between speaker and candidate.
+ * @param {TurnContext} context
+ * @returns {Object<string, number>}
+ */
+export function scoreChallenges(context) {
+  const { agents, history = [], stances = {}, names = {} } = context;
+  const recent = history.slice(-HISTORY_WINDOW);
+  const scores = Object.fromEntries(agents.map((agentId) => [agentId, 0]));
+
+  const mentions = Object.fromEntries(
+    agents.map((agentId) => [
+      agentId,
+      [wholeWords(agentId), wholeWords(names[agentId] || agentId)],
+    ]),
+  );
+
+  recent.forEach(({ agentId: speaker, message }, position) => {
+    const text = message || "";
+    const recency = 1 / (recent.length - position);
+    const intensity =
+      1 + CHALLENGE_PATTERNS.filter((pattern) => pattern.test(text)).length;
+
+    for (const candidate of agents) {
+      if (candidate === speaker) continue;
+
+      const named = mentions[candidate].some((pattern) => pattern.test(text));
+      const gap =
+        stances[speaker] !== undefined && stances[candidate] !== undefined
+          ? Math.abs(stances[speaker] - stances[candidate])
+          : 0;
+
+      scores[candidate] += recency * intensity * (named ? 1 : gap);
+    }
+  });
+
+  return scores;
+}
+
+function mostChallenged(context) {
+  const scores = scoreChallenges(context);
+  const candidates = candidatesFor(context);
+  const best = Math.max(...candidates.map((agentId) => scores[agentId]));
+
+  // Nobody has been challenged yet - fall back to seat order
+  if (best <= 0) return roundRobin(context);
+
+  // Ties resolve in seat order after the last speaker
+  const fallback = roundRobin(context);
+  return scores[fallback] === best
+    ? fallback
+    : candidates.find((agentId) => scores[agentId] === best);
+}
+
+function randomWeighted(context) {
+  const { history = [], weights = {}, random = Math.random } = context;
+  const candidates = candidatesFor(context);
+  const recent = history.slice(-context.agents.length);
+
+  // Agents who spoke recently are less likely to be picked again
+  const effective = candidates.map((agentId) => {
+    const recentTurns = recent.filter((m) => m.agentId === agentId).length;
+    return Math.max(0, weights[agentId] ?? 1) / (1 + recentTurns);
+  });
+  const total = effective.reduce((sum, w) => sum + w, 0);
+  if (total <= 0) return roundRobin(context);
+
+  let roll = random() * total;
+  for (let i = 0; i < candidates.length; i++) {
+    roll -= effective[i];
+    if (roll < 0) return candidates[i];
+  }
+  return candidates[candidates.length - 1];
+}
+
+async function moderatorSelected(context) {
+  const { topic, history = [], stances = {}, names = {} } = context;
+  const candidates = candidatesFor(context);
+
+  const transcript = history
+    .slice(-HISTORY_WINDOW)
+    .map((m) => `${names[m.agentId] || m.agentId}: ${m.message}`)
+    .join("\n");
+  const roster = candidates
+    .map((agentId) => {
+      const stance = stances[agentId];
+      return `- ${agentId} (${names[agentId] || agentId}${stance !== undefined ? `, stance ${stance.toFixed(2)}` : ""})`;
+    })
+    .join("\n");
+
+  try {
+    const { text } = await generateCompletion({
+      messages: [
+        {
+          role: "system",
+          content:
+            "You moderate a live policy debate. Choose who should speak next to keep the exchange substantive: prefer someone who was just challenged or whose view is missing. Reply with the agent id only.",
+        },
+        {
+          role: "user",
+          content: `TOPIC: ${topic || "general policy"}\n\nRECENT TRANSCRIPT:\n${transcript || "(no messages yet)"}\n\nCANDIDATES:\n${roster}`,
+        },
+      ],
+      temperature: 0.2,
+      maxTokens: 20,
+    });
+
+    const choice = candidates.find((agentId) => wholeWords(agentId).test(text));
+    if (choice) return choice;
+    console.log(`⚠️ Moderator reply "${text}" named no candidate, using round-robin`);
+  } catch (error) {
+    console.log(`⚠️ Moderator selection failed: ${error.message}`);
+  }
+
+  return roundRobin(context);
+}
+
+const policies = new Map([
+  ["round-robin", roundRobin],
+  ["moderator-selected", moderatorSelected],
+  ["most-challenged", mostChallenged],
+  ["random-weighted", randomWeighted],
+]);
+
+export const TURN_POLICY_NAMES = [...policies.keys()];
+
+export function isTurnPolicy(name) {
+  return policies.has(name);
+}
+
+/**
+ * Pick the next speaker under a policy. Unknown policies use round-robin.
+ * @param {string} policyName
+ * @param {TurnContext} context
+ * @returns {Promise<string>} agentId
+ */
+export async function selectNextSpeaker(policyName, context) {
+  if (!context.agents?.length) {
+    throw new Error("selectNextSpeaker requires at least one agent");
+  }
+  const policy = policies.get(policyName) || roundRobin;
+  return await policy(context);
+}
+
+/**
+ * Build a TurnContext from Redis for a stream-backed debate: recent messages
+ * from `debate:{id}:messages` plus each agent's profile stance on the topic.
+ * @param {Object} options
+ * @param {string} options.debateId
+ * @param {string[]} options.agents
+ * @param {string} options.topic
+ * @param {string|null} [options.lastSpeaker]
+ * @param {number} [options.turnIndex]
+ * @param {Object<string, number>} [options.weights]
+ * @returns {Promise<TurnContext>}
+ */
+export async function loadTurnContext({
+  debateId,
+  agents,
+  topic,
+  lastSpeaker = null,
+  turnIndex = 0,
+  weights,
+}) {
+  const stanceKey = topicToStanceKey(topic);
+
+  return await redisManager.execute(async (client) => {
+    const entries = await client.xRevRange(
+      `debate:${debateId}:messages`,
+      "+",
+      "-",
+      { COUNT: HISTORY_WINDOW },
+    );
+    const history = entries.reverse().map((entry) => ({
+      agentId: entry.message.agent_id,
+      message: entry.message.message,
+    }));
+
+    const stances = {};
+    const names = {};
+    for (const agentId of agents) {
+      const profile = await client.json.get(`agent:${agentId}:profile`);
+      if (profile?.stance?.[stanceKey] !== undefined) {
+        stances[agentId] = profile.stance[stanceKey];
+      }
+      if (profile?.name) names[agentId] = profile.name;
+    }
+
+    return {
+      agents,
+      lastSpeaker,
+      turnIndex,
+      topic,
+      history,
+      stances,
+      names,
+      weights,
+    };
+  });
+}
+
+export default {
+  DEFAULT_TURN_POLICY,
+  TURN_POLICY_NAMES,
+  isTurnPolicy,
+  selectNextSpeaker,
+  scoreChallenges,
+  loadTurnContext,
+};
@@ -0,0 +1,61 @@
+// Cache Warming Script
+// Usage: node warmCache.js [topic...] [--agents a,b] [--turns n] [--max-tokens n] [--within-hours n]
+// With no topics, warms the debate schedules due within --within-hours (default 24).
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import redisManager from './redisManager.js';
+import { DEFAULT_WARM_AGENTS, getWarmDefaults, scheduledWarmTargets, warmCache } from './cacheWarming.js';
+
+async function runWarmCache() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            agents: { type: 'string' },
+            turns: { type: 'string' },
+            'max-tokens': { type: 'string' },
+            'within-hours': { type: 'string', default: '24' }
+        }
+    });
+    const defaults = getWarmDefaults();
+    const agents = values.agents ? values.agents.split(',') : DEFAULT_WARM_AGENTS;
+
+    try {
+        const targets = positionals.length > 0
+            ? positionals.map(topic => ({ topic, agents }))
+            : await scheduledWarmTargets({ withinHours: Number(values['within-hours']) });
+
+        if (targets.length === 0) {
+            console.log('✅ Nothing to warm - no topics given and no schedules due');
+            return true;
+        }
+
+        console.log(`🔥 Warming ${targets.length} topic(s)...`);
+        const summary = await warmCache({
+            targets,
+            turns: values.turns ? Number(values.turns) : defaults.turns,
+            maxTokens: values['max-tokens'] ? Number(values['max-tokens']) : defaults.maxTokens,
+            onProgress: ({ topic, agentId, turn, outcome, tokensUsed, completed, total }) => {
+                console.log(`   [${completed}/${total}] ${topic} • turn ${turn} • ${agentId}: ${outcome} (${tokensUsed} tokens)`);
+            }
+        });
+
+        console.log(`✅ Cache warming ${summary.status}: ${summary.generated} generated, ${summary.cached} already cached, ${summary.failed} failed, ${summary.skipped} skipped`);
+        console.log(`💰 Tokens used: ${summary.tokensUsed}/${summary.maxTokens}`);
+        return summary.failed === 0;
+
+    } catch (error) {
+        console.error('❌ Error warming cache:', error);
+        return false;
+    } finally {
+        await redisManager.disconnect();
+    }
+}
+
+// Run warming if called directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+    runWarmCache()
+        .then(ok => process.exit(ok ? 0 : 1))
+        .catch(() => process.exit(1));
+}
+
+export default runWarmCache;